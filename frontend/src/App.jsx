@@ -24,6 +24,7 @@ const ProgressReports = React.lazy(() => import("./pages/ProgressReports"));
 const Evaluations = React.lazy(() => import("./pages/Evaluations"));
 const Analytics = React.lazy(() => import("./pages/Analytics"));
 const UserManagement = React.lazy(() => import("./pages/UserManagement"));
+const AssignmentPolicies = React.lazy(() => import("./pages/AssignmentPolicies"));
 const Settings = React.lazy(() => import("./pages/Settings"));
 import "./App.css";
 import "./styles/common.css";
@@ -210,6 +211,7 @@ function App() {
                         <Route path="/evaluations" element={<Evaluations />} />
                         <Route path="/analytics" element={<Analytics />} />
                         <Route path="/user-management" element={<UserManagement />} />
+                        <Route path="/assignment-policies" element={<AssignmentPolicies />} />
                         <Route path="/settings" element={<Settings />} />
                         <Route path="*" element={<div style={{padding: 24}}><h2>Page not found</h2><p>The page you’re looking for doesn’t exist.</p></div>} />
                       </Routes>
@@ -0,0 +1,51 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import AssignmentApprovalQueue from '../components/AssignmentApprovalQueue.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const pending = {
+  success: true,
+  data: [{
+    _id: 'a1',
+    patient: { _id: 'p1', name: 'Alice' },
+    therapist: { _id: 't1', name: 'Dr. Best' },
+    score: 82.5,
+    scoreBreakdown: { specialtyMatch: 40, availability: 20, caseload: 17.5, experience: 5 },
+    rationale: 'Assigned to Dr. Best based on: Strong specialty match.',
+  }],
+};
+
+beforeEach(() => {
+  global.fetch = vi.fn((url) => {
+    const payload = String(url).includes('/api/assignments/pending') ? pending : { success: true, data: {} };
+    return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(payload) });
+  });
+});
+
+it('shows the score breakdown and rationale of pending proposals', async () => {
+  renderWithProviders(<AssignmentApprovalQueue therapists={[]} />);
+  await waitFor(() => screen.getByText('Dr. Best'));
+  expect(screen.getByText('82.5')).toBeInTheDocument();
+  expect(screen.getByText('17.5')).toBeInTheDocument();
+  expect(screen.getByText('Assigned to Dr. Best based on: Strong specialty match.')).toBeInTheDocument();
+});
+
+it('overrides a proposal with another therapist and a reason', async () => {
+  window.alert = vi.fn();
+  window.prompt = vi.fn(() => 'Family request');
+  renderWithProviders(<AssignmentApprovalQueue therapists={[{ _id: 't1', name: 'Dr. Best' }, { _id: 't2', name: 'Dr. Other' }]} />);
+  await waitFor(() => screen.getByText('Dr. Best'));
+
+  fireEvent.change(screen.getByLabelText('Override therapist for Alice'), { target: { value: 't2' } });
+  fireEvent.click(screen.getByText('Override'));
+
+  await waitFor(() => {
+    const call = global.fetch.mock.calls.find(([url]) => String(url).includes('/api/assignments/a1/override'));
+    expect(JSON.parse(call[1].body)).toEqual({ therapistId: 't2', reason: 'Family request' });
+  });
+});
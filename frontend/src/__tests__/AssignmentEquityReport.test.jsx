@@ -0,0 +1,47 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import AssignmentEquityReport from '../components/AssignmentEquityReport.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const equity = {
+  success: true,
+  data: {
+    summary: {
+      totalAssignments: 10, autoRate: 0.6, manualRate: 0.4, overrideRate: 0.25, rejectionRate: 0.1,
+      highPriorityShare: 0.3, juniorShareOfAssignments: 0.2, juniorShareOfHighPriority: 0.5,
+      caseloadGini: 0.12, juniorYears: 2,
+    },
+    byTherapist: [
+      { therapistId: 't1', therapistName: 'Dr. Busy', seniority: 'junior', assignments: 7, highPriorityShare: 0.43, auto: 4, manual: 3, overrides: 1, activeCases: 9, highPriorityCases: 3 },
+    ],
+    giniOverTime: [{ period: '2026-09', assignments: 10, assignmentGini: 0.42, highPriorityGini: 0.1 }],
+  },
+};
+
+beforeEach(() => {
+  global.fetch = vi.fn((url) => {
+    if (String(url).includes('/export/equity')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'text/csv' }), text: () => Promise.resolve('Therapist Name\n"Dr. Busy"') });
+    }
+    return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(equity) });
+  });
+});
+
+it('shows per-therapist load and Gini trend, and exports CSV', async () => {
+  URL.createObjectURL = vi.fn(() => 'blob:equity');
+  URL.revokeObjectURL = vi.fn();
+  renderWithProviders(<AssignmentEquityReport dateRange="last-month" />);
+
+  await waitFor(() => screen.getByText('Dr. Busy'));
+  expect(screen.getByText('60% / 40%')).toBeInTheDocument();
+  expect(screen.getByText('0.42')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Export Equity CSV'));
+  await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalled());
+  expect(global.fetch.mock.calls.some(([url]) => String(url).includes('/api/analytics/export/equity?startDate='))).toBe(true);
+});
@@ -0,0 +1,55 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import AttachmentPanel from '../components/AttachmentPanel.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const json = (body) => Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+
+const attachments = [{
+  _id: 'att1',
+  originalName: 'assessment.pdf',
+  size: 2048,
+  uploadedBy: { name: 'Tara Therapist' },
+  createdAt: '2025-06-01T10:00:00Z',
+  downloadUrl: '/api/attachments/att1/download'
+}];
+
+beforeEach(() => {
+  global.fetch = vi.fn((url, opts) => {
+    if (opts?.method === 'POST') return json({ success: true, data: { _id: 'att2' } });
+    return json({ success: true, data: attachments });
+  });
+});
+
+it('lists attachments for the record', async () => {
+  renderWithProviders(<AttachmentPanel entityType="Session" entityId="sess1" />);
+  await waitFor(() => screen.getByText('assessment.pdf'));
+  expect(screen.getByText(/Tara Therapist/)).toBeInTheDocument();
+  const [url] = global.fetch.mock.calls[0];
+  expect(String(url)).toContain('/api/attachments?entityType=Session&entityId=sess1');
+});
+
+it('uploads picked files as multipart form data', async () => {
+  renderWithProviders(<AttachmentPanel entityType="Session" entityId="sess1" />);
+  await waitFor(() => screen.getByText('assessment.pdf'));
+
+  const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+  fireEvent.change(screen.getByLabelText('Attachments:'), { target: { files: [file] } });
+  expect(screen.getByText(/notes\.txt/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Upload'));
+
+  await waitFor(() => {
+    const post = global.fetch.mock.calls.find(([, opts]) => opts?.method === 'POST');
+    expect(String(post[0])).toContain('/api/attachments');
+    const body = post[1].body;
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('entityType')).toBe('Session');
+    expect(body.get('entityId')).toBe('sess1');
+    expect(body.get('file').name).toBe('notes.txt');
+  });
+});
@@ -0,0 +1,45 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import AttendanceFlagQueue from '../components/AttendanceFlagQueue.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const flags = {
+  success: true,
+  data: [{
+    _id: 'f1',
+    patient: { _id: 'p1', name: 'Alice', caseStatus: 'paused' },
+    rule: { name: 'Pause after 3' },
+    noShowCount: 3,
+    windowDays: 60,
+    createdAt: '2025-06-30T12:00:00.000Z',
+  }],
+};
+
+beforeEach(() => {
+  global.fetch = vi.fn((url) => {
+    const payload = String(url).includes('/resolve') ? { success: true, data: {} } : flags;
+    return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(payload) });
+  });
+});
+
+it('resolves a flag and reactivates the paused case', async () => {
+  const promptSpy = vi.spyOn(window, 'prompt').mockReturnValue('Called the family, sessions resume next week');
+  const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+  renderWithProviders(<AttendanceFlagQueue />);
+
+  await waitFor(() => screen.getByText('Repeated No-Shows'));
+  expect(screen.getByText('3 in 60 days')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Resolve'));
+
+  await waitFor(() => {
+    const resolveCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/api/attendance/flags/f1/resolve'));
+    expect(JSON.parse(resolveCall[1].body)).toEqual({ resolution: 'Called the family, sessions resume next week', reactivate: true });
+  });
+  promptSpy.mockRestore();
+  confirmSpy.mockRestore();
+});
@@ -0,0 +1,61 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import CalendarSettings from '../components/CalendarSettings.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const jsonResponse = (body) => Promise.resolve({
+  ok: true,
+  headers: new Headers({ 'content-type': 'application/json' }),
+  json: () => Promise.resolve(body),
+});
+
+beforeEach(() => {
+  global.fetch = vi.fn((url, init) => {
+    const path = String(url);
+    if (init?.method === 'POST' && path.includes('/api/calendar/import')) {
+      return jsonResponse({
+        success: true,
+        data: [],
+        imported: 1,
+        updated: 0,
+        skipped: [{ uid: 'standup', summary: 'Standup', reason: 'Recurring events are not imported' }],
+      });
+    }
+    if (init?.method === 'POST') {
+      return jsonResponse({ success: true, data: { enabled: true, maskPatientNames: true, url: 'https://api.example.com/api/calendar/feed/abc.ics' } });
+    }
+    if (path.includes('/api/calendar/exceptions')) {
+      return jsonResponse({
+        success: true,
+        data: [{ _id: 'e1', start: '2025-07-14T00:00:00Z', end: '2025-07-19T00:00:00Z', summary: 'Summer vacation', source: 'ics' }],
+      });
+    }
+    return jsonResponse({ success: true, data: { enabled: false, maskPatientNames: true } });
+  });
+});
+
+it('creates a calendar link and shows the URL once', async () => {
+  renderWithProviders(<CalendarSettings />);
+  fireEvent.click(await screen.findByText('Create Calendar Link'));
+  await waitFor(() => screen.getByText('https://api.example.com/api/calendar/feed/abc.ics'));
+  expect(screen.queryByText('Blocked Time')).not.toBeInTheDocument();
+});
+
+it('imports an .ics file into blocked time and reports skipped events', async () => {
+  renderWithProviders(<CalendarSettings showBlockedTime />);
+  await waitFor(() => screen.getByText('Summer vacation'));
+
+  const file = new File(['BEGIN:VCALENDAR'], 'vacation.ics', { type: 'text/calendar' });
+  fireEvent.change(screen.getByLabelText('Calendar file (.ics):'), { target: { files: [file] } });
+  fireEvent.click(screen.getByText('Import'));
+
+  await waitFor(() => screen.getByText(/Imported 1, updated 0, skipped 1/));
+  expect(screen.getByText(/Standup: Recurring events are not imported/)).toBeInTheDocument();
+  const post = global.fetch.mock.calls.find(([url, init]) => init?.method === 'POST' && String(url).includes('/import'));
+  expect(post[1].body.get('file').name).toBe('vacation.ics');
+});
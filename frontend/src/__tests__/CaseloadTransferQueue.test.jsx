@@ -0,0 +1,51 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import CaseloadTransferQueue from '../components/CaseloadTransferQueue.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const transfers = {
+  success: true,
+  data: [{
+    _id: 'tr1',
+    therapist: { _id: 't0', name: 'Dr. Away' },
+    reason: 'leave',
+    leaveEnd: '2026-12-01T00:00:00.000Z',
+    items: [
+      { patient: { _id: 'p1', name: 'Alice' }, toTherapist: { _id: 't1', name: 'Dr. Cover' }, score: 71.25, rationale: 'Covering for Dr. Away during leave.' },
+      { patient: { _id: 'p2', name: 'Bob' }, rationale: 'No therapist with remaining capacity and a positive match score' },
+    ],
+  }],
+};
+
+beforeEach(() => {
+  global.fetch = vi.fn((url) => {
+    const payload = String(url).includes('/approve')
+      ? { success: true, data: {}, message: '2 patients reassigned' }
+      : transfers;
+    return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(payload) });
+  });
+});
+
+it('approves a handover with an override for the unmatched patient', async () => {
+  window.alert = vi.fn();
+  const therapists = [{ _id: 't0', name: 'Dr. Away' }, { _id: 't1', name: 'Dr. Cover' }, { _id: 't2', name: 'Dr. Spare' }];
+  renderWithProviders(<CaseloadTransferQueue therapists={therapists} />);
+
+  await waitFor(() => screen.getByText('Caseload Handovers Awaiting Approval'));
+  expect(screen.getByText('No match')).toBeInTheDocument();
+  // The departing therapist is not offered as an override
+  expect(screen.getByLabelText('Therapist for Bob').querySelector('option[value="t0"]')).toBeNull();
+
+  fireEvent.change(screen.getByLabelText('Therapist for Bob'), { target: { value: 't2' } });
+  fireEvent.click(screen.getByText('Approve Handover'));
+
+  await waitFor(() => {
+    const approveCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/api/caseload-transfers/tr1/approve'));
+    expect(JSON.parse(approveCall[1].body)).toEqual({ items: [{ patientId: 'p2', therapistId: 't2' }] });
+  });
+});
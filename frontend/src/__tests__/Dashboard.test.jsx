@@ -23,12 +23,18 @@ vi.mock('@clerk/clerk-react', () => ({
 // Mock API fetches for dashboard and notifications
 const dashboardPayload = { success: true, data: { activeCases: 2, pendingReviews: 1, overdueReports: 0, recentActivity: [] }};
 const unreadPayload = { success: true, count: 3 };
+const reportsDuePayload = { success: true, data: [
+  { _id: 't1', patient: { _id: 'p1', name: 'Alice Doe' }, sessionCount: 6, threshold: 6, createdAt: '2025-06-02T10:00:00Z' },
+]};
 
 beforeEach(() => {
   global.fetch = vi.fn((url) => {
     if (String(url).includes('/api/analytics/dashboard')) {
       return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(dashboardPayload) });
     }
+    if (String(url).includes('/api/progress-reports/due')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(reportsDuePayload) });
+    }
     if (String(url).includes('/api/notifications/unread-count')) {
       return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(unreadPayload) });
     }
@@ -45,6 +51,13 @@ it('renders dashboard metrics and notifications count', async () => {
   expect(screen.getByText('3')).toBeInTheDocument();
 });
 
+it('lists progress reports due for the therapist', async () => {
+  renderWithProviders(<Dashboard />);
+  await waitFor(() => expect(screen.getByText('Progress Reports Due')).toBeInTheDocument());
+  expect(screen.getByText('Alice Doe')).toBeInTheDocument();
+  expect(screen.getByText('6 sessions since last report (due every 6)')).toBeInTheDocument();
+});
+
 it('shows error state when dashboard fetch fails', async () => {
   global.fetch = vi.fn(() => Promise.resolve({ ok: false, status: 500, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: false, error: 'Server error' }) }));
   renderWithProviders(<Dashboard />);
@@ -0,0 +1,68 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import NotificationPreferences from '../components/NotificationPreferences.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+beforeEach(() => {
+  global.fetch = vi.fn(() => Promise.resolve({
+    ok: true,
+    headers: new Headers({ 'content-type': 'application/json' }),
+    json: () => Promise.resolve({ success: true, data: { notifications: { email: true, inApp: false, emailFrequency: 'immediate' } } }),
+  }));
+});
+
+it('switches email to a daily digest at the chosen hour', async () => {
+  window.alert = vi.fn();
+  renderWithProviders(<NotificationPreferences />);
+
+  // Saved preferences replace the defaults once loaded
+  await waitFor(() => expect(screen.getByLabelText('In-app notifications')).not.toBeChecked());
+  expect(screen.queryByLabelText('Send digest at:')).toBeNull();
+
+  fireEvent.change(screen.getByLabelText('Email delivery:'), { target: { value: 'daily' } });
+  fireEvent.change(screen.getByLabelText('Send digest at:'), { target: { value: '7' } });
+  fireEvent.click(screen.getByText('Update Notifications'));
+
+  await waitFor(() => {
+    const saveCall = global.fetch.mock.calls.find(([, init]) => init?.method === 'PATCH');
+    expect(String(saveCall[0])).toContain('/api/users/me/preferences');
+    expect(JSON.parse(saveCall[1].body)).toEqual({
+      notifications: {
+        email: true,
+        inApp: false,
+        emailFrequency: 'daily',
+        digestHour: 7,
+        types: {},
+        quietHours: { enabled: false, start: '22:00', end: '07:00' },
+      },
+    });
+  });
+});
+
+it('saves per-type overrides and quiet hours', async () => {
+  window.alert = vi.fn();
+  renderWithProviders(<NotificationPreferences />);
+
+  await waitFor(() => expect(screen.getByLabelText('In-app notifications')).not.toBeChecked());
+  // Types follow the global switches until overridden
+  expect(screen.getByLabelText('Rating received in-app')).not.toBeChecked();
+  expect(screen.getByLabelText('Rating received email')).toBeChecked();
+
+  fireEvent.click(screen.getByLabelText('Rating received email'));
+  fireEvent.click(screen.getByLabelText('Plan submitted in-app'));
+  fireEvent.click(screen.getByLabelText('Quiet hours'));
+  fireEvent.change(screen.getByLabelText('From:'), { target: { value: '21:30' } });
+  fireEvent.click(screen.getByText('Update Notifications'));
+
+  await waitFor(() => {
+    const saveCall = global.fetch.mock.calls.find(([, init]) => init?.method === 'PATCH');
+    const { notifications } = JSON.parse(saveCall[1].body);
+    expect(notifications.types).toEqual({ rating_received: { email: false }, plan_submitted: { inApp: true } });
+    expect(notifications.quietHours).toEqual({ enabled: true, start: '21:30', end: '07:00' });
+  });
+});
@@ -0,0 +1,58 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import PatientAllocation from '../pages/PatientAllocation.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const previewPayload = {
+  success: true,
+  data: {
+    patient: { _id: 'p1', name: 'Alice' },
+    candidates: [
+      { rank: 1, therapist: { _id: 't1', name: 'Dr. Best' }, score: 82.5, breakdown: { specialtyMatch: 40, availability: 20, caseload: 17.5, experience: 5 }, rationale: 'Assigned to Dr. Best based on: Strong specialty match.', eligible: true },
+      { rank: 2, therapist: { _id: 't2', name: 'Dr. Second' }, score: 60, breakdown: { specialtyMatch: 20, availability: 15, caseload: 20, experience: 5 }, rationale: 'Assigned to Dr. Second based on: Manageable current caseload.', eligible: true },
+    ],
+  },
+};
+
+beforeEach(() => {
+  global.fetch = vi.fn((url, opts) => {
+    if (String(url).includes('/api/assignments/auto-assign')) {
+      const body = JSON.parse(opts?.body || '{}');
+      const payload = body.preview ? previewPayload : { success: true, data: {} };
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(payload) });
+    }
+    if (String(url).includes('/api/patients')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: [{ _id: 'p1', name: 'Alice', diagnoses: ['speech delay'] }] }) });
+    }
+    if (String(url).includes('/api/users')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: [] }) });
+    }
+    return Promise.resolve({ ok: false, status: 404, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: false, error: 'Not found' }) });
+  });
+});
+
+it('previews ranked candidates and proposes the chosen therapist', async () => {
+  window.alert = vi.fn();
+  renderWithProviders(<PatientAllocation />);
+  await waitFor(() => screen.getByText('Patient Allocation'));
+  fireEvent.click(screen.getByText('Auto-Assign Wizard'));
+  // The wizard's patient picker is the first select on the page
+  fireEvent.change(screen.getAllByRole('combobox')[0], { target: { value: 'p1' } });
+  fireEvent.click(screen.getByText('Preview Matches'));
+
+  await waitFor(() => screen.getByText('Candidate Comparison for Alice'));
+  expect(screen.getByText('Dr. Second')).toBeInTheDocument();
+  expect(screen.getByText('82.5')).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByText('Propose this choice')[1]);
+  await waitFor(() => {
+    const commitCall = global.fetch.mock.calls.find(([url, opts]) =>
+      String(url).includes('/api/assignments/auto-assign') && !JSON.parse(opts.body).preview);
+    expect(JSON.parse(commitCall[1].body)).toEqual({ patientId: 'p1', therapistId: 't2' });
+  });
+});
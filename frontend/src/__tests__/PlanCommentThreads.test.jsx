@@ -0,0 +1,57 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import PlanCommentThreads from '../components/PlanCommentThreads.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const json = (body) => Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+
+const plan = { _id: 'plan1', goals: [{ title: 'Articulation' }], activities: [{ name: 'Picture naming' }] };
+const threads = [{
+  _id: 'th1',
+  anchor: { section: 'goal', key: 'Articulation' },
+  blocking: true,
+  status: 'open',
+  comments: [{ _id: 'c1', author: { name: 'Sam Supervisor' }, body: 'Please add a baseline', createdAt: '2025-06-01T10:00:00Z' }]
+}];
+
+beforeEach(() => {
+  global.fetch = vi.fn((url, opts) => {
+    if (opts?.method === 'POST') return json({ success: true, data: {} });
+    return json({ success: true, data: threads });
+  });
+});
+
+it('shows anchored threads and lets the therapist reply but not resolve blocking ones', async () => {
+  renderWithProviders(<PlanCommentThreads plan={plan} canReview={false} />);
+  await waitFor(() => screen.getByText('Goal: Articulation'));
+  expect(screen.getByText('Blocking')).toBeInTheDocument();
+  expect(screen.getByText(/1 blocking thread must be resolved/)).toBeInTheDocument();
+  expect(screen.queryByText('Resolve')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Reply to Goal: Articulation'), { target: { value: 'Baseline added' } });
+  fireEvent.click(screen.getByText('Reply'));
+  await waitFor(() => {
+    const post = global.fetch.mock.calls.find(([, opts]) => opts?.method === 'POST');
+    expect(String(post[0])).toContain('/api/plans/plan1/threads/th1/replies');
+    expect(JSON.parse(post[1].body)).toEqual({ body: 'Baseline added' });
+  });
+});
+
+it('lets reviewers open a blocking thread on an activity', async () => {
+  renderWithProviders(<PlanCommentThreads plan={plan} canReview />);
+  await waitFor(() => screen.getByText('Resolve'));
+  fireEvent.change(screen.getByLabelText('Comment on:'), { target: { value: 'activity' } });
+  fireEvent.change(screen.getByLabelText('Activity:'), { target: { value: 'Picture naming' } });
+  fireEvent.change(screen.getByLabelText('Comment:'), { target: { value: 'How often?' } });
+  fireEvent.click(screen.getByLabelText('Must be resolved before resubmitting'));
+  fireEvent.click(screen.getByText('Add Comment'));
+  await waitFor(() => {
+    const post = global.fetch.mock.calls.find(([, opts]) => opts?.method === 'POST');
+    expect(JSON.parse(post[1].body)).toEqual({ anchor: { section: 'activity', key: 'Picture naming' }, body: 'How often?', blocking: true });
+  });
+});
@@ -0,0 +1,43 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import PlanVersionDiff from '../components/PlanVersionDiff.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const json = (body) => Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+
+const diffPayload = { success: true, data: {
+  from: { version: 1, submittedAt: '2025-06-01T10:00:00Z', goals: [{ title: 'Articulation', metric: '%', target: 70 }, { title: 'Directions', metric: 'trials', target: 8 }], activities: [], notes: '' },
+  to: { version: 2, submittedAt: '2025-06-08T10:00:00Z', goals: [{ title: 'Articulation', metric: '%', target: 80 }, { title: 'Turn-taking', metric: 'turns', target: 5 }], activities: [], notes: '' },
+  diff: {
+    goals: {
+      added: [{ title: 'Turn-taking', metric: 'turns', target: 5 }],
+      removed: [{ title: 'Directions', metric: 'trials', target: 8 }],
+      changed: [{ title: 'Articulation', changes: { target: { from: 70, to: 80 } } }]
+    },
+    activities: { added: [], removed: [], changed: [] },
+    notes: null,
+    hasChanges: true
+  }
+}};
+
+it('shows the previous and submitted versions side by side', async () => {
+  global.fetch = vi.fn(() => json(diffPayload));
+  renderWithProviders(<PlanVersionDiff planId="plan1" />);
+  await waitFor(() => screen.getByText('Changes since version 1'));
+  expect(String(global.fetch.mock.calls[0][0])).toContain('/api/plans/plan1/diff');
+  expect(screen.getByText('Goal “Articulation” changed (target: 70 → 80)')).toBeInTheDocument();
+  expect(screen.getByText('Removed')).toBeInTheDocument();
+  expect(screen.getByText('Added')).toBeInTheDocument();
+  expect(screen.getAllByText('Changed')).toHaveLength(2);
+});
+
+it('explains when a plan has only been submitted once', async () => {
+  global.fetch = vi.fn(() => json({ success: true, data: { ...diffPayload.data, from: null } }));
+  renderWithProviders(<PlanVersionDiff planId="plan1" />);
+  await waitFor(() => screen.getByText(/First submission \(version 2\)/));
+});
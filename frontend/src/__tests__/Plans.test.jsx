@@ -35,3 +35,52 @@ it('shows empty state and can open create plan form', async () => {
   fireEvent.click(screen.getByText('Create New Plan'));
   expect(screen.getByText('Create New Therapy Plan')).toBeInTheDocument();
 });
+
+it('lets therapists revise a plan sent back for revision', async () => {
+  const plan = { _id: 'plan1', patient: { _id: 'p1', name: 'Alice' }, status: 'needs_revision', goals: [{ title: 'Articulation', metric: '%', target: 70 }], activities: [], notes: '', supervisorComments: 'Add a baseline', createdAt: '2025-06-01T10:00:00Z' };
+  const fallback = global.fetch;
+  global.fetch = vi.fn((url, opts) => {
+    if (String(url).includes('/threads')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: [] }) });
+    }
+    if (String(url).includes('/api/plans')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: [plan] }) });
+    }
+    return fallback(url, opts);
+  });
+  renderWithProviders(<TherapyPlans />);
+  await waitFor(() => screen.getByText('Edit'));
+  expect(screen.getByText('Submit')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Edit'));
+  expect(screen.getByText('Add a baseline')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Articulation')).toBeInTheDocument();
+});
+
+it('preselects the suggested template and creates the plan from it', async () => {
+  const template = { _id: 't1', name: 'Speech delay starter', goals: [{ title: 'Two-word phrases', metric: 'per session', target: 10 }], activities: [{ name: 'Picture naming', frequency: 'weekly', duration: '20m' }] };
+  const fallback = global.fetch;
+  global.fetch = vi.fn((url, opts) => {
+    if (String(url).includes('/api/plan-templates/suggest')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: template, matchedDiagnoses: ['speech delay'] }) });
+    }
+    if (String(url).includes('/api/plan-templates')) {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: [template] }) });
+    }
+    if (String(url).includes('/api/plans') && opts?.method === 'POST') {
+      return Promise.resolve({ ok: true, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve({ success: true, data: { _id: 'plan1' } }) });
+    }
+    return fallback(url, opts);
+  });
+  window.alert = vi.fn();
+  renderWithProviders(<TherapyPlans />);
+  await waitFor(() => screen.getByText('Create New Plan'));
+  fireEvent.click(screen.getByText('Create New Plan'));
+  await waitFor(() => screen.getByText('Alice'));
+  fireEvent.change(screen.getByDisplayValue('Select patient...'), { target: { value: 'p1' } });
+  await waitFor(() => screen.getByText('Speech delay starter (suggested)'));
+  expect(screen.getByText('Two-word phrases - Target: 10 per session')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Create Plan'));
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Plan created successfully!'));
+  const post = global.fetch.mock.calls.find(([url, opts]) => String(url).includes('/api/plans') && opts?.method === 'POST');
+  expect(JSON.parse(post[1].body)).toMatchObject({ patient: 'p1', template: 't1' });
+});
@@ -29,3 +29,126 @@ it('renders and toggles the log session form', async () => {
   fireEvent.click(screen.getByText('Log New Session'));
   expect(screen.getByText('Log New Session')).toBeInTheDocument();
 });
+
+it('asks for an override reason when the session conflicts and resubmits with it', async () => {
+  const conflict = { success: false, error: 'Scheduling conflict', details: { conflicts: [{ type: 'overlap', resource: 'therapist', message: 'The therapist is already booked' }] } };
+  const posts = [];
+  global.fetch = vi.fn((url, opts) => {
+    const json = (status, body) => Promise.resolve({ ok: status < 400, status, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+    if (String(url).includes('/api/sessions') && opts?.method === 'POST') {
+      const body = JSON.parse(opts.body);
+      posts.push(body);
+      return body.override ? json(201, { success: true, data: { _id: 's1' } }) : json(409, conflict);
+    }
+    if (String(url).includes('/api/patients')) return json(200, { success: true, data: [{ _id: 'p1', name: 'Alice' }] });
+    return json(200, { success: true, data: [] });
+  });
+  const promptSpy = vi.spyOn(window, 'prompt').mockReturnValue('Joint session');
+  const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+
+  const { container } = renderWithProviders(<Sessions />);
+  await waitFor(() => screen.getByText('Session Documentation'));
+  fireEvent.click(screen.getByText('Log New Session'));
+  const form = container.querySelector('form');
+  await waitFor(() => expect(form.querySelector('option[value="p1"]')).toBeTruthy());
+  fireEvent.change(form.querySelector('[name="patient"]'), { target: { value: 'p1' } });
+  fireEvent.change(form.querySelector('[name="duration"]'), { target: { value: '45' } });
+  fireEvent.change(form.querySelector('[name="activities"]'), { target: { value: 'Reading' } });
+  fireEvent.change(screen.getByLabelText('Room:'), { target: { value: 'Room 2' } });
+  fireEvent.submit(form);
+
+  await waitFor(() => expect(posts).toHaveLength(2));
+  expect(promptSpy.mock.calls[0][0]).toContain('The therapist is already booked');
+  expect(posts[0]).toMatchObject({ patient: 'p1', room: 'Room 2' });
+  expect(posts[1]).toMatchObject({ override: true, overrideReason: 'Joint session' });
+  await waitFor(() => expect(alertSpy).toHaveBeenCalledWith('Session logged successfully!'));
+  promptSpy.mockRestore();
+  alertSpy.mockRestore();
+});
+
+it('logs a no-show with its reason code and without clinical notes', async () => {
+  const posts = [];
+  global.fetch = vi.fn((url, opts) => {
+    const json = (body) => Promise.resolve({ ok: true, status: 200, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+    if (String(url).includes('/api/sessions') && opts?.method === 'POST') {
+      posts.push(JSON.parse(opts.body));
+      return json({ success: true, data: { _id: 's1' } });
+    }
+    if (String(url).includes('/api/attendance/reasons')) {
+      return json({ success: true, data: { reasons: { attended: [], no_show: ['forgot', 'no_contact'] } } });
+    }
+    if (String(url).includes('/api/patients')) return json({ success: true, data: [{ _id: 'p1', name: 'Alice' }] });
+    return json({ success: true, data: [] });
+  });
+  const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+
+  const { container } = renderWithProviders(<Sessions />);
+  await waitFor(() => screen.getByText('Session Documentation'));
+  fireEvent.click(screen.getByText('Log New Session'));
+  const form = container.querySelector('form');
+  await waitFor(() => expect(form.querySelector('option[value="p1"]')).toBeTruthy());
+  fireEvent.change(form.querySelector('[name="patient"]'), { target: { value: 'p1' } });
+  fireEvent.change(form.querySelector('[name="duration"]'), { target: { value: '45' } });
+  fireEvent.change(screen.getByLabelText('Attendance:'), { target: { value: 'no_show' } });
+  expect(form.querySelector('[name="observations"]')).toBeNull();
+  await waitFor(() => screen.getByLabelText('Reason:'));
+  fireEvent.change(screen.getByLabelText('Reason:'), { target: { value: 'no_contact' } });
+  fireEvent.submit(form);
+
+  await waitFor(() => expect(posts).toHaveLength(1));
+  expect(posts[0].attendance).toEqual({ status: 'no_show', reason: 'no_contact' });
+  expect(posts[0].activities).toBeUndefined();
+  alertSpy.mockRestore();
+});
+
+it('renders the chosen note template as a form and sends its values', async () => {
+  const soap = {
+    key: 'soap', name: 'SOAP', builtIn: true,
+    sections: [
+      { key: 'subjective', label: 'Subjective', type: 'textarea', required: true },
+      { key: 'progress', label: 'Progress', type: 'select', options: ['improving', 'stable'] },
+      { key: 'signs', label: 'Signs', type: 'multiselect', options: ['cough', 'wet voice'] },
+    ],
+  };
+  const posts = [];
+  global.fetch = vi.fn((url, opts) => {
+    const json = (body) => Promise.resolve({ ok: true, status: 200, headers: new Headers({ 'content-type': 'application/json'}), json: () => Promise.resolve(body) });
+    if (String(url).includes('/api/sessions') && opts?.method === 'POST') {
+      posts.push(JSON.parse(opts.body));
+      return json({ success: true, data: { _id: 's1' } });
+    }
+    if (String(url).includes('/api/note-templates')) return json({ success: true, data: [soap] });
+    if (String(url).includes('/api/patients')) return json({ success: true, data: [{ _id: 'p1', name: 'Alice' }] });
+    return json({ success: true, data: [] });
+  });
+  const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+
+  const { container } = renderWithProviders(<Sessions />);
+  await waitFor(() => screen.getByText('Session Documentation'));
+  fireEvent.click(screen.getByText('Log New Session'));
+  const form = container.querySelector('form');
+  await waitFor(() => expect(form.querySelector('option[value="soap"]')).toBeTruthy());
+  fireEvent.change(form.querySelector('[name="patient"]'), { target: { value: 'p1' } });
+  fireEvent.change(form.querySelector('[name="activities"]'), { target: { value: 'Reading' } });
+  fireEvent.change(screen.getByLabelText('Note template:'), { target: { value: 'soap' } });
+  expect(form.querySelector('[name="observations"]')).toBeNull();
+  fireEvent.change(screen.getByLabelText('Subjective *'), { target: { value: 'Slept better' } });
+  fireEvent.change(screen.getByLabelText('Progress'), { target: { value: 'improving' } });
+  fireEvent.click(screen.getByLabelText('Cough'));
+  fireEvent.submit(form);
+
+  await waitFor(() => expect(posts).toHaveLength(1));
+  expect(posts[0].note).toEqual({ template: 'soap', values: { subjective: 'Slept better', progress: 'improving', signs: ['cough'] } });
+  expect(posts[0].observations).toBeUndefined();
+  alertSpy.mockRestore();
+});
+
+it('searches session notes', async () => {
+  renderWithProviders(<Sessions />);
+  await waitFor(() => screen.getByText('Session Documentation'));
+  fireEvent.change(screen.getByLabelText('Search session notes'), { target: { value: 'aspiration' } });
+  fireEvent.click(screen.getByText('Search'));
+
+  await waitFor(() => expect(global.fetch.mock.calls.some(([url]) => String(url).includes('/api/sessions?q=aspiration'))).toBe(true));
+  await waitFor(() => screen.getByText('No Matching Sessions'));
+});
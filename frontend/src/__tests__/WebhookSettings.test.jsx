@@ -0,0 +1,70 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import WebhookSettings from '../components/WebhookSettings.jsx';
+
+function renderWithProviders(ui) {
+  const qc = new QueryClient();
+  return render(<QueryClientProvider client={qc}>{ui}</QueryClientProvider>);
+}
+
+const jsonResponse = (body) => Promise.resolve({
+  ok: true,
+  headers: new Headers({ 'content-type': 'application/json' }),
+  json: () => Promise.resolve(body),
+});
+
+beforeEach(() => {
+  global.fetch = vi.fn((url, init) => {
+    const path = String(url);
+    if (init?.method === 'POST' && path.includes('/replay')) {
+      return jsonResponse({ success: true, data: { _id: 'd2', status: 'delivered' }, message: 'Webhook delivered' });
+    }
+    if (init?.method === 'POST') {
+      return jsonResponse({ success: true, data: { _id: 'w2', name: 'Billing', secret: 'abc123' } });
+    }
+    if (path.includes('/api/webhooks/deliveries')) {
+      return jsonResponse({
+        success: true,
+        data: [{
+          _id: 'd1',
+          webhook: { name: 'EHR' },
+          eventType: 'plan.approved',
+          status: 'dead',
+          attempts: [{ success: false, statusCode: 503, error: 'Receiver responded 503' }],
+        }],
+      });
+    }
+    return jsonResponse({
+      success: true,
+      eventTypes: ['plan.approved', 'session.logged'],
+      data: [{ _id: 'w1', name: 'EHR', url: 'https://ehr.example.com/hooks', events: ['plan.approved'], active: true }],
+    });
+  });
+});
+
+it('registers a webhook and shows its secret once', async () => {
+  renderWithProviders(<WebhookSettings />);
+
+  await waitFor(() => expect(screen.getByLabelText('session.logged')).toBeInTheDocument());
+  fireEvent.change(screen.getByLabelText('Name:'), { target: { value: 'Billing' } });
+  fireEvent.change(screen.getByLabelText('Endpoint URL:'), { target: { value: 'https://billing.example.com/hooks' } });
+  fireEvent.click(screen.getByLabelText('session.logged'));
+  fireEvent.click(screen.getByText('Register Webhook'));
+
+  await waitFor(() => expect(screen.getByText('abc123')).toBeInTheDocument());
+  const createCall = global.fetch.mock.calls.find(([, init]) => init?.method === 'POST');
+  expect(JSON.parse(createCall[1].body)).toEqual({ name: 'Billing', url: 'https://billing.example.com/hooks', events: ['session.logged'] });
+});
+
+it('replays a dead-lettered delivery from the log', async () => {
+  window.alert = vi.fn();
+  renderWithProviders(<WebhookSettings />);
+
+  await waitFor(() => expect(screen.getByText('Receiver responded 503')).toBeInTheDocument());
+  fireEvent.click(screen.getByText('Replay'));
+
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Webhook delivered'));
+  const replayCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/api/webhooks/deliveries/d1/replay'));
+  expect(replayCall[1].method).toBe('POST');
+});
@@ -0,0 +1,61 @@
+import { render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { parseSseFrames } from '../api';
+import { keys } from '../hooks/queryKeys';
+import { useNotificationStream } from '../hooks/useNotificationStream';
+
+// A fetch response whose body yields the given chunks, then stays open
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  let i = 0;
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => (i < chunks.length
+          ? Promise.resolve({ value: encoder.encode(chunks[i++]), done: false })
+          : new Promise(() => {})),
+      }),
+    },
+  };
+}
+
+function Listener() {
+  useNotificationStream();
+  return null;
+}
+
+it('parses SSE frames and keeps incomplete data for the next chunk', () => {
+  const [frames, rest] = parseSseFrames('retry: 5000\n\n: ping\n\nid: n1\nevent: notification\ndata: {"title":"A"}\n\nevent: unread');
+  expect(frames).toEqual([
+    { event: 'message', data: '', retry: 5000 },
+    { event: 'notification', id: 'n1', data: '{"title":"A"}' },
+  ]);
+  expect(rest).toBe('event: unread');
+});
+
+it('updates the unread count and toasts each new notification once, outside quiet hours', async () => {
+  const frame = 'id: n1\nevent: notification\ndata: {"title":"New Therapy Plan Submitted","message":"Plan for Alice","priority":"medium"}\n\n';
+  global.fetch = vi.fn(() => Promise.resolve(streamResponse([
+    'retry: 5000\n\n',
+    frame,
+    frame, // replayed after a resume
+    'id: n2\nevent: notification\ndata: {"title":"Rating","message":"New rating","quiet":true}\n\n',
+    'event: unread-count\ndata: {"count":4}\n\n',
+  ])));
+  const toasts = [];
+  const onToast = (e) => toasts.push(e.detail);
+  window.addEventListener('app:toast', onToast);
+
+  const qc = new QueryClient();
+  const { unmount } = render(<QueryClientProvider client={qc}><Listener /></QueryClientProvider>);
+
+  await waitFor(() => expect(qc.getQueryData(keys.notifications.unreadCount())).toEqual({ success: true, count: 4 }));
+  expect(toasts).toEqual([{ type: 'info', message: 'New Therapy Plan Submitted: Plan for Alice' }]);
+  expect(String(global.fetch.mock.calls[0][0])).toContain('/api/notifications/stream');
+
+  unmount();
+  window.removeEventListener('app:toast', onToast);
+});
@@ -63,7 +63,7 @@ async function handleResponse(promise) {
 }
 
 // In test environment, use fetch so unit tests can mock global.fetch without CORS issues
-async function fetchRequest(method, path, { params, data } = {}) {
+async function fetchRequest(method, path, { params, data, formData } = {}) {
   // Build URL relative to API_BASE to preserve includes('/api/...') in tests
   let url;
   try {
@@ -78,7 +78,8 @@ async function fetchRequest(method, path, { params, data } = {}) {
     });
   }
 
-  const headers = { 'Content-Type': 'application/json' };
+  // Multipart bodies need the browser to set Content-Type with the boundary
+  const headers = formData ? {} : { 'Content-Type': 'application/json' };
   try {
     if (getAuthToken) {
       const token = await getAuthToken();
@@ -90,7 +91,7 @@ async function fetchRequest(method, path, { params, data } = {}) {
     method,
     headers,
     credentials: 'include',
-    body: data !== undefined ? JSON.stringify(data) : undefined,
+    body: formData || (data !== undefined ? JSON.stringify(data) : undefined),
   });
 
   const ct = res.headers?.get?.('content-type') || '';
@@ -130,3 +131,123 @@ export async function apiDelete(path) {
   if (IS_TEST) return fetchRequest('DELETE', path);
   return handleResponse(http.delete(path));
 }
+
+// Upload a multipart form (e.g. attachments); FormData must not be sent as JSON
+export async function apiUpload(path, formData) {
+  if (IS_TEST) return fetchRequest('POST', path, { formData });
+  return handleResponse(http.post(path, formData, { headers: { 'Content-Type': 'multipart/form-data' } }));
+}
+
+// Upload files to a plan, session or report one at a time; returns "name: reason" for each failure
+export async function uploadAttachments(entityType, entityId, files) {
+  const failures = [];
+  for (const file of files) {
+    const body = new FormData();
+    body.append('entityType', entityType);
+    body.append('entityId', entityId);
+    body.append('file', file);
+    try {
+      await apiUpload('/api/attachments', body);
+    } catch (error) {
+      failures.push(`${file.name}: ${error.message}`);
+    }
+  }
+  return failures;
+}
+
+// Fetch an authenticated file as a Blob, e.g. an attachment download link
+export async function apiDownload(path) {
+  if (IS_TEST) {
+    const headers = {};
+    if (getAuthToken) {
+      const token = await getAuthToken();
+      if (token) headers.Authorization = `Bearer ${token}`;
+    }
+    const res = await fetch(new URL(path, API_BASE).toString(), { headers, credentials: 'include' });
+    if (!res.ok) throw new Error(`Download failed (${res.status})`);
+    return res.blob();
+  }
+  const res = await http.get(path, { responseType: 'blob' });
+  return res.data;
+}
+
+// Split a Server-Sent Events buffer into complete frames; returns [frames, rest]
+export function parseSseFrames(buffer) {
+  const parts = buffer.split(/\r?\n\r?\n/);
+  const rest = parts.pop();
+  const frames = parts.map((block) => {
+    const frame = { event: 'message', data: '' };
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(':')) return; // comments are heartbeats
+      const idx = line.indexOf(':');
+      const field = idx === -1 ? line : line.slice(0, idx);
+      const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+      if (field === 'data') data.push(value);
+      else if (field === 'event') frame.event = value;
+      else if (field === 'id') frame.id = value;
+      else if (field === 'retry') frame.retry = Number(value);
+    });
+    frame.data = data.join('\n');
+    return frame;
+  }).filter((frame) => frame.data || frame.retry);
+  return [frames, rest];
+}
+
+// Subscribe to an authenticated SSE endpoint. EventSource cannot send the
+// Authorization header, so this reads the stream with fetch and reconnects
+// with Last-Event-ID. Returns a function that closes the stream.
+export function apiStream(path, { onEvent } = {}) {
+  let closed = false;
+  let controller = null;
+  let lastEventId = null;
+  let retryMs = 5000;
+  let timer = null;
+
+  async function connect() {
+    controller = new AbortController();
+    try {
+      const headers = { Accept: 'text/event-stream' };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+      if (getAuthToken) {
+        const token = await getAuthToken();
+        if (token) headers.Authorization = `Bearer ${token}`;
+      }
+      const res = await fetch(new URL(path, API_BASE).toString(), {
+        headers,
+        credentials: 'include',
+        signal: controller.signal,
+      });
+      if (!res.ok || !res.body?.getReader) throw new Error(`Stream failed (${res.status})`);
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const [frames, rest] = parseSseFrames(buffer);
+        buffer = rest;
+        frames.forEach((frame) => {
+          if (frame.retry) retryMs = frame.retry;
+          if (frame.id) lastEventId = frame.id;
+          if (!frame.data) return;
+          let data = frame.data;
+          try { data = JSON.parse(frame.data); } catch { /* plain-text data */ }
+          onEvent?.(frame.event, data, frame.id);
+        });
+      }
+    } catch {
+      // Network drop or auth failure; fall through to reconnect
+    }
+    if (!closed) timer = setTimeout(connect, retryMs);
+  }
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
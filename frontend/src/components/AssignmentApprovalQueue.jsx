@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost } from '../api';
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(1) : '-');
+
+/**
+ * AssignmentApprovalQueue
+ * Auto-assign proposals waiting for supervisor approval. The therapist is only
+ * told (and the patient only moved) once a proposal is approved or overridden.
+ * Props:
+ * - therapists: Array<{ _id: string, name: string }> candidates for overrides
+ */
+export default function AssignmentApprovalQueue({ therapists = [] }) {
+  // assignmentId -> therapistId chosen for an override
+  const [overrides, setOverrides] = useState({});
+  const queryClient = useQueryClient();
+
+  const { data: pending } = useQuery({
+    queryKey: ['assignments', 'pending'],
+    queryFn: () => apiGet('/api/assignments/pending'),
+  });
+
+  const onReviewed = (message) => {
+    queryClient.invalidateQueries(['assignments']);
+    queryClient.invalidateQueries(['patients']);
+    alert(message);
+  };
+
+  const approveMutation = useMutation({
+    mutationFn: (id) => apiPost(`/api/assignments/${id}/approve`, {}),
+    onSuccess: () => onReviewed('Assignment approved'),
+    onError: (error) => alert(`Approval failed: ${error.message}`),
+  });
+
+  const overrideMutation = useMutation({
+    mutationFn: ({ id, therapistId, reason }) => apiPost(`/api/assignments/${id}/override`, { therapistId, reason }),
+    onSuccess: () => onReviewed('Assignment approved with override'),
+    onError: (error) => alert(`Override failed: ${error.message}`),
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: ({ id, reason }) => apiPost(`/api/assignments/${id}/reject`, { reason }),
+    onSuccess: () => onReviewed('Assignment rejected'),
+    onError: (error) => alert(`Rejection failed: ${error.message}`),
+  });
+
+  const handleOverride = (assignment) => {
+    const reason = prompt('Reason for overriding the proposed therapist:');
+    if (!reason) return;
+    overrideMutation.mutate({ id: assignment._id, therapistId: overrides[assignment._id], reason });
+  };
+
+  const handleReject = (assignment) => {
+    const reason = prompt('Reason for rejecting this proposal:');
+    if (!reason) return;
+    rejectMutation.mutate({ id: assignment._id, reason });
+  };
+
+  const busy = approveMutation.isPending || overrideMutation.isPending || rejectMutation.isPending;
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <h3>Assignments Awaiting Approval</h3>
+      {!pending?.data?.length ? (
+        <p>No assignments awaiting approval.</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Patient</th>
+              <th>Proposed Therapist</th>
+              <th>Total</th>
+              <th>Specialty</th>
+              <th>Availability</th>
+              <th>Caseload</th>
+              <th>Experience</th>
+              <th>Rationale</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pending.data.map(assignment => (
+              <tr key={assignment._id}>
+                <td>
+                  {assignment.patient?.name}
+                  {assignment.previousTherapist && (
+                    <div style={{ fontSize: '0.8rem', color: '#666' }}>Currently with {assignment.previousTherapist.name}</div>
+                  )}
+                </td>
+                <td>{assignment.therapist?.name}</td>
+                <td><strong>{formatScore(assignment.score)}</strong></td>
+                <td>{formatScore(assignment.scoreBreakdown?.specialtyMatch)}</td>
+                <td>{formatScore(assignment.scoreBreakdown?.availability)}</td>
+                <td>{formatScore(assignment.scoreBreakdown?.caseload)}</td>
+                <td>{formatScore(assignment.scoreBreakdown?.experience)}</td>
+                <td style={{ maxWidth: '24rem' }}>{assignment.rationale}</td>
+                <td>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    <button
+                      className="btn btn-success"
+                      disabled={busy}
+                      onClick={() => approveMutation.mutate(assignment._id)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Approve
+                    </button>
+                    <select
+                      className="form-control"
+                      aria-label={`Override therapist for ${assignment.patient?.name}`}
+                      value={overrides[assignment._id] || ''}
+                      onChange={(e) => setOverrides(prev => ({ ...prev, [assignment._id]: e.target.value }))}
+                    >
+                      <option value="">Override with...</option>
+                      {therapists
+                        .filter(t => t._id !== assignment.therapist?._id)
+                        .map(t => (
+                          <option key={t._id} value={t._id}>{t.name}</option>
+                        ))}
+                    </select>
+                    <button
+                      className="btn btn-primary"
+                      disabled={busy || !overrides[assignment._id]}
+                      onClick={() => handleOverride(assignment)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Override
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      disabled={busy}
+                      onClick={() => handleReject(assignment)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { apiGet } from '../api';
+
+const RANGE_DAYS = { 'last-week': 7, 'last-month': 30, 'last-quarter': 90, 'last-year': 365 };
+
+const percent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+// Above ~0.3 new patients are going to a noticeably small group of therapists
+const giniStatus = (value) => (value > 0.3 ? 'status-draft' : 'status-active');
+
+/**
+ * AssignmentEquityReport
+ * Fairness view over assignment decisions: per-therapist load, how high/urgent
+ * patients are spread, auto vs manual and override rates, and Gini over time.
+ * Props:
+ * - dateRange: 'last-week' | 'last-month' | 'last-quarter' | 'last-year'
+ */
+export default function AssignmentEquityReport({ dateRange = 'last-month' }) {
+  const startDate = new Date(Date.now() - (RANGE_DAYS[dateRange] || 30) * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  const { data: equity, isLoading } = useQuery({
+    queryKey: ['analytics', 'equity', startDate],
+    queryFn: () => apiGet('/api/analytics/equity', { startDate }),
+  });
+
+  const handleExport = async () => {
+    try {
+      const csv = await apiGet('/api/analytics/export/equity', { startDate });
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `equity-analytics-${startDate}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  if (isLoading) return <div className="loading">Loading equity report...</div>;
+
+  const summary = equity?.data?.summary;
+  const byTherapist = equity?.data?.byTherapist || [];
+  const giniOverTime = equity?.data?.giniOverTime || [];
+
+  if (!summary) return <p>No assignment data available.</p>;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '1rem' }}>
+        <button className="btn btn-secondary" onClick={handleExport}>
+          Export Equity CSV
+        </button>
+      </div>
+
+      <div className="grid grid-3" style={{ marginBottom: '2rem' }}>
+        <div className="card">
+          <h5>Auto vs Manual</h5>
+          <div style={{ fontSize: '1.5rem', color: '#3498db' }}>
+            {percent(summary.autoRate)} / {percent(summary.manualRate)}
+          </div>
+          <p>{summary.totalAssignments} assignments</p>
+        </div>
+        <div className="card">
+          <h5>Override Rate</h5>
+          <div style={{ fontSize: '1.5rem', color: '#f39c12' }}>{percent(summary.overrideRate)}</div>
+          <p>Rejected: {percent(summary.rejectionRate)} of reviewed proposals</p>
+        </div>
+        <div className="card">
+          <h5>High/Urgent to Junior Staff</h5>
+          <div style={{ fontSize: '1.5rem', color: '#e74c3c' }}>{percent(summary.juniorShareOfHighPriority)}</div>
+          <p>vs {percent(summary.juniorShareOfAssignments)} of all assignments (under {summary.juniorYears} years)</p>
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '2rem' }}>
+        <h4>Load by Therapist</h4>
+        <p style={{ fontSize: '0.9rem', color: '#666' }}>
+          Current caseload Gini: <strong>{summary.caseloadGini.toFixed(2)}</strong>
+        </p>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Therapist</th>
+              <th>Seniority</th>
+              <th>Assignments</th>
+              <th>High/Urgent Share</th>
+              <th>Auto</th>
+              <th>Manual</th>
+              <th>Overrides</th>
+              <th>Active Cases</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byTherapist.map(row => (
+              <tr key={row.therapistId}>
+                <td>{row.therapistName}</td>
+                <td>{row.seniority}</td>
+                <td>{row.assignments}</td>
+                <td>{percent(row.highPriorityShare)}</td>
+                <td>{row.auto}</td>
+                <td>{row.manual}</td>
+                <td>{row.overrides}</td>
+                <td>{row.activeCases} ({row.highPriorityCases} high/urgent)</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h4>Gini Coefficient by Month</h4>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Assignments</th>
+              <th>All Assignments</th>
+              <th>High/Urgent Assignments</th>
+            </tr>
+          </thead>
+          <tbody>
+            {giniOverTime.map(row => (
+              <tr key={row.period}>
+                <td>{row.period}</td>
+                <td>{row.assignments}</td>
+                <td><span className={`status-badge ${giniStatus(row.assignmentGini)}`}>{row.assignmentGini.toFixed(2)}</span></td>
+                <td><span className={`status-badge ${giniStatus(row.highPriorityGini)}`}>{row.highPriorityGini.toFixed(2)}</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
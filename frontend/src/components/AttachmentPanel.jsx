@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiDownload, apiDelete, uploadAttachments } from '../api';
+
+// Mirrors the server's allowed types; the server re-checks type, content and size
+export const ACCEPTED_FILE_TYPES = '.pdf,.png,.jpg,.jpeg,.gif,.doc,.docx,.xlsx,.txt,.csv';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+/**
+ * AttachmentInput
+ * File picker for create forms, where the record does not exist yet; the
+ * parent uploads the chosen files with uploadAttachments once it is saved.
+ */
+export function AttachmentInput({ id, files, onChange }) {
+  return (
+    <div className="form-group">
+      <label htmlFor={id}>Attachments:</label>
+      <input
+        id={id}
+        type="file"
+        multiple
+        accept={ACCEPTED_FILE_TYPES}
+        className="form-control"
+        onChange={(e) => {
+          onChange([...files, ...Array.from(e.target.files || [])]);
+          e.target.value = ''; // allow picking the same file again after removing it
+        }}
+      />
+      {files.map((file, index) => (
+        <div key={`${file.name}-${index}`} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <span>{file.name} ({formatSize(file.size)})</span>
+          <button type="button" className="btn btn-sm" onClick={() => onChange(files.filter((_, i) => i !== index))}>
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * AttachmentPanel
+ * Files on an existing plan, session or progress report, with download links
+ * and an upload control. Only the patient's care team can see them.
+ */
+export default function AttachmentPanel({ entityType, entityId, canUpload = true }) {
+  const queryClient = useQueryClient();
+  const [files, setFiles] = useState([]);
+  const queryKey = ['attachments', entityType, entityId];
+
+  const { data: attachments } = useQuery({
+    queryKey,
+    queryFn: () => apiGet('/api/attachments', { entityType, entityId }),
+    enabled: !!entityId,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey });
+
+  const uploadMutation = useMutation({
+    mutationFn: () => uploadAttachments(entityType, entityId, files),
+    onSuccess: (failures) => {
+      setFiles([]);
+      refresh();
+      if (failures.length) alert(`Some files were not uploaded:\n${failures.join('\n')}`);
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => apiDelete(`/api/attachments/${id}`),
+    onSuccess: refresh,
+    onError: (error) => alert(`Deleting attachment failed: ${error.message}`),
+  });
+
+  const download = async (attachment) => {
+    try {
+      const blob = await apiDownload(attachment.downloadUrl);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = attachment.originalName;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <h4>Attachments</h4>
+      {!attachments?.data?.length && <p>No attachments.</p>}
+      {attachments?.data?.map(attachment => (
+        <div key={attachment._id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.25rem' }}>
+          <button type="button" className="btn btn-sm btn-secondary" onClick={() => download(attachment)}>
+            {attachment.originalName}
+          </button>
+          <small>
+            {formatSize(attachment.size)} · {attachment.uploadedBy?.name || 'Unknown'} · {new Date(attachment.createdAt).toLocaleDateString()}
+          </small>
+          <button
+            type="button"
+            className="btn btn-sm btn-danger"
+            aria-label={`Delete ${attachment.originalName}`}
+            onClick={() => deleteMutation.mutate(attachment._id)}
+            disabled={deleteMutation.isPending}
+          >
+            X
+          </button>
+        </div>
+      ))}
+      {canUpload && (
+        <>
+          <AttachmentInput id={`attachments-${entityId}`} files={files} onChange={setFiles} />
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => uploadMutation.mutate()}
+            disabled={!files.length || uploadMutation.isPending}
+          >
+            {uploadMutation.isPending ? 'Uploading...' : 'Upload'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost } from '../api';
+
+/**
+ * AttendanceFlagQueue
+ * Patients flagged for repeated no-shows, waiting for supervisor follow-up.
+ * Resolving asks for a note on the follow-up; a case the rule paused can be
+ * set back to active at the same time.
+ */
+export default function AttendanceFlagQueue() {
+  const queryClient = useQueryClient();
+
+  const { data: flags } = useQuery({
+    queryKey: ['attendance-flags', 'open'],
+    queryFn: () => apiGet('/api/attendance/flags', { status: 'open' }),
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ id, ...body }) => apiPost(`/api/attendance/flags/${id}/resolve`, body),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['attendance-flags']);
+      queryClient.invalidateQueries(['patients']);
+    },
+    onError: (error) => {
+      alert(`Resolving failed: ${error.message}`);
+    },
+  });
+
+  const handleResolve = (flag) => {
+    const resolution = window.prompt(`How was the follow-up with ${flag.patient?.name} resolved?`);
+    if (!resolution) return;
+    const reactivate = flag.patient?.caseStatus === 'paused'
+      && window.confirm(`Set ${flag.patient?.name}'s case back to active?`);
+    resolveMutation.mutate({ id: flag._id, resolution, reactivate });
+  };
+
+  if (!flags?.data?.length) return null;
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <h3>Repeated No-Shows</h3>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Patient</th>
+            <th>No-Shows</th>
+            <th>Rule</th>
+            <th>Case</th>
+            <th>Flagged</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {flags.data.map(flag => (
+            <tr key={flag._id}>
+              <td>{flag.patient?.name}</td>
+              <td>{flag.noShowCount} in {flag.windowDays} days</td>
+              <td>{flag.rule?.name || 'Default'}</td>
+              <td>{flag.patient?.caseStatus === 'paused' ? 'Paused' : flag.patient?.caseStatus}</td>
+              <td>{new Date(flag.createdAt).toLocaleDateString()}</td>
+              <td>
+                <button
+                  className="btn btn-success btn-sm"
+                  disabled={resolveMutation.isPending}
+                  onClick={() => handleResolve(flag)}
+                >
+                  Resolve
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
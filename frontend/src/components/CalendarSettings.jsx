@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost, apiPatch, apiDelete, apiUpload } from '../api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * CalendarSettings
+ * Subscribe to your appointments and sessions from a personal calendar app
+ * through a private iCalendar URL. With showBlockedTime, therapists can also
+ * import vacations and other busy time from an .ics file.
+ */
+export default function CalendarSettings({ showBlockedTime = false }) {
+  const queryClient = useQueryClient();
+  const [file, setFile] = useState(null);
+  // Shown once after creation or rotation; the API never returns it again
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+
+  const { data: feed } = useQuery({
+    queryKey: ['calendar', 'feed'],
+    queryFn: () => apiGet('/api/calendar/feed-token'),
+  });
+
+  const { data: exceptions } = useQuery({
+    queryKey: ['calendar', 'exceptions'],
+    queryFn: () => apiGet('/api/calendar/exceptions', { from: new Date().toISOString() }),
+    enabled: showBlockedTime,
+  });
+
+  const refreshFeed = () => queryClient.invalidateQueries({ queryKey: ['calendar', 'feed'] });
+  const refreshExceptions = () => queryClient.invalidateQueries({ queryKey: ['calendar', 'exceptions'] });
+
+  const createMutation = useMutation({
+    mutationFn: () => apiPost('/api/calendar/feed-token', {}),
+    onSuccess: (res) => {
+      setFeedUrl(res.data.url);
+      refreshFeed();
+    },
+    onError: (error) => alert(`Creating calendar link failed: ${error.message}`),
+  });
+
+  const maskMutation = useMutation({
+    mutationFn: (maskPatientNames) => apiPatch('/api/calendar/feed-token', { maskPatientNames }),
+    onSuccess: refreshFeed,
+    onError: (error) => alert(`Updating calendar feed failed: ${error.message}`),
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: () => apiDelete('/api/calendar/feed-token'),
+    onSuccess: () => {
+      setFeedUrl(null);
+      refreshFeed();
+    },
+    onError: (error) => alert(`Revoking calendar link failed: ${error.message}`),
+  });
+
+  const importMutation = useMutation({
+    mutationFn: (ics) => {
+      const body = new FormData();
+      body.append('file', ics);
+      return apiUpload('/api/calendar/import', body);
+    },
+    onSuccess: (res) => {
+      setImportResult(res);
+      setFile(null);
+      refreshExceptions();
+    },
+    onError: (error) => alert(`Import failed: ${error.message}`),
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (id) => apiDelete(`/api/calendar/exceptions/${id}`),
+    onSuccess: refreshExceptions,
+    onError: (error) => alert(`Removing blocked time failed: ${error.message}`),
+  });
+
+  const settings = feed?.data;
+
+  return (
+    <div className="form-section">
+      <h4>Calendar Feed</h4>
+      <p>Subscribe to your appointments and sessions from Google Calendar, Outlook or Apple Calendar.</p>
+
+      {feedUrl && (
+        <div className="alert info" role="status">
+          Calendar URL: <code>{feedUrl}</code>
+          <div style={{ fontSize: '0.8rem' }}>Copy it now; it will not be shown again. Anyone with this link can see your schedule.</div>
+          <button className="btn btn-secondary" onClick={() => setFeedUrl(null)}>Done</button>
+        </div>
+      )}
+
+      <div className="form-group" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <input
+          type="checkbox"
+          id="calendar-mask"
+          checked={settings?.maskPatientNames ?? true}
+          disabled={!settings?.enabled || maskMutation.isPending}
+          onChange={(e) => maskMutation.mutate(e.target.checked)}
+        />
+        <label htmlFor="calendar-mask" style={{ margin: 0 }}>Show patient initials instead of names</label>
+      </div>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button
+          className="btn btn-primary"
+          disabled={createMutation.isPending}
+          onClick={() => (!settings?.enabled || window.confirm('Replace your calendar link? The current one will stop working.')) && createMutation.mutate()}
+        >
+          {settings?.enabled ? 'Replace Calendar Link' : 'Create Calendar Link'}
+        </button>
+        {settings?.enabled && (
+          <button
+            className="btn btn-danger"
+            onClick={() => window.confirm('Turn off your calendar feed?') && revokeMutation.mutate()}
+          >
+            Revoke
+          </button>
+        )}
+      </div>
+      {settings?.enabled && <p style={{ fontSize: '0.8rem' }}>Link created {formatDate(settings.createdAt)}</p>}
+
+      {showBlockedTime && (
+        <>
+          <h4 style={{ marginTop: '1.5rem' }}>Blocked Time</h4>
+          <p>Import vacations and other busy time from an .ics export. Patients are not scheduled or assigned against blocked time.</p>
+          <div className="form-group">
+            <label htmlFor="calendar-import">Calendar file (.ics):</label>
+            <input
+              id="calendar-import"
+              type="file"
+              className="form-control"
+              accept=".ics,text/calendar"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </div>
+          <button
+            className="btn btn-success"
+            disabled={!file || importMutation.isPending}
+            onClick={() => importMutation.mutate(file)}
+          >
+            {importMutation.isPending ? 'Importing...' : 'Import'}
+          </button>
+
+          {importResult && (
+            <div className="alert info" role="status">
+              Imported {importResult.imported}, updated {importResult.updated}, skipped {importResult.skipped.length}.
+              {importResult.skipped.length > 0 && (
+                <ul>
+                  {importResult.skipped.map((s, i) => <li key={i}>{s.summary || s.uid || 'Untitled'}: {s.reason}</li>)}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {!exceptions?.data?.length ? (
+            <p>No upcoming blocked time.</p>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Description</th>
+                  <th>Source</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {exceptions.data.map(exception => (
+                  <tr key={exception._id}>
+                    <td>{formatDate(exception.start)}</td>
+                    <td>{formatDate(exception.end)}</td>
+                    <td>{exception.summary || '-'}</td>
+                    <td>{exception.source === 'ics' ? 'Imported' : 'Manual'}</td>
+                    <td>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => removeMutation.mutate(exception._id)}
+                        style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
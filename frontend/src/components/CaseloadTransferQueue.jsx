@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost } from '../api';
+
+/**
+ * CaseloadTransferQueue
+ * Proposed handovers for therapists who went on leave or were deactivated.
+ * Supervisors can swap the proposed therapist per patient before approving.
+ * Props:
+ * - therapists: Array<{ _id: string, name: string }> candidates for overrides
+ */
+export default function CaseloadTransferQueue({ therapists = [] }) {
+  // transferId -> { patientId -> therapistId }
+  const [overrides, setOverrides] = useState({});
+  const queryClient = useQueryClient();
+
+  const { data: transfers } = useQuery({
+    queryKey: ['caseload-transfers', 'proposed'],
+    queryFn: () => apiGet('/api/caseload-transfers', { status: 'proposed' }),
+  });
+
+  const approveMutation = useMutation({
+    mutationFn: ({ id, items }) => apiPost(`/api/caseload-transfers/${id}/approve`, { items }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['caseload-transfers']);
+      queryClient.invalidateQueries(['patients']);
+      alert(res?.message || 'Caseload transfer approved');
+    },
+    onError: (error) => {
+      alert(`Approval failed: ${error.message}`);
+    },
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: (id) => apiPost(`/api/caseload-transfers/${id}/cancel`, {}),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['caseload-transfers']);
+    },
+    onError: (error) => {
+      alert(`Cancelling failed: ${error.message}`);
+    },
+  });
+
+  const setOverride = (transferId, patientId, therapistId) => {
+    setOverrides(prev => ({
+      ...prev,
+      [transferId]: { ...(prev[transferId] || {}), [patientId]: therapistId },
+    }));
+  };
+
+  const handleApprove = (transfer) => {
+    const chosen = overrides[transfer._id] || {};
+    const items = Object.entries(chosen)
+      .filter(([, therapistId]) => therapistId)
+      .map(([patientId, therapistId]) => ({ patientId, therapistId }));
+    approveMutation.mutate({ id: transfer._id, items });
+  };
+
+  if (!transfers?.data?.length) return null;
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <h3>Caseload Handovers Awaiting Approval</h3>
+      {transfers.data.map(transfer => (
+        <div key={transfer._id} style={{ marginBottom: '1.5rem' }}>
+          <h4>
+            {transfer.therapist?.name} — {transfer.reason === 'leave' ? 'Leave' : 'Deactivated'}
+            {transfer.leaveStart && new Date(transfer.leaveStart) > new Date() && ` from ${new Date(transfer.leaveStart).toLocaleDateString()}`}
+            {transfer.leaveEnd && ` until ${new Date(transfer.leaveEnd).toLocaleDateString()}`}
+          </h4>
+          {transfer.note && <p>{transfer.note}</p>}
+          {transfer.failureReason && <p><strong>{transfer.failureReason}</strong></p>}
+          {!transfer.items?.length ? (
+            <p>No active patients to reassign.</p>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Patient</th>
+                  <th>Proposed Therapist</th>
+                  <th>Score</th>
+                  <th>Rationale</th>
+                  <th>Assign To</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfer.items.map(item => (
+                  <tr key={item.patient?._id}>
+                    <td>{item.patient?.name}</td>
+                    <td>{item.toTherapist?.name || 'No match'}</td>
+                    <td>{typeof item.score === 'number' ? item.score.toFixed(1) : '-'}</td>
+                    <td style={{ maxWidth: '24rem' }}>{item.rationale}</td>
+                    <td>
+                      <select
+                        className="form-control"
+                        aria-label={`Therapist for ${item.patient?.name}`}
+                        value={overrides[transfer._id]?.[item.patient?._id] || ''}
+                        onChange={(e) => setOverride(transfer._id, item.patient?._id, e.target.value)}
+                      >
+                        <option value="">{item.toTherapist ? 'Keep proposal' : 'Choose therapist...'}</option>
+                        {therapists
+                          .filter(t => t._id !== transfer.therapist?._id)
+                          .map(t => (
+                            <option key={t._id} value={t._id}>{t.name}</option>
+                          ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              className="btn btn-success"
+              disabled={approveMutation.isPending}
+              onClick={() => handleApprove(transfer)}
+            >
+              Approve Handover
+            </button>
+            <button
+              className="btn btn-secondary"
+              disabled={cancelMutation.isPending}
+              onClick={() => cancelMutation.mutate(transfer._id)}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
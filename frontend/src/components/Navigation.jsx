@@ -2,6 +2,10 @@ import React, { useState, useEffect, useRef } from 'react';
 import ReactDOM from 'react-dom';
 import { Link, useLocation } from 'react-router-dom';
 import { useUser, useClerk } from '@clerk/clerk-react';
+import { useQuery } from '@tanstack/react-query';
+import { apiGet } from '../api';
+import { keys } from '../hooks/queryKeys';
+import { useNotificationStream } from '../hooks/useNotificationStream';
 import './Navigation.css';
 
 const Navigation = () => {
@@ -12,6 +16,14 @@ const Navigation = () => {
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [menuPosition, setMenuPosition] = useState({ top: 16, left: 16 });
   const triggerRef = useRef(null);
+
+  // Unread count loads once, then the notification stream keeps it current
+  useNotificationStream();
+  const { data: unreadData } = useQuery({
+    queryKey: keys.notifications.unreadCount(),
+    queryFn: () => apiGet('/api/notifications/unread-count'),
+  });
+  const unreadCount = unreadData?.count || 0;
   
   // 3D tilt handlers for nav items
   const handleItemMouseMove = (e) => {
@@ -131,6 +143,12 @@ const Navigation = () => {
       icon: '👤',
       roles: ['admin'] 
     },
+    { 
+      path: '/assignment-policies', 
+      label: 'Assignment Policies', 
+      icon: '⚖️',
+      roles: ['admin'] 
+    },
     { 
       path: '/settings', 
       label: 'Settings', 
@@ -169,10 +187,11 @@ const Navigation = () => {
         ref={triggerRef}
         className={`user-menu-trigger ${showUserMenu ? 'open' : ''}`}
         onClick={toggleUserMenu}
-        aria-label="Open user menu"
+        aria-label={unreadCount ? `Open user menu (${unreadCount} unread notifications)` : 'Open user menu'}
         aria-haspopup="menu"
         aria-expanded={showUserMenu}
       >
+        {unreadCount > 0 && <span className="notification-badge" aria-hidden="true">{unreadCount > 99 ? '99+' : unreadCount}</span>}
         <span className="trigger-avatar" aria-hidden="true">
           {user?.imageUrl ? (
             <img src={user.imageUrl} alt="User Avatar" />
@@ -225,6 +244,7 @@ const Navigation = () => {
                 <button className="dropdown-item" onClick={() => setShowUserMenu(false)}>
                   <span className="item-icon">🔔</span>
                   Notifications
+                  {unreadCount > 0 && <span className="notification-badge inline">{unreadCount}</span>}
                 </button>
                 <button className="dropdown-item" onClick={() => setShowUserMenu(false)}>
                   <span className="item-icon">❓</span>
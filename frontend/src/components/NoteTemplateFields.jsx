@@ -0,0 +1,71 @@
+import React from 'react';
+
+const optionLabel = (option) => option.charAt(0).toUpperCase() + option.slice(1);
+
+/**
+ * NoteTemplateFields
+ * Form inputs for the sections of a session note template. Each input is named
+ * `note_<section key>` so the enclosing form can read the values back.
+ * Props:
+ * - template: { name, sections: Array<{ key, label, type, required?, options?, min?, max?, maxLength?, help? }> }
+ */
+export default function NoteTemplateFields({ template }) {
+  return (
+    <fieldset className="form-group">
+      <legend>{template.name} note</legend>
+      {template.sections.map(section => {
+        const id = `note-${section.key}`;
+        const name = `note_${section.key}`;
+        const label = `${section.label}${section.required ? ' *' : ''}`;
+
+        if (section.type === 'boolean') {
+          return (
+            <div key={section.key} className="form-group">
+              <input id={id} name={name} type="checkbox" />
+              <label htmlFor={id} style={{ marginLeft: '0.5rem' }}>{section.label}</label>
+            </div>
+          );
+        }
+
+        if (section.type === 'multiselect') {
+          return (
+            <div key={section.key} className="form-group" role="group" aria-label={section.label}>
+              <div>{label}</div>
+              {section.options.map(option => (
+                <label key={option} style={{ marginRight: '1rem' }}>
+                  <input name={name} type="checkbox" value={option} /> {optionLabel(option)}
+                </label>
+              ))}
+              {section.help && <small>{section.help}</small>}
+            </div>
+          );
+        }
+
+        let input;
+        if (section.type === 'textarea') {
+          input = <textarea id={id} name={name} className="form-control" rows="3" maxLength={section.maxLength} required={section.required} />;
+        } else if (section.type === 'select') {
+          input = (
+            <select id={id} name={name} className="form-control" required={section.required}>
+              <option value="">Select...</option>
+              {section.options.map(option => (
+                <option key={option} value={option}>{optionLabel(option)}</option>
+              ))}
+            </select>
+          );
+        } else if (section.type === 'number') {
+          input = <input id={id} name={name} type="number" step="any" min={section.min} max={section.max} className="form-control" required={section.required} />;
+        } else {
+          input = <input id={id} name={name} className="form-control" maxLength={section.maxLength} required={section.required} />;
+        }
+        return (
+          <div key={section.key} className="form-group">
+            <label htmlFor={id}>{label}</label>
+            {input}
+            {section.help && <small>{section.help}</small>}
+          </div>
+        );
+      })}
+    </fieldset>
+  );
+}
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPatch } from '../api';
+
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const TYPE_LABELS = {
+  plan_submitted: 'Plan submitted',
+  plan_approved: 'Plan approved',
+  plan_needs_revision: 'Plan needs revision',
+  plan_comment: 'Plan comment',
+  attendance_flag: 'Repeated no-shows',
+  session_reminder: 'Session reminder',
+  report_due: 'Report due',
+  report_submitted: 'Report submitted',
+  report_reviewed: 'Report reviewed',
+  assignment_changed: 'Assignment changed',
+  rating_received: 'Rating received',
+  system_alert: 'System alert',
+};
+
+/**
+ * NotificationPreferences
+ * The signed-in user's own notification channels: in-app, and email sent
+ * immediately or as a daily digest at a chosen local hour, with per-type
+ * overrides and quiet hours during which emails wait (urgent ones excepted).
+ */
+export default function NotificationPreferences() {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    email: true,
+    inApp: true,
+    emailFrequency: 'immediate',
+    digestHour: 8,
+    types: {},
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  });
+
+  const { data: preferences } = useQuery({
+    queryKey: ['users', 'me', 'preferences'],
+    queryFn: () => apiGet('/api/users/me/preferences'),
+  });
+
+  useEffect(() => {
+    const saved = preferences?.data?.notifications;
+    if (saved) setForm(prev => ({ ...prev, ...saved }));
+  }, [preferences]);
+
+  const saveMutation = useMutation({
+    mutationFn: (notifications) => apiPatch('/api/users/me/preferences', { notifications }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users', 'me', 'preferences'] });
+      alert('Notification preferences saved');
+    },
+    onError: (error) => alert(`Saving failed: ${error.message}`),
+  });
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const updateQuietHours = (field, value) => setForm(prev => ({ ...prev, quietHours: { ...prev.quietHours, [field]: value } }));
+  const updateType = (type, channel, value) => setForm(prev => ({
+    ...prev,
+    types: { ...prev.types, [type]: { ...prev.types?.[type], [channel]: value } },
+  }));
+  // A type follows the global switch until it is set explicitly
+  const typeChannel = (type, channel) => form.types?.[type]?.[channel] ?? form[channel];
+
+  return (
+    <div className="form-section">
+      <h3>Notification Settings</h3>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <input type="checkbox" checked={form.inApp} onChange={(e) => update('inApp', e.target.checked)} />
+          In-app notifications
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <input type="checkbox" checked={form.email} onChange={(e) => update('email', e.target.checked)} />
+          Email notifications
+        </label>
+      </div>
+      {form.email && (
+        <div className="grid grid-2" style={{ marginTop: '1rem' }}>
+          <div className="form-group">
+            <label htmlFor="email-frequency">Email delivery:</label>
+            <select
+              id="email-frequency"
+              className="form-control"
+              value={form.emailFrequency}
+              onChange={(e) => update('emailFrequency', e.target.value)}
+            >
+              <option value="immediate">Immediately</option>
+              <option value="daily">Daily digest</option>
+            </select>
+          </div>
+          {form.emailFrequency === 'daily' && (
+            <div className="form-group">
+              <label htmlFor="digest-hour">Send digest at:</label>
+              <select
+                id="digest-hour"
+                className="form-control"
+                value={form.digestHour}
+                onChange={(e) => update('digestHour', Number(e.target.value))}
+              >
+                {HOURS.map(h => (
+                  <option key={h} value={h}>{`${String(h).padStart(2, '0')}:00`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+      <h4 style={{ marginTop: '1rem' }}>By notification type</h4>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Type</th>
+            <th>In-app</th>
+            <th>Email</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(TYPE_LABELS).map(([type, label]) => (
+            <tr key={type}>
+              <td>{label}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label={`${label} in-app`}
+                  checked={typeChannel(type, 'inApp')}
+                  onChange={(e) => updateType(type, 'inApp', e.target.checked)}
+                />
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label={`${label} email`}
+                  checked={typeChannel(type, 'email')}
+                  onChange={(e) => updateType(type, 'email', e.target.checked)}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '1rem' }}>
+        <input
+          type="checkbox"
+          checked={form.quietHours?.enabled ?? false}
+          onChange={(e) => updateQuietHours('enabled', e.target.checked)}
+        />
+        Quiet hours
+      </label>
+      {form.quietHours?.enabled && (
+        <div className="grid grid-2" style={{ marginTop: '0.5rem' }}>
+          <div className="form-group">
+            <label htmlFor="quiet-start">From:</label>
+            <input
+              id="quiet-start"
+              type="time"
+              className="form-control"
+              value={form.quietHours.start}
+              onChange={(e) => updateQuietHours('start', e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="quiet-end">Until:</label>
+            <input
+              id="quiet-end"
+              type="time"
+              className="form-control"
+              value={form.quietHours.end}
+              onChange={(e) => updateQuietHours('end', e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+      <button
+        className="btn btn-primary"
+        style={{ marginTop: '1rem' }}
+        disabled={saveMutation.isPending}
+        onClick={() => saveMutation.mutate(form)}
+      >
+        Update Notifications
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost } from '../api';
+
+const EMPTY_THREAD = { section: 'general', key: '', body: '', blocking: false };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const anchorLabel = ({ section, key }) => ({
+  goal: `Goal: ${key}`,
+  activity: `Activity: ${key}`,
+  notes: 'Notes',
+  general: 'Whole plan',
+}[section] || section);
+
+/**
+ * PlanCommentThreads
+ * Comment threads anchored to a plan's goals, activities or notes. Reviewers can
+ * mark a thread as blocking, which stops the plan being resubmitted until it is
+ * resolved. Colleagues are mentioned with @their-email.
+ */
+export default function PlanCommentThreads({ plan, canReview }) {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_THREAD);
+  const [replies, setReplies] = useState({});
+  const queryKey = ['therapy-plans', plan._id, 'threads'];
+
+  const { data: threads } = useQuery({
+    queryKey,
+    queryFn: () => apiGet(`/api/plans/${plan._id}/threads`),
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey });
+
+  const createMutation = useMutation({
+    mutationFn: (body) => apiPost(`/api/plans/${plan._id}/threads`, body),
+    onSuccess: () => {
+      setForm(EMPTY_THREAD);
+      refresh();
+    },
+    onError: (error) => alert(`Adding comment failed: ${error.message}`),
+  });
+
+  const replyMutation = useMutation({
+    mutationFn: ({ threadId, body }) => apiPost(`/api/plans/${plan._id}/threads/${threadId}/replies`, { body }),
+    onSuccess: (_, { threadId }) => {
+      setReplies(r => ({ ...r, [threadId]: '' }));
+      refresh();
+    },
+    onError: (error) => alert(`Reply failed: ${error.message}`),
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ threadId, resolved }) => apiPost(`/api/plans/${plan._id}/threads/${threadId}/${resolved ? 'resolve' : 'reopen'}`, {}),
+    onSuccess: refresh,
+    onError: (error) => alert(`Updating thread failed: ${error.message}`),
+  });
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    const anchor = { section: form.section };
+    if (['goal', 'activity'].includes(form.section)) anchor.key = form.key;
+    createMutation.mutate({ anchor, body: form.body, blocking: canReview && form.blocking });
+  };
+
+  const keyOptions = form.section === 'goal'
+    ? (plan.goals || []).map(g => g.title)
+    : (plan.activities || []).map(a => a.name);
+  const openBlocking = threads?.data?.filter(t => t.blocking && t.status === 'open').length || 0;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <h4>Comments</h4>
+      {openBlocking > 0 && (
+        <div className="alert info" style={{ marginBottom: '0.5rem' }}>
+          {openBlocking} blocking thread{openBlocking === 1 ? '' : 's'} must be resolved before the plan can be resubmitted.
+        </div>
+      )}
+
+      {!threads?.data?.length && <p>No comments yet.</p>}
+      {threads?.data?.map(thread => (
+        <div key={thread._id} className="dashboard-section" style={{ marginBottom: '0.75rem', opacity: thread.status === 'resolved' ? 0.7 : 1 }}>
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <strong>{anchorLabel(thread.anchor)}</strong>
+            {thread.blocking && <span className="badge badge-error">Blocking</span>}
+            {thread.status === 'resolved' && <span className="badge badge-success">Resolved</span>}
+            {(!thread.blocking || canReview) && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                style={{ marginLeft: 'auto' }}
+                onClick={() => resolveMutation.mutate({ threadId: thread._id, resolved: thread.status === 'open' })}
+                disabled={resolveMutation.isPending}
+              >
+                {thread.status === 'open' ? 'Resolve' : 'Reopen'}
+              </button>
+            )}
+          </div>
+          {thread.comments.map(comment => (
+            <p key={comment._id}>
+              <strong>{comment.author?.name || 'Unknown'}</strong>{' '}
+              <small>{formatDate(comment.createdAt)}</small>
+              <br />
+              {comment.body}
+            </p>
+          ))}
+          {thread.status === 'open' && (
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <input
+                className="form-control"
+                placeholder="Reply..."
+                aria-label={`Reply to ${anchorLabel(thread.anchor)}`}
+                value={replies[thread._id] || ''}
+                onChange={(e) => setReplies(r => ({ ...r, [thread._id]: e.target.value }))}
+              />
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => replyMutation.mutate({ threadId: thread._id, body: replies[thread._id] })}
+                disabled={!replies[thread._id]?.trim() || replyMutation.isPending}
+              >
+                Reply
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <form onSubmit={handleCreate}>
+        <div className="grid grid-2" style={{ gap: '0.5rem' }}>
+          <div className="form-group">
+            <label htmlFor="thread-section">Comment on:</label>
+            <select
+              id="thread-section"
+              className="form-control"
+              value={form.section}
+              onChange={(e) => setForm(f => ({ ...f, section: e.target.value, key: '' }))}
+            >
+              <option value="general">Whole plan</option>
+              <option value="goal">A goal</option>
+              <option value="activity">An activity</option>
+              <option value="notes">Notes</option>
+            </select>
+          </div>
+          {['goal', 'activity'].includes(form.section) && (
+            <div className="form-group">
+              <label htmlFor="thread-key">{form.section === 'goal' ? 'Goal:' : 'Activity:'}</label>
+              <select
+                id="thread-key"
+                className="form-control"
+                value={form.key}
+                onChange={(e) => setForm(f => ({ ...f, key: e.target.value }))}
+                required
+              >
+                <option value="">Select...</option>
+                {keyOptions.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+        <div className="form-group">
+          <label htmlFor="thread-body">Comment:</label>
+          <textarea
+            id="thread-body"
+            className="form-control"
+            rows="2"
+            placeholder="Mention colleagues with @their-email"
+            value={form.body}
+            onChange={(e) => setForm(f => ({ ...f, body: e.target.value }))}
+            required
+          />
+        </div>
+        {canReview && (
+          <label style={{ display: 'block', marginBottom: '0.5rem' }}>
+            <input
+              type="checkbox"
+              checked={form.blocking}
+              onChange={(e) => setForm(f => ({ ...f, blocking: e.target.checked }))}
+            />{' '}
+            Must be resolved before resubmitting
+          </label>
+        )}
+        <button type="submit" className="btn btn-secondary" disabled={createMutation.isPending}>
+          Add Comment
+        </button>
+      </form>
+    </div>
+  );
+}
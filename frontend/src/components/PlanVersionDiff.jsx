@@ -0,0 +1,98 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { apiGet } from '../api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const describeGoal = (goal) => `${goal.title} - Target: ${goal.target ?? '-'} ${goal.metric || ''}`.trim();
+const describeActivity = (activity) => `${activity.name} - ${activity.frequency || '-'}, ${activity.duration || '-'}`;
+
+// Case-insensitive lookup matching how the server pairs goals/activities between versions
+const keyOf = (value) => String(value || '').trim().toLowerCase();
+const keysOf = (items, field) => new Set(items.map(item => keyOf(item[field])));
+
+function VersionColumn({ version, label, goals, activities, side }) {
+  const marks = (items, field) => {
+    const changed = keysOf(items.changed, field);
+    const other = keysOf(side === 'previous' ? items.removed : items.added, field);
+    return (item) => {
+      const key = keyOf(item[field]);
+      if (other.has(key)) {
+        return side === 'previous'
+          ? <span className="badge badge-error">Removed</span>
+          : <span className="badge badge-success">Added</span>;
+      }
+      if (changed.has(key)) return <span className="badge badge-warning">Changed</span>;
+      return null;
+    };
+  };
+  const goalMark = marks(goals, 'title');
+  const activityMark = marks(activities, 'name');
+
+  return (
+    <div>
+      <h4>{label}</h4>
+      <p style={{ color: '#666', fontSize: '0.85rem' }}>
+        Version {version.version} · submitted {formatDate(version.submittedAt)}
+        {version.submittedBy?.name ? ` by ${version.submittedBy.name}` : ''}
+      </p>
+      <h5>Goals</h5>
+      {version.goals?.length ? version.goals.map((goal, index) => (
+        <p key={index}>{goalMark(goal)} {describeGoal(goal)}</p>
+      )) : <p>None</p>}
+      <h5>Activities</h5>
+      {version.activities?.length ? version.activities.map((activity, index) => (
+        <p key={index}>{activityMark(activity)} {describeActivity(activity)}</p>
+      )) : <p>None</p>}
+      <h5>Notes</h5>
+      <p style={{ whiteSpace: 'pre-wrap' }}>{version.notes || 'None'}</p>
+    </div>
+  );
+}
+
+/**
+ * PlanVersionDiff
+ * Side-by-side comparison of the submitted plan with the version the
+ * supervisor saw last time, for the review modal.
+ */
+export default function PlanVersionDiff({ planId }) {
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['therapy-plans', planId, 'diff'],
+    queryFn: () => apiGet(`/api/plans/${planId}/diff`),
+    enabled: !!planId,
+    retry: false,
+  });
+
+  if (isLoading) return <p>Loading version history...</p>;
+  if (error || !data?.data) return <p>No version history for this plan yet.</p>;
+
+  const { from, to, diff } = data.data;
+  if (!from) {
+    return (
+      <div className="alert info" style={{ marginBottom: '1rem' }}>
+        First submission (version {to.version}); there is no earlier version to compare.
+      </div>
+    );
+  }
+
+  const changedFields = (changes) => Object.entries(changes)
+    .map(([field, { from: before, to: after }]) => `${field}: ${before ?? '-'} → ${after ?? '-'}`)
+    .join(', ');
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <h4>Changes since version {from.version}</h4>
+      {!diff.hasChanges && <div className="alert info">No changes since the previous submission.</div>}
+      {diff.goals.changed.map(item => (
+        <p key={`goal-${item.title}`}>Goal “{item.title}” changed ({changedFields(item.changes)})</p>
+      ))}
+      {diff.activities.changed.map(item => (
+        <p key={`activity-${item.name}`}>Activity “{item.name}” changed ({changedFields(item.changes)})</p>
+      ))}
+      <div className="grid grid-2" style={{ gap: '1rem' }}>
+        <VersionColumn version={from} label="Previous" goals={diff.goals} activities={diff.activities} side="previous" />
+        <VersionColumn version={to} label="Submitted" goals={diff.goals} activities={diff.activities} side="submitted" />
+      </div>
+    </div>
+  );
+}
@@ -4,7 +4,7 @@ import { Avatar, Checkbox, Group, ScrollArea, Table, Text } from '@mantine/core'
 /**
  * SessionTable
  * Props:
- * - rows: Array<{ id: string, patientName: string, date: string, duration: string, activities: string, outcomes: string, avatarUrl?: string }>
+ * - rows: Array<{ id: string, patientName: string, date: string, duration: string, attendance?: string, activities: string, note?: string, outcomes: string, avatarUrl?: string }>
  * - onSelectionChange?: (ids: string[]) => void
  */
 export default function SessionTable({ rows = [], onSelectionChange, selectedIds }) {
@@ -52,7 +52,9 @@ export default function SessionTable({ rows = [], onSelectionChange, selectedIds
             <Table.Th>Patient</Table.Th>
             <Table.Th>Date</Table.Th>
             <Table.Th>Duration</Table.Th>
+            <Table.Th>Attendance</Table.Th>
             <Table.Th>Activities</Table.Th>
+            <Table.Th>Note</Table.Th>
             <Table.Th>Outcomes</Table.Th>
           </Table.Tr>
         </Table.Thead>
@@ -75,9 +77,11 @@ export default function SessionTable({ rows = [], onSelectionChange, selectedIds
                 </Table.Td>
                 <Table.Td>{item.date}</Table.Td>
                 <Table.Td>{item.duration}</Table.Td>
+                <Table.Td>{item.attendance}</Table.Td>
                 <Table.Td style={{ maxWidth: 360, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
                   {item.activities}
                 </Table.Td>
+                <Table.Td>{item.note}</Table.Td>
                 <Table.Td style={{ maxWidth: 360, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
                   {item.outcomes}
                 </Table.Td>
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost, apiPatch, apiDelete } from '../api';
+
+const EMPTY_FORM = { name: '', url: '', events: [] };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+/**
+ * WebhookSettings
+ * Admin registration of outbound webhooks for hospital/clinic systems, with the
+ * delivery log. Dead-lettered deliveries (retries exhausted) can be replayed.
+ */
+export default function WebhookSettings() {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [statusFilter, setStatusFilter] = useState('');
+  // Shown once after creation or rotation; the API never returns it again
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  const { data: webhooks } = useQuery({
+    queryKey: ['webhooks'],
+    queryFn: () => apiGet('/api/webhooks'),
+  });
+
+  const { data: deliveries } = useQuery({
+    queryKey: ['webhooks', 'deliveries', statusFilter],
+    queryFn: () => apiGet('/api/webhooks/deliveries', statusFilter ? { status: statusFilter } : {}),
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+
+  const createMutation = useMutation({
+    mutationFn: (body) => apiPost('/api/webhooks', body),
+    onSuccess: (res) => {
+      setRevealedSecret({ name: res.data.name, secret: res.data.secret });
+      setForm(EMPTY_FORM);
+      refresh();
+    },
+    onError: (error) => alert(`Registering webhook failed: ${error.message}`),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ id, active }) => apiPatch(`/api/webhooks/${id}`, { active }),
+    onSuccess: refresh,
+    onError: (error) => alert(`Updating webhook failed: ${error.message}`),
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: (id) => apiPost(`/api/webhooks/${id}/rotate-secret`, {}),
+    onSuccess: (res) => setRevealedSecret({ name: res.data.name, secret: res.data.secret }),
+    onError: (error) => alert(`Rotating secret failed: ${error.message}`),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => apiDelete(`/api/webhooks/${id}`),
+    onSuccess: refresh,
+    onError: (error) => alert(`Deleting webhook failed: ${error.message}`),
+  });
+
+  const replayMutation = useMutation({
+    mutationFn: (id) => apiPost(`/api/webhooks/deliveries/${id}/replay`, {}),
+    onSuccess: (res) => {
+      refresh();
+      alert(res.message);
+    },
+    onError: (error) => alert(`Replay failed: ${error.message}`),
+  });
+
+  const toggleEvent = (type, checked) => setForm(prev => ({
+    ...prev,
+    events: checked ? [...prev.events, type] : prev.events.filter(e => e !== type),
+  }));
+
+  const eventTypes = webhooks?.eventTypes || [];
+
+  return (
+    <div className="form-section">
+      <h4>Hospital System Webhooks</h4>
+      <p>Send signed event notifications to external hospital/clinic systems.</p>
+
+      {revealedSecret && (
+        <div className="alert info" role="status">
+          Signing secret for {revealedSecret.name}: <code>{revealedSecret.secret}</code>
+          <div style={{ fontSize: '0.8rem' }}>Copy it now; it will not be shown again.</div>
+          <button className="btn btn-secondary" onClick={() => setRevealedSecret(null)}>Done</button>
+        </div>
+      )}
+
+      <div className="grid grid-2">
+        <div className="form-group">
+          <label htmlFor="webhook-name">Name:</label>
+          <input
+            id="webhook-name"
+            className="form-control"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="webhook-url">Endpoint URL:</label>
+          <input
+            id="webhook-url"
+            className="form-control"
+            placeholder="https://api.hospital.com/v1/hooks"
+            value={form.url}
+            onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+          />
+        </div>
+      </div>
+      <fieldset className="form-group">
+        <legend>Events:</legend>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <input type="checkbox" checked={form.events.includes('*')} onChange={(e) => toggleEvent('*', e.target.checked)} />
+          All events
+        </label>
+        {eventTypes.map(type => (
+          <label key={type} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <input type="checkbox" checked={form.events.includes(type)} onChange={(e) => toggleEvent(type, e.target.checked)} />
+            {type}
+          </label>
+        ))}
+      </fieldset>
+      <button
+        className="btn btn-primary"
+        disabled={!form.name || !form.url || !form.events.length || createMutation.isPending}
+        onClick={() => createMutation.mutate(form)}
+      >
+        Register Webhook
+      </button>
+
+      {webhooks?.data?.length > 0 && (
+        <table className="table" style={{ marginTop: '1rem' }}>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>URL</th>
+              <th>Events</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {webhooks.data.map(webhook => (
+              <tr key={webhook._id}>
+                <td>{webhook.name}</td>
+                <td>{webhook.url}</td>
+                <td>{webhook.events.join(', ')}</td>
+                <td>{webhook.active ? 'Active' : 'Paused'}</td>
+                <td>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => toggleMutation.mutate({ id: webhook._id, active: !webhook.active })}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      {webhook.active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => rotateMutation.mutate(webhook._id)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Rotate Secret
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => window.confirm(`Delete webhook ${webhook.name}?`) && deleteMutation.mutate(webhook._id)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '1.5rem' }}>
+        <h4 style={{ margin: 0 }}>Delivery Log</h4>
+        <select
+          className="form-control"
+          aria-label="Delivery status"
+          style={{ width: 'auto' }}
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+        >
+          <option value="">All deliveries</option>
+          <option value="pending">Retrying</option>
+          <option value="delivered">Delivered</option>
+          <option value="dead">Dead letters</option>
+        </select>
+      </div>
+      {!deliveries?.data?.length ? (
+        <p>No deliveries.</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Created</th>
+              <th>Webhook</th>
+              <th>Event</th>
+              <th>Status</th>
+              <th>Attempts</th>
+              <th>Last Result</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.data.map(delivery => {
+              const last = delivery.attempts?.[delivery.attempts.length - 1];
+              return (
+                <tr key={delivery._id}>
+                  <td>{formatDate(delivery.createdAt)}</td>
+                  <td>{delivery.webhook?.name}</td>
+                  <td>{delivery.eventType}</td>
+                  <td>{delivery.status}</td>
+                  <td>{delivery.attempts?.length || 0}</td>
+                  <td>{last ? (last.error || `HTTP ${last.statusCode}`) : '-'}</td>
+                  <td>
+                    <button
+                      className="btn btn-primary"
+                      disabled={replayMutation.isPending}
+                      onClick={() => replayMutation.mutate(delivery._id)}
+                      style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                    >
+                      Replay
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
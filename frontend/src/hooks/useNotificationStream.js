@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { apiStream } from '../api';
+import { keys } from './queryKeys';
+
+// Keep the unread count and notification lists live, and toast new notifications outside quiet hours
+export function useNotificationStream({ enabled = true } = {}) {
+  const queryClient = useQueryClient();
+  // Ids already shown, since a resumed stream can replay a notification twice
+  const seen = useRef(new Set());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    return apiStream('/api/notifications/stream', {
+      onEvent: (event, data, id) => {
+        if (event === 'unread-count') {
+          queryClient.setQueryData(keys.notifications.unreadCount(), { success: true, count: data.count });
+          return;
+        }
+        if (event !== 'notification' || seen.current.has(id)) return;
+        seen.current.add(id);
+        queryClient.invalidateQueries({ queryKey: keys.notifications.list() });
+        // Recipient is in quiet hours: update lists but do not interrupt
+        if (data.quiet) return;
+        const type = ['high', 'urgent'].includes(data.priority) ? 'warn' : 'info';
+        window.dispatchEvent(new CustomEvent('app:toast', { detail: { type, message: `${data.title}: ${data.message}` } }));
+      },
+    });
+  }, [enabled, queryClient]);
+}
+
+export default useNotificationStream;
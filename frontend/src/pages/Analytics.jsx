@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { apiGet } from '../api';
+import AssignmentEquityReport from '../components/AssignmentEquityReport.jsx';
 
 const Analytics = () => {
   const [selectedReport, setSelectedReport] = useState('caseload');
@@ -19,6 +20,7 @@ const Analytics = () => {
     { value: 'performance', label: 'Therapist Performance' },
     { value: 'sessions', label: 'Session Analytics' },
     { value: 'overdue', label: 'Overdue Items' },
+    { value: 'equity', label: 'Assignment Equity' },
   ];
 
   const handleExport = (format) => {
@@ -244,6 +246,8 @@ const Analytics = () => {
           </div>
         )}
 
+        {selectedReport === 'equity' && <AssignmentEquityReport dateRange={dateRange} />}
+
         {selectedReport === 'sessions' && (
           <div>
             <div className="grid grid-2" style={{ marginBottom: '2rem' }}>
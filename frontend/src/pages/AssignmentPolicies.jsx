@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiGet, apiPost } from '../api';
+
+const CRITERIA = [
+  { key: 'specialtyMatch', label: 'Specialty Match' },
+  { key: 'availability', label: 'Availability' },
+  { key: 'caseload', label: 'Caseload' },
+  { key: 'experience', label: 'Experience' },
+];
+
+// Build an editable draft from an existing policy (new versions start from a copy)
+const toDraft = (policy) => ({
+  name: policy?.builtIn ? 'Clinic policy' : policy?.name || '',
+  description: '',
+  weights: { ...(policy?.weights || {}) },
+  enabledCriteria: [...(policy?.enabledCriteria || CRITERIA.map(c => c.key))],
+  caseloadBands: (policy?.caseloadBands || []).map(b => ({ ...b })),
+  availabilityBands: (policy?.availabilityBands || []).map(b => ({ ...b })),
+  availabilityDefault: policy?.availabilityDefault ?? 50,
+  fullOverlapMinutes: policy?.fullOverlapMinutes ?? 180,
+  maxCaseload: policy?.maxCaseload ?? 25,
+});
+
+const BandEditor = ({ title, unit, bands, onChange }) => {
+  const update = (index, field, value) => {
+    onChange(bands.map((band, i) => (i === index ? { ...band, [field]: Number(value) } : band)));
+  };
+
+  return (
+    <div className="form-group">
+      <label>{title}:</label>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>At least ({unit})</th>
+            <th>Score (0-100)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {bands.map((band, index) => (
+            <tr key={index}>
+              <td>
+                <input type="number" min="0" className="form-control" value={band.min} onChange={(e) => update(index, 'min', e.target.value)} />
+              </td>
+              <td>
+                <input type="number" min="0" max="100" className="form-control" value={band.score} onChange={(e) => update(index, 'score', e.target.value)} />
+              </td>
+              <td>
+                <button type="button" className="btn btn-secondary" onClick={() => onChange(bands.filter((_, i) => i !== index))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" className="btn btn-secondary" onClick={() => onChange([...bands, { min: 0, score: 50 }])}>
+        Add Band
+      </button>
+    </div>
+  );
+};
+
+const AssignmentPolicies = () => {
+  const [draft, setDraft] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: policies, isLoading } = useQuery({
+    queryKey: ['assignment-policies'],
+    queryFn: () => apiGet('/api/assignment-policies'),
+  });
+
+  const { data: active } = useQuery({
+    queryKey: ['assignment-policies', 'active'],
+    queryFn: () => apiGet('/api/assignment-policies/active'),
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (policy) => apiPost('/api/assignment-policies', policy),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['assignment-policies']);
+      setDraft(null);
+      alert('Policy version saved');
+    },
+    onError: (error) => {
+      alert(`Saving policy failed: ${error.message}`);
+    },
+  });
+
+  const activateMutation = useMutation({
+    mutationFn: (id) => apiPost(`/api/assignment-policies/${id}/activate`, {}),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['assignment-policies']);
+      alert('Policy activated');
+    },
+    onError: (error) => {
+      alert(`Activation failed: ${error.message}`);
+    },
+  });
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const toggleCriterion = (key) => {
+    setDraft(prev => ({
+      ...prev,
+      enabledCriteria: prev.enabledCriteria.includes(key)
+        ? prev.enabledCriteria.filter(c => c !== key)
+        : [...prev.enabledCriteria, key],
+    }));
+  };
+
+  const handleSave = (event, activate) => {
+    event.preventDefault();
+    createMutation.mutate({ ...draft, activate });
+  };
+
+  if (isLoading) return <div className="loading">Loading assignment policies...</div>;
+
+  const activePolicy = active?.data;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <h2>Assignment Policies</h2>
+        <button
+          className="btn btn-primary"
+          onClick={() => setDraft(draft ? null : toDraft(activePolicy))}
+        >
+          {draft ? 'Cancel' : 'New Version'}
+        </button>
+      </div>
+
+      {activePolicy && (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+          <h3>Active Policy</h3>
+          <p>
+            <strong>{activePolicy.name}</strong> (v{activePolicy.version})
+            {activePolicy.builtIn && ' — no policy has been activated yet, the built-in default is used'}
+          </p>
+          <p>
+            <strong>Weights:</strong>{' '}
+            {CRITERIA.filter(c => activePolicy.enabledCriteria?.includes(c.key))
+              .map(c => `${c.label} ${Math.round((activePolicy.weights?.[c.key] || 0) * 100)}%`)
+              .join(', ')}
+          </p>
+          <p><strong>Max caseload:</strong> {activePolicy.maxCaseload}</p>
+        </div>
+      )}
+
+      {draft && (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+          <h3>New Policy Version</h3>
+          <form onSubmit={(e) => handleSave(e, false)}>
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label>Name:</label>
+                <input className="form-control" value={draft.name} onChange={(e) => setField('name', e.target.value)} required />
+              </div>
+              <div className="form-group">
+                <label>Description:</label>
+                <input className="form-control" value={draft.description} onChange={(e) => setField('description', e.target.value)} />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Criteria and Weights:</label>
+              <div className="grid grid-2">
+                {CRITERIA.map(c => (
+                  <div key={c.key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', minWidth: '10rem' }}>
+                      <input
+                        type="checkbox"
+                        checked={draft.enabledCriteria.includes(c.key)}
+                        onChange={() => toggleCriterion(c.key)}
+                      />
+                      {c.label}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      className="form-control"
+                      aria-label={`${c.label} weight`}
+                      value={draft.weights[c.key] ?? 0}
+                      disabled={!draft.enabledCriteria.includes(c.key)}
+                      onChange={(e) => setField('weights', { ...draft.weights, [c.key]: Number(e.target.value) })}
+                    />
+                  </div>
+                ))}
+              </div>
+              <p style={{ fontSize: '0.9rem', color: '#666' }}>Weights of enabled criteria are normalized to sum to 100%.</p>
+            </div>
+
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label>Max Caseload (batch capacity):</label>
+                <input type="number" min="1" max="100" className="form-control" value={draft.maxCaseload} onChange={(e) => setField('maxCaseload', Number(e.target.value))} />
+              </div>
+              <div className="form-group">
+                <label>Availability Score Without Weekly Slots:</label>
+                <input type="number" min="0" max="100" className="form-control" value={draft.availabilityDefault} onChange={(e) => setField('availabilityDefault', Number(e.target.value))} />
+              </div>
+              <div className="form-group">
+                <label>Free Overlap for Full Availability Score (minutes/week):</label>
+                <input type="number" min="15" max="2400" step="15" className="form-control" value={draft.fullOverlapMinutes} onChange={(e) => setField('fullOverlapMinutes', Number(e.target.value))} />
+              </div>
+            </div>
+
+            <div className="grid grid-2">
+              <BandEditor
+                title="Caseload Score Bands"
+                unit="active patients"
+                bands={draft.caseloadBands}
+                onChange={(bands) => setField('caseloadBands', bands)}
+              />
+              <BandEditor
+                title="Availability Score Bands"
+                unit="weekly slots"
+                bands={draft.availabilityBands}
+                onChange={(bands) => setField('availabilityBands', bands)}
+              />
+            </div>
+
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button type="submit" className="btn btn-secondary" disabled={createMutation.isPending}>
+                Save Version
+              </button>
+              <button type="button" className="btn btn-success" disabled={createMutation.isPending} onClick={(e) => handleSave(e, true)}>
+                Save and Activate
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <h3>Policy Versions</h3>
+        {!policies?.data?.length ? (
+          <p>No policy versions yet.</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Name</th>
+                <th>Enabled Criteria</th>
+                <th>Max Caseload</th>
+                <th>Created</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {policies.data.map(policy => (
+                <tr key={policy._id}>
+                  <td>v{policy.version}</td>
+                  <td>{policy.name}</td>
+                  <td>{policy.enabledCriteria?.join(', ')}</td>
+                  <td>{policy.maxCaseload}</td>
+                  <td>{new Date(policy.createdAt).toLocaleDateString()}</td>
+                  <td>
+                    <span className={`status-badge ${policy.active ? 'status-active' : 'status-draft'}`}>
+                      {policy.active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        className="btn btn-success"
+                        disabled={policy.active || activateMutation.isPending}
+                        onClick={() => activateMutation.mutate(policy._id)}
+                        style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                      >
+                        Activate
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => setDraft(toDraft(policy))}
+                        style={{ fontSize: '0.8rem', padding: '0.25rem 0.5rem' }}
+                      >
+                        Copy to New Version
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentPolicies;
@@ -2,6 +2,7 @@ import React from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { useUser } from '@clerk/clerk-react';
 import { apiGet } from '../api';
+import { keys } from '../hooks/queryKeys';
 
 const Dashboard = () => {
   const { user } = useUser();
@@ -13,12 +14,18 @@ const Dashboard = () => {
     queryFn: () => apiGet('/api/analytics/dashboard'),
   });
 
-  // Fetch notifications count
+  // Fetch notifications count (kept live by the notification stream)
   const { data: notificationData } = useQuery({
-    queryKey: ['notifications-count'],
+    queryKey: keys.notifications.unreadCount(),
     queryFn: () => apiGet('/api/notifications/unread-count'),
   });
 
+  // Progress reports owed after a patient reaches their session threshold
+  const { data: reportsDueData } = useQuery({
+    queryKey: ['reports', 'due'],
+    queryFn: () => apiGet('/api/progress-reports/due'),
+  });
+
   if (isLoading) {
     return (
       <div className="page-container" aria-busy="true" aria-label="Loading dashboard">
@@ -63,6 +70,7 @@ const Dashboard = () => {
   } = dashboardData?.data || {};
 
   const unreadNotifications = notificationData?.count || 0;
+  const reportsDue = reportsDueData?.data || [];
 
   return (
     <div className="dashboard">
@@ -183,6 +191,30 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Progress Reports Due */}
+      {reportsDue.length > 0 && (
+        <div className="dashboard-section">
+          <h2>Progress Reports Due</h2>
+          <div className="activity-list">
+            {reportsDue.map(task => (
+              <a key={task._id} href="/progress-reports" className="activity-item">
+                <div className="activity-icon">📊</div>
+                <div className="activity-content">
+                  <div className="activity-title">{task.patient?.name || 'Unknown Patient'}</div>
+                  <div className="activity-subtitle">
+                    {task.sessionCount} sessions since last report (due every {task.threshold})
+                    {userRole !== 'therapist' && task.therapist?.name && ` • ${task.therapist.name}`}
+                  </div>
+                  <div className="activity-time">
+                    Due since {new Date(task.createdAt).toLocaleDateString()}
+                  </div>
+                </div>
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Recent Activity */}
       {recentActivity.length > 0 && (
         <div className="dashboard-section">
@@ -1,10 +1,14 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiGet, apiPost } from '../api';
+import CaseloadTransferQueue from '../components/CaseloadTransferQueue.jsx';
+import AssignmentApprovalQueue from '../components/AssignmentApprovalQueue.jsx';
+import AttendanceFlagQueue from '../components/AttendanceFlagQueue.jsx';
 
 const PatientAllocation = () => {
   const [showAutoAssign, setShowAutoAssign] = useState(false);
   const [selectedPatient, setSelectedPatient] = useState('');
+  const [preview, setPreview] = useState(null);
   const queryClient = useQueryClient();
 
   // Fetch unassigned patients
@@ -19,14 +23,24 @@ const PatientAllocation = () => {
     queryFn: () => apiGet('/api/users', { role: 'therapist', active: true }),
   });
 
-  // Auto-assign mutation
+  // Preview mutation: ranks therapists without writing anything
+  const previewMutation = useMutation({
+    mutationFn: (patientId) => apiPost('/api/assignments/auto-assign', { patientId, preview: true }),
+    onSuccess: (res) => setPreview(res?.data || null),
+    onError: (error) => {
+      alert(`Preview failed: ${error.message}`);
+    },
+  });
+
+  // Auto-assign mutation (optionally proposing a therapist picked from the preview); proposals wait for approval
   const autoAssignMutation = useMutation({
-    mutationFn: (patientId) => apiPost('/api/assignments/auto-assign', { patientId }),
+    mutationFn: ({ patientId, therapistId }) => apiPost('/api/assignments/auto-assign', { patientId, therapistId }),
     onSuccess: () => {
       queryClient.invalidateQueries(['patients']);
       queryClient.invalidateQueries(['assignments']);
       setShowAutoAssign(false);
-      alert('Patient successfully auto-assigned!');
+      setPreview(null);
+      alert('Assignment proposed and awaiting supervisor approval');
     },
     onError: (error) => {
       alert(`Auto-assignment failed: ${error.message}`);
@@ -52,9 +66,23 @@ const PatientAllocation = () => {
       alert('Please select a patient first');
       return;
     }
-    autoAssignMutation.mutate(selectedPatient);
+    autoAssignMutation.mutate({ patientId: selectedPatient });
   };
 
+  const handlePreview = () => {
+    if (!selectedPatient) {
+      alert('Please select a patient first');
+      return;
+    }
+    previewMutation.mutate(selectedPatient);
+  };
+
+  const handleCommitChoice = (therapistId) => {
+    autoAssignMutation.mutate({ patientId: selectedPatient, therapistId });
+  };
+
+  const formatScore = (value) => (typeof value === 'number' ? value.toFixed(1) : '-');
+
   const handleManualAssign = (patientId, therapistId) => {
     const rationale = prompt('Please provide a rationale for this manual assignment:');
     if (rationale) {
@@ -86,7 +114,10 @@ const PatientAllocation = () => {
             <select 
               className="form-control"
               value={selectedPatient}
-              onChange={(e) => setSelectedPatient(e.target.value)}
+              onChange={(e) => {
+                setSelectedPatient(e.target.value);
+                setPreview(null);
+              }}
             >
               <option value="">Choose a patient...</option>
               {unassignedPatients?.data?.map(patient => (
@@ -96,16 +127,77 @@ const PatientAllocation = () => {
               ))}
             </select>
           </div>
-          <button 
-            className="btn btn-success"
-            onClick={handleAutoAssign}
-            disabled={!selectedPatient || autoAssignMutation.isPending}
-          >
-            {autoAssignMutation.isPending ? 'Assigning...' : 'Auto-Assign'}
-          </button>
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            <button 
+              className="btn btn-secondary"
+              onClick={handlePreview}
+              disabled={!selectedPatient || previewMutation.isPending}
+            >
+              {previewMutation.isPending ? 'Scoring...' : 'Preview Matches'}
+            </button>
+            <button 
+              className="btn btn-success"
+              onClick={handleAutoAssign}
+              disabled={!selectedPatient || autoAssignMutation.isPending}
+            >
+              {autoAssignMutation.isPending ? 'Proposing...' : 'Auto-Assign'}
+            </button>
+          </div>
+
+          {preview && (
+            <div style={{ marginTop: '1.5rem' }}>
+              <h4>Candidate Comparison for {preview.patient?.name}</h4>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Rank</th>
+                    <th>Therapist</th>
+                    <th>Total</th>
+                    <th>Specialty</th>
+                    <th>Availability</th>
+                    <th>Caseload</th>
+                    <th>Experience</th>
+                    <th>Free Hours in Preferred Times</th>
+                    <th>Rationale</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.candidates?.map(candidate => (
+                    <tr key={candidate.therapist._id}>
+                      <td>{candidate.rank}</td>
+                      <td>{candidate.therapist.name}</td>
+                      <td><strong>{formatScore(candidate.score)}</strong></td>
+                      <td>{formatScore(candidate.breakdown?.specialtyMatch)}</td>
+                      <td>{formatScore(candidate.breakdown?.availability)}</td>
+                      <td>{formatScore(candidate.breakdown?.caseload)}</td>
+                      <td>{formatScore(candidate.breakdown?.experience)}</td>
+                      <td>{typeof candidate.overlapMinutes === 'number' ? formatScore(candidate.overlapMinutes / 60) : '-'}</td>
+                      <td>{candidate.rationale}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => handleCommitChoice(candidate.therapist._id)}
+                          disabled={!candidate.eligible || autoAssignMutation.isPending}
+                        >
+                          Propose this choice
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
 
+      <AssignmentApprovalQueue therapists={therapists?.data || []} />
+
+      <CaseloadTransferQueue therapists={therapists?.data || []} />
+
+      <AttendanceFlagQueue />
+
       <div className="card">
         <h3>Unassigned Patients</h3>
         {!unassignedPatients?.data?.length ? (
@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useUser } from '@clerk/clerk-react';
-import { apiGet, apiPost } from '../api';
+import { apiGet, apiPost, uploadAttachments } from '../api';
 import ProgressReportTable from '../components/ProgressReportTable';
+import AttachmentPanel, { AttachmentInput } from '../components/AttachmentPanel.jsx';
 
 const ProgressReports = () => {
   const { user } = useUser();
@@ -11,6 +12,7 @@ const ProgressReports = () => {
   const [selectedReport, setSelectedReport] = useState(null);
   const [feedback, setFeedback] = useState('');
   const [selectedIds, setSelectedIds] = useState([]);
+  const [reportFiles, setReportFiles] = useState([]);
   const queryClient = useQueryClient();
 
   // Fetch progress reports
@@ -28,10 +30,14 @@ const ProgressReports = () => {
   // Submit report mutation
   const submitReportMutation = useMutation({
     mutationFn: (reportData) => apiPost('/api/progress-reports', reportData),
-    onSuccess: () => {
+    onSuccess: async (res) => {
+      const failures = reportFiles.length ? await uploadAttachments('ProgressReport', res.data._id, reportFiles) : [];
+      setReportFiles([]);
       queryClient.invalidateQueries(['progress-reports']);
       setShowReportForm(false);
-      alert('Progress report submitted successfully!');
+      alert(failures.length
+        ? `Progress report submitted, but some files were not uploaded:\n${failures.join('\n')}`
+        : 'Progress report submitted successfully!');
     },
   });
 
@@ -169,6 +175,8 @@ const ProgressReports = () => {
               ></textarea>
             </div>
 
+            <AttachmentInput id="report-attachments" files={reportFiles} onChange={setReportFiles} />
+
             <button type="submit" className="btn btn-success" disabled={submitReportMutation.isPending}>
               {submitReportMutation.isPending ? 'Submitting...' : 'Submit Report'}
             </button>
@@ -256,6 +264,8 @@ const ProgressReports = () => {
             </div>
           </div>
 
+          <AttachmentPanel entityType="ProgressReport" entityId={selectedReport._id} />
+
           <div className="form-group">
             <label>Supervisor Feedback:</label>
             <textarea 
@@ -1,18 +1,57 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { apiGet, apiPost } from '../api';
+import { apiGet, apiPost, uploadAttachments } from '../api';
 import SessionTable from '../components/SessionTable';
+import { AttachmentInput } from '../components/AttachmentPanel.jsx';
+import NoteTemplateFields from '../components/NoteTemplateFields.jsx';
+
+const ATTENDANCE_LABELS = {
+  attended: 'Attended',
+  late: 'Late',
+  cancelled_patient: 'Cancelled by patient',
+  cancelled_clinic: 'Cancelled by clinic',
+  no_show: 'No-show',
+};
+// Only sessions that took place carry clinical notes
+const HELD_STATUSES = ['attended', 'late'];
+
+const reasonLabel = (code) => code.charAt(0).toUpperCase() + code.slice(1).replaceAll('_', ' ');
+
+// Built-in templates are referenced by key, the clinic's own by id
+const templateRef = (template) => (template.builtIn ? template.key : template._id);
+
+// Section values from the inputs NoteTemplateFields renders
+const noteValues = (template, formData) => {
+  const values = {};
+  for (const section of template.sections) {
+    const name = `note_${section.key}`;
+    if (section.type === 'multiselect') {
+      values[section.key] = formData.getAll(name);
+    } else if (section.type === 'boolean') {
+      values[section.key] = formData.get(name) !== null;
+    } else if (section.type === 'number') {
+      if (formData.get(name)) values[section.key] = Number(formData.get(name));
+    } else {
+      values[section.key] = formData.get(name) || '';
+    }
+  }
+  return values;
+};
 
 const Sessions = () => {
   const [showSessionForm, setShowSessionForm] = useState(false);
   const [selectedPatient, setSelectedPatient] = useState('');
   const [selectedIds, setSelectedIds] = useState([]);
+  const [sessionFiles, setSessionFiles] = useState([]);
+  const [attendanceStatus, setAttendanceStatus] = useState('attended');
+  const [noteTemplateRef, setNoteTemplateRef] = useState('');
+  const [search, setSearch] = useState('');
   const queryClient = useQueryClient();
 
-  // Fetch sessions
+  // Fetch sessions, narrowed by a full-text search of their notes
   const { data: sessions, isLoading } = useQuery({
-    queryKey: ['sessions'],
-    queryFn: () => apiGet('/api/sessions'),
+    queryKey: ['sessions', search],
+    queryFn: () => apiGet('/api/sessions', search ? { q: search } : {}),
   });
 
   // Fetch patients for session logging
@@ -21,33 +60,87 @@ const Sessions = () => {
     queryFn: () => apiGet('/api/patients', { assigned: true }),
   });
 
+  // Reason codes accepted for each attendance status
+  const { data: attendanceReasons } = useQuery({
+    queryKey: ['attendance-reasons'],
+    queryFn: () => apiGet('/api/attendance/reasons'),
+    staleTime: Infinity,
+  });
+  const reasonCodes = attendanceReasons?.data?.reasons?.[attendanceStatus] || [];
+  const held = HELD_STATUSES.includes(attendanceStatus);
+
+  // SOAP, DAP and the clinic's published templates
+  const { data: noteTemplates } = useQuery({
+    queryKey: ['note-templates'],
+    queryFn: () => apiGet('/api/note-templates'),
+  });
+  const noteTemplate = noteTemplates?.data?.find(t => templateRef(t) === noteTemplateRef);
+
   // Create session mutation
   const createSessionMutation = useMutation({
     mutationFn: (sessionData) => apiPost('/api/sessions', sessionData),
-    onSuccess: () => {
+    onSuccess: async (res) => {
+      // Files can only be attached once the session exists
+      const failures = sessionFiles.length ? await uploadAttachments('Session', res.data._id, sessionFiles) : [];
+      setSessionFiles([]);
+      setAttendanceStatus('attended');
+      setNoteTemplateRef('');
       queryClient.invalidateQueries(['sessions']);
       setShowSessionForm(false);
-      alert('Session logged successfully!');
+      alert(failures.length
+        ? `Session logged, but some files were not uploaded:\n${failures.join('\n')}`
+        : 'Session logged successfully!');
+    },
+    onError: (error, sessionData) => {
+      const conflicts = error.body?.details?.conflicts;
+      if (error.status === 422 && error.body?.details?.length) {
+        alert(`Logging session failed:\n${error.body.details.map(d => `- ${d.path}: ${d.message}`).join('\n')}`);
+        return;
+      }
+      if (error.status !== 409 || !conflicts?.length || sessionData.override) {
+        alert(`Logging session failed: ${error.message}`);
+        return;
+      }
+      // Double bookings and out-of-hours sessions need an explicit, audited override
+      const reason = window.prompt(
+        `This session conflicts with the schedule:\n${conflicts.map(c => `- ${c.message}`).join('\n')}\n\nEnter a reason to log it anyway:`
+      );
+      if (reason !== null) {
+        createSessionMutation.mutate({ ...sessionData, override: true, overrideReason: reason || undefined });
+      }
     },
   });
 
   const handleLogSession = (event) => {
     event.preventDefault();
     const formData = new FormData(event.target);
+    const attendance = {
+      status: attendanceStatus,
+      reason: formData.get('attendance_reason') || undefined,
+      minutesLate: formData.get('minutes_late') ? Number(formData.get('minutes_late')) : undefined,
+      note: formData.get('attendance_note') || undefined,
+    };
     const sessionData = {
       patient: formData.get('patient'),
       date: formData.get('date'),
       durationMin: Number(formData.get('duration')),
-      activities: formData.get('activities').split(',').map(a => a.trim()),
-      observations: formData.get('observations'),
-      outcomes: [
-        {
-          metric: formData.get('outcome_metric'),
-          value: Number(formData.get('outcome_value')),
-        }
-      ],
-      nextSteps: formData.get('nextSteps'),
+      room: formData.get('room') || undefined,
+      attendance,
     };
+    if (held) {
+      Object.assign(sessionData, {
+        activities: formData.get('activities').split(',').map(a => a.trim()),
+        observations: noteTemplate ? undefined : formData.get('observations'),
+        note: noteTemplate ? { template: noteTemplateRef, values: noteValues(noteTemplate, formData) } : undefined,
+        outcomes: [
+          {
+            metric: formData.get('outcome_metric'),
+            value: Number(formData.get('outcome_value')),
+          }
+        ],
+        nextSteps: formData.get('nextSteps'),
+      });
+    }
     createSessionMutation.mutate(sessionData);
   };
 
@@ -106,42 +199,123 @@ const Sessions = () => {
               </div>
             </div>
 
-            <div className="form-group">
-              <label>Duration (minutes):</label>
-              <input name="duration" type="number" className="form-control" required />
-            </div>
-
-            <div className="form-group">
-              <label>Activities (comma-separated):</label>
-              <input 
-                name="activities" 
-                className="form-control" 
-                placeholder="e.g., Cognitive exercises, Physical therapy, Discussion"
-                required 
-              />
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label>Duration (minutes):</label>
+                <input name="duration" type="number" className="form-control" required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="session-room">Room:</label>
+                <input id="session-room" name="room" className="form-control" placeholder="Optional" />
+              </div>
             </div>
 
-            <div className="form-group">
-              <label>Observations:</label>
-              <textarea name="observations" className="form-control" rows="3" required></textarea>
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label htmlFor="session-attendance">Attendance:</label>
+                <select
+                  id="session-attendance"
+                  name="attendance_status"
+                  className="form-control"
+                  value={attendanceStatus}
+                  onChange={(e) => setAttendanceStatus(e.target.value)}
+                >
+                  {Object.entries(ATTENDANCE_LABELS).map(([status, label]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {reasonCodes.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="session-attendance-reason">Reason:</label>
+                  <select
+                    id="session-attendance-reason"
+                    key={attendanceStatus}
+                    name="attendance_reason"
+                    className="form-control"
+                    required={attendanceStatus !== 'late'}
+                  >
+                    <option value="">{attendanceStatus === 'late' ? 'Not given' : 'Select reason...'}</option>
+                    {reasonCodes.map(code => (
+                      <option key={code} value={code}>{reasonLabel(code)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
 
-            <h4>Outcomes</h4>
-            <div className="grid grid-2">
+            {attendanceStatus === 'late' && (
               <div className="form-group">
-                <label>Metric:</label>
-                <input name="outcome_metric" className="form-control" placeholder="e.g., Mood scale" required />
+                <label htmlFor="session-minutes-late">Minutes late:</label>
+                <input id="session-minutes-late" name="minutes_late" type="number" min="1" max="240" className="form-control" />
               </div>
+            )}
+
+            {attendanceStatus !== 'attended' && (
               <div className="form-group">
-                <label>Value:</label>
-                <input name="outcome_value" type="number" step="0.1" className="form-control" required />
+                <label htmlFor="session-attendance-note">Attendance note:</label>
+                <input id="session-attendance-note" name="attendance_note" className="form-control" maxLength={500} placeholder="Optional" />
               </div>
-            </div>
+            )}
 
-            <div className="form-group">
-              <label>Next Steps:</label>
-              <textarea name="nextSteps" className="form-control" rows="2" required></textarea>
-            </div>
+            {held && (
+              <>
+                <div className="form-group">
+                  <label>Activities (comma-separated):</label>
+                  <input 
+                    name="activities" 
+                    className="form-control" 
+                    placeholder="e.g., Cognitive exercises, Physical therapy, Discussion"
+                    required 
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="session-note-template">Note template:</label>
+                  <select
+                    id="session-note-template"
+                    className="form-control"
+                    value={noteTemplateRef}
+                    onChange={(e) => setNoteTemplateRef(e.target.value)}
+                  >
+                    <option value="">Free-text observations</option>
+                    {noteTemplates?.data?.map(template => (
+                      <option key={templateRef(template)} value={templateRef(template)}>
+                        {template.name}{template.discipline ? ` (${template.discipline})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {noteTemplate ? (
+                  <NoteTemplateFields key={noteTemplateRef} template={noteTemplate} />
+                ) : (
+                  <div className="form-group">
+                    <label>Observations:</label>
+                    <textarea name="observations" className="form-control" rows="3" required></textarea>
+                  </div>
+                )}
+
+                <h4>Outcomes</h4>
+                <div className="grid grid-2">
+                  <div className="form-group">
+                    <label>Metric:</label>
+                    <input name="outcome_metric" className="form-control" placeholder="e.g., Mood scale" required />
+                  </div>
+                  <div className="form-group">
+                    <label>Value:</label>
+                    <input name="outcome_value" type="number" step="0.1" className="form-control" required />
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Next Steps:</label>
+                  <textarea name="nextSteps" className="form-control" rows="2" required></textarea>
+                </div>
+              </>
+            )}
+
+            <AttachmentInput id="session-attachments" files={sessionFiles} onChange={setSessionFiles} />
 
             <button type="submit" className="btn btn-success" disabled={createSessionMutation.isPending}>
               {createSessionMutation.isPending ? 'Logging...' : 'Log Session'}
@@ -150,6 +324,22 @@ const Sessions = () => {
         </div>
       )}
 
+      <form
+        className="form-actions"
+        style={{ marginBottom: '1rem' }}
+        onSubmit={(e) => {
+          e.preventDefault();
+          setSelectedIds([]);
+          setSearch(new FormData(e.target).get('q').trim());
+        }}
+      >
+        <input name="q" type="search" className="form-control" aria-label="Search session notes" placeholder="Search notes..." defaultValue={search} />
+        <button type="submit" className="btn btn-secondary">Search</button>
+        {search && (
+          <button type="button" className="btn" onClick={() => { setSelectedIds([]); setSearch(''); }}>Clear</button>
+        )}
+      </form>
+
       <div className="data-table-container">
         {selectedIds.length > 0 && (
           <div className="form-actions" style={{ justifyContent: 'space-between', marginBottom: '1rem' }}>
@@ -166,6 +356,9 @@ const Sessions = () => {
                     patient: s.patient?.name || 'Unknown',
                     date: new Date(s.date).toISOString(),
                     durationMin: s.durationMin,
+                    attendance: s.attendance?.status || 'attended',
+                    attendanceReason: s.attendance?.reason || '',
+                    noteTemplate: s.note?.templateName || '',
                     activities: Array.isArray(s.activities) ? s.activities.join('; ') : '',
                     outcomes: Array.isArray(s.outcomes) ? s.outcomes.map(o => `${o.metric}:${o.value}`).join('|') : '',
                   }));
@@ -190,8 +383,8 @@ const Sessions = () => {
         {!sessions?.data?.length ? (
           <div className="data-table-empty">
             <div className="empty-icon">🗓️</div>
-            <h3>No Sessions Yet</h3>
-            <p>Log your first session to see it here.</p>
+            <h3>{search ? 'No Matching Sessions' : 'No Sessions Yet'}</h3>
+            <p>{search ? `No session notes match "${search}".` : 'Log your first session to see it here.'}</p>
           </div>
         ) : (
           <SessionTable
@@ -200,7 +393,12 @@ const Sessions = () => {
               patientName: s.patient?.name || 'Unknown',
               date: new Date(s.date).toLocaleDateString(),
               duration: `${s.durationMin} min`,
+              attendance: [
+                ATTENDANCE_LABELS[s.attendance?.status || 'attended'],
+                s.attendance?.reason && reasonLabel(s.attendance.reason),
+              ].filter(Boolean).join(' — '),
               activities: Array.isArray(s.activities) ? s.activities.join(', ') : '',
+              note: s.note?.templateName || '',
               outcomes: Array.isArray(s.outcomes)
                 ? s.outcomes.map(o => `${o.metric}: ${o.value}`).join(', ')
                 : '',
@@ -1,5 +1,9 @@
 import React, { useState } from 'react';
 import { API_BASE } from '../api';
+import NotificationPreferences from '../components/NotificationPreferences.jsx';
+import WebhookSettings from '../components/WebhookSettings.jsx';
+import CalendarSettings from '../components/CalendarSettings.jsx';
+import RoleGuard from '../components/RoleGuard.jsx';
 
 // NOTE: Import/export here uses direct fetch because endpoints return/accept whole JSON snapshot
 
@@ -104,30 +108,10 @@ const Settings = () => {
           <button className="btn btn-primary">Save Settings</button>
         </div>
 
-        <div className="form-section">
-          <h3>Notification Settings</h3>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <input type="checkbox" defaultChecked />
-              Email notifications for plan submissions
-            </label>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <input type="checkbox" defaultChecked />
-              Reminders for overdue reports
-            </label>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <input type="checkbox" />
-              Weekly caseload summaries
-            </label>
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <input type="checkbox" defaultChecked />
-              Session completion confirmations
-            </label>
-          </div>
-          <button className="btn btn-primary" style={{ marginTop: '1rem' }}>
-            Update Notifications
-          </button>
-        </div>
+        <NotificationPreferences />
+        <RoleGuard allowedRoles={['therapist']} fallback={<CalendarSettings />}>
+          <CalendarSettings showBlockedTime />
+        </RoleGuard>
       </div>
 
       <div className="form-section">
@@ -197,32 +181,8 @@ const Settings = () => {
 
       <div className="form-section">
         <h3>External Integrations</h3>
+        <WebhookSettings />
         <div className="grid grid-2">
-          <div className="form-section">
-            <h4>Hospital System Integration</h4>
-            <p>Connect with external hospital/clinic systems</p>
-            <div className="form-group">
-              <label>API Endpoint:</label>
-              <input
-                className="form-control"
-                placeholder="https://api.hospital.com/v1"
-                disabled
-              />
-            </div>
-            <div className="form-group">
-              <label>API Key:</label>
-              <input
-                type="password"
-                className="form-control"
-                placeholder="Enter API key"
-                disabled
-              />
-            </div>
-            <button className="btn btn-secondary" disabled>
-              Configure (Coming Soon)
-            </button>
-          </div>
-
           <div className="form-section">
             <h4>Billing System Integration</h4>
             <p>Sync with billing and insurance systems</p>
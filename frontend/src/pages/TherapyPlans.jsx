@@ -1,7 +1,13 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useUser } from '@clerk/clerk-react';
-import { apiGet, apiPost, apiPut } from '../api';
+import { apiGet, apiPost, apiPut, uploadAttachments } from '../api';
+import PlanVersionDiff from '../components/PlanVersionDiff.jsx';
+import PlanCommentThreads from '../components/PlanCommentThreads.jsx';
+import AttachmentPanel, { AttachmentInput } from '../components/AttachmentPanel.jsx';
+
+// Therapists can only change a plan before it is submitted or after revision is requested
+const EDITABLE_STATUSES = ['draft', 'needs_revision'];
 
 const TherapyPlans = () => {
   const { user } = useUser();
@@ -24,6 +30,28 @@ const TherapyPlans = () => {
     queryFn: () => apiGet('/api/patients', { assigned: true }),
   });
 
+  // Template picker state for the create form; templateChoice stays null until the
+  // therapist picks something, so the suggested template is preselected
+  const [createPatient, setCreatePatient] = useState('');
+  const [templateChoice, setTemplateChoice] = useState(null);
+  const [planFiles, setPlanFiles] = useState([]);
+
+  const { data: templates } = useQuery({
+    queryKey: ['plan-templates'],
+    queryFn: () => apiGet('/api/plan-templates'),
+    enabled: showCreateForm,
+  });
+
+  const { data: suggestion } = useQuery({
+    queryKey: ['plan-templates', 'suggest', createPatient],
+    queryFn: () => apiGet('/api/plan-templates/suggest', { patient: createPatient }),
+    enabled: showCreateForm && !!createPatient,
+  });
+
+  const suggestedTemplate = suggestion?.data || null;
+  const templateId = templateChoice ?? suggestedTemplate?._id ?? '';
+  const selectedTemplate = templates?.data?.find(t => t._id === templateId) || (suggestedTemplate?._id === templateId ? suggestedTemplate : null);
+
   // Submit plan mutation
   const submitPlanMutation = useMutation({
     mutationFn: (planId) => apiPost(`/api/plans/${planId}/submit`),
@@ -31,6 +59,7 @@ const TherapyPlans = () => {
       queryClient.invalidateQueries(['therapy-plans']);
       alert('Plan submitted for review!');
     },
+    onError: (error) => alert(`Submitting plan failed: ${error.message}`),
   });
 
   // Review plan mutation
@@ -43,15 +72,22 @@ const TherapyPlans = () => {
       setReviewComment('');
       alert('Plan review completed!');
     },
+    onError: (error) => alert(`Reviewing plan failed: ${error.message}`),
   });
 
   // Create plan mutation
   const createPlanMutation = useMutation({
     mutationFn: (planData) => apiPost('/api/plans', planData),
-    onSuccess: () => {
+    onSuccess: async (res) => {
+      const failures = planFiles.length ? await uploadAttachments('TherapyPlan', res.data._id, planFiles) : [];
+      setPlanFiles([]);
       queryClient.invalidateQueries(['therapy-plans']);
       setShowCreateForm(false);
-      alert('Plan created successfully!');
+      setCreatePatient('');
+      setTemplateChoice(null);
+      alert(failures.length
+        ? `Plan created, but some files were not uploaded:\n${failures.join('\n')}`
+        : 'Plan created successfully!');
     },
   });
 
@@ -62,7 +98,8 @@ const TherapyPlans = () => {
       queryClient.invalidateQueries(['therapy-plans']);
       setEditingPlan(null);
       alert('Plan updated.');
-    }
+    },
+    onError: (error) => alert(`Updating plan failed: ${error.message}`),
   });
 
   const [editingPlan, setEditingPlan] = useState(null);
@@ -113,6 +150,15 @@ const TherapyPlans = () => {
   const handleCreatePlan = (event) => {
     event.preventDefault();
     const formData = new FormData(event.target);
+    if (selectedTemplate) {
+      // Goals and activities are copied from the template on the server
+      createPlanMutation.mutate({
+        patient: formData.get('patient'),
+        template: selectedTemplate._id,
+        notes: formData.get('notes'),
+      });
+      return;
+    }
     const planData = {
       patient: formData.get('patient'),
       goals: [
@@ -227,7 +273,13 @@ const TherapyPlans = () => {
             <div className="form-group">
               <label>Patient:</label>
 
-              <select name="patient" className="form-control" required>
+              <select
+                name="patient"
+                className="form-control"
+                required
+                value={createPatient}
+                onChange={(e) => { setCreatePatient(e.target.value); setTemplateChoice(null); }}
+              >
                 <option value="">Select patient...</option>
                 {patients?.data?.map(patient => (
                   <option key={patient._id} value={patient._id}>
@@ -237,48 +289,86 @@ const TherapyPlans = () => {
               </select>
             </div>
 
-            <h4>Goals</h4>
             <div className="form-group">
-              <label>Goal Title:</label>
-              <input name="goal1_title" className="form-control" required />
+              <label htmlFor="plan-template">Template:</label>
+              <select
+                id="plan-template"
+                className="form-control"
+                value={templateId}
+                onChange={(e) => setTemplateChoice(e.target.value)}
+              >
+                <option value="">No template (enter goals manually)</option>
+                {templates?.data?.map(template => (
+                  <option key={template._id} value={template._id}>
+                    {template.name}{template._id === suggestedTemplate?._id ? ' (suggested)' : ''}
+                  </option>
+                ))}
+              </select>
+              {suggestedTemplate && (
+                <small>Suggested for {suggestion.matchedDiagnoses?.join(', ')}</small>
+              )}
             </div>
-            <div className="grid grid-2">
-              <div className="form-group">
-                <label>Metric:</label>
-                <input name="goal1_metric" className="form-control" required />
+
+            {selectedTemplate ? (
+              <div style={{ marginBottom: '1rem' }}>
+                <h4>Goals from template</h4>
+                {selectedTemplate.goals?.map((goal, index) => (
+                  <p key={index}>{goal.title} - Target: {goal.target} {goal.metric}</p>
+                ))}
+                <h4>Activities from template</h4>
+                {selectedTemplate.activities?.map((activity, index) => (
+                  <p key={index}>{activity.name} - {activity.frequency}, {activity.duration}</p>
+                ))}
+                <small>You can adjust these after the plan is created.</small>
               </div>
+            ) : (
+              <>
+              <h4>Goals</h4>
               <div className="form-group">
-                <label>Target Value:</label>
-                <input name="goal1_target" type="number" className="form-control" required />
+                <label>Goal Title:</label>
+                <input name="goal1_title" className="form-control" required />
+              </div>
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label>Metric:</label>
+                  <input name="goal1_metric" className="form-control" required />
+                </div>
+                <div className="form-group">
+                  <label>Target Value:</label>
+                  <input name="goal1_target" type="number" className="form-control" required />
+                </div>
               </div>
-            </div>
 
-            <h4>Activities</h4>
-            <div className="form-group">
-              <label>Activity Name:</label>
-              <input name="activity1_name" className="form-control" required />
-            </div>
-            <div className="grid grid-2">
+              <h4>Activities</h4>
               <div className="form-group">
-                <label>Frequency:</label>
-                <select name="activity1_frequency" className="form-control" required>
-                  <option value="">Select frequency...</option>
-                  <option value="daily">Daily</option>
-                  <option value="weekly">Weekly</option>
-                  <option value="bi-weekly">Bi-weekly</option>
-                </select>
+                <label>Activity Name:</label>
+                <input name="activity1_name" className="form-control" required />
               </div>
-              <div className="form-group">
-                <label>Duration:</label>
-                <input name="activity1_duration" className="form-control" placeholder="e.g., 30 minutes" required />
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label>Frequency:</label>
+                  <select name="activity1_frequency" className="form-control" required>
+                    <option value="">Select frequency...</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="bi-weekly">Bi-weekly</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Duration:</label>
+                  <input name="activity1_duration" className="form-control" placeholder="e.g., 30 minutes" required />
+                </div>
               </div>
-            </div>
+              </>
+            )}
 
             <div className="form-group">
               <label>Notes:</label>
               <textarea name="notes" className="form-control" rows="3"></textarea>
             </div>
 
+            <AttachmentInput id="plan-attachments" files={planFiles} onChange={setPlanFiles} />
+
             <button type="submit" className="btn btn-success" disabled={createPlanMutation.isPending}>
               {createPlanMutation.isPending ? 'Creating...' : 'Create Plan'}
             </button>
@@ -316,7 +406,7 @@ const TherapyPlans = () => {
                   </td>
                   <td>{new Date(plan.createdAt).toLocaleDateString()}</td>
                   <td>
-                    {plan.status === 'draft' && userRole === 'therapist' && (
+                    {EDITABLE_STATUSES.includes(plan.status) && userRole === 'therapist' && (
                       <>
                         <button
                           className="btn btn-secondary"
@@ -334,7 +424,7 @@ const TherapyPlans = () => {
                         </button>
                       </>
                     )}
-                    {plan.status === 'submitted' && userRole === 'supervisor' && (
+                    {plan.status === 'submitted' && ['supervisor', 'admin'].includes(userRole) && (
                       <button
                         className="btn btn-secondary"
                         onClick={() => setSelectedPlan(plan)}
@@ -353,6 +443,11 @@ const TherapyPlans = () => {
       {editingPlan && (
         <div className="form-section">
           <h3>Edit Plan for {editingPlan.patient?.name}</h3>
+          {editingPlan.status === 'needs_revision' && editingPlan.supervisorComments && (
+            <div className="alert info" style={{ marginBottom: '1rem' }}>
+              <strong>Revision requested:</strong> {editingPlan.supervisorComments}
+            </div>
+          )}
           <form onSubmit={handleEditSubmit}>
             <h4>Goals</h4>
             {editForm.goals.map((g, i) => (
@@ -426,6 +521,9 @@ const TherapyPlans = () => {
               <button type="button" className="btn btn-secondary" onClick={() => setEditingPlan(null)}>Cancel</button>
             </div>
           </form>
+          {/* Outside the edit form so the comment form is not nested in it */}
+          <PlanCommentThreads plan={editingPlan} canReview={false} />
+          <AttachmentPanel entityType="TherapyPlan" entityId={editingPlan._id} />
         </div>
       )}
 
@@ -450,6 +548,9 @@ const TherapyPlans = () => {
               <p>{selectedPlan.notes}</p>
             </div>
           )}
+          <PlanVersionDiff planId={selectedPlan._id} />
+          <PlanCommentThreads plan={selectedPlan} canReview />
+          <AttachmentPanel entityType="TherapyPlan" entityId={selectedPlan._id} />
           <div className="form-group">
             <label>Comments:</label>
             <textarea
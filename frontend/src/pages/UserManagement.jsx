@@ -32,12 +32,27 @@ const UserManagement = () => {
     },
   });
 
-  // Toggle user status mutation
+  // Toggle user status mutation (deactivating a therapist proposes a caseload handover)
   const toggleStatusMutation = useMutation({
-    mutationFn: ({ userId, active }) => apiPatch(`/api/users/${userId}/status`, { active }),
-    onSuccess: () => {
+    mutationFn: ({ userId, active }) => apiPatch(`/api/users/${userId}`, { active }),
+    onSuccess: (res) => {
       queryClient.invalidateQueries(['users']);
-      alert('User status updated successfully!');
+      queryClient.invalidateQueries(['caseload-transfers']);
+      alert(res?.transfer
+        ? `User deactivated. ${res.message} — approve the handover on the Patient Allocation page.`
+        : 'User status updated successfully!');
+    },
+  });
+
+  // Start leave mutation: proposes cover for the therapist's patients until the leave ends
+  const startLeaveMutation = useMutation({
+    mutationFn: (leave) => apiPost('/api/caseload-transfers', { ...leave, reason: 'leave' }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['caseload-transfers']);
+      alert(`Leave started. ${res?.message || ''}`);
+    },
+    onError: (error) => {
+      alert(`Starting leave failed: ${error.message}`);
     },
   });
 
@@ -49,10 +64,23 @@ const UserManagement = () => {
       name: formData.get('name'),
       role: formData.get('role'),
       specialties: formData.get('specialties').split(',').map(s => s.trim()).filter(s => s),
+      languages: formData.get('languages').split(',').map(s => s.trim()).filter(s => s),
+      ...(formData.get('gender') ? { gender: formData.get('gender') } : {}),
     };
     inviteUserMutation.mutate(userData);
   };
 
+  const handleStartLeave = (event) => {
+    event.preventDefault();
+    const formData = new FormData(event.target);
+    const leaveEnd = formData.get('leaveEnd');
+    startLeaveMutation.mutate({
+      therapistId: selectedUser._id,
+      ...(leaveEnd ? { leaveEnd: new Date(leaveEnd).toISOString() } : {}),
+      ...(formData.get('note') ? { note: formData.get('note') } : {}),
+    });
+  };
+
   const handleRoleChange = (userId, newRole) => {
     if (confirm(`Are you sure you want to change this user's role to ${newRole}?`)) {
       updateRoleMutation.mutate({ userId, role: newRole });
@@ -114,6 +142,23 @@ const UserManagement = () => {
               />
             </div>
 
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label>Spoken Languages (comma-separated):</label>
+                <input name="languages" className="form-control" placeholder="e.g., English, Spanish" />
+              </div>
+              <div className="form-group">
+                <label>Gender (used for patient preferences):</label>
+                <select name="gender" className="form-control">
+                  <option value="">Not specified</option>
+                  <option value="female">Female</option>
+                  <option value="male">Male</option>
+                  <option value="nonbinary">Nonbinary</option>
+                  <option value="undisclosed">Prefer not to say</option>
+                </select>
+              </div>
+            </div>
+
             <button type="submit" className="btn btn-success" disabled={inviteUserMutation.isPending}>
               {inviteUserMutation.isPending ? 'Sending Invitation...' : 'Send Invitation'}
             </button>
@@ -237,6 +282,30 @@ const UserManagement = () => {
             </div>
           )}
 
+          {selectedUser.role === 'therapist' && selectedUser.active && (
+            <div style={{ marginTop: '1rem' }}>
+              <h4>Start Leave</h4>
+              <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                Active patients are proposed to colleagues for supervisor approval and handed back when the leave ends.
+              </p>
+              <form onSubmit={handleStartLeave}>
+                <div className="grid grid-2">
+                  <div className="form-group">
+                    <label>Returns On (leave empty if unknown):</label>
+                    <input name="leaveEnd" type="date" className="form-control" />
+                  </div>
+                  <div className="form-group">
+                    <label>Note:</label>
+                    <input name="note" className="form-control" maxLength={1000} />
+                  </div>
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={startLeaveMutation.isPending}>
+                  Start Leave
+                </button>
+              </form>
+            </div>
+          )}
+
           <div style={{ marginTop: '1rem' }}>
             <h4>Recent Activity</h4>
             <ul style={{ listStyle: 'none', padding: 0 }}>
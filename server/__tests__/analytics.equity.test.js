@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import analyticsService from '../src/services/analyticsService.js';
+
+test('GET /api/analytics/equity -> 403 for therapist role', async () => {
+  const res = await request(app).get('/api/analytics/equity').set('x-test-role', 'therapist');
+  assert.equal(res.status, 403);
+});
+
+test('Gini coefficient is 0 for an even spread and grows with concentration', () => {
+  assert.equal(analyticsService.giniCoefficient([4, 4, 4, 4]), 0);
+  assert.equal(analyticsService.giniCoefficient([0, 0, 0]), 0);
+  assert.equal(analyticsService.giniCoefficient([5]), 0);
+  assert.equal(analyticsService.giniCoefficient([0, 0, 0, 8]), 0.75);
+  const skewed = analyticsService.giniCoefficient([1, 2, 3, 10]);
+  assert.ok(skewed > 0.3 && skewed < 0.75);
+});
+
+test('formatCSV keeps zero counts and escapes quotes', () => {
+  const csv = analyticsService.formatCSV(
+    [{ name: 'Dr. "Sam" Lee', overrides: 0 }],
+    ['Therapist Name', 'Overrides'],
+    ['name', 'overrides']
+  );
+  assert.equal(csv.split('\n')[1], '"Dr. ""Sam"" Lee",0');
+});
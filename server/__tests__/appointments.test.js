@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import Patient from '../src/models/Patient.js';
+import {
+  occurrenceStarts,
+  expandOccurrences,
+  nextOccurrence,
+  sessionsPerWeek,
+  plannedPattern
+} from '../src/utils/recurrence.js';
+import { validateRecurrence } from '../src/services/appointmentService.js';
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+test('weekly series keeps its local time across a DST change', () => {
+  // 2025-03-03 is a Monday; New York moves to daylight time on 2025-03-09
+  const starts = occurrenceStarts({
+    start: '2025-03-03T22:00:00Z',
+    timeZone: 'America/New_York',
+    recurrence: { pattern: 'weekly', days: ['monday'], count: 3 }
+  });
+  assert.deepEqual(iso(starts), ['2025-03-03T22:00:00.000Z', '2025-03-10T21:00:00.000Z', '2025-03-17T21:00:00.000Z']);
+});
+
+test('twice-weekly series runs to its inclusive end date', () => {
+  const starts = occurrenceStarts({
+    start: '2025-03-03T09:00:00Z',
+    recurrence: { pattern: 'twice_weekly', days: ['monday', 'thursday'], until: '2025-03-13' }
+  });
+  assert.deepEqual(iso(starts), [
+    '2025-03-03T09:00:00.000Z',
+    '2025-03-06T09:00:00.000Z',
+    '2025-03-10T09:00:00.000Z',
+    '2025-03-13T09:00:00.000Z'
+  ]);
+  assert.equal(occurrenceStarts({ start: '2025-03-03T09:00:00Z' }).length, 1);
+});
+
+test('exceptions, documented sessions and series cancellation apply per occurrence', () => {
+  const appointment = {
+    _id: 'a1',
+    start: new Date('2025-03-03T09:00:00Z'),
+    durationMin: 45,
+    recurrence: { pattern: 'weekly', days: ['monday'], count: 4 },
+    exceptions: [
+      { occurrence: new Date('2025-03-10T09:00:00Z'), cancelled: true },
+      { occurrence: new Date('2025-03-17T09:00:00Z'), start: new Date('2025-03-18T14:00:00Z') }
+    ],
+    documented: [{ occurrence: new Date('2025-03-03T09:00:00Z'), session: 's1' }],
+    status: 'cancelled',
+    cancelledAt: new Date('2025-03-20T00:00:00Z')
+  };
+  const occurrences = expandOccurrences(appointment);
+  assert.deepEqual(occurrences.map(o => o.status), ['documented', 'cancelled', 'scheduled', 'cancelled']);
+  assert.equal(occurrences[0].session, 's1');
+  assert.equal(occurrences[2].start.toISOString(), '2025-03-18T14:00:00.000Z');
+  assert.equal(occurrences[2].end.toISOString(), '2025-03-18T14:45:00.000Z');
+
+  const window = expandOccurrences(appointment, { from: '2025-03-09', to: '2025-03-19' });
+  assert.equal(window.length, 2);
+});
+
+test('next appointment is the earliest scheduled occurrence still to come', () => {
+  const weekly = {
+    start: new Date('2025-03-03T09:00:00Z'),
+    recurrence: { pattern: 'weekly', days: ['monday'], count: 4 },
+    exceptions: [{ occurrence: new Date('2025-03-10T09:00:00Z'), cancelled: true }]
+  };
+  const single = { start: new Date('2025-03-12T15:00:00Z') };
+  assert.equal(nextOccurrence([weekly, single], new Date('2025-03-05')).toISOString(), '2025-03-12T15:00:00.000Z');
+  assert.equal(nextOccurrence([weekly], new Date('2025-03-13')).toISOString(), '2025-03-17T09:00:00.000Z');
+  assert.equal(nextOccurrence([weekly, single], new Date('2025-04-01')), null);
+});
+
+test('planned frequency comes from the most frequent plan activity', () => {
+  assert.equal(sessionsPerWeek('Weekly'), 1);
+  assert.equal(sessionsPerWeek('2x per week'), 2);
+  assert.equal(sessionsPerWeek('3 times a week'), 3);
+  assert.equal(sessionsPerWeek('twice a week'), 2);
+  assert.equal(sessionsPerWeek('as needed'), null);
+  assert.deepEqual(plannedPattern([{ frequency: 'Weekly' }, { frequency: '2x per week' }]), { sessionsPerWeek: 2, pattern: 'twice_weekly' });
+  assert.deepEqual(plannedPattern([{ frequency: 'once a week' }]), { sessionsPerWeek: 1, pattern: 'weekly' });
+  assert.equal(plannedPattern([{ frequency: 'as needed' }]), null);
+});
+
+test('recurring series need matching days and an end', () => {
+  const start = '2025-03-03T09:00:00Z';
+  assert.throws(() => validateRecurrence({ start, recurrence: { pattern: 'weekly', days: ['monday'] } }), /end date or an occurrence count/);
+  assert.throws(() => validateRecurrence({ start, recurrence: { pattern: 'twice_weekly', days: ['monday'], count: 4 } }), /needs 2 different day/);
+  assert.throws(() => validateRecurrence({ start, recurrence: { pattern: 'weekly', days: ['tuesday'], count: 4 } }), /must fall on one of the recurrence days/);
+  assert.doesNotThrow(() => validateRecurrence({ start, recurrence: { pattern: 'weekly', days: ['monday'], until: '2025-06-30' } }));
+  assert.doesNotThrow(() => validateRecurrence({ start }));
+});
+
+test('GET /api/appointments -> empty list when DB is skipped', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/appointments').set('x-test-role', 'therapist');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, []);
+});
+
+test('POST /api/appointments -> 422 for an unknown recurrence pattern', async () => {
+  const res = await request(app)
+    .post('/api/appointments')
+    .set('x-test-role', 'therapist')
+    .send({ patient: '64b000000000000000000001', start: '2025-03-03T09:00:00Z', recurrence: { pattern: 'monthly', count: 3 } });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/appointments -> 403 when a therapist books for someone else', async () => {
+  const original = Patient.findById;
+  Patient.findById = () => ({ select: () => ({ lean: async () => ({ _id: 'p1', assignedTherapist: '64b0000000000000000000aa' }) }) });
+  try {
+    const res = await request(app)
+      .post('/api/appointments')
+      .set('x-test-role', 'therapist')
+      .send({ patient: '64b000000000000000000001', therapist: '64b0000000000000000000aa', start: '2025-03-03T09:00:00Z' });
+    assert.equal(res.status, 403);
+  } finally {
+    Patient.findById = original;
+  }
+});
+
+test('POST /api/appointments/:id/session -> 403 for supervisors', async () => {
+  const res = await request(app)
+    .post('/api/appointments/64b000000000000000000001/session')
+    .set('x-test-role', 'supervisor')
+    .send({ occurrence: '2025-03-03T09:00:00Z' });
+  assert.equal(res.status, 403);
+});
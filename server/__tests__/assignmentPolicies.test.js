@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import assignmentService, { DEFAULT_POLICY } from '../src/services/assignmentService.js';
+
+const therapist = { specialties: [], availability: { weeklySlots: 12 }, yearsExperience: 0 };
+const patient = { tags: [], diagnoses: [] };
+
+test('default policy keeps the original 40/25/25/10 weighting', async () => {
+  const { breakdown, total } = await assignmentService.calculateTherapistScore(patient, therapist, { policy: DEFAULT_POLICY, caseload: 12 });
+  assert.equal(breakdown.specialtyMatch, 50 * 0.4);
+  assert.equal(breakdown.availability, 40 * 0.25);
+  assert.equal(breakdown.caseload, 100 * 0.25);
+  assert.equal(breakdown.experience, 0);
+  assert.equal(total, 20 + 10 + 25);
+});
+
+test('custom policy bands and disabled criteria change the score', async () => {
+  const policy = {
+    ...DEFAULT_POLICY,
+    enabledCriteria: ['caseload'],
+    caseloadBands: [{ min: 8, score: 30 }, { min: 0, score: 100 }],
+  };
+  const { breakdown, total } = await assignmentService.calculateTherapistScore(patient, therapist, { policy, caseload: 12 });
+  assert.equal(breakdown.specialtyMatch, 0);
+  assert.equal(breakdown.caseload, 30);
+  assert.equal(total, 30);
+});
+
+test('policy fullOverlapMinutes sets the overlap that earns a full availability score', () => {
+  assert.equal(assignmentService.calculateAvailabilityScore(therapist, DEFAULT_POLICY, 90), 50);
+  const policy = { ...DEFAULT_POLICY, fullOverlapMinutes: 60 };
+  assert.equal(assignmentService.calculateAvailabilityScore(therapist, policy, 30), 50);
+  assert.equal(assignmentService.calculateAvailabilityScore(therapist, policy, 90), 100);
+});
+
+test('POST /api/assignment-policies -> 422 when fullOverlapMinutes is below 15', async () => {
+  const res = await request(app)
+    .post('/api/assignment-policies')
+    .set('x-test-role', 'admin')
+    .send({ name: 'Clinic', fullOverlapMinutes: 5 })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('GET /api/assignment-policies/active returns built-in default with SKIP_DB=true', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/assignment-policies/active').set('x-test-role', 'supervisor');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.builtIn, true);
+  assert.equal(res.body.data.version, 0);
+});
+
+test('POST /api/assignment-policies -> 422 when bands do not start at 0', async () => {
+  const res = await request(app)
+    .post('/api/assignment-policies')
+    .set('x-test-role', 'admin')
+    .send({ name: 'Clinic', caseloadBands: [{ min: 5, score: 100 }] })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/assignment-policies -> 403 for supervisor role', async () => {
+  const res = await request(app)
+    .post('/api/assignment-policies')
+    .set('x-test-role', 'supervisor')
+    .send({ name: 'Clinic' })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 403);
+});
+
+test('GET /api/assignment-policies/:id -> 404 for a malformed id', async () => {
+  const res = await request(app).get('/api/assignment-policies/not-an-id').set('x-test-role', 'supervisor');
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, 'Assignment policy not found');
+});
+
+test('POST /api/assignment-policies/:id/activate -> 404 for a malformed id', async () => {
+  const res = await request(app).post('/api/assignment-policies/not-an-id/activate').set('x-test-role', 'admin');
+  assert.equal(res.status, 404);
+});
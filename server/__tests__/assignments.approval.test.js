@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+
+const assignmentId = '64b7f0000000000000000042';
+
+test('GET /api/assignments/pending -> 200 stub queue with SKIP_DB=true', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/assignments/pending').set('x-test-role', 'supervisor');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, []);
+});
+
+test('GET /api/assignments/pending -> 403 for therapist role', async () => {
+  const res = await request(app).get('/api/assignments/pending').set('x-test-role', 'therapist');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/assignments/:id/approve -> 403 for therapist role', async () => {
+  const res = await request(app)
+    .post(`/api/assignments/${assignmentId}/approve`)
+    .set('x-test-role', 'therapist')
+    .send({})
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/assignments/:id/reject -> 422 without a reason', async () => {
+  const res = await request(app)
+    .post(`/api/assignments/${assignmentId}/reject`)
+    .set('x-test-role', 'supervisor')
+    .send({})
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/assignments/:id/override -> 422 on invalid therapist id', async () => {
+  const res = await request(app)
+    .post(`/api/assignments/${assignmentId}/override`)
+    .set('x-test-role', 'supervisor')
+    .send({ therapistId: 'nope', reason: 'Family request' })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/assignments/:id/{approve,override,reject} -> 404 for a malformed id', async () => {
+  const bodies = {
+    approve: {},
+    override: { therapistId: '64b7f00000000000000000b1', reason: 'Family request' },
+    reject: { reason: 'Not a fit' }
+  };
+  for (const [action, body] of Object.entries(bodies)) {
+    const res = await request(app)
+      .post(`/api/assignments/not-an-id/${action}`)
+      .set('x-test-role', 'supervisor')
+      .send(body)
+      .set('Content-Type', 'application/json');
+    assert.equal(res.status, 404, action);
+    assert.equal(res.body.error, 'Assignment not found');
+  }
+});
@@ -0,0 +1,182 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import Assignment from '../src/models/Assignment.js';
+import AuditLog from '../src/models/AuditLog.js';
+import Patient from '../src/models/Patient.js';
+import User from '../src/models/User.js';
+import { optimizeAssignments } from '../src/services/assignmentOptimizer.js';
+import assignmentService from '../src/services/assignmentService.js';
+import eventBus from '../src/services/eventBus.js';
+
+test('optimizeAssignments maximizes the total score instead of greedy first-pick', () => {
+  // Greedy would give patient 0 therapist 0 (90) and leave patient 1 with 10 -> 100.
+  // Optimal is 80 + 85 = 165.
+  const scores = [
+    [90, 80],
+    [85, 10],
+  ];
+  const { assignments, totalScore } = optimizeAssignments(scores, [1, 1]);
+  assert.deepEqual(assignments, [1, 0]);
+  assert.equal(totalScore, 165);
+});
+
+test('optimizeAssignments respects capacity and leaves overflow unassigned', () => {
+  const scores = [
+    [50],
+    [60],
+    [70],
+  ];
+  const { assignments, totalScore } = optimizeAssignments(scores, [2]);
+  assert.equal(assignments.filter(a => a === 0).length, 2);
+  assert.equal(assignments[0], null);
+  assert.equal(totalScore, 130);
+});
+
+test('optimizeAssignments never uses non-positive scores', () => {
+  const { assignments } = optimizeAssignments([[0, -5]], [3, 3]);
+  assert.deepEqual(assignments, [null]);
+});
+
+test('POST /api/assignments/auto-assign/batch -> 422 without patientIds or allUnassigned', async () => {
+  const res = await request(app)
+    .post('/api/assignments/auto-assign/batch')
+    .send({})
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/assignments/auto-assign/batch/commit -> 403 for therapist role', async () => {
+  const res = await request(app)
+    .post('/api/assignments/auto-assign/batch/commit')
+    .set('x-test-role', 'therapist')
+    .send({ items: [{ patientId: '64b8aa4f3f4d2f0012345678', therapistId: '64b8aa4f3f4d2f0012345679' }] })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 403);
+});
+
+const PATIENT_A = '64b8aa4f3f4d2f00123456a1';
+const PATIENT_B = '64b8aa4f3f4d2f00123456a2';
+const THERAPIST = '64b8aa4f3f4d2f00123456b1';
+const PREVIOUS = '64b8aa4f3f4d2f00123456b9';
+
+// Stub everything commitBatchAssignment reads; returns the writes it makes and a restore function
+function stubBatchCommit({ failPatientWrite = false } = {}) {
+  const originals = {
+    getActivePolicy: assignmentService.getActivePolicy,
+    getCaseloadCounts: assignmentService.getCaseloadCounts,
+    getBookedIntervals: assignmentService.getBookedIntervals,
+    getPreviousTherapists: assignmentService.getPreviousTherapists,
+    calculateTherapistScore: assignmentService.calculateTherapistScore,
+    patientFind: Patient.find,
+    patientBulkWrite: Patient.bulkWrite,
+    userFind: User.find,
+    insertMany: Assignment.insertMany,
+    deleteMany: Assignment.deleteMany,
+    updateMany: Assignment.updateMany,
+    populate: Assignment.populate,
+    logAction: AuditLog.logAction,
+    publish: eventBus.publish
+  };
+  const writes = { inserted: [], patientWrites: [], deleted: [], superseded: [], audits: [] };
+  assignmentService.getActivePolicy = async () => ({ _id: 'pol1', version: 2, maxCaseload: 10 });
+  assignmentService.getCaseloadCounts = async () => new Map();
+  assignmentService.getBookedIntervals = async () => new Map();
+  assignmentService.getPreviousTherapists = async () => new Map();
+  assignmentService.calculateTherapistScore = async () => ({ total: 80, breakdown: { specialtyMatch: 90 }, constraints: [] });
+  Patient.find = async () => [
+    { _id: PATIENT_A, name: 'Alice', diagnoses: ['anxiety'], assignedTherapist: PREVIOUS, supervisor: 'sup0' },
+    { _id: PATIENT_B, name: 'Bob', diagnoses: ['anxiety'] }
+  ];
+  User.find = async () => [{ _id: THERAPIST, name: 'Dr. Batch', role: 'therapist', active: true, isOnLeave: () => false }];
+  Assignment.insertMany = async (docs) => { writes.inserted.push(...docs); return docs.map((d, i) => ({ _id: `a${i}`, ...d })); };
+  Assignment.deleteMany = async (filter) => { writes.deleted.push(filter); };
+  Assignment.updateMany = async (filter, update) => { writes.superseded.push({ filter, update }); };
+  Assignment.populate = async (docs) => docs;
+  let patientCalls = 0;
+  Patient.bulkWrite = async (ops) => {
+    writes.patientWrites.push(ops);
+    if (failPatientWrite && patientCalls++ === 0) throw new Error('write conflict');
+  };
+  AuditLog.logAction = async (...args) => { writes.audits.push(args); };
+  eventBus.publish = () => {};
+
+  const restore = () => {
+    assignmentService.getActivePolicy = originals.getActivePolicy;
+    assignmentService.getCaseloadCounts = originals.getCaseloadCounts;
+    assignmentService.getBookedIntervals = originals.getBookedIntervals;
+    assignmentService.getPreviousTherapists = originals.getPreviousTherapists;
+    assignmentService.calculateTherapistScore = originals.calculateTherapistScore;
+    Patient.find = originals.patientFind;
+    Patient.bulkWrite = originals.patientBulkWrite;
+    User.find = originals.userFind;
+    Assignment.insertMany = originals.insertMany;
+    Assignment.deleteMany = originals.deleteMany;
+    Assignment.updateMany = originals.updateMany;
+    Assignment.populate = originals.populate;
+    AuditLog.logAction = originals.logAction;
+    eventBus.publish = originals.publish;
+  };
+  return { writes, restore };
+}
+
+const batchItems = [{ patientId: PATIENT_A, therapistId: THERAPIST }, { patientId: PATIENT_B, therapistId: THERAPIST }];
+
+test('POST /api/assignments/auto-assign/batch/commit -> writes assignments and moves patients without a transaction', async () => {
+  const { writes, restore } = stubBatchCommit();
+  try {
+    const res = await request(app)
+      .post('/api/assignments/auto-assign/batch/commit')
+      .set('x-test-role', 'supervisor')
+      .send({ items: batchItems });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.assignments.length, 2);
+    assert.equal(writes.inserted.length, 2);
+    assert.equal(new Set(writes.inserted.map(d => d.batchId)).size, 1);
+    assert.deepEqual(writes.patientWrites[0].map(op => op.updateOne.filter._id), [PATIENT_A, PATIENT_B]);
+    assert.equal(writes.deleted.length, 0);
+    assert.equal(writes.audits.length, 2);
+  } finally {
+    restore();
+  }
+});
+
+test('batch commit removes its assignments and moves patients back when a write fails', async () => {
+  const { writes, restore } = stubBatchCommit({ failPatientWrite: true });
+  try {
+    await assert.rejects(assignmentService.commitBatchAssignment(batchItems, 'sup1'), /write conflict/);
+    assert.deepEqual(writes.deleted, [{ batchId: writes.inserted[0].batchId }]);
+    const undo = writes.patientWrites[1].map(op => op.updateOne);
+    assert.deepEqual(undo[0].filter, { _id: PATIENT_A, assignedTherapist: THERAPIST });
+    assert.deepEqual(undo[0].update, { assignedTherapist: PREVIOUS, supervisor: 'sup0' });
+    assert.deepEqual(undo[1].update, { assignedTherapist: null, supervisor: null });
+    assert.equal(writes.audits.length, 0);
+    assert.equal(writes.superseded.length, 0);
+  } finally {
+    restore();
+  }
+});
+
+test('batch commit records every assignment as approved by the committing supervisor', async () => {
+  const { writes, restore } = stubBatchCommit();
+  try {
+    await assignmentService.commitBatchAssignment(batchItems, 'sup1', { reason: 'Spring intake' });
+    for (const doc of writes.inserted) {
+      assert.equal(doc.status, 'approved');
+      assert.equal(doc.reviewedBy, 'sup1');
+      assert.ok(doc.reviewedAt instanceof Date);
+      assert.equal(doc.reviewNote, 'Spring intake');
+    }
+    const [{ filter, update }] = writes.superseded;
+    assert.deepEqual(filter, { patient: { $in: [PATIENT_A, PATIENT_B] }, status: 'pending' });
+    assert.equal(update.status, 'rejected');
+    assert.equal(update.reviewedBy, 'sup1');
+    const [actor, action, , , meta] = writes.audits[0];
+    assert.equal(actor, 'sup1');
+    assert.equal(action, 'reassign_patient');
+    assert.equal(meta.reason, 'Approved in batch allocation plan: Spring intake');
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import assignmentService, { DEFAULT_POLICY } from '../src/services/assignmentService.js';
+
+const context = { policy: DEFAULT_POLICY, caseload: 12, bookedIntervals: [] };
+const base = { specialties: [], availability: { weeklySlots: 12 }, yearsExperience: 0 };
+const ana = { ...base, _id: 'a1', name: 'Dr. Ana', languages: ['spanish', 'english'], gender: 'female' };
+const ben = { ...base, _id: 'b1', name: 'Dr. Ben', languages: ['english'], gender: 'male' };
+
+test('excluded therapist is never eligible', async () => {
+  const patient = { tags: [], diagnoses: [], therapistPreferences: { excludedTherapists: ['a1'] } };
+  const excluded = await assignmentService.calculateTherapistScore(patient, ana, context);
+  const other = await assignmentService.calculateTherapistScore(patient, ben, context);
+  assert.equal(excluded.total, 0);
+  assert.equal(other.constraints[0].satisfied, true);
+  assert.ok(other.total > 0);
+});
+
+test('required language is a hard constraint, preferred language a bonus', async () => {
+  const preferred = { tags: [], diagnoses: [], languages: ['Spanish'] };
+  const required = { ...preferred, therapistPreferences: { languageRequired: true } };
+
+  const anaPreferred = await assignmentService.calculateTherapistScore(preferred, ana, context);
+  const benPreferred = await assignmentService.calculateTherapistScore(preferred, ben, context);
+  const benRequired = await assignmentService.calculateTherapistScore(required, ben, context);
+
+  assert.equal(anaPreferred.total - benPreferred.total, 10);
+  assert.ok(benPreferred.total > 0);
+  assert.equal(benRequired.total, 0);
+});
+
+test('continuity of care favours the previous therapist', async () => {
+  const patient = { tags: [], diagnoses: [] };
+  const previous = await assignmentService.calculateTherapistScore(patient, ben, { ...context, previousTherapistId: 'b1' });
+  const other = await assignmentService.calculateTherapistScore(patient, ana, { ...context, previousTherapistId: 'b1' });
+  assert.equal(previous.total - other.total, 15);
+});
+
+test('rationale lists applied and violated constraints', async () => {
+  const patient = { tags: [], diagnoses: [], therapistPreferences: { gender: 'female' } };
+  const score = await assignmentService.calculateTherapistScore(patient, ben, { ...context, previousTherapistId: 'a1' });
+  const rationale = assignmentService.generateRationale({ therapist: ben, ...score }, patient);
+  assert.match(rationale, /Continuity of care: previous therapist not selected \(preferred, violated\)/);
+  assert.match(rationale, /Does not match preferred therapist gender \(female\) \(preferred, violated\)/);
+});
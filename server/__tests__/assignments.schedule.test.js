@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import assignmentService, { DEFAULT_POLICY } from '../src/services/assignmentService.js';
+import { windowsToUtcIntervals, intersectIntervals, subtractIntervals, totalMinutes } from '../src/utils/schedule.js';
+
+const tuesdayEvening = {
+  tags: [],
+  diagnoses: [],
+  appointmentPreferences: { timeZone: 'UTC', windows: [{ day: 'tuesday', start: '17:00', end: '20:00' }] }
+};
+
+const busyWeekdays = {
+  specialties: [],
+  availability: {
+    weeklySlots: 40,
+    timeZone: 'UTC',
+    schedule: {
+      monday: { start: '09:00', end: '17:00' },
+      tuesday: { start: '09:00', end: '17:00' },
+      wednesday: { start: '09:00', end: '17:00' },
+      thursday: { start: '09:00', end: '17:00' },
+      friday: { start: '09:00', end: '17:00' }
+    }
+  }
+};
+
+const tuesdayLate = {
+  specialties: [],
+  availability: { weeklySlots: 10, timeZone: 'UTC', schedule: { tuesday: { start: '16:00', end: '21:00' } } }
+};
+
+test('therapist with many slots but no hours in the preferred window is not eligible', async () => {
+  const busy = await assignmentService.calculateTherapistScore(tuesdayEvening, busyWeekdays, { policy: DEFAULT_POLICY, caseload: 12, bookedIntervals: [] });
+  const late = await assignmentService.calculateTherapistScore(tuesdayEvening, tuesdayLate, { policy: DEFAULT_POLICY, caseload: 12, bookedIntervals: [] });
+  assert.equal(busy.overlapMinutes, 0);
+  assert.equal(busy.total, 0);
+  assert.equal(late.overlapMinutes, 180);
+  assert.equal(late.breakdown.availability, 100 * 0.25);
+  assert.ok(late.total > busy.total);
+});
+
+test('booked session time is removed from the overlap', async () => {
+  // Tuesday 18:00-19:00 UTC is already booked
+  const tuesday18 = 1 * 24 * 60 + 18 * 60;
+  const { overlapMinutes, breakdown } = await assignmentService.calculateTherapistScore(
+    tuesdayEvening, tuesdayLate, { policy: DEFAULT_POLICY, caseload: 12, bookedIntervals: [[tuesday18, tuesday18 + 60]] }
+  );
+  assert.equal(overlapMinutes, 120);
+  assert.ok(Math.abs(breakdown.availability - (120 / 180) * 100 * 0.25) < 1e-9);
+});
+
+test('windows are compared across time zones', () => {
+  // 17:00-20:00 in New York (winter, UTC-5) is 22:00-01:00 UTC and wraps into Wednesday
+  const at = new Date('2026-01-13T12:00:00Z');
+  const patient = windowsToUtcIntervals([{ day: 'tuesday', start: '17:00', end: '20:00' }], 'America/New_York', at);
+  const therapist = windowsToUtcIntervals([{ day: 'wednesday', start: '00:00', end: '02:00' }], 'UTC', at);
+  assert.deepEqual(patient, [[1 * 1440 + 22 * 60, 2 * 1440 + 60]]);
+  assert.equal(totalMinutes(intersectIntervals(patient, therapist)), 60);
+});
+
+test('Sunday night windows wrap to the start of the week', () => {
+  const intervals = windowsToUtcIntervals([{ day: 'monday', start: '00:00', end: '02:00' }], 'Europe/Berlin', new Date('2026-01-12T12:00:00Z'));
+  assert.deepEqual(intervals, [[0, 60], [7 * 1440 - 60, 7 * 1440]]);
+  assert.deepEqual(subtractIntervals(intervals, [[0, 30]]), [[30, 60], [7 * 1440 - 60, 7 * 1440]]);
+});
+
+test('scores fall back to weekly slots when the patient has no preferred times', async () => {
+  const { overlapMinutes, breakdown } = await assignmentService.calculateTherapistScore(
+    { tags: [], diagnoses: [] }, busyWeekdays, { policy: DEFAULT_POLICY, caseload: 12 }
+  );
+  assert.equal(overlapMinutes, null);
+  assert.equal(breakdown.availability, 100 * 0.25);
+});
+
+test('rationale mentions free hours in the preferred times', () => {
+  const rationale = assignmentService.generateRationale(
+    { therapist: { name: 'Dr. Late' }, breakdown: { specialtyMatch: 0, availability: 25, caseload: 0, experience: 0 }, overlapMinutes: 90 },
+    tuesdayEvening
+  );
+  assert.match(rationale, /1\.5 free hours per week within preferred appointment times/);
+});
+
+test('POST /api/patients -> 422 on invalid preferred window', async () => {
+  const res = await request(app)
+    .post('/api/patients')
+    .set('x-test-role', 'supervisor')
+    .send({
+      name: 'Pat',
+      dob: '2015-01-01',
+      contact: { email: 'pat@example.com' },
+      appointmentPreferences: { timeZone: 'Mars/Olympus', windows: [{ day: 'tuesday', start: '20:00', end: '17:00' }] }
+    })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+import app from '../src/app.js';
+import { LocalStorage } from '../src/services/attachmentStorage.js';
+import { parseSize, validateFile, isOnCareTeam } from '../src/services/attachmentService.js';
+
+const MB = 1024 * 1024;
+const pdf = (size = 100) => ({ originalname: 'report.pdf', mimetype: 'application/pdf', size, buffer: Buffer.from('%PDF-1.7 ...') });
+
+test('attachment size limits accept kb/mb/gb suffixes', () => {
+  assert.equal(parseSize('10mb'), 10 * MB);
+  assert.equal(parseSize('512KB'), 512 * 1024);
+  assert.equal(parseSize(2048), 2048);
+  assert.equal(parseSize('lots', 5), 5);
+});
+
+test('uploads are checked for type, extension, content and size', () => {
+  assert.doesNotThrow(() => validateFile(pdf(), MB));
+  assert.throws(() => validateFile({ ...pdf(), mimetype: 'application/x-msdownload', originalname: 'setup.exe' }, MB), /not allowed/);
+  assert.throws(() => validateFile({ ...pdf(), originalname: 'report.exe' }, MB), /extension does not match/);
+  assert.throws(() => validateFile({ originalname: 'scan.png', mimetype: 'image/png', size: 10, buffer: Buffer.from('<html>') }, MB), /does not match image\/png/);
+  assert.throws(() => validateFile(pdf(2 * MB), MB), /exceeds the 1 MB limit/);
+});
+
+test('attachment access is limited to the patient care team', () => {
+  const patient = { assignedTherapist: 'therapist1', supervisor: 'supervisor1' };
+  assert.equal(isOnCareTeam({ role: 'admin', userId: 'x' }, patient), true);
+  assert.equal(isOnCareTeam({ role: 'therapist', userId: 'therapist1' }, patient), true);
+  assert.equal(isOnCareTeam({ role: 'therapist', userId: 'covering' }, patient, 'covering'), true);
+  assert.equal(isOnCareTeam({ role: 'therapist', userId: 'other' }, patient, 'therapist1'), false);
+  assert.equal(isOnCareTeam({ role: 'supervisor', userId: 'supervisor1' }, patient), true);
+  assert.equal(isOnCareTeam({ role: 'supervisor', userId: 'supervisor2' }, patient), false);
+  assert.equal(isOnCareTeam({ role: 'supervisor', userId: 'supervisor2' }, { assignedTherapist: 'therapist1' }), true);
+});
+
+test('local storage round-trips files and keeps keys inside the upload root', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+  try {
+    const storage = new LocalStorage(root);
+    await storage.put('session/abc/file.txt', Buffer.from('hello'));
+    const chunks = [];
+    for await (const chunk of await storage.createReadStream('session/abc/file.txt')) chunks.push(chunk);
+    assert.equal(Buffer.concat(chunks).toString(), 'hello');
+    await storage.remove('session/abc/file.txt');
+    await assert.rejects(storage.createReadStream('session/abc/file.txt'), { code: 'ENOENT' });
+    assert.throws(() => storage.resolve('../outside.txt'), /Invalid storage key/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('POST /api/attachments -> 422 without a target entity', async () => {
+  const res = await request(app)
+    .post('/api/attachments')
+    .set('x-test-role', 'therapist')
+    .attach('file', Buffer.from('%PDF-1.7'), { filename: 'report.pdf', contentType: 'application/pdf' });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/attachments -> 413 when the file is over MAX_FILE_SIZE', async () => {
+  const OLD = process.env.MAX_FILE_SIZE;
+  process.env.MAX_FILE_SIZE = '1kb';
+  const res = await request(app)
+    .post('/api/attachments')
+    .set('x-test-role', 'therapist')
+    .field('entityType', 'Session')
+    .field('entityId', '64b7f0000000000000000001')
+    .attach('file', Buffer.alloc(4096, 'a'), { filename: 'notes.txt', contentType: 'text/plain' });
+  process.env.MAX_FILE_SIZE = OLD;
+  assert.equal(res.status, 413);
+});
+
+test('GET /api/attachments -> 422 for an unknown entity type', async () => {
+  const res = await request(app)
+    .get('/api/attachments?entityType=Patient&entityId=64b7f0000000000000000001')
+    .set('x-test-role', 'therapist');
+  assert.equal(res.status, 422);
+});
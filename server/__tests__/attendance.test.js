@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import AttendanceFlag from '../src/models/AttendanceFlag.js';
+import AttendanceRule from '../src/models/AttendanceRule.js';
+import AuditLog from '../src/models/AuditLog.js';
+import Patient from '../src/models/Patient.js';
+import Session from '../src/models/Session.js';
+import analyticsService from '../src/services/analyticsService.js';
+import attendanceService, { triggeredRule } from '../src/services/attendanceService.js';
+import conflictService from '../src/services/conflictService.js';
+import eventBus from '../src/services/eventBus.js';
+import notificationService from '../src/services/notificationService.js';
+import { attendanceError } from '../src/utils/attendance.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-30T12:00:00Z');
+const daysAgo = (n) => new Date(now.getTime() - n * DAY_MS);
+
+test('cancellations and no-shows need a reason code that belongs to their status', () => {
+  assert.equal(attendanceError({ status: 'attended' }), null);
+  assert.equal(attendanceError({ status: 'late', minutesLate: 10 }), null);
+  assert.equal(attendanceError({ status: 'no_show', reason: 'forgot' }), null);
+  assert.match(attendanceError({ status: 'no_show' }), /reason is required/);
+  assert.match(attendanceError({ status: 'cancelled_clinic', reason: 'forgot' }), /Reason must be one of/);
+  assert.match(attendanceError({ status: 'cancelled_patient', reason: 'illness', minutesLate: 5 }), /late arrivals/);
+});
+
+test('no-show rules count within their window; a pausing rule wins when several fire', () => {
+  const flagOnly = { name: 'Flag', noShowThreshold: 2, windowDays: 30, pauseCase: false };
+  const pause = { name: 'Pause', noShowThreshold: 3, windowDays: 60, pauseCase: true };
+  const dates = [daysAgo(5), daysAgo(20), daysAgo(45)];
+
+  assert.deepEqual(triggeredRule(dates, [flagOnly, pause], now), { rule: pause, noShowCount: 3 });
+  assert.deepEqual(triggeredRule(dates.slice(0, 2), [flagOnly, pause], now), { rule: flagOnly, noShowCount: 2 });
+  assert.equal(triggeredRule([daysAgo(5), daysAgo(40)], [flagOnly], now), null);
+});
+
+test('a patient reaching a pausing rule is flagged, paused and brought to their supervisor', async () => {
+  const originals = {
+    flagExists: AttendanceFlag.exists,
+    flagCreate: AttendanceFlag.create,
+    ruleExists: AttendanceRule.exists,
+    ruleFind: AttendanceRule.find,
+    sessionFind: Session.find,
+    patientFindById: Patient.findById,
+    patientUpdateOne: Patient.updateOne,
+    logAction: AuditLog.logAction,
+    notify: notificationService.notifyAttendanceFlag
+  };
+  const calls = { updates: [], audits: [], notified: [] };
+  AttendanceFlag.exists = async () => null;
+  AttendanceFlag.create = async (data) => ({ _id: 'f1', ...data });
+  AttendanceRule.exists = async () => ({ _id: 'r1' });
+  AttendanceRule.find = () => ({ lean: async () => [{ _id: 'r1', name: 'Pause after 2', noShowThreshold: 2, windowDays: 30, pauseCase: true }] });
+  Session.find = () => ({ select: () => ({ sort: () => ({ lean: async () => [{ _id: 's2', date: daysAgo(2) }, { _id: 's1', date: daysAgo(9) }] }) }) });
+  Patient.findById = () => ({ select: () => ({ lean: async () => ({ _id: 'p1', name: 'Alice Carter', caseStatus: 'active', supervisor: 'sup1' }) }) });
+  Patient.updateOne = async (...args) => { calls.updates.push(args); };
+  AuditLog.logAction = async (...args) => { calls.audits.push(args); };
+  notificationService.notifyAttendanceFlag = async (...args) => { calls.notified.push(args); };
+  try {
+    const flag = await attendanceService.checkPatient('p1', { actorId: 'u1', now });
+    assert.equal(flag.noShowCount, 2);
+    assert.equal(flag.casePaused, true);
+    assert.deepEqual(flag.sessions, ['s2', 's1']);
+    assert.deepEqual(calls.updates[0], [{ _id: 'p1' }, { caseStatus: 'paused' }]);
+    assert.equal(calls.audits[0][4].after.caseStatus, 'paused');
+    assert.equal(calls.notified[0][0], 'sup1');
+    assert.equal(calls.notified[0][3].casePaused, true);
+  } finally {
+    AttendanceFlag.exists = originals.flagExists;
+    AttendanceFlag.create = originals.flagCreate;
+    AttendanceRule.exists = originals.ruleExists;
+    AttendanceRule.find = originals.ruleFind;
+    Session.find = originals.sessionFind;
+    Patient.findById = originals.patientFindById;
+    Patient.updateOne = originals.patientUpdateOne;
+    AuditLog.logAction = originals.logAction;
+    notificationService.notifyAttendanceFlag = originals.notify;
+  }
+});
+
+test('session analytics report no-shows and cancellations next to sessions held', async () => {
+  const original = Session.aggregate;
+  Session.aggregate = async () => [{
+    _id: { year: 2025, month: 6 },
+    totalSessions: 18,
+    avgDuration: 44.5,
+    uniquePatientCount: 6,
+    lateArrivals: 3,
+    noShows: 2,
+    cancelledByPatient: 4,
+    cancelledByClinic: 1
+  }];
+  try {
+    const [june] = await analyticsService.getSessionAnalytics();
+    assert.equal(june.period, '2025-06');
+    assert.equal(june.noShows, 2);
+    assert.equal(june.cancelledByPatient, 4);
+    assert.equal(june.noShowRate, 10);
+  } finally {
+    Session.aggregate = original;
+  }
+});
+
+test('POST /api/sessions -> 422 for a no-show without a reason; cancellations skip conflict checks', async () => {
+  const originals = { findConflicts: conflictService.findConflicts, create: Session.create, publish: eventBus.publish };
+  const published = [];
+  conflictService.findConflicts = async () => [{ type: 'overlap', resource: 'therapist', message: 'The therapist is already booked' }];
+  Session.create = async (data) => ({ _id: '64b0000000000000000000cc', ...data });
+  eventBus.publish = (...args) => { published.push(args); };
+  try {
+    const body = { patient: '64b000000000000000000001', date: '2025-06-02T13:00:00Z' };
+    const missing = await request(app)
+      .post('/api/sessions')
+      .set('x-test-role', 'therapist')
+      .send({ ...body, attendance: { status: 'no_show' } });
+    assert.equal(missing.status, 422);
+    assert.equal(missing.body.details[0].path, 'attendance.reason');
+
+    const cancelled = await request(app)
+      .post('/api/sessions')
+      .set('x-test-role', 'therapist')
+      .send({ ...body, attendance: { status: 'cancelled_patient', reason: 'illness' } });
+    assert.equal(cancelled.status, 201);
+    assert.equal(published[0][1].attendance, 'cancelled_patient');
+  } finally {
+    conflictService.findConflicts = originals.findConflicts;
+    Session.create = originals.create;
+    eventBus.publish = originals.publish;
+  }
+});
+
+test('GET /api/attendance/rules -> 403 for therapists', async () => {
+  const res = await request(app).get('/api/attendance/rules').set('x-test-role', 'therapist');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/attendance/rules -> 422 without a window', async () => {
+  const res = await request(app)
+    .post('/api/attendance/rules')
+    .set('x-test-role', 'supervisor')
+    .send({ name: 'Three strikes', noShowThreshold: 3 });
+  assert.equal(res.status, 422);
+});
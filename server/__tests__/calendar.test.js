@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import calendarService, { initials } from '../src/services/calendarService.js';
+import conflictService from '../src/services/conflictService.js';
+import { buildCalendar, parseCalendar } from '../src/utils/ical.js';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:vacation-1',
+  'SUMMARY:Summer vacation\\, Lisbon',
+  'DTSTART;VALUE=DATE:20250714',
+  'DTEND;VALUE=DATE:20250719',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:dentist',
+  'SUMMARY:Dentist',
+  'DTSTART;TZID=America/New_York:20250602T090000',
+  'DURATION:PT1H30M',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT15M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'SUMMARY:Standup',
+  'DTSTART:20250602T130000Z',
+  'DTEND:20250602T131500Z',
+  'RRULE:FREQ=DAILY',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:lunch',
+  'SUMMARY:Lunch',
+  'DTSTART:20250602T160000Z',
+  'DTEND:20250602T170000Z',
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('calendar output uses CRLF lines, escapes text and folds long lines', () => {
+  const text = buildCalendar([{
+    uid: 'a-1@therapy-cms',
+    start: new Date('2025-06-02T13:00:00Z'),
+    end: new Date('2025-06-02T13:45:00Z'),
+    summary: `Therapy: A.C.; room 2, ${'x'.repeat(80)}`
+  }], { now: new Date('2025-06-01T00:00:00Z') });
+
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(text));
+  assert.ok(text.includes('DTSTART:20250602T130000Z\r\nDTEND:20250602T134500Z'));
+  assert.ok(text.includes('SUMMARY:Therapy: A.C.\\; room 2\\, xxx'));
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  // Round trip through the parser unfolds and unescapes
+  const { events } = parseCalendar(text);
+  assert.equal(events[0].summary, `Therapy: A.C.; room 2, ${'x'.repeat(80)}`);
+});
+
+test('imported events resolve all-day dates, time zones and durations; free and recurring ones are skipped', () => {
+  const { events, skipped } = parseCalendar(ICS, { defaultTimeZone: 'Europe/Lisbon' });
+  assert.deepEqual(events.map(e => [e.uid, e.summary, e.start.toISOString(), e.end.toISOString(), e.allDay]), [
+    // Lisbon is UTC+1 in July
+    ['vacation-1', 'Summer vacation, Lisbon', '2025-07-13T23:00:00.000Z', '2025-07-18T23:00:00.000Z', true],
+    ['dentist', 'Dentist', '2025-06-02T13:00:00.000Z', '2025-06-02T14:30:00.000Z', false]
+  ]);
+  assert.deepEqual(skipped.map(s => s.uid), ['standup', 'lunch']);
+  assert.throws(() => parseCalendar('hello'), /Not an iCalendar file/);
+});
+
+test('patient names are masked to initials', () => {
+  assert.equal(initials('alice b carter'), 'A.B.C.');
+  assert.equal(initials('  '), 'Patient');
+});
+
+test('bookings during blocked time conflict with the therapist\'s availability', async () => {
+  const originals = { loadBusy: conflictService.loadBusy, findById: User.findById };
+  conflictService.loadBusy = async () => [];
+  User.findById = () => ({
+    select: () => ({
+      lean: async () => ({
+        availability: { exceptions: [{ _id: 'e1', start: new Date('2025-07-14T00:00:00Z'), end: new Date('2025-07-19T00:00:00Z'), summary: 'Vacation' }] }
+      })
+    })
+  });
+  try {
+    const conflicts = await conflictService.findConflicts({
+      therapist: 't1',
+      intervals: [
+        { start: '2025-07-15T09:00:00Z', end: '2025-07-15T09:45:00Z' },
+        { start: '2025-07-19T09:00:00Z', end: '2025-07-19T09:45:00Z' }
+      ]
+    });
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'availability_exception');
+    assert.match(conflicts[0].message, /Vacation/);
+  } finally {
+    conflictService.loadBusy = originals.loadBusy;
+    User.findById = originals.findById;
+  }
+});
+
+test('GET /api/calendar/feed/:token -> 404 for an unknown token, text/calendar otherwise', async () => {
+  const original = calendarService.renderFeed;
+  calendarService.renderFeed = async (token) => (token === 'a'.repeat(64) ? 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n' : null);
+  try {
+    const malformed = await request(app).get('/api/calendar/feed/guess.ics');
+    assert.equal(malformed.status, 404);
+    const unknown = await request(app).get(`/api/calendar/feed/${'b'.repeat(64)}.ics`);
+    assert.equal(unknown.status, 404);
+
+    const res = await request(app).get(`/api/calendar/feed/${'a'.repeat(64)}.ics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/calendar/);
+  } finally {
+    calendarService.renderFeed = original;
+  }
+});
+
+test('POST /api/calendar/import -> imports for the calendar owner, needs a therapist for supervisors', async () => {
+  const original = calendarService.importExceptions;
+  const calls = [];
+  calendarService.importExceptions = async (therapist, text) => {
+    calls.push([therapist, text]);
+    return { imported: 2, updated: 0, skipped: [], exceptions: [] };
+  };
+  try {
+    const res = await request(app)
+      .post('/api/calendar/import')
+      .set('x-test-role', 'therapist')
+      .set('Content-Type', 'text/calendar')
+      .send(ICS);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.imported, 2);
+    assert.equal(calls[0][0], '000000000000000000000000');
+    assert.equal(calls[0][1], ICS);
+
+    const upload = await request(app)
+      .post('/api/calendar/import?therapist=64b0000000000000000000aa')
+      .set('x-test-role', 'supervisor')
+      .attach('file', Buffer.from(ICS), { filename: 'vacation.ics', contentType: 'text/calendar' });
+    assert.equal(upload.status, 200);
+    assert.equal(calls[1][0], '64b0000000000000000000aa');
+
+    const missing = await request(app)
+      .post('/api/calendar/import')
+      .set('x-test-role', 'supervisor')
+      .set('Content-Type', 'text/calendar')
+      .send(ICS);
+    assert.equal(missing.status, 400);
+  } finally {
+    calendarService.importExceptions = original;
+  }
+});
+
+test('POST /api/calendar/exceptions -> 422 when the end is before the start', async () => {
+  const res = await request(app)
+    .post('/api/calendar/exceptions')
+    .set('x-test-role', 'therapist')
+    .send({ start: '2025-07-19T00:00:00Z', end: '2025-07-14T00:00:00Z' });
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,232 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import CaseloadTransfer from '../src/models/CaseloadTransfer.js';
+import Patient from '../src/models/Patient.js';
+import User from '../src/models/User.js';
+import caseloadTransferService from '../src/services/caseloadTransferService.js';
+import assignmentService from '../src/services/assignmentService.js';
+import eventBus from '../src/services/eventBus.js';
+
+const therapistId = '64b7f0000000000000000001';
+
+test('GET /api/caseload-transfers -> 200 stub list with SKIP_DB=true', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/caseload-transfers').set('x-test-role', 'supervisor');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, []);
+});
+
+test('POST /api/caseload-transfers -> 403 for therapist role', async () => {
+  const res = await request(app)
+    .post('/api/caseload-transfers')
+    .set('x-test-role', 'therapist')
+    .send({ therapistId, reason: 'leave' })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/caseload-transfers -> 422 when leave ends before it starts', async () => {
+  const res = await request(app)
+    .post('/api/caseload-transfers')
+    .set('x-test-role', 'supervisor')
+    .send({ therapistId, reason: 'leave', leaveStart: '2026-03-10', leaveEnd: '2026-03-01' })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/caseload-transfers -> 422 on leave dates for a deactivation', async () => {
+  const res = await request(app)
+    .post('/api/caseload-transfers')
+    .set('x-test-role', 'supervisor')
+    .send({ therapistId, reason: 'deactivation', leaveEnd: '2026-03-01' })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
+
+test('therapist is on leave only between start and end', () => {
+  const user = new User({ leave: { start: new Date('2026-03-01'), end: new Date('2026-03-15') } });
+  assert.equal(user.isOnLeave(new Date('2026-02-28')), false);
+  assert.equal(user.isOnLeave(new Date('2026-03-05')), true);
+  assert.equal(user.isOnLeave(new Date('2026-03-15')), false);
+  assert.equal(new User({ leave: { start: new Date('2026-03-01') } }).isOnLeave(new Date('2027-01-01')), true);
+  assert.equal(new User({}).isOnLeave(), false);
+});
+
+// Stubs for PATCH /api/users/:id deactivating an active therapist with two patients
+function stubDeactivation({ proposeError, createError } = {}) {
+  const originals = {
+    findById: User.findById,
+    findByIdAndUpdate: User.findByIdAndUpdate,
+    findOne: CaseloadTransfer.findOne,
+    create: CaseloadTransfer.create,
+    propose: assignmentService.proposeBatchAssignment
+  };
+  const calls = { saved: [], updates: [], created: [] };
+  const therapist = {
+    _id: therapistId,
+    role: 'therapist',
+    active: true,
+    getActivePatients: () => ({ select: async () => [{ _id: 'p1', name: 'Alice' }, { _id: 'p2', name: 'Bob' }] }),
+    save: async function() { calls.saved.push({ active: this.active }); }
+  };
+  let lookups = 0;
+  // The route reads the current role first; the service then loads the document
+  User.findById = () => (lookups++ === 0
+    ? { select: () => ({ lean: async () => ({ role: 'therapist', active: true }) }) }
+    : Promise.resolve(therapist));
+  User.findByIdAndUpdate = async (id, updates) => { calls.updates.push(updates); return { _id: id, ...updates }; };
+  CaseloadTransfer.findOne = async () => null;
+  CaseloadTransfer.create = async (data) => {
+    if (createError) throw createError;
+    calls.created.push(data);
+    return { _id: 't1', ...data };
+  };
+  assignmentService.proposeBatchAssignment = async () => { throw proposeError; };
+  const restore = () => {
+    User.findById = originals.findById;
+    User.findByIdAndUpdate = originals.findByIdAndUpdate;
+    CaseloadTransfer.findOne = originals.findOne;
+    CaseloadTransfer.create = originals.create;
+    assignmentService.proposeBatchAssignment = originals.propose;
+  };
+  return { calls, restore };
+}
+
+test('PATCH /api/users/:id -> deactivation without an eligible therapist leaves every patient for the supervisor', async () => {
+  const { calls, restore } = stubDeactivation({ proposeError: new Error('No available therapists found') });
+  try {
+    const res = await request(app)
+      .patch(`/api/users/${therapistId}`)
+      .set('x-test-role', 'admin')
+      .send({ active: false });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transfer.items.length, 2);
+    assert.ok(res.body.transfer.items.every(item => !item.toTherapist));
+    assert.match(res.body.transfer.items[0].rationale, /No available therapists found/);
+    assert.deepEqual(calls.saved, [{ active: false }]);
+  } finally {
+    restore();
+  }
+});
+
+test('PATCH /api/users/:id -> a failed handover leaves the therapist active', async () => {
+  const { calls, restore } = stubDeactivation({ proposeError: new Error('No available therapists found'), createError: new Error('write failed') });
+  try {
+    const res = await request(app)
+      .patch(`/api/users/${therapistId}`)
+      .set('x-test-role', 'admin')
+      .send({ active: false });
+    assert.equal(res.status, 400);
+    assert.deepEqual(calls.saved, []);
+    assert.deepEqual(calls.updates, []);
+  } finally {
+    restore();
+  }
+});
+
+// A leave transfer document for approve/processDueStarts, with save recorded
+function leaveTransfer(overrides = {}) {
+  const transfer = {
+    _id: 't2',
+    therapist: { _id: therapistId, name: 'Dr. Away' },
+    reason: 'leave',
+    leaveStart: new Date('2026-03-01T00:00:00Z'),
+    leaveEnd: new Date('2026-03-15T00:00:00Z'),
+    status: 'proposed',
+    approvedBy: 'sup1',
+    items: [{ patient: '64b7f00000000000000000a1', toTherapist: '64b7f00000000000000000b1' }],
+    saves: [],
+    save: async function() { this.saves.push(this.status); return this; },
+    ...overrides
+  };
+  return transfer;
+}
+
+function stubMove({ commitError } = {}) {
+  const originals = { patientFind: Patient.find, commit: assignmentService.commitBatchAssignment, publish: eventBus.publish };
+  const commits = [];
+  eventBus.publish = () => {};
+  Patient.find = () => ({ select: () => ({ lean: async () => [{ _id: '64b7f00000000000000000a1' }] }) });
+  assignmentService.commitBatchAssignment = async (items) => {
+    if (commitError) throw commitError;
+    commits.push(items);
+    return {
+      batchId: 'b1',
+      assignments: items.map(item => ({ _id: 'as1', patient: { _id: item.patientId }, therapist: { _id: item.therapistId }, score: 70 }))
+    };
+  };
+  const restore = () => {
+    Patient.find = originals.patientFind;
+    assignmentService.commitBatchAssignment = originals.commit;
+    eventBus.publish = originals.publish;
+  };
+  return { commits, restore };
+}
+
+test('approving a leave that has not begun schedules the handover instead of moving patients', async () => {
+  const transfer = leaveTransfer();
+  const originalFindById = CaseloadTransfer.findById;
+  CaseloadTransfer.findById = () => ({ populate: async () => transfer });
+  const { commits, restore } = stubMove();
+  try {
+    const result = await caseloadTransferService.approveTransfer('t2', 'sup1', [], new Date('2026-02-20T00:00:00Z'));
+    assert.equal(result.status, 'scheduled');
+    assert.equal(commits.length, 0);
+  } finally {
+    CaseloadTransfer.findById = originalFindById;
+    restore();
+  }
+});
+
+test('scheduled handovers move patients once the leave begins, or go back to the queue when they cannot', async () => {
+  const originalFind = CaseloadTransfer.find;
+  const ready = leaveTransfer({ status: 'scheduled' });
+  CaseloadTransfer.find = () => ({ populate: async () => [ready] });
+  const { commits, restore } = stubMove();
+  try {
+    assert.equal(await caseloadTransferService.processDueStarts(new Date('2026-03-01T01:00:00Z')), 1);
+    assert.deepEqual(commits[0], [{ patientId: '64b7f00000000000000000a1', therapistId: '64b7f00000000000000000b1' }]);
+    assert.equal(ready.status, 'approved');
+  } finally {
+    restore();
+  }
+
+  const stuck = leaveTransfer({ status: 'scheduled' });
+  CaseloadTransfer.find = () => ({ populate: async () => [stuck] });
+  const failing = stubMove({ commitError: new Error('Therapist Dr. Cover has no remaining capacity') });
+  try {
+    assert.equal(await caseloadTransferService.processDueStarts(new Date('2026-03-01T01:00:00Z')), 0);
+    assert.equal(stuck.status, 'proposed');
+    assert.match(stuck.failureReason, /no remaining capacity/);
+  } finally {
+    CaseloadTransfer.find = originalFind;
+    failing.restore();
+  }
+});
+
+test('a leave return that fails does not hold up the other returns that are due', async () => {
+  const originals = { find: CaseloadTransfer.find, returnFromLeave: caseloadTransferService.returnFromLeave, error: console.error };
+  const broken = leaveTransfer({ _id: 'broken', status: 'approved' });
+  const fine = leaveTransfer({ _id: 'fine', status: 'approved' });
+  const returned = [];
+  const logged = [];
+  CaseloadTransfer.find = async () => [broken, fine];
+  caseloadTransferService.returnFromLeave = async (transfer) => {
+    if (transfer === broken) throw new Error('Patient not found');
+    returned.push(transfer._id);
+  };
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    assert.equal(await caseloadTransferService.processDueReturns(new Date('2026-04-01T00:00:00Z')), 1);
+    assert.deepEqual(returned, ['fine']);
+    assert.match(logged[0], /broken.*Patient not found/);
+  } finally {
+    CaseloadTransfer.find = originals.find;
+    caseloadTransferService.returnFromLeave = originals.returnFromLeave;
+    console.error = originals.error;
+  }
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import AuditLog from '../src/models/AuditLog.js';
+import Session from '../src/models/Session.js';
+import eventBus from '../src/services/eventBus.js';
+import conflictService, { findOverlaps, minutesOutsideSchedule } from '../src/services/conflictService.js';
+
+const slot = (start, minutes) => ({ start: new Date(start), end: new Date(new Date(start).getTime() + minutes * 60000) });
+
+test('bookings outside the weekly schedule are measured in the therapist\'s time zone', () => {
+  const availability = { timeZone: 'America/New_York', schedule: { monday: { start: '09:00', end: '17:00' } } };
+  // 2025-06-02 is a Monday; New York is UTC-4 in June
+  assert.equal(minutesOutsideSchedule(slot('2025-06-02T13:00:00Z', 60), availability), 0);
+  assert.equal(minutesOutsideSchedule(slot('2025-06-02T20:30:00Z', 60), availability), 30);
+  assert.equal(minutesOutsideSchedule(slot('2025-06-03T13:00:00Z', 45), availability), 45);
+  assert.equal(minutesOutsideSchedule(slot('2025-06-03T13:00:00Z', 45), {}), 0);
+});
+
+test('overlaps are reported per therapist, patient and room', () => {
+  const candidate = {
+    therapist: 't1',
+    patient: 'p1',
+    room: 'Room 2',
+    intervals: [slot('2025-06-02T13:00:00Z', 45)]
+  };
+  const busy = [
+    { kind: 'session', id: 's1', therapist: 't1', patient: 'p2', room: 'room 2', ...slot('2025-06-02T13:30:00Z', 45) },
+    { kind: 'appointment', id: 'a1', therapist: 't2', patient: 'p1', ...slot('2025-06-02T12:30:00Z', 30) },
+    // Back-to-back bookings do not overlap
+    { kind: 'session', id: 's2', therapist: 't1', patient: 'p1', ...slot('2025-06-02T13:45:00Z', 45) }
+  ];
+  const conflicts = findOverlaps(candidate, busy);
+  assert.deepEqual(conflicts.map(c => [c.resource, c.with.id]), [['therapist', 's1'], ['room', 's1']]);
+});
+
+test('POST /api/sessions -> 409 with structured conflicts unless overridden', async () => {
+  const conflict = { type: 'overlap', resource: 'therapist', start: new Date('2025-06-02T13:00:00Z'), end: new Date('2025-06-02T13:45:00Z'), message: 'The therapist is already booked' };
+  const originals = { findConflicts: conflictService.findConflicts, create: Session.create, logAction: AuditLog.logAction, publish: eventBus.publish };
+  const audits = [];
+  conflictService.findConflicts = async () => [conflict];
+  Session.create = async (data) => ({ _id: '64b0000000000000000000cc', ...data });
+  AuditLog.logAction = async (...args) => { audits.push(args); };
+  eventBus.publish = () => {};
+  try {
+    const body = { patient: '64b000000000000000000001', date: '2025-06-02T13:00:00Z', durationMin: 45 };
+    const blocked = await request(app).post('/api/sessions').set('x-test-role', 'therapist').send(body);
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.details.conflicts[0].resource, 'therapist');
+    assert.equal(audits.length, 0);
+
+    const overridden = await request(app)
+      .post('/api/sessions')
+      .set('x-test-role', 'therapist')
+      .send({ ...body, override: true, overrideReason: 'Joint session' });
+    assert.equal(overridden.status, 201);
+    assert.equal(overridden.body.conflicts.length, 1);
+    assert.equal(audits.length, 1);
+    assert.equal(audits[0][1], 'override_conflict');
+    assert.equal(audits[0][4].reason, 'Joint session');
+  } finally {
+    conflictService.findConflicts = originals.findConflicts;
+    Session.create = originals.create;
+    AuditLog.logAction = originals.logAction;
+    eventBus.publish = originals.publish;
+  }
+});
+
+test('GET /api/appointments/conflicts -> 422 without a start', async () => {
+  const res = await request(app).get('/api/appointments/conflicts').set('x-test-role', 'therapist');
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import request from 'supertest';
+import app from '../src/app.js';
+import emailService from '../src/services/emailService.js';
+import EmailDelivery from '../src/models/EmailDelivery.js';
+import { renderNotificationEmail, renderDigestEmail } from '../src/services/emailTemplates.js';
+
+// Minimal catch-all SMTP server, like Mailpit/MailHog in development
+function startCatchAllSmtp() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost test SMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 Queued as TEST1\r\n');
+      }
+      let idx;
+      while (!inData && (idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        else if (cmd === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages })));
+}
+
+const notification = {
+  _id: '64b7f0000000000000000010',
+  type: 'plan_submitted',
+  title: 'New Therapy Plan Submitted',
+  message: 'Dr. Lee has submitted a therapy plan for <Alice>',
+  actionUrl: '/therapy-plans/abc'
+};
+
+// An unsaved delivery whose save() just resolves, so no database is needed
+function unsavedDelivery() {
+  const delivery = new EmailDelivery({
+    user: '64b7f0000000000000000001',
+    to: 'supervisor@example.com',
+    kind: 'immediate',
+    type: 'plan_submitted',
+    ...renderNotificationEmail(notification, { appUrl: 'http://app.test', recipientName: 'Sam' })
+  });
+  delivery.save = async () => delivery;
+  return delivery;
+}
+
+test('notification template escapes HTML and links to the action URL', () => {
+  const email = renderNotificationEmail(notification, { appUrl: 'http://app.test/', recipientName: 'Sam' });
+  assert.equal(email.subject, '[Therapy CMS] New Therapy Plan Submitted');
+  assert.match(email.text, /Review plan: http:\/\/app.test\/therapy-plans\/abc/);
+  assert.match(email.html, /&lt;Alice&gt;/);
+  assert.doesNotMatch(email.html, /<Alice>/);
+});
+
+test('digest template lists every notification', () => {
+  const email = renderDigestEmail([notification, { ...notification, type: 'report_due', title: 'Progress Report Due' }], { appUrl: 'http://app.test' });
+  assert.match(email.subject, /2 notifications/);
+  assert.match(email.text, /Progress Report Due/);
+  assert.equal((email.html.match(/<li/g) || []).length, 2);
+});
+
+test('delivers through a local SMTP server and records the attempt', async () => {
+  const { server, messages } = await startCatchAllSmtp();
+  const OLD = { host: process.env.SMTP_HOST, port: process.env.SMTP_PORT };
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(server.address().port);
+  emailService.setTransport(null);
+  try {
+    const delivery = await emailService.attemptDelivery(unsavedDelivery());
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].success, true);
+    assert.match(delivery.attempts[0].response, /Queued as TEST1/);
+    assert.equal(messages.length, 1);
+    assert.match(messages[0], /Subject: \[Therapy CMS\] New Therapy Plan Submitted/);
+  } finally {
+    emailService.getTransport().close();
+    emailService.setTransport(null);
+    process.env.SMTP_HOST = OLD.host ?? '';
+    process.env.SMTP_PORT = OLD.port ?? '';
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('failed attempts back off and give up after five tries', async () => {
+  emailService.setTransport({ sendMail: async () => { throw new Error('Connection refused'); } });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const delivery = unsavedDelivery();
+    const start = new Date('2026-05-01T10:00:00Z');
+    await emailService.attemptDelivery(delivery, start);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.nextAttemptAt.toISOString(), '2026-05-01T10:01:00.000Z');
+
+    for (let i = 0; i < 4; i++) await emailService.attemptDelivery(delivery, start);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 5);
+    assert.equal(delivery.nextAttemptAt, undefined);
+    assert.equal(delivery.attempts[4].error, 'Connection refused');
+  } finally {
+    console.error = originalError;
+    emailService.setTransport(null);
+  }
+});
+
+test('digest timing uses the local hour and date of the user time zone', () => {
+  const local = emailService.localTime(new Date('2026-01-15T23:30:00Z'), 'Asia/Tokyo');
+  assert.deepEqual(local, { hour: 8, date: '2026-01-16' });
+  assert.deepEqual(emailService.localTime(new Date('2026-01-15T23:30:00Z')), { hour: 23, date: '2026-01-15' });
+});
+
+test('GET /api/notifications/email-deliveries -> 403 for non-admins', async () => {
+  const res = await request(app).get('/api/notifications/email-deliveries').set('x-test-role', 'supervisor');
+  assert.equal(res.status, 403);
+});
+
+test('PATCH /api/users/me/preferences -> 422 on an unknown email frequency', async () => {
+  const res = await request(app)
+    .patch('/api/users/me/preferences')
+    .set('x-test-role', 'therapist')
+    .send({ notifications: { emailFrequency: 'hourly' } })
+    .set('Content-Type', 'application/json');
+  assert.equal(res.status, 422);
+});
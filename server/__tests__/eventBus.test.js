@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, DomainEvents } from '../src/services/eventBus.js';
+import { registerAuditSubscribers } from '../src/services/eventSubscribers.js';
+import AuditLog from '../src/models/AuditLog.js';
+
+test('publish delivers to type and wildcard subscribers', async () => {
+  const bus = new EventBus();
+  const seen = [];
+  bus.subscribe(DomainEvents.PLAN_SUBMITTED, (event) => seen.push(['plan', event.data.planId]));
+  bus.subscribe('*', (event) => seen.push(['all', event.type]));
+  bus.subscribe(DomainEvents.SESSION_LOGGED, () => seen.push(['session']));
+
+  const event = await bus.publish(DomainEvents.PLAN_SUBMITTED, { planId: 'p1' }, { actorId: 'u1' });
+  assert.deepEqual(seen, [['plan', 'p1'], ['all', 'plan.submitted']]);
+  assert.equal(event.actorId, 'u1');
+  assert.ok(event.id && event.occurredAt instanceof Date);
+});
+
+test('a failing subscriber does not stop the others or reach the publisher', async () => {
+  const bus = new EventBus();
+  let delivered = false;
+  bus.subscribe(DomainEvents.REPORT_SUBMITTED, () => { throw new Error('boom'); });
+  bus.subscribe(DomainEvents.REPORT_SUBMITTED, () => { delivered = true; });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await bus.publish(DomainEvents.REPORT_SUBMITTED, { reportId: 'r1' });
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(delivered, true);
+});
+
+test('unknown event types are rejected and subscriptions can be removed', async () => {
+  const bus = new EventBus();
+  assert.throws(() => bus.publish('plan.submited', {}), /Unknown domain event/);
+  assert.throws(() => bus.subscribe('plan.submited', () => {}), /Unknown domain event/);
+
+  let calls = 0;
+  const unsubscribe = bus.subscribe(DomainEvents.SESSION_LOGGED, () => { calls++; });
+  unsubscribe();
+  await bus.publish(DomainEvents.SESSION_LOGGED, {});
+  assert.equal(calls, 0);
+});
+
+test('audit subscriber records lifecycle events with the acting user', async () => {
+  const bus = new EventBus();
+  registerAuditSubscribers(bus);
+  const calls = [];
+  const original = AuditLog.logAction;
+  AuditLog.logAction = async (...args) => { calls.push(args); };
+  try {
+    await bus.publish(DomainEvents.PLAN_REVISION_REQUESTED, { planId: 'plan1', comments: 'Add goals' }, { actorId: 'sup1' });
+    await bus.publish(DomainEvents.SESSION_LOGGED, { sessionId: 's1' });
+  } finally {
+    AuditLog.logAction = original;
+  }
+  // The session event had no actor, so only the plan review is audited
+  assert.deepEqual(calls, [[
+    'sup1', 'revise_plan', 'TherapyPlan', 'plan1',
+    { after: { status: 'needs_revision' }, reason: 'Add goals' }
+  ]]);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import { parseCron, nextCronRun, isValidCron } from '../src/utils/cron.js';
+
+const next = (expr, iso) => nextCronRun(expr, new Date(iso))?.toISOString() ?? null;
+
+test('cron fields accept lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.equal(isValidCron('* * * *'), false);
+  assert.equal(isValidCron('60 * * * *'), false);
+  assert.equal(isValidCron('0 0 * * 7'), true);
+});
+
+test('next run is strictly after the reference time, in UTC', () => {
+  assert.equal(next('*/5 * * * *', '2025-06-02T10:03:30Z'), '2025-06-02T10:05:00.000Z');
+  assert.equal(next('*/5 * * * *', '2025-06-02T10:05:00Z'), '2025-06-02T10:10:00.000Z');
+  assert.equal(next('0 2 * * *', '2025-06-02T02:00:00Z'), '2025-06-03T02:00:00.000Z');
+  assert.equal(next('30 3 * * *', '2025-12-31T23:59:00Z'), '2026-01-01T03:30:00.000Z');
+  // 2025-06-02 is a Monday; next Sunday 08:00
+  assert.equal(next('0 8 * * 0', '2025-06-02T12:00:00Z'), '2025-06-08T08:00:00.000Z');
+});
+
+test('restricted day-of-month and day-of-week match either one, like cron', () => {
+  // The 13th, or any Friday: Friday 2025-06-06 comes first
+  assert.equal(next('0 0 13 * 5', '2025-06-02T00:00:00Z'), '2025-06-06T00:00:00.000Z');
+  assert.equal(next('0 0 30 2 *', '2025-01-01T00:00:00Z'), null);
+});
+
+test('GET /api/jobs lists the built-in jobs with SKIP_DB=true', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/jobs').set('x-test-role', 'admin');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  const names = res.body.data.map(job => job.name);
+  for (const name of ['leave-returns', 'email-deliveries', 'progress-report-reminders', 'overdue-plan-reviews', 'notification-cleanup', 'backup', 'next-appointments']) {
+    assert.ok(names.includes(name), `${name} is registered`);
+  }
+  assert.ok(res.body.data.every(job => isValidCron(job.schedule)));
+});
+
+test('GET /api/jobs -> 403 for supervisors', async () => {
+  const res = await request(app).get('/api/jobs').set('x-test-role', 'supervisor');
+  assert.equal(res.status, 403);
+});
+
+test('PATCH /api/jobs/:name -> 422 without a paused flag', async () => {
+  const res = await request(app).patch('/api/jobs/backup').set('x-test-role', 'admin').send({ paused: 'yes' });
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import NoteTemplate from '../src/models/NoteTemplate.js';
+import Session from '../src/models/Session.js';
+import conflictService from '../src/services/conflictService.js';
+import eventBus from '../src/services/eventBus.js';
+import { builtInNoteTemplate, fillNoteTemplate, noteText } from '../src/utils/noteTemplates.js';
+
+const swallowing = {
+  name: 'Swallowing review',
+  status: 'published',
+  version: 3,
+  sections: [
+    { key: 'texture', label: 'Diet texture', type: 'select', required: true, options: ['puree', 'minced', 'soft', 'regular'] },
+    { key: 'signs', label: 'Signs of aspiration', type: 'multiselect', options: ['cough', 'wet voice', 'watery eyes'] },
+    { key: 'trials', label: 'Trials', type: 'number', min: 0, max: 20 },
+    { key: 'supervised', label: 'Supervised meals', type: 'boolean' }
+  ]
+};
+
+test('a filled note keeps the sections that fit and reports the ones that do not', () => {
+  const filled = fillNoteTemplate(swallowing, { texture: 'soft', signs: ['cough'], trials: 4, supervised: true });
+  assert.deepEqual(filled.errors, []);
+  assert.deepEqual(filled.sections.map(s => s.key), ['texture', 'signs', 'trials', 'supervised']);
+  assert.equal(noteText(filled.sections), 'Diet texture: soft\nSigns of aspiration: cough\nTrials: 4\nSupervised meals');
+
+  const { errors } = fillNoteTemplate(swallowing, { signs: ['hiccups'], trials: 25, colour: 'red' });
+  assert.deepEqual(errors.map(e => e.path), ['colour', 'texture', 'signs', 'trials']);
+  assert.match(errors[1].message, /Diet texture is required/);
+});
+
+test('built-in SOAP leaves empty optional sections out', () => {
+  const soap = builtInNoteTemplate('soap');
+  const { sections, errors } = fillNoteTemplate(soap, {
+    subjective: 'Reports better sleep', objective: 'Calm', assessment: 'Improving', progress: '', plan: 'Continue'
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(sections.find(s => s.key === 'progress'), undefined);
+});
+
+test('POST /api/sessions -> 422 naming the missing SOAP sections', async () => {
+  const res = await request(app)
+    .post('/api/sessions')
+    .set('x-test-role', 'therapist')
+    .send({
+      patient: '64b000000000000000000001',
+      date: '2025-06-02T13:00:00Z',
+      note: { template: 'soap', values: { subjective: 'Reports better sleep', progress: 'great' } }
+    });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.details.map(d => d.path), [
+    'note.values.objective', 'note.values.assessment', 'note.values.progress', 'note.values.plan'
+  ]);
+});
+
+test('POST /api/sessions stores a custom template note with its name, version and search text', async () => {
+  const originals = { findById: NoteTemplate.findById, findConflicts: conflictService.findConflicts, create: Session.create, publish: eventBus.publish };
+  let stored;
+  NoteTemplate.findById = () => ({ lean: async () => ({ _id: '64b0000000000000000000aa', ...swallowing }) });
+  conflictService.findConflicts = async () => [];
+  Session.create = async (data) => { stored = data; return { _id: '64b0000000000000000000cc', ...data }; };
+  eventBus.publish = () => {};
+  try {
+    const res = await request(app)
+      .post('/api/sessions')
+      .set('x-test-role', 'therapist')
+      .send({
+        patient: '64b000000000000000000001',
+        date: '2025-06-02T13:00:00Z',
+        note: { template: '64b0000000000000000000aa', values: { texture: 'minced', trials: 6 } }
+      });
+    assert.equal(res.status, 201);
+    assert.equal(stored.note.template, '64b0000000000000000000aa');
+    assert.equal(stored.note.templateName, 'Swallowing review');
+    assert.equal(stored.note.templateVersion, 3);
+    assert.equal(stored.note.text, 'Diet texture: minced\nTrials: 6');
+  } finally {
+    NoteTemplate.findById = originals.findById;
+    conflictService.findConflicts = originals.findConflicts;
+    Session.create = originals.create;
+    eventBus.publish = originals.publish;
+  }
+});
+
+test('POST /api/sessions -> 422 for a draft note template', async () => {
+  const original = NoteTemplate.findById;
+  NoteTemplate.findById = () => ({ lean: async () => ({ ...swallowing, status: 'draft' }) });
+  try {
+    const res = await request(app)
+      .post('/api/sessions')
+      .set('x-test-role', 'therapist')
+      .send({ patient: '64b000000000000000000001', date: '2025-06-02T13:00:00Z', note: { template: '64b0000000000000000000aa' } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.details[0].path, 'note.template');
+  } finally {
+    NoteTemplate.findById = original;
+  }
+});
+
+test('GET /api/sessions?q= searches the session text index', async () => {
+  const originals = { find: Session.find, countDocuments: Session.countDocuments };
+  let filter;
+  const chain = { skip: () => chain, limit: () => chain, sort: () => chain, populate: () => chain, select: () => chain, lean: async () => [] };
+  Session.find = (f) => { filter = f; return chain; };
+  Session.countDocuments = async () => 0;
+  try {
+    const res = await request(app).get('/api/sessions?q=%20aspiration%20&template=soap').set('x-test-role', 'therapist');
+    assert.equal(res.status, 200);
+    assert.deepEqual(filter, { 'note.template': 'soap', $text: { $search: 'aspiration' } });
+  } finally {
+    Session.find = originals.find;
+    Session.countDocuments = originals.countDocuments;
+  }
+});
+
+test('POST /api/note-templates -> 403 for therapists', async () => {
+  const res = await request(app)
+    .post('/api/note-templates')
+    .set('x-test-role', 'therapist')
+    .send({ name: 'Swallowing review', sections: swallowing.sections });
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/note-templates -> 422 for a picklist without options or a repeated key', async () => {
+  const res = await request(app)
+    .post('/api/note-templates')
+    .set('x-test-role', 'supervisor')
+    .send({
+      name: 'Broken',
+      sections: [
+        { key: 'texture', label: 'Diet texture', type: 'select' },
+        { key: 'texture', label: 'Texture again', type: 'text' }
+      ]
+    });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.details.map(d => d.path), ['sections.0.options', 'sections.1.key']);
+});
+
+test('GET /api/note-templates -> built-in templates when DB is skipped', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/note-templates').set('x-test-role', 'therapist');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data.map(t => t.key), ['soap', 'dap']);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import escalationService from '../src/services/escalationService.js';
+import { resolveChannels, quietHoursEnd } from '../src/utils/notificationPreferences.js';
+
+test('per-type channel settings override the global switches', () => {
+  const prefs = {
+    email: true,
+    inApp: true,
+    types: new Map([['rating_received', { email: false }], ['system_alert', { inApp: false, email: false }]])
+  };
+  assert.deepEqual(resolveChannels(prefs, 'plan_submitted'), { inApp: true, email: true });
+  assert.deepEqual(resolveChannels(prefs, 'rating_received'), { inApp: true, email: false });
+  assert.deepEqual(resolveChannels(prefs, 'system_alert'), { inApp: false, email: false });
+  assert.deepEqual(resolveChannels({ email: false, types: { report_due: { email: true } } }, 'report_due'), { inApp: true, email: true });
+  assert.deepEqual(resolveChannels(undefined, 'report_due'), { inApp: true, email: true });
+});
+
+test('quiet hours wrap past midnight in the user time zone', () => {
+  const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+  // 23:30 in New York (EDT, UTC-4)
+  const lateEvening = new Date('2025-06-02T03:30:00Z');
+  assert.equal(quietHoursEnd(quietHours, 'America/New_York', lateEvening).toISOString(), '2025-06-02T11:00:00.000Z');
+  // 06:15 local, still quiet
+  assert.equal(quietHoursEnd(quietHours, 'America/New_York', new Date('2025-06-02T10:15:00Z')).toISOString(), '2025-06-02T11:00:00.000Z');
+  // 12:00 local, not quiet
+  assert.equal(quietHoursEnd(quietHours, 'America/New_York', new Date('2025-06-02T16:00:00Z')), null);
+  assert.equal(quietHoursEnd({ ...quietHours, enabled: false }, 'UTC', lateEvening), null);
+});
+
+test('escalation messages name the rule action', () => {
+  const notification = {
+    _id: '64b7f0000000000000000010',
+    toUser: '64b7f0000000000000000001',
+    type: 'plan_submitted',
+    title: 'New Therapy Plan Submitted',
+    message: 'Dr. Lee has submitted a therapy plan',
+    priority: 'urgent'
+  };
+  const reminder = escalationService.buildEscalation({ action: 'renotify', unreadForHours: 24 }, notification, notification.toUser);
+  assert.equal(reminder.title, 'Reminder: New Therapy Plan Submitted');
+  assert.equal(reminder.escalatedFrom, notification._id);
+
+  const backup = escalationService.buildEscalation({ action: 'notify_backup', unreadForHours: 4 }, notification, '64b7f0000000000000000002');
+  assert.equal(backup.toUser, '64b7f0000000000000000002');
+  assert.match(backup.message, /Unread for over 4h/);
+});
+
+test('PATCH /api/users/me/preferences -> 422 on malformed quiet hours', async () => {
+  const res = await request(app)
+    .patch('/api/users/me/preferences')
+    .set('x-test-role', 'therapist')
+    .send({ notifications: { quietHours: { enabled: true, start: '25:00', end: '07:00' } } });
+  assert.equal(res.status, 422);
+});
+
+test('PATCH /api/users/me/preferences -> 422 on an unknown notification type', async () => {
+  const res = await request(app)
+    .patch('/api/users/me/preferences')
+    .set('x-test-role', 'therapist')
+    .send({ notifications: { types: { not_a_type: { email: false } } } });
+  assert.equal(res.status, 422);
+});
+
+test('GET /api/escalation-rules -> 403 for therapists', async () => {
+  const res = await request(app).get('/api/escalation-rules').set('x-test-role', 'therapist');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/escalation-rules -> 422 without an action', async () => {
+  const res = await request(app)
+    .post('/api/escalation-rules')
+    .set('x-test-role', 'admin')
+    .send({ name: 'Urgent after 4h', unreadForHours: 4 });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/escalation-rules -> 403 for supervisors', async () => {
+  const res = await request(app)
+    .post('/api/escalation-rules')
+    .set('x-test-role', 'supervisor')
+    .send({ name: 'Urgent after 4h', action: 'renotify' });
+  assert.equal(res.status, 403);
+});
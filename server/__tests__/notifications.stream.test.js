@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import app from '../src/app.js';
+import notificationStream, { formatSseFrame } from '../src/services/notificationStream.js';
+
+const testUserId = '000000000000000000000000';
+
+// Open the stream and collect raw text until `done(text)` is satisfied
+function readStream(server, onOpen, done) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      port: server.address().port,
+      path: '/api/notifications/stream',
+      headers: { 'x-test-role': 'supervisor' }
+    }, (res) => {
+      let text = '';
+      onOpen(res);
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        if (done(text)) {
+          req.destroy();
+          resolve({ res, text });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('formatSseFrame writes id, event and JSON data lines', () => {
+  assert.equal(
+    formatSseFrame({ event: 'notification', id: 'n1', data: { title: 'Hi' } }),
+    'id: n1\nevent: notification\ndata: {"title":"Hi"}\n\n'
+  );
+  assert.equal(formatSseFrame({ event: 'unread-count', data: { count: 2 } }), 'event: unread-count\ndata: {"count":2}\n\n');
+});
+
+test('GET /api/notifications/stream pushes unread count and new notifications', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const server = app.listen(0);
+  try {
+    let headers;
+    let pushed = false;
+    const { text } = await readStream(server, (res) => { headers = res.headers; }, (text) => {
+      if (!pushed && text.includes('event: unread-count')) {
+        pushed = true;
+        notificationStream.publishNotification({ _id: 'abc123', toUser: testUserId, title: 'New Therapy Plan Submitted' });
+        notificationStream.publishNotification({ _id: 'other', toUser: '111111111111111111111111', title: 'Not for this user' });
+      }
+      return text.includes('event: notification');
+    });
+
+    assert.match(headers['content-type'], /text\/event-stream/);
+    assert.match(text, /retry: 5000/);
+    assert.match(text, /event: unread-count\ndata: {"count":0}/);
+    assert.match(text, /id: abc123\nevent: notification/);
+    assert.doesNotMatch(text, /Not for this user/);
+  } finally {
+    process.env.SKIP_DB = OLD;
+    await new Promise(resolve => server.close(resolve));
+  }
+  // Closing the connection unsubscribes it
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(notificationStream.connectionCount(testUserId), 0);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import notificationService from '../src/services/notificationService.js';
+import planCommentService, { extractMentions } from '../src/services/planCommentService.js';
+
+const planId = '64b7f0000000000000000001';
+const therapist = '64b7f00000000000000000a1';
+const supervisor = '64b7f00000000000000000b1';
+const colleague = '64b7f00000000000000000c1';
+
+test('comment mentions are @email tokens', () => {
+  assert.deepEqual(
+    extractMentions('@Jane@Clinic.org can you check this? cc @sam@clinic.org, thanks. Not me: bob@clinic.org'),
+    ['jane@clinic.org', 'sam@clinic.org']
+  );
+  assert.deepEqual(extractMentions('no mentions here'), []);
+});
+
+test('a reply notifies the other thread participants and mentioned users, not the author', async () => {
+  const original = notificationService.notifyPlanComment;
+  const sent = [];
+  notificationService.notifyPlanComment = async (authorId, toUser, pid, patientName, details) => {
+    sent.push({ authorId, toUser, patientName, mentioned: details.mentioned });
+  };
+  try {
+    const plan = { _id: planId, therapist, patient: { name: 'Alice' } };
+    const thread = { _id: 'thread1', comments: [{ author: supervisor }, { author: therapist }] };
+
+    // Therapist replies: supervisor hears about it, plus the mentioned colleague
+    await planCommentService.notifyParticipants(thread, plan, { authorId: therapist, body: 'Updated', mentions: [colleague] });
+    assert.deepEqual(sent.map(n => n.toUser).sort(), [supervisor, colleague].sort());
+    assert.equal(sent.find(n => n.toUser === colleague).mentioned, true);
+    assert.equal(sent.find(n => n.toUser === supervisor).mentioned, false);
+    assert.equal(sent[0].patientName, 'Alice');
+
+    // Supervisor opens a thread: the plan's therapist is notified
+    sent.length = 0;
+    await planCommentService.notifyParticipants({ _id: 'thread2', comments: [{ author: supervisor }] }, plan, { authorId: supervisor, body: 'Baseline?', mentions: [] });
+    assert.deepEqual(sent.map(n => n.toUser), [therapist]);
+  } finally {
+    notificationService.notifyPlanComment = original;
+  }
+});
+
+test('a thread a therapist opens notifies the patient supervisor, or the last reviewer without one', async () => {
+  const original = notificationService.notifyPlanComment;
+  const sent = [];
+  notificationService.notifyPlanComment = async (authorId, toUser) => { sent.push(toUser); };
+  try {
+    const thread = { _id: 'thread3', comments: [{ author: therapist }] };
+    const plan = { _id: planId, therapist, patient: { name: 'Alice', supervisor } };
+    await planCommentService.notifyParticipants(thread, plan, { authorId: therapist, body: 'Ready for a look', mentions: [] });
+    assert.deepEqual(sent, [supervisor]);
+
+    sent.length = 0;
+    const reviewed = {
+      _id: planId,
+      therapist,
+      patient: { name: 'Alice' },
+      history: [
+        { from: 'submitted', to: 'needs_revision', actor: colleague },
+        { from: 'needs_revision', to: 'submitted', actor: therapist },
+        { from: 'submitted', to: 'approved', actor: supervisor }
+      ]
+    };
+    await planCommentService.notifyParticipants(thread, reviewed, { authorId: therapist, body: 'Ready for a look', mentions: [] });
+    assert.deepEqual(sent, [supervisor]);
+  } finally {
+    notificationService.notifyPlanComment = original;
+  }
+});
+
+test('POST /api/plans/:id/threads -> 422 for a goal thread without the goal title', async () => {
+  const res = await request(app)
+    .post(`/api/plans/${planId}/threads`)
+    .set('x-test-role', 'supervisor')
+    .send({ anchor: { section: 'goal' }, body: 'Which goal?' });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/plans/:id/threads/:threadId/replies -> 422 on empty reply', async () => {
+  const res = await request(app)
+    .post(`/api/plans/${planId}/threads/64b7f0000000000000000002/replies`)
+    .set('x-test-role', 'therapist')
+    .send({ body: '   ' });
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import { suggestTemplate } from '../src/services/planTemplateService.js';
+
+const templates = [
+  { name: 'Speech delay starter', diagnoses: ['speech delay'], publishedAt: '2025-01-01' },
+  { name: 'Speech delay 2025', diagnoses: ['speech delay'], publishedAt: '2025-06-01' },
+  { name: 'Anxiety with speech delay', diagnoses: ['anxiety', 'speech delay'], publishedAt: '2024-01-01' }
+];
+
+test('suggested template shares the most diagnoses, then is the most recently published', () => {
+  assert.equal(suggestTemplate({ diagnoses: ['Speech Delay'] }, templates).template.name, 'Speech delay 2025');
+  const both = suggestTemplate({ diagnoses: ['Anxiety', 'speech delay'] }, templates);
+  assert.equal(both.template.name, 'Anxiety with speech delay');
+  assert.deepEqual(both.matchedDiagnoses, ['anxiety', 'speech delay']);
+  assert.equal(suggestTemplate({ diagnoses: ['stuttering'] }, templates), null);
+  assert.equal(suggestTemplate({}, templates), null);
+});
+
+test('GET /api/plan-templates -> empty list when DB is skipped', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/plan-templates').set('x-test-role', 'therapist');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, []);
+});
+
+test('POST /api/plan-templates -> 403 for therapists', async () => {
+  const res = await request(app)
+    .post('/api/plan-templates')
+    .set('x-test-role', 'therapist')
+    .send({ name: 'Anxiety basics', goals: [{ title: 'Reduce avoidance' }] });
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/plan-templates -> 422 without goals', async () => {
+  const res = await request(app)
+    .post('/api/plan-templates')
+    .set('x-test-role', 'supervisor')
+    .send({ name: 'Empty', goals: [] });
+  assert.equal(res.status, 422);
+});
+
+test('GET /api/plan-templates/suggest -> 400 without a patient', async () => {
+  const res = await request(app).get('/api/plan-templates/suggest').set('x-test-role', 'therapist');
+  assert.equal(res.status, 400);
+});
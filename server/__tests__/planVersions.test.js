@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import PlanVersion from '../src/models/PlanVersion.js';
+import { diffPlanVersions } from '../src/utils/planDiff.js';
+
+const v1 = {
+  goals: [
+    { title: 'Improve articulation', metric: '% accuracy', target: 70 },
+    { title: 'Follow two-step directions', metric: 'trials', target: 8 }
+  ],
+  activities: [{ name: 'Picture naming', frequency: '2x/week', duration: '20m' }],
+  notes: 'Initial plan'
+};
+
+const v2 = {
+  goals: [
+    { title: 'improve articulation', metric: '% accuracy', target: 80 },
+    { title: 'Turn-taking in conversation', metric: 'turns', target: 5 }
+  ],
+  activities: [{ name: 'Picture naming', frequency: '3x/week', duration: '20m' }],
+  notes: 'Initial plan'
+};
+
+test('plan diff reports added, removed and changed goals and activities', () => {
+  const diff = diffPlanVersions(v1, v2);
+  assert.equal(diff.hasChanges, true);
+  assert.deepEqual(diff.goals.added, [{ title: 'Turn-taking in conversation', metric: 'turns', target: 5 }]);
+  assert.deepEqual(diff.goals.removed, [{ title: 'Follow two-step directions', metric: 'trials', target: 8 }]);
+  assert.deepEqual(diff.goals.changed, [{ title: 'improve articulation', changes: { target: { from: 70, to: 80 } } }]);
+  assert.deepEqual(diff.activities.changed, [{ name: 'Picture naming', changes: { frequency: { from: '2x/week', to: '3x/week' } } }]);
+  assert.equal(diff.notes, null);
+});
+
+test('plan diff against nothing lists every item as added', () => {
+  const diff = diffPlanVersions({}, v1);
+  assert.equal(diff.goals.added.length, 2);
+  assert.equal(diff.activities.added.length, 1);
+  assert.deepEqual(diff.notes, { from: '', to: 'Initial plan' });
+  assert.equal(diffPlanVersions(v1, v1).hasChanges, false);
+});
+
+test('saved plan versions cannot be modified', async () => {
+  const version = new PlanVersion({ plan: '64b7f0000000000000000001', version: 1, submittedAt: new Date(), ...v1 });
+  version.isNew = false;
+  await assert.rejects(version.save(), /immutable/);
+});
+
+test('GET /api/plans/:id/diff -> 400 on malformed version numbers', async () => {
+  const res = await request(app)
+    .get('/api/plans/64b7f0000000000000000001/diff?from=latest')
+    .set('x-test-role', 'supervisor');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+});
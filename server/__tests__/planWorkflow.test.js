@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import TherapyPlan from '../src/models/TherapyPlan.js';
+import planWorkflowService, { canTransition } from '../src/services/planWorkflowService.js';
+import planVersionService from '../src/services/planVersionService.js';
+import planCommentService from '../src/services/planCommentService.js';
+
+const planId = '64b7f0000000000000000001';
+
+test('plan workflow allows only draft -> submitted -> approved/needs_revision -> submitted', () => {
+  assert.equal(canTransition('draft', 'submitted'), true);
+  assert.equal(canTransition('submitted', 'approved'), true);
+  assert.equal(canTransition('submitted', 'needs_revision'), true);
+  assert.equal(canTransition('needs_revision', 'submitted'), true);
+  assert.equal(canTransition('approved', 'submitted'), false);
+  assert.equal(canTransition('draft', 'approved'), false);
+  assert.equal(canTransition('submitted', 'submitted'), false);
+});
+
+test('illegal plan transitions are rejected before touching the plan', async () => {
+  await assert.rejects(
+    planWorkflowService.transition({ _id: planId, status: 'approved' }, 'submitted', { actorId: planId }),
+    /Illegal plan transition from approved to submitted/
+  );
+});
+
+test('plan transitions compare-and-set the status and append to history', async () => {
+  const original = TherapyPlan.findOneAndUpdate;
+  let call;
+  TherapyPlan.findOneAndUpdate = async (filter, update) => {
+    call = { filter, update };
+    return { _id: planId, status: 'needs_revision' };
+  };
+  try {
+    await planWorkflowService.transition({ _id: planId, status: 'submitted' }, 'needs_revision', {
+      actorId: '64b7f0000000000000000002',
+      role: 'supervisor',
+      reason: 'Targets need baselines',
+      update: { reviewedAt: new Date() }
+    });
+    assert.deepEqual(call.filter, { _id: planId, status: 'submitted' });
+    assert.equal(call.update.$set.status, 'needs_revision');
+    assert.ok(call.update.$set.reviewedAt instanceof Date);
+    const entry = call.update.$push.history;
+    assert.equal(entry.from, 'submitted');
+    assert.equal(entry.to, 'needs_revision');
+    assert.equal(entry.reason, 'Targets need baselines');
+    assert.ok(entry.at instanceof Date);
+
+    // Someone else moved the plan first
+    TherapyPlan.findOneAndUpdate = async () => null;
+    await assert.rejects(
+      planWorkflowService.transition({ _id: planId, status: 'submitted' }, 'approved', {}),
+      /changed during transition/
+    );
+  } finally {
+    TherapyPlan.findOneAndUpdate = original;
+  }
+});
+
+test('POST /api/plans/:id/submit -> a failed version snapshot puts the plan back as it was', async () => {
+  const originals = {
+    findById: TherapyPlan.findById,
+    findOneAndUpdate: TherapyPlan.findOneAndUpdate,
+    countOpenBlocking: planCommentService.countOpenBlocking,
+    snapshot: planVersionService.snapshot
+  };
+  const previousSubmit = new Date('2026-01-05T00:00:00Z');
+  const calls = [];
+  TherapyPlan.findById = () => ({
+    select: async () => ({ _id: planId, therapist: '000000000000000000000000', status: 'needs_revision', submittedAt: previousSubmit })
+  });
+  TherapyPlan.findOneAndUpdate = async (filter, update) => {
+    calls.push({ filter, update });
+    return calls.length === 1
+      ? { _id: planId, status: 'submitted', currentVersion: 2, history: [update.$push.history] }
+      : { _id: planId, status: 'needs_revision', currentVersion: 1 };
+  };
+  planCommentService.countOpenBlocking = async () => 0;
+  planVersionService.snapshot = async () => { throw new Error('disk full'); };
+  try {
+    const res = await request(app).post(`/api/plans/${planId}/submit`).set('x-test-role', 'therapist');
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'disk full');
+
+    const [transition, undo] = calls;
+    assert.deepEqual(undo.filter, { _id: planId, status: 'submitted' });
+    assert.equal(undo.update.$set.status, 'needs_revision');
+    assert.equal(undo.update.$set.submittedAt, previousSubmit);
+    assert.deepEqual(undo.update.$inc, { currentVersion: -1 });
+    const entry = transition.update.$push.history;
+    assert.deepEqual(undo.update.$pull.history, { to: 'submitted', at: entry.at });
+  } finally {
+    TherapyPlan.findById = originals.findById;
+    TherapyPlan.findOneAndUpdate = originals.findOneAndUpdate;
+    planCommentService.countOpenBlocking = originals.countOpenBlocking;
+    planVersionService.snapshot = originals.snapshot;
+  }
+});
+
+test('reverting a first submit clears submittedAt', async () => {
+  const original = TherapyPlan.findOneAndUpdate;
+  let undo;
+  TherapyPlan.findOneAndUpdate = async (filter, update) => { undo = update; return null; };
+  try {
+    const at = new Date();
+    await planWorkflowService.revert(
+      { _id: planId, status: 'submitted', history: [{ from: 'draft', to: 'submitted', at }] },
+      { _id: planId, status: 'draft' },
+      { submittedAt: at, $inc: { currentVersion: 1 } }
+    );
+    assert.deepEqual(undo.$set, { status: 'draft' });
+    assert.deepEqual(undo.$unset, { submittedAt: 1 });
+  } finally {
+    TherapyPlan.findOneAndUpdate = original;
+  }
+});
+
+test('POST /api/plans/:id/review -> 422 on unknown decision', async () => {
+  const res = await request(app)
+    .post(`/api/plans/${planId}/review`)
+    .set('x-test-role', 'supervisor')
+    .send({ decision: 'maybe' });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/plans/:id/review -> 403 for therapists', async () => {
+  const res = await request(app)
+    .post(`/api/plans/${planId}/review`)
+    .set('x-test-role', 'therapist')
+    .send({ decision: 'approved' });
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/plans/:id/submit -> 403 for supervisors', async () => {
+  const res = await request(app)
+    .post(`/api/plans/${planId}/submit`)
+    .set('x-test-role', 'supervisor');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/plans -> 422 when creating a plan in a non-draft status', async () => {
+  const res = await request(app)
+    .post('/api/plans')
+    .set('x-test-role', 'therapist')
+    .send({ patient: planId, status: 'approved' });
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../src/app.js';
+import Notification from '../src/models/Notification.js';
+import { resolveThreshold } from '../src/services/reportDueService.js';
+
+const rules = [
+  { scope: 'diagnosis', value: 'autism spectrum disorder', sessionThreshold: 12 },
+  { scope: 'diagnosis', value: 'speech delay', sessionThreshold: 6 },
+  { scope: 'program', value: 'early intervention', sessionThreshold: 4 }
+];
+
+test('report threshold comes from the program, then the strictest diagnosis, then the default', () => {
+  assert.equal(resolveThreshold({ program: 'Early Intervention', diagnoses: ['Speech delay'] }, rules, 10), 4);
+  assert.equal(resolveThreshold({ diagnoses: ['Autism Spectrum Disorder', 'speech delay'] }, rules, 10), 6);
+  assert.equal(resolveThreshold({ diagnoses: ['Autism spectrum disorder'] }, rules, 10), 12);
+  assert.equal(resolveThreshold({ program: 'outpatient', diagnoses: ['anxiety'] }, rules, 10), 10);
+});
+
+test('report-due notifications link to the new report form with the patient preselected', () => {
+  const notification = new Notification({
+    toUser: '64b7f0000000000000000001',
+    type: 'report_due',
+    title: 'Progress Report Due',
+    message: 'Progress report is due for Alice after 10 sessions',
+    actionUrl: '/progress-reports/new?patient=64b7f0000000000000000002'
+  });
+  assert.equal(notification.validateSync()?.errors?.actionUrl, undefined);
+});
+
+test('GET /api/progress-reports/due -> 200 stub list with SKIP_DB=true', async () => {
+  const OLD = process.env.SKIP_DB;
+  process.env.SKIP_DB = 'true';
+  const res = await request(app).get('/api/progress-reports/due').set('x-test-role', 'therapist');
+  process.env.SKIP_DB = OLD;
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, []);
+});
+
+test('GET /api/report-due-rules -> 403 for therapists', async () => {
+  const res = await request(app).get('/api/report-due-rules').set('x-test-role', 'therapist');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/report-due-rules -> 422 on a zero threshold', async () => {
+  const res = await request(app)
+    .post('/api/report-due-rules')
+    .set('x-test-role', 'supervisor')
+    .send({ scope: 'program', value: 'Early Intervention', sessionThreshold: 0 });
+  assert.equal(res.status, 422);
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import request from 'supertest';
+import app from '../src/app.js';
+import webhookService, { signPayload } from '../src/services/webhookService.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+
+// Local receiver that records requests and answers with the given status
+function startReceiver(status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status < 300 ? 'ok' : 'receiver error');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    received,
+    url: `http://127.0.0.1:${server.address().port}/hooks/therapy`
+  })));
+}
+
+const webhook = { _id: '64b7f0000000000000000020', secret: 'test-secret' };
+
+// An unsaved delivery whose save() just resolves, so no database is needed
+function unsavedDelivery() {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    eventId: 'evt-1',
+    eventType: 'plan.approved',
+    body: JSON.stringify({ id: 'evt-1', type: 'plan.approved', data: { planId: 'p1' } })
+  });
+  delivery.save = async () => delivery;
+  return delivery;
+}
+
+test('posts an HMAC-signed payload the receiver can verify', async () => {
+  const { server, received, url } = await startReceiver(200);
+  try {
+    const now = new Date('2025-06-02T10:00:00Z');
+    const delivery = await webhookService.attemptDelivery(unsavedDelivery(), { ...webhook, url }, now);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+    assert.equal(received.length, 1);
+
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-event'], 'plan.approved');
+    assert.equal(headers['x-webhook-timestamp'], String(now.getTime() / 1000));
+    assert.equal(headers['x-webhook-signature'], signPayload('test-secret', headers['x-webhook-timestamp'], body));
+    assert.notEqual(headers['x-webhook-signature'], signPayload('wrong-secret', headers['x-webhook-timestamp'], body));
+    assert.deepEqual(JSON.parse(body).data, { planId: 'p1' });
+  } finally {
+    server.close();
+  }
+});
+
+test('failures back off exponentially, then land on the dead-letter list', async () => {
+  const { server, url } = await startReceiver(503);
+  try {
+    const delivery = unsavedDelivery();
+    let now = new Date('2025-06-02T10:00:00Z');
+    const delays = [];
+    for (let i = 0; i < 8; i++) {
+      await webhookService.attemptDelivery(delivery, { ...webhook, url }, now);
+      if (delivery.nextAttemptAt) {
+        delays.push((delivery.nextAttemptAt - now) / 60000);
+        now = delivery.nextAttemptAt;
+      }
+    }
+    assert.deepEqual(delays, [1, 2, 4, 8, 16, 32, 64]);
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.attempts.length, 8);
+    assert.equal(delivery.attempts[0].error, 'Receiver responded 503');
+  } finally {
+    server.close();
+  }
+});
+
+test('GET /api/webhooks -> 403 for supervisors', async () => {
+  const res = await request(app).get('/api/webhooks').set('x-test-role', 'supervisor');
+  assert.equal(res.status, 403);
+});
+
+test('POST /api/webhooks -> 422 on an unknown event type', async () => {
+  const res = await request(app)
+    .post('/api/webhooks')
+    .set('x-test-role', 'admin')
+    .send({ name: 'EHR', url: 'https://ehr.example.com/hooks', events: ['plan.deleted'] });
+  assert.equal(res.status, 422);
+});
+
+test('POST /api/webhooks -> 422 on a non-http URL', async () => {
+  const res = await request(app)
+    .post('/api/webhooks')
+    .set('x-test-role', 'admin')
+    .send({ name: 'EHR', url: 'ftp://ehr.example.com/hooks', events: ['plan.approved'] });
+  assert.equal(res.status, 422);
+});
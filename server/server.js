@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 import app from "./src/app.js";
+import jobScheduler from "./src/services/jobScheduler.js";
 import { fail } from "./src/middleware/respond.js";
 import { env, isProd, skipDb as shouldSkipDb } from "./src/config/env.js";
 
@@ -186,6 +187,8 @@ async function connectWithRetry(maxRetries = 30, delayMs = 5000) {
   await mongoose.connect(mongoUri);
       console.log('✅ Connected to MongoDB');
       startHttpServer();
+      // Reminders, retries and maintenance run as scheduled jobs (see src/services/scheduledJobs.js)
+      jobScheduler.start().catch(err => console.error('Job scheduler failed to start:', err.message));
       return;
     } catch (err) {
       console.error(`MongoDB connection failed (attempt ${attempt}):`, err.message);
@@ -10,15 +10,29 @@ import { corsOrigins, isProd as envIsProd } from "./config/env.js";
 
 import patientRoutes from "../src/routes/patients.js";
 import planRoutes from "../src/routes/plans.js";
+import planTemplateRoutes from "../src/routes/planTemplates.js";
 import sessionRoutes from "../src/routes/sessions.js";
 import reportRoutes from "../src/routes/reports.js";
 import ratingRoutes from "../src/routes/ratings.js";
 import assignmentRoutes from "../src/routes/assignments.js";
+import assignmentPolicyRoutes from "../src/routes/assignmentPolicies.js";
+import caseloadTransferRoutes from "../src/routes/caseloadTransfers.js";
 import userRoutes from "../src/routes/users.js";
 import notificationRoutes from "../src/routes/notifications.js";
+import escalationRuleRoutes from "../src/routes/escalationRules.js";
+import webhookRoutes from "../src/routes/webhooks.js";
+import jobRoutes from "../src/routes/jobs.js";
+import reportDueRuleRoutes from "../src/routes/reportDueRules.js";
 import analyticsRoutes from "../src/routes/analytics.js";
 import dataRoutes from "../src/routes/data.js";
+import attachmentRoutes from "../src/routes/attachments.js";
+import appointmentRoutes from "../src/routes/appointments.js";
+import calendarRoutes from "../src/routes/calendar.js";
+import attendanceRoutes from "../src/routes/attendance.js";
+import noteTemplateRoutes from "../src/routes/noteTemplates.js";
 import { fail } from "./middleware/respond.js";
+import { registerEventSubscribers } from "./services/eventSubscribers.js";
+import { registerScheduledJobs } from "./services/scheduledJobs.js";
 
 const app = express();
 
@@ -124,17 +138,34 @@ app.get('/metrics', async (_req, res) => {
   }
 });
 
+// Domain event subscribers (notifications, audit, report-due tasks, webhooks)
+registerEventSubscribers();
+// Jobs are registered here so the admin API can list them; server.js starts the scheduler
+registerScheduledJobs();
+
 // API Routes
 app.use("/api/users", userRoutes);
 app.use("/api/patients", patientRoutes);
 app.use("/api/plans", planRoutes);
+app.use("/api/plan-templates", planTemplateRoutes);
 app.use("/api/sessions", sessionRoutes);
 app.use("/api/progress-reports", reportRoutes);
 app.use("/api/ratings", ratingRoutes);
 app.use("/api/assignments", assignmentRoutes);
+app.use("/api/assignment-policies", assignmentPolicyRoutes);
+app.use("/api/caseload-transfers", caseloadTransferRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/escalation-rules", escalationRuleRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/report-due-rules", reportDueRuleRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/data", dataRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/appointments", appointmentRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/attendance", attendanceRoutes);
+app.use("/api/note-templates", noteTemplateRoutes);
 
 // Legacy dashboard route (for backwards compatibility)
 app.get("/api/dashboard", async (req, res) => {
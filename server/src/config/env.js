@@ -13,6 +13,28 @@ export const env = cleanEnv(process.env, {
   ENABLE_API_DOCS: bool({ default: false }),
   SKIP_DB: bool({ default: false }),
   SKIP_AUTH: bool({ default: false }),
+  // Outbound email; leave SMTP_HOST empty to disable. Local catch-all: SMTP_HOST=localhost SMTP_PORT=1025
+  SMTP_HOST: str({ default: '' }),
+  SMTP_PORT: num({ default: 587 }),
+  SMTP_SECURE: bool({ default: false }),
+  SMTP_USER: str({ default: '' }),
+  SMTP_PASS: str({ default: '' }),
+  EMAIL_FROM: str({ default: 'Therapy CMS <no-reply@localhost>' }),
+  APP_BASE_URL: str({ default: '' }),
+  // Scheduled jobs; leave BACKUP_DIR empty to skip nightly backups
+  BACKUP_DIR: str({ default: '' }),
+  BACKUP_RETENTION: num({ default: 14 }),
+  NOTIFICATION_RETENTION_DAYS: num({ default: 90 }),
+  // Attachments: local disk under UPLOAD_PATH, or any S3-compatible bucket
+  STORAGE_DRIVER: str({ choices: ['local', 's3'], default: 'local' }),
+  UPLOAD_PATH: str({ default: './uploads' }),
+  MAX_FILE_SIZE: str({ default: '10mb' }),
+  S3_BUCKET: str({ default: '' }),
+  S3_REGION: str({ default: 'us-east-1' }),
+  S3_ENDPOINT: str({ default: '' }),
+  S3_ACCESS_KEY_ID: str({ default: '' }),
+  S3_SECRET_ACCESS_KEY: str({ default: '' }),
+  S3_FORCE_PATH_STYLE: bool({ default: false }),
 });
 
 export const isProd = () => env.NODE_ENV === 'production';
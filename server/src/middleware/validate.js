@@ -1,8 +1,14 @@
 import { z } from 'zod';
 
+// Async parsing so schemas can look records up (e.g. a session note's template)
 export function validateBody(schema) {
-  return (req, res, next) => {
-    const result = schema.safeParse(req.body);
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await schema.safeParseAsync(req.body);
+    } catch (error) {
+      return next(error);
+    }
     if (!result.success) {
       const details = result.error.issues.map(i => ({ path: i.path.join('.'), message: i.message }));
       return res.status(422).json({ success: false, error: 'Validation Error', details });
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import { DAYS } from "../utils/schedule.js";
+import { RECURRENCE_PATTERNS, MAX_OCCURRENCES, expandOccurrences } from "../utils/recurrence.js";
+
+// A change to one occurrence of a series, keyed by the occurrence's original start
+const ExceptionSchema = new mongoose.Schema({
+  occurrence: { type: Date, required: true },
+  cancelled: { type: Boolean, default: false },
+  // Rescheduled start; the occurrence keeps its original start as its identity
+  start: Date,
+  reason: { type: String, maxlength: 500 }
+}, { _id: false });
+
+// An occurrence that has been written up as a Session
+const DocumentedSchema = new mongoose.Schema({
+  occurrence: { type: Date, required: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true }
+}, { _id: false });
+
+const AppointmentSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+    therapist: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Approved plan the schedule was derived from, if any
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "TherapyPlan" },
+    // First occurrence; later ones repeat its local time in timeZone
+    start: { type: Date, required: true },
+    durationMin: { type: Number, default: 45, min: 5, max: 480 },
+    timeZone: { type: String, default: 'UTC' },
+    room: { type: String, trim: true, maxlength: 100 },
+    recurrence: {
+      pattern: { type: String, enum: RECURRENCE_PATTERNS, default: 'none' },
+      days: [{ type: String, enum: DAYS }],
+      // Inclusive last day, or a number of occurrences
+      until: Date,
+      count: { type: Number, min: 1, max: MAX_OCCURRENCES }
+    },
+    exceptions: [ExceptionSchema],
+    documented: [DocumentedSchema],
+    status: { type: String, enum: ["scheduled", "cancelled"], default: "scheduled" },
+    cancelledAt: Date,
+    cancelReason: { type: String, maxlength: 500 },
+    notes: { type: String, maxlength: 1000 },
+    // End of the last occurrence, kept for range queries over whole series
+    seriesEnd: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'appointments'
+  }
+);
+
+AppointmentSchema.index({ patient: 1, seriesEnd: 1 });
+AppointmentSchema.index({ therapist: 1, seriesEnd: 1 });
+
+AppointmentSchema.pre('save', function(next) {
+  const ends = expandOccurrences(this).map(o => o.end.getTime());
+  this.seriesEnd = ends.length ? new Date(Math.max(...ends)) : this.start;
+  next();
+});
+
+export default mongoose.model("Appointment", AppointmentSchema);
@@ -1,12 +1,41 @@
 import mongoose from "mongoose";
 
+// Allocation constraint evaluated for the chosen therapist
+const ConstraintSchema = new mongoose.Schema({
+  type: { type: String, enum: ["continuity", "exclusion", "language", "gender"], required: true },
+  hard: { type: Boolean, default: false },
+  satisfied: { type: Boolean, required: true },
+  detail: String
+}, { _id: false });
+
 const AssignmentSchema = new mongoose.Schema(
   {
     patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
     therapist: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     supervisor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     method: { type: String, enum: ["auto", "manual"], required: true },
+    // Auto-assign results wait for a supervisor; Patient.assignedTherapist only changes on approval
+    status: { type: String, enum: ["pending", "approved", "rejected"], default: "approved" },
+    // Therapist the scorer proposed when a supervisor overrode the proposal
+    proposedTherapist: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    reviewNote: String,
     rationale: String,
+    score: Number,
+    scoreBreakdown: {
+      specialtyMatch: Number,
+      availability: Number,
+      caseload: Number,
+      experience: Number
+    },
+    previousTherapist: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    constraints: { type: [ConstraintSchema], default: undefined },
+    // Scoring policy that produced an automated assignment (version 0 = built-in default)
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: "AssignmentPolicy" },
+    policyVersion: Number,
+    // Shared by all assignments committed together from one batch allocation plan
+    batchId: String,
   },
   { timestamps: true }
 );
@@ -16,5 +45,7 @@ AssignmentSchema.index({ patient: 1, createdAt: -1 });
 AssignmentSchema.index({ therapist: 1, createdAt: -1 });
 AssignmentSchema.index({ supervisor: 1, createdAt: -1 });
 AssignmentSchema.index({ method: 1, createdAt: -1 });
+AssignmentSchema.index({ batchId: 1 }, { sparse: true });
+AssignmentSchema.index({ status: 1, createdAt: 1 });
 
 export default mongoose.model("Assignment", AssignmentSchema);
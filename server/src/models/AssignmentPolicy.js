@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+export const SCORING_CRITERIA = ['specialtyMatch', 'availability', 'caseload', 'experience'];
+
+// Step function entry: values >= min earn score (first matching band wins, highest min first)
+const BandSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 0 },
+  score: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const AssignmentPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    version: {
+      type: Number,
+      required: true,
+      unique: true
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    weights: {
+      specialtyMatch: { type: Number, min: 0, max: 1, default: 0.4 },
+      availability: { type: Number, min: 0, max: 1, default: 0.25 },
+      caseload: { type: Number, min: 0, max: 1, default: 0.25 },
+      experience: { type: Number, min: 0, max: 1, default: 0.1 }
+    },
+    enabledCriteria: {
+      type: [{ type: String, enum: SCORING_CRITERIA }],
+      default: () => [...SCORING_CRITERIA],
+      validate: {
+        validator: function(v) {
+          return v.length > 0;
+        },
+        message: 'At least one scoring criterion must be enabled'
+      }
+    },
+    caseloadBands: { type: [BandSchema], default: undefined },
+    availabilityBands: { type: [BandSchema], default: undefined },
+    // Score used when a therapist has no weekly slots recorded
+    availabilityDefault: { type: Number, min: 0, max: 100, default: 50 },
+    // Free weekly minutes inside the patient's preferred windows that earn a full availability score
+    fullOverlapMinutes: { type: Number, min: 15, max: 2400, default: 180 },
+    // Caseload at which a therapist is considered full for batch allocation
+    maxCaseload: { type: Number, min: 1, max: 100, default: 25 },
+    active: { type: Boolean, default: false },
+    activatedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'assignment_policies'
+  }
+);
+
+AssignmentPolicySchema.index({ active: 1 });
+
+// Bands are evaluated highest threshold first
+AssignmentPolicySchema.pre('save', function(next) {
+  if (this.caseloadBands) this.caseloadBands.sort((a, b) => b.min - a.min);
+  if (this.availabilityBands) this.availabilityBands.sort((a, b) => b.min - a.min);
+  next();
+});
+
+// Static method to get the currently active policy (null when none has been activated)
+AssignmentPolicySchema.statics.getActive = function() {
+  return this.findOne({ active: true }).lean();
+};
+
+// Static method to allocate the next version number
+AssignmentPolicySchema.statics.nextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select({ version: 1 }).lean();
+  return (latest?.version || 0) + 1;
+};
+
+export default mongoose.model("AssignmentPolicy", AssignmentPolicySchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// A file uploaded to a therapy plan, session or progress report
+const AttachmentSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: {
+        values: ["TherapyPlan", "Session", "ProgressReport"],
+        message: 'Attachments belong to a TherapyPlan, Session or ProgressReport'
+      },
+      required: true
+    },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Copied from the entity so access checks only need the patient's care team
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+    originalName: { type: String, required: true, trim: true, maxlength: 255 },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true, min: 0 },
+    sha256: String,
+    storageDriver: { type: String, enum: ["local", "s3"], required: true },
+    storageKey: { type: String, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }
+  },
+  {
+    timestamps: true,
+    collection: 'attachments'
+  }
+);
+
+AttachmentSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AttachmentSchema.index({ patient: 1 });
+
+export default mongoose.model("Attachment", AttachmentSchema);
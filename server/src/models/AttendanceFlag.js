@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// A patient waiting for supervisor follow-up after repeated no-shows
+const AttendanceFlagSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+    // Rule that fired; empty when the built-in default applied
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: "AttendanceRule" },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open"
+    },
+    // No-shows in the window when the flag was raised, and the rule settings that applied
+    noShowCount: Number,
+    threshold: Number,
+    windowDays: Number,
+    sessions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Session" }],
+    // Whether the rule paused the case
+    casePaused: { type: Boolean, default: false },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date,
+    resolution: { type: String, maxlength: 1000 }
+  },
+  {
+    timestamps: true,
+    collection: 'attendance_flags'
+  }
+);
+
+// At most one open flag per patient
+AttendanceFlagSchema.index({ patient: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+AttendanceFlagSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("AttendanceFlag", AttendanceFlagSchema);
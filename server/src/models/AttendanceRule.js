@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Flag a patient for supervisor follow-up after repeated no-shows, optionally pausing the case
+const AttendanceRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    active: { type: Boolean, default: true },
+    noShowThreshold: {
+      type: Number,
+      required: true,
+      min: [1, 'Threshold must be at least 1 no-show'],
+      max: [20, 'Threshold cannot exceed 20 no-shows']
+    },
+    // No-shows are counted over this many days back from the latest one
+    windowDays: {
+      type: Number,
+      required: true,
+      min: [1, 'Window must be at least 1 day'],
+      max: [365, 'Window cannot exceed 365 days']
+    },
+    // Set Patient.caseStatus to paused when the rule fires
+    pauseCase: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'attendance_rules'
+  }
+);
+
+export default mongoose.model("AttendanceRule", AttendanceRuleSchema);
@@ -12,11 +12,13 @@ const AuditLogSchema = new mongoose.Schema(
       required: [true, 'Action is required'],
       enum: [
         'create', 'update', 'delete',
-        'assign_patient', 'reassign_patient',
+        'assign_patient', 'reassign_patient', 'reject_assignment',
         'submit_plan', 'approve_plan', 'revise_plan',
         'log_session', 'submit_report', 'review_report',
         'rate_therapist', 'change_role',
-        'export_data', 'import_data'
+        'export_data', 'import_data',
+        'activate_policy',
+        'override_conflict'
       ]
     },
     entityType: {
@@ -24,7 +26,8 @@ const AuditLogSchema = new mongoose.Schema(
       required: [true, 'Entity type is required'],
       enum: [
         'User', 'Patient', 'Assignment', 'TherapyPlan',
-        'Session', 'ProgressReport', 'ClinicalRating'
+        'Session', 'ProgressReport', 'ClinicalRating',
+        'AssignmentPolicy', 'Webhook', 'Appointment'
       ]
     },
     entityId: {
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One patient moved away from the departing therapist
+const TransferItemSchema = new mongoose.Schema({
+  patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+  // Proposed by the scorer; replaced by the supervisor's choice on approval
+  toTherapist: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  score: Number,
+  rationale: String,
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment" },
+  returnAssignment: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment" },
+  // Why the patient was not handed back when the leave ended
+  returnSkipped: String
+}, { _id: false });
+
+const CaseloadTransferSchema = new mongoose.Schema(
+  {
+    therapist: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: {
+      type: String,
+      enum: {
+        values: ["deactivation", "leave"],
+        message: 'Reason must be deactivation or leave'
+      },
+      required: true
+    },
+    leaveStart: Date,
+    leaveEnd: Date,
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    status: {
+      type: String,
+      // scheduled: approved before the leave begins; patients move at leaveStart
+      enum: ["proposed", "scheduled", "approved", "returned", "cancelled"],
+      default: "proposed"
+    },
+    items: { type: [TransferItemSchema], default: [] },
+    totalScore: Number,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedAt: Date,
+    batchId: String,
+    // Why a scheduled handover could not be applied when the leave began
+    failureReason: String,
+    returnedAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'caseload_transfers'
+  }
+);
+
+CaseloadTransferSchema.index({ therapist: 1, status: 1 });
+CaseloadTransferSchema.index({ status: 1, leaveEnd: 1 });
+CaseloadTransferSchema.index({ status: 1, leaveStart: 1 });
+CaseloadTransferSchema.index({ createdAt: -1 });
+
+export default mongoose.model("CaseloadTransfer", CaseloadTransferSchema);
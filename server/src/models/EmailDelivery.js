@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One try at handing the message to the SMTP server
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  success: Boolean,
+  messageId: String,
+  response: String,
+  error: String
+}, { _id: false });
+
+const EmailDeliverySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    to: { type: String, required: true },
+    kind: {
+      type: String,
+      enum: ["immediate", "digest"],
+      required: true
+    },
+    // Notification type for immediate emails, 'digest' for daily digests
+    type: { type: String, required: true },
+    notifications: [{ type: mongoose.Schema.Types.ObjectId, ref: "Notification" }],
+    subject: { type: String, required: true },
+    text: String,
+    html: String,
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending"
+    },
+    attempts: { type: [AttemptSchema], default: [] },
+    nextAttemptAt: Date,
+    sentAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'email_deliveries'
+  }
+);
+
+EmailDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+EmailDeliverySchema.index({ user: 1, kind: 1, createdAt: -1 });
+
+export default mongoose.model("EmailDelivery", EmailDeliverySchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const EscalationRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    active: { type: Boolean, default: true },
+    // Notification types the rule watches; empty means every type
+    types: { type: [String], default: [] },
+    priorities: {
+      type: [{ type: String, enum: ['low', 'medium', 'high', 'urgent'] }],
+      default: ['urgent']
+    },
+    unreadForHours: {
+      type: Number,
+      min: [1, 'Escalate after at least 1 hour'],
+      max: [24 * 30, 'Escalate within 30 days'],
+      default: 24
+    },
+    action: {
+      type: String,
+      enum: {
+        values: ['renotify', 'notify_backup'],
+        message: 'Action must be renotify or notify_backup'
+      },
+      required: true
+    },
+    // Who hears about it for notify_backup; falls back to the recipient's backupSupervisor
+    backupUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'escalation_rules'
+  }
+);
+
+export default mongoose.model("EscalationRule", EscalationRuleSchema);
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Persistent state of a scheduled job; the handler itself is registered in code
+const JobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    description: String,
+    // Five-field cron expression, evaluated in UTC
+    schedule: { type: String, required: true },
+    paused: { type: Boolean, default: false },
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastStatus: { type: String, enum: ["succeeded", "failed"] },
+    lastError: String,
+    // Distributed lock: the instance running the job and when its claim lapses
+    lockedBy: String,
+    lockedUntil: Date
+  },
+  {
+    timestamps: true,
+    collection: 'jobs'
+  }
+);
+
+JobSchema.index({ paused: 1, nextRunAt: 1 });
+
+export default mongoose.model("Job", JobSchema);
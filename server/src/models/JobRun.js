@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// One execution of a scheduled job
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      required: true
+    },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    instance: String,
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running"
+    },
+    startedAt: { type: Date, required: true },
+    finishedAt: Date,
+    durationMs: Number,
+    // Whatever the handler returned, e.g. counts of items processed
+    result: mongoose.Schema.Types.Mixed,
+    error: String
+  },
+  {
+    timestamps: true,
+    collection: 'job_runs'
+  }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Run history is kept for 90 days
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("JobRun", JobRunSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { NOTE_SECTION_TYPES } from "../utils/noteTemplates.js";
+
+const NoteSectionSchema = new mongoose.Schema({
+  // Stable identifier used in Session.note values
+  key: { type: String, required: true, trim: true },
+  label: { type: String, required: true, trim: true, maxlength: 100 },
+  type: { type: String, enum: NOTE_SECTION_TYPES, default: "textarea" },
+  required: { type: Boolean, default: false },
+  // Picklist for select and multiselect sections
+  options: [{ type: String, trim: true }],
+  min: Number,
+  max: Number,
+  maxLength: Number,
+  help: { type: String, maxlength: 300 }
+}, { _id: false });
+
+// Structured note layout for session documentation, e.g. a discipline-specific SOAP variant
+const NoteTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: 200
+    },
+    description: { type: String, maxlength: 1000 },
+    // e.g. speech therapy, occupational therapy; empty for templates any discipline can use
+    discipline: { type: String, trim: true, lowercase: true, maxlength: 100 },
+    sections: [NoteSectionSchema],
+    // Bumped whenever the sections change; notes record the version they were written with
+    version: { type: Number, default: 1 },
+    // Only published templates are offered to therapists
+    status: {
+      type: String,
+      enum: {
+        values: ["draft", "published", "archived"],
+        message: 'Status must be draft, published or archived'
+      },
+      default: "draft"
+    },
+    publishedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'note_templates'
+  }
+);
+
+NoteTemplateSchema.index({ name: 1 }, { unique: true });
+NoteTemplateSchema.index({ status: 1, discipline: 1 });
+
+export default mongoose.model("NoteTemplate", NoteTemplateSchema);
@@ -18,9 +18,12 @@ const NotificationSchema = new mongoose.Schema(
         'plan_submitted',
         'plan_approved',
         'plan_needs_revision',
+        'plan_comment',
+        'attendance_flag',
         'session_reminder',
         'report_due',
         'report_submitted',
+        'report_reviewed',
         'assignment_changed',
         'rating_received',
         'system_alert'
@@ -57,14 +60,35 @@ const NotificationSchema = new mongoose.Schema(
       type: String,
       validate: {
         validator: function(v) {
-          return !v || /^\/[a-zA-Z0-9\-_\/]*$/.test(v);
+          return !v || /^\/[a-zA-Z0-9\-_\/]*(\?[a-zA-Z0-9\-_=&]*)?$/.test(v);
         },
         message: 'Invalid action URL format'
       }
     },
     expiresAt: {
       type: Date
-    }
+    },
+    // Waiting for the recipient's daily email digest
+    emailDigestPending: {
+      type: Boolean,
+      default: false
+    },
+    // False when the recipient muted this type in-app; kept for email and audit
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    // Set on reminders and backup notices created by escalation rules
+    escalatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification"
+    },
+    escalations: [{
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: "EscalationRule" },
+      action: String,
+      notifiedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      at: { type: Date, default: Date.now }
+    }]
   },
   { 
     timestamps: true,
@@ -75,6 +99,8 @@ const NotificationSchema = new mongoose.Schema(
 // Indexes for efficient querying
 NotificationSchema.index({ toUser: 1, read: 1, createdAt: -1 });
 NotificationSchema.index({ type: 1, createdAt: -1 });
+NotificationSchema.index({ read: 1, priority: 1, createdAt: 1 });
+NotificationSchema.index({ emailDigestPending: 1, toUser: 1 }, { partialFilterExpression: { emailDigestPending: true } });
 NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual for checking if notification is unread
@@ -102,7 +128,7 @@ NotificationSchema.statics.createNotification = async function(data) {
 
 // Static method to get unread count for user
 NotificationSchema.statics.getUnreadCount = async function(userId) {
-  return this.countDocuments({ toUser: userId, read: false });
+  return this.countDocuments({ toUser: userId, read: false, inApp: { $ne: false } });
 };
 
 export default mongoose.model("Notification", NotificationSchema);
@@ -30,6 +30,33 @@ const ContactSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Weekly window in which the patient can attend, in the patient's own time zone
+const PreferredWindowSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: true,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End time must be HH:MM'],
+    validate: {
+      validator: function(v) {
+        return !this.start || v > this.start;
+      },
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
 const PatientSchema = new mongoose.Schema(
   {
     name: {
@@ -75,6 +102,35 @@ const PatientSchema = new mongoose.Schema(
         message: 'Cannot have more than 20 tags'
       }
     },
+    languages: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function(v) {
+          return v.length <= 10;
+        },
+        message: 'Cannot have more than 10 languages'
+      }
+    },
+    // Care program the patient is enrolled in; can set the progress report cadence
+    program: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Program cannot exceed 100 characters']
+    },
+    // Allocation constraints; "required" flags turn a preference into a hard constraint
+    therapistPreferences: {
+      gender: {
+        type: String,
+        enum: {
+          values: ['female', 'male', 'nonbinary'],
+          message: 'Preferred gender must be female, male, or nonbinary'
+        }
+      },
+      genderRequired: { type: Boolean, default: false },
+      languageRequired: { type: Boolean, default: false },
+      excludedTherapists: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }]
+    },
     assignedTherapist: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: "User",
@@ -118,6 +174,22 @@ const PatientSchema = new mongoose.Schema(
       type: String,
       maxlength: [2000, 'Notes cannot exceed 2000 characters']
     },
+    appointmentPreferences: {
+      timeZone: {
+        type: String,
+        default: 'UTC'
+      },
+      windows: {
+        type: [PreferredWindowSchema],
+        default: [],
+        validate: {
+          validator: function(v) {
+            return v.length <= 21;
+          },
+          message: 'Cannot have more than 21 preferred windows'
+        }
+      }
+    },
     lastSessionDate: Date,
     nextAppointment: Date
   },
@@ -155,6 +227,9 @@ PatientSchema.pre('save', function(next) {
   if (this.diagnoses) {
     this.diagnoses = this.diagnoses.map(diagnosis => diagnosis.trim()).filter(Boolean);
   }
+  if (this.languages) {
+    this.languages = this.languages.map(language => language.toLowerCase().trim()).filter(Boolean);
+  }
   next();
 });
 
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const CommentSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A discussion anchored to one goal, activity or section of a therapy plan version
+const PlanCommentThreadSchema = new mongoose.Schema(
+  {
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "TherapyPlan", required: true },
+    // PlanVersion the thread was opened against; 0 for a plan that was never submitted
+    version: { type: Number, default: 0, min: 0 },
+    anchor: {
+      section: {
+        type: String,
+        enum: {
+          values: ["goal", "activity", "notes", "general"],
+          message: 'Section must be goal, activity, notes or general'
+        },
+        required: true
+      },
+      // Goal title or activity name for goal/activity threads
+      key: { type: String, trim: true, maxlength: 200 }
+    },
+    // Blocking threads must be resolved before the plan can be resubmitted
+    blocking: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open"
+    },
+    comments: [CommentSchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'plan_comment_threads'
+  }
+);
+
+PlanCommentThreadSchema.index({ plan: 1, createdAt: 1 });
+PlanCommentThreadSchema.index({ plan: 1, status: 1, blocking: 1 });
+
+export default mongoose.model("PlanCommentThread", PlanCommentThreadSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const GoalSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  metric: String,
+  target: Number
+}, { _id: false });
+
+const ActivitySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  frequency: String,
+  duration: String
+}, { _id: false });
+
+// Reusable goals and activities that a therapist can start a plan from
+const PlanTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: 200
+    },
+    description: { type: String, maxlength: 1000 },
+    goals: [GoalSchema],
+    activities: [ActivitySchema],
+    // Matched case-insensitively against Patient.diagnoses to suggest a template
+    diagnoses: [{ type: String, trim: true, lowercase: true }],
+    tags: [{ type: String, trim: true, lowercase: true }],
+    // Only published templates are offered to therapists
+    status: {
+      type: String,
+      enum: {
+        values: ["draft", "published", "archived"],
+        message: 'Status must be draft, published or archived'
+      },
+      default: "draft"
+    },
+    publishedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'plan_templates'
+  }
+);
+
+PlanTemplateSchema.index({ name: 1 }, { unique: true });
+PlanTemplateSchema.index({ status: 1, diagnoses: 1 });
+
+export default mongoose.model("PlanTemplate", PlanTemplateSchema);
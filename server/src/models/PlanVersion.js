@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const GoalSchema = new mongoose.Schema({
+  title: String,
+  metric: String,
+  target: Number
+}, { _id: false });
+
+const ActivitySchema = new mongoose.Schema({
+  name: String,
+  frequency: String,
+  duration: String
+}, { _id: false });
+
+// Snapshot of a therapy plan's content taken each time it is submitted for review
+const PlanVersionSchema = new mongoose.Schema(
+  {
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "TherapyPlan", required: true },
+    version: { type: Number, required: true, min: 1 },
+    goals: [GoalSchema],
+    activities: [ActivitySchema],
+    notes: String,
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    submittedAt: { type: Date, required: true }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'plan_versions'
+  }
+);
+
+PlanVersionSchema.index({ plan: 1, version: 1 }, { unique: true });
+
+// Versions are a review record; only new ones may be written
+function rejectUpdate(next) {
+  next(new Error('Plan versions are immutable'));
+}
+PlanVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+PlanVersionSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Plan versions are immutable'));
+  next();
+});
+
+export default mongoose.model("PlanVersion", PlanVersionSchema);
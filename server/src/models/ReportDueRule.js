@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Sessions between progress reports for patients with a given diagnosis or in a given program
+const ReportDueRuleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: {
+        values: ["diagnosis", "program"],
+        message: 'Scope must be diagnosis or program'
+      },
+      required: true
+    },
+    // Matched case-insensitively against Patient.diagnoses / Patient.program
+    value: {
+      type: String,
+      required: [true, 'Diagnosis or program is required'],
+      trim: true,
+      lowercase: true,
+      maxlength: 200
+    },
+    sessionThreshold: {
+      type: Number,
+      required: true,
+      min: [1, 'Threshold must be at least 1 session'],
+      max: [100, 'Threshold cannot exceed 100 sessions']
+    },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'report_due_rules'
+  }
+);
+
+ReportDueRuleSchema.index({ scope: 1, value: 1 }, { unique: true });
+
+export default mongoose.model("ReportDueRule", ReportDueRuleSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A progress report the therapist owes once a patient reaches the session threshold
+const ReportTaskSchema = new mongoose.Schema(
+  {
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
+    therapist: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: {
+      type: String,
+      enum: ["open", "completed"],
+      default: "open"
+    },
+    // Sessions since the last report when the task was opened, and the threshold that applied
+    sessionCount: Number,
+    threshold: Number,
+    triggeredBySession: { type: mongoose.Schema.Types.ObjectId, ref: "Session" },
+    lastNotifiedAt: Date,
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "ProgressReport" },
+    completedAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'report_tasks'
+  }
+);
+
+// At most one open task per patient
+ReportTaskSchema.index({ patient: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+ReportTaskSchema.index({ therapist: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("ReportTask", ReportTaskSchema);
@@ -1,4 +1,31 @@
 import mongoose from "mongoose";
+import { ATTENDANCE_STATUSES, attendanceError } from "../utils/attendance.js";
+
+const AttendanceSchema = new mongoose.Schema({
+  status: { type: String, enum: ATTENDANCE_STATUSES, default: "attended" },
+  // Reason code from ATTENDANCE_REASONS for the status
+  reason: String,
+  minutesLate: { type: Number, min: 1, max: 240 },
+  note: { type: String, maxlength: 500 }
+}, { _id: false });
+
+const NoteSectionValueSchema = new mongoose.Schema({
+  key: String,
+  label: String,
+  type: { type: String },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Structured note filled in from a note template
+const NoteSchema = new mongoose.Schema({
+  // Built-in template key (soap, dap) or NoteTemplate id
+  template: String,
+  templateName: String,
+  templateVersion: Number,
+  sections: [NoteSectionValueSchema],
+  // Sections as plain text, for search
+  text: String
+}, { _id: false });
 
 const SessionSchema = new mongoose.Schema(
   {
@@ -10,6 +37,11 @@ const SessionSchema = new mongoose.Schema(
     observations: String,
     outcomes: [{ metric: String, value: Number }],
     nextSteps: String,
+    room: { type: String, trim: true, maxlength: 100 },
+    // Appointment this session documents, when it was logged from the schedule
+    appointment: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    attendance: { type: AttendanceSchema, default: () => ({}) },
+    note: NoteSchema,
   },
   { timestamps: true }
 );
@@ -18,5 +50,13 @@ const SessionSchema = new mongoose.Schema(
 SessionSchema.index({ therapist: 1, date: -1 });
 SessionSchema.index({ patient: 1, date: -1 });
 SessionSchema.index({ createdAt: -1 });
+SessionSchema.index({ patient: 1, 'attendance.status': 1, date: -1 });
+SessionSchema.index({ 'note.text': 'text', observations: 'text', nextSteps: 'text' }, { name: 'session_notes_text' });
+
+SessionSchema.pre('validate', function(next) {
+  const problem = attendanceError(this.attendance || {});
+  if (problem) this.invalidate('attendance.reason', problem);
+  next();
+});
 
 export default mongoose.model("Session", SessionSchema);
@@ -12,6 +12,16 @@ const ActivitySchema = new mongoose.Schema({
   duration: String 
 }, { _id: false });
 
+// One status transition: who moved the plan, when and why
+const HistorySchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  role: String,
+  reason: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const TherapyPlanSchema = new mongoose.Schema(
   {
     patient: { type: mongoose.Schema.Types.ObjectId, ref: "Patient", required: true },
@@ -21,9 +31,14 @@ const TherapyPlanSchema = new mongoose.Schema(
     activities: [ActivitySchema],
     notes: String,
     attachments: [String],
+    // Template the plan was started from, if any
+    template: { type: mongoose.Schema.Types.ObjectId, ref: "PlanTemplate" },
     submittedAt: Date,
     reviewedAt: Date,
     supervisorComments: String,
+    // Number of the latest PlanVersion snapshot; 0 until the first submit
+    currentVersion: { type: Number, default: 0 },
+    history: [HistorySchema],
   },
   { timestamps: true }
 );
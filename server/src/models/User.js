@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 
+const AvailabilityExceptionSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  summary: { type: String, trim: true, maxlength: 200 },
+  source: { type: String, enum: ['manual', 'ics'], default: 'manual' },
+  // UID of the imported VEVENT, so re-importing a calendar updates instead of duplicating
+  uid: { type: String, maxlength: 500 }
+});
+
 const AvailabilitySchema = new mongoose.Schema({
   weeklySlots: {
     type: Number,
@@ -18,7 +27,9 @@ const AvailabilitySchema = new mongoose.Schema({
   timeZone: {
     type: String,
     default: 'UTC'
-  }
+  },
+  // Blocked time such as vacations, entered by hand or imported from an .ics file
+  exceptions: [AvailabilityExceptionSchema]
 }, { _id: false });
 
 const UserSchema = new mongoose.Schema(
@@ -97,13 +108,63 @@ const UserSchema = new mongoose.Schema(
         message: 'Phone number must be between 10-15 digits'
       }
     },
+    languages: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function(v) {
+          return v.length <= 10;
+        },
+        message: 'Cannot have more than 10 languages'
+      }
+    },
+    gender: {
+      type: String,
+      enum: {
+        values: ['female', 'male', 'nonbinary', 'undisclosed'],
+        message: 'Gender must be female, male, nonbinary, or undisclosed'
+      }
+    },
+    // Temporary leave; no end date means leave until further notice
+    leave: {
+      start: Date,
+      end: Date,
+      note: String
+    },
+    // Private iCalendar feed; only a hash of the URL token is stored
+    calendarFeed: {
+      tokenHash: { type: String, select: false },
+      maskPatientNames: { type: Boolean, default: true },
+      createdAt: Date
+    },
+    // Receives escalated notifications this user leaves unread
+    backupSupervisor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     department: String,
     hireDate: Date,
     lastLoginAt: Date,
     preferences: {
       notifications: {
         email: { type: Boolean, default: true },
-        inApp: { type: Boolean, default: true }
+        inApp: { type: Boolean, default: true },
+        emailFrequency: {
+          type: String,
+          enum: ['immediate', 'daily'],
+          default: 'immediate'
+        },
+        // Local hour (in availability.timeZone) when the daily digest goes out
+        digestHour: { type: Number, min: 0, max: 23, default: 8 },
+        // Per notification type overrides of the email/inApp switches above
+        types: {
+          type: Map,
+          of: new mongoose.Schema({ inApp: Boolean, email: Boolean }, { _id: false }),
+          default: undefined
+        },
+        // Local times (availability.timeZone); emails wait until the end unless urgent
+        quietHours: {
+          enabled: { type: Boolean, default: false },
+          start: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'Expected HH:MM'] },
+          end: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'Expected HH:MM'] }
+        }
       },
       theme: {
         type: String,
@@ -148,6 +209,7 @@ UserSchema.index({ name: 'text', email: 'text' });
 UserSchema.index({ role: 1, active: 1 });
 UserSchema.index({ specialties: 1 });
 UserSchema.index({ createdAt: -1 });
+UserSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware
 UserSchema.pre('save', function(next) {
@@ -157,6 +219,11 @@ UserSchema.pre('save', function(next) {
       .map(specialty => specialty.toLowerCase().trim())
       .filter(Boolean);
   }
+  if (this.languages) {
+    this.languages = this.languages
+      .map(language => language.toLowerCase().trim())
+      .filter(Boolean);
+  }
   
   // Update lastLoginAt if this is a login operation
   if (this.isModified('lastLoginAt')) {
@@ -179,7 +246,25 @@ UserSchema.statics.findAvailableTherapists = function() {
   });
 };
 
+// Therapists that can take new patients: active and not currently on leave
+UserSchema.statics.findAssignableTherapists = function(excludeIds = [], now = new Date()) {
+  return this.find({
+    role: 'therapist',
+    active: true,
+    _id: { $nin: excludeIds },
+    $nor: [{
+      'leave.start': { $lte: now },
+      $or: [{ 'leave.end': null }, { 'leave.end': { $gt: now } }]
+    }]
+  });
+};
+
 // Instance methods
+UserSchema.methods.isOnLeave = function(now = new Date()) {
+  const { start, end } = this.leave || {};
+  return Boolean(start && start <= now && (!end || end > now));
+};
+
 UserSchema.methods.getActivePatients = function() {
   const Patient = mongoose.model('Patient');
   return Patient.find({ 
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Webhook name is required'],
+      trim: true,
+      maxlength: [100, 'Webhook name cannot exceed 100 characters']
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      validate: {
+        validator: function(v) {
+          return /^https?:\/\/\S+$/.test(v);
+        },
+        message: 'Webhook URL must be http(s)'
+      }
+    },
+    // Domain event types (see services/eventBus.js); '*' means every event
+    events: {
+      type: [String],
+      validate: {
+        validator: function(v) {
+          return v.length > 0;
+        },
+        message: 'Subscribe to at least one event'
+      }
+    },
+    // HMAC-SHA256 signing key; only returned when the webhook is created
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    description: { type: String, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  {
+    timestamps: true,
+    collection: 'webhooks'
+  }
+);
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model("Webhook", WebhookSchema);
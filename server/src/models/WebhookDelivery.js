@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// One POST to the receiver
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  success: Boolean,
+  statusCode: Number,
+  durationMs: Number,
+  response: String,
+  error: String
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    // Exact JSON body that was signed, so replays send identical bytes
+    body: { type: String, required: true },
+    // 'dead' is the dead-letter list: retries exhausted, waiting for a manual replay
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "dead"],
+      default: "pending"
+    },
+    attempts: { type: [AttemptSchema], default: [] },
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    // Set on deliveries created by replaying an earlier one
+    replayOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" }
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_deliveries'
+  }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", WebhookDeliverySchema);
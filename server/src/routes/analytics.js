@@ -224,6 +224,46 @@ router.get("/overdue", async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/analytics/equity:
+ *   get:
+ *     summary: Fairness and equity report for assignment decisions
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: juniorYears
+ *         schema: { type: number, default: 2 }
+ *         description: Therapists hired more recently than this count as junior
+ *     responses:
+ *       200:
+ *         description: Per-therapist load, priority shares, override rates and Gini coefficients
+ */
+router.get("/equity", async (req, res) => {
+  try {
+    // Check permissions - supervisors and admins only
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+  return fail(res, 403, 'Insufficient permissions for equity analytics');
+    }
+
+    const { startDate, endDate, juniorYears } = req.query;
+    const filters = {};
+    
+    if (startDate) filters.startDate = startDate;
+    if (endDate) filters.endDate = endDate;
+    if (juniorYears) filters.juniorYears = juniorYears;
+
+    const data = await analyticsService.getAssignmentEquity(filters);
+
+  return ok(res, { data });
+  } catch (error) {
+    console.error('Assignment equity error:', error);
+  return fail(res, 500, 'Failed to fetch equity analytics');
+  }
+});
+
 /**
  * GET /api/analytics/export/:type
  * Export analytics data as CSV
@@ -238,7 +278,7 @@ router.get("/export/:type", async (req, res) => {
     const { type } = req.params;
     const { startDate, endDate } = req.query;
     
-    const validTypes = ['caseload', 'progress', 'performance'];
+    const validTypes = ['caseload', 'progress', 'performance', 'equity'];
     if (!validTypes.includes(type)) {
       return fail(res, 400, 'Invalid export type. Valid types: ' + validTypes.join(', '));
     }
@@ -246,6 +286,7 @@ router.get("/export/:type", async (req, res) => {
     const filters = {};
     if (startDate) filters.startDate = startDate;
     if (endDate) filters.endDate = endDate;
+    if (req.query.juniorYears) filters.juniorYears = req.query.juniorYears;
 
     const csvData = await analyticsService.exportAnalytics(type, filters);
 
@@ -0,0 +1,236 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import Appointment from "../models/Appointment.js";
+import appointmentService from "../services/appointmentService.js";
+import conflictService from "../services/conflictService.js";
+import { expandOccurrences } from "../utils/recurrence.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import {
+  appointmentSchema,
+  appointmentUpdateSchema,
+  appointmentExceptionSchema,
+  appointmentCancelSchema,
+  appointmentDocumentSchema,
+  appointmentQuerySchema,
+  conflictQuerySchema
+} from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+const SCHEDULING_ROLES = ['therapist', 'supervisor', 'admin'];
+
+// Map appointment service errors onto status codes
+function errorStatus(error) {
+  if (error.conflicts) return 409;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Access denied')) return 403;
+  if (error.message.includes('already') || error.message.includes('cancelled')) return 409;
+  return 400;
+}
+
+function isSkipDb() {
+  const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+  return !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+}
+
+/**
+ * @openapi
+ * /api/appointments:
+ *   get:
+ *     summary: List appointment series (therapists see their own)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient
+ *         schema: { type: string }
+ *       - in: query
+ *         name: therapist
+ *         schema: { type: string }
+ *       - in: query
+ *         name: includeCancelled
+ *         schema: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Appointment series, soonest first
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (isSkipDb()) return ok(res, { data: [] });
+
+    const { patient, therapist, includeCancelled } = req.query;
+    const appointments = await appointmentService.list({
+      patient,
+      therapist,
+      includeCancelled: includeCancelled === 'true'
+    }, req.auth);
+    return ok(res, { data: appointments });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/appointments/occurrences?from=&to=&patient=&therapist=
+ * Individual occurrences in a window (default: the next 30 days), for calendars
+ */
+router.get("/occurrences", readLimiter, validateQuery(appointmentQuerySchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (isSkipDb()) return ok(res, { data: [] });
+
+    const occurrences = await appointmentService.occurrences(req.query, req.auth);
+    return ok(res, { data: occurrences });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/appointments/planned-frequency?patient=
+ * Sessions per week and recurrence pattern implied by the patient's approved plan
+ */
+router.get("/planned-frequency", readLimiter, async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (!mongoose.Types.ObjectId.isValid(req.query.patient)) return fail(res, 400, 'A valid patient id is required');
+    if (isSkipDb()) return ok(res, { data: null });
+
+    return ok(res, { data: await appointmentService.plannedFrequency(req.query.patient) });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/appointments/conflicts?start=&durationMin=&therapist=&patient=&room=
+ * Preview the conflicts a booking would hit, without saving anything
+ */
+router.get("/conflicts", readLimiter, validateQuery(conflictQuerySchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (isSkipDb()) return ok(res, { data: [] });
+
+    const { start, durationMin = 45, therapist, patient, room } = req.query;
+    const from = new Date(start);
+    const conflicts = await conflictService.findConflicts({
+      therapist,
+      patient,
+      room,
+      intervals: [{ start: from, end: new Date(from.getTime() + durationMin * 60000) }]
+    });
+    return ok(res, { data: conflicts });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.get("/:id", readLimiter, async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Appointment not found');
+
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('patient', 'name')
+      .populate('therapist', 'name email')
+      .lean();
+    if (!appointment) return fail(res, 404, 'Appointment not found');
+    if (!appointmentService.canManage({ therapist: appointment.therapist._id }, req.auth)) {
+      return fail(res, 403, 'Access denied: therapists can only view their own appointments');
+    }
+    return ok(res, { data: { ...appointment, occurrences: expandOccurrences(appointment) } });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/appointments
+ * Schedule an appointment or recurring series. Omit recurrence.pattern to use
+ * the frequency from the patient's approved plan.
+ */
+router.post("/", writeLimiter, validateBody(appointmentSchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+
+    const { appointment, conflicts } = await appointmentService.create(req.body, req.auth);
+    return created(res, { data: appointment, conflicts });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message, error.conflicts && { conflicts: error.conflicts });
+  }
+});
+
+router.patch("/:id", writeLimiter, validateBody(appointmentUpdateSchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Appointment not found');
+
+    const { appointment, conflicts } = await appointmentService.update(req.params.id, req.body, req.auth);
+    return ok(res, { data: appointment, conflicts });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message, error.conflicts && { conflicts: error.conflicts });
+  }
+});
+
+/**
+ * POST /api/appointments/:id/cancel
+ * Cancel the rest of a series; occurrences already past are kept
+ */
+router.post("/:id/cancel", writeLimiter, validateBody(appointmentCancelSchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Appointment not found');
+
+    const appointment = await appointmentService.cancel(req.params.id, req.body.reason, req.auth);
+    return ok(res, { data: appointment });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * POST /api/appointments/:id/exceptions
+ * Cancel (cancelled: true), move (start) or restore (neither) one occurrence,
+ * identified by its original start
+ */
+router.post("/:id/exceptions", writeLimiter, validateBody(appointmentExceptionSchema), async (req, res) => {
+  try {
+    if (!SCHEDULING_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for appointments');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Appointment not found');
+
+    const { appointment, conflicts } = await appointmentService.setException(req.params.id, req.body, req.auth);
+    return ok(res, { data: appointment, conflicts });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message, error.conflicts && { conflicts: error.conflicts });
+  }
+});
+
+/**
+ * POST /api/appointments/:id/session
+ * Document an occurrence: creates its Session and links it to the appointment
+ */
+router.post("/:id/session", writeLimiter, validateBody(appointmentDocumentSchema), async (req, res) => {
+  try {
+    if (!['therapist', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only therapists and admins can document appointments');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Appointment not found');
+
+    const session = await appointmentService.document(req.params.id, req.body, req.auth);
+    return created(res, { data: session });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+export default router;
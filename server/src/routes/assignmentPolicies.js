@@ -0,0 +1,167 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import rateLimit from "express-rate-limit";
+import AssignmentPolicy from "../models/AssignmentPolicy.js";
+import AuditLog from "../models/AuditLog.js";
+import assignmentService, { DEFAULT_POLICY } from "../services/assignmentService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { assignmentPolicySchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * Policies are immutable once created: editing a policy means creating the
+ * next version, so every Assignment can be explained by the version it records.
+ */
+
+/**
+ * @openapi
+ * /api/assignment-policies:
+ *   get:
+ *     summary: List assignment scoring policy versions
+ *     tags: [Assignment Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policies, newest version first
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for assignment policies');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const docs = await AssignmentPolicy.find()
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email')
+      .lean();
+
+    return ok(res, { data: docs });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/assignment-policies/active
+ * Get the policy currently used by the scorer (built-in default when none is active)
+ */
+router.get("/active", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for assignment policies');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: { ...DEFAULT_POLICY, builtIn: true } });
+
+    const policy = await assignmentService.getActivePolicy();
+    return ok(res, { data: { ...policy, builtIn: policy === DEFAULT_POLICY } });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.get("/:id", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for assignment policies');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment policy not found");
+
+    const policy = await AssignmentPolicy.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email');
+    if (!policy) return fail(res, 404, "Assignment policy not found");
+    return ok(res, { data: policy });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/assignment-policies
+ * Create the next policy version (optionally activating it)
+ */
+router.post("/", writeLimiter, validateBody(assignmentPolicySchema), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can edit assignment policies');
+    }
+
+    const { activate, ...data } = req.body;
+    const policy = await AssignmentPolicy.create({
+      ...data,
+      version: await AssignmentPolicy.nextVersion(),
+      createdBy: req.auth.userId
+    });
+
+    if (activate) {
+      return created(res, { data: await activatePolicy(policy, req.auth.userId) });
+    }
+
+    return created(res, { data: policy });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/assignment-policies/:id/activate
+ * Make a policy version the one used for new assignments
+ */
+router.post("/:id/activate", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can activate assignment policies');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment policy not found");
+
+    const policy = await AssignmentPolicy.findById(req.params.id);
+    if (!policy) return fail(res, 404, "Assignment policy not found");
+
+    return ok(res, { data: await activatePolicy(policy, req.auth.userId), message: `Policy v${policy.version} activated` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+// Deactivate every other version, then activate this one
+async function activatePolicy(policy, actorId) {
+  const previous = await AssignmentPolicy.findOne({ active: true, _id: { $ne: policy._id } }).select({ version: 1 }).lean();
+  await AssignmentPolicy.updateMany({ _id: { $ne: policy._id }, active: true }, { active: false });
+
+  policy.active = true;
+  policy.activatedAt = new Date();
+  policy.activatedBy = actorId;
+  await policy.save();
+
+  await AuditLog.logAction(
+    actorId,
+    'activate_policy',
+    'AssignmentPolicy',
+    policy._id,
+    {
+      before: { version: previous?.version ?? DEFAULT_POLICY.version },
+      after: { version: policy.version }
+    }
+  );
+
+  return policy;
+}
+
+export default router;
@@ -1,14 +1,24 @@
 import { Router } from "express";
+import mongoose from "mongoose";
 import rateLimit from "express-rate-limit";
 import Assignment from "../models/Assignment.js";
 import Patient from "../models/Patient.js";
 import User from "../models/User.js";
 import assignmentService from "../services/assignmentService.js";
-import notificationService from "../services/notificationService.js";
+import eventBus, { DomainEvents } from "../services/eventBus.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { ok, created, fail } from "../middleware/respond.js";
 import { validateBody } from "../middleware/validate.js";
-import { autoAssignSchema, manualAssignSchema, unassignSchema } from "../validation/schemas.js";
+import {
+  autoAssignSchema,
+  batchAutoAssignSchema,
+  batchCommitSchema,
+  manualAssignSchema,
+  unassignSchema,
+  assignmentApproveSchema,
+  assignmentRejectSchema,
+  assignmentOverrideSchema
+} from "../validation/schemas.js";
 
 const router = Router();
 router.use(verifyAuth);
@@ -17,6 +27,14 @@ router.use(verifyAuth);
 const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 15, standardHeaders: true, legacyHeaders: false });
 const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 150, standardHeaders: true, legacyHeaders: false });
 
+// Tell subscribers (notifications, integrations) that a patient now has a therapist
+const publishAssignmentChanged = (assignment, actorId) => eventBus.publish(DomainEvents.ASSIGNMENT_CHANGED, {
+  assignmentId: assignment._id,
+  patientId: assignment.patient?._id || assignment.patient,
+  therapistId: assignment.therapist?._id || assignment.therapist,
+  previousTherapistId: assignment.previousTherapist?._id || assignment.previousTherapist || null
+}, { actorId });
+
 /**
  * GET /api/assignments
  * Get assignment history with filtering
@@ -48,12 +66,13 @@ router.get("/", readLimiter, async (req, res) => {
       const { limit = 20, page = 1 } = req.query;
       return ok(res, { data: [], pagination: { page: Number(page), limit: Number(limit), total: 0, pages: 0 } });
     }
-    const { patient, therapist, method, limit = 20, page = 1 } = req.query;
+    const { patient, therapist, method, status, limit = 20, page = 1 } = req.query;
     const filter = {};
     
     if (patient) filter.patient = patient;
     if (therapist) filter.therapist = therapist;
     if (method) filter.method = method;
+    if (status) filter.status = status;
     
     const docs = await Assignment.find(filter)
       .skip((page - 1) * limit)
@@ -62,7 +81,7 @@ router.get("/", readLimiter, async (req, res) => {
       .populate('patient', 'name caseStatus')
       .populate('therapist', 'name email')
       .populate('supervisor', 'name email')
-      .select('patient therapist supervisor method rationale createdAt')
+      .select('patient therapist supervisor method status rationale score createdAt')
       .lean();
     
     const total = await Assignment.countDocuments(filter);
@@ -76,7 +95,8 @@ router.get("/", readLimiter, async (req, res) => {
 
 /**
  * POST /api/assignments/auto-assign
- * Automatically assign a patient to the best-matched therapist
+ * Propose the best-matched therapist for a patient; the proposal waits in the
+ * approval queue. With `preview: true` returns the ranked candidates without writing anything.
  */
 router.post("/auto-assign", writeLimiter, validateBody(autoAssignSchema), async (req, res) => {
   try {
@@ -85,34 +105,130 @@ router.post("/auto-assign", writeLimiter, validateBody(autoAssignSchema), async
       return fail(res, 403, "Only supervisors and admins can assign patients");
     }
 
-    const { patientId } = req.body;
+    const { patientId, preview, therapistId } = req.body;
     
     if (!patientId) {
       return fail(res, 400, "Patient ID is required");
     }
 
-    // Use the assignment service for automated assignment
+    // Dry run: rank every active therapist without writing anything
+    if (preview) {
+      const ranking = await assignmentService.previewAutoAssign(patientId);
+      return ok(res, { data: ranking });
+    }
+
+    // Use the assignment service for automated assignment (therapist is told on approval)
     const result = await assignmentService.autoAssignPatient(
       patientId, 
-      req.auth.userId
-    );
-
-    // Send notification to assigned therapist
-    const patient = await Patient.findById(patientId);
-    await notificationService.notifyAssignmentChanged(
-      result.assignment.therapist._id,
-      patientId,
-      patient.name,
-      'assigned'
+      req.auth.userId,
+      { therapistId }
     );
 
-  return created(res, { data: result, message: 'Patient assigned automatically' });
+  return created(res, { data: result, message: 'Assignment proposed and awaiting supervisor approval' });
   } catch (error) {
     console.error('Auto-assign error:', error);
+    if (error.message.includes('pending assignment')) return fail(res, 409, error.message);
   return fail(res, 500, error.message);
   }
 });
 
+/**
+ * @openapi
+ * /api/assignments/pending:
+ *   get:
+ *     summary: Auto-assign proposals awaiting supervisor approval
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending assignments, oldest first, with score breakdown and rationale
+ */
+router.get("/pending", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and admins can review assignments');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const pending = await assignmentService.getPendingAssignments();
+    return ok(res, { data: pending });
+  } catch (error) {
+    console.error('Pending assignments error:', error);
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/assignments/auto-assign/batch
+ * Propose a joint allocation for a set of patients (or all unassigned ones)
+ */
+/**
+ * @openapi
+ * /api/assignments/auto-assign/batch:
+ *   post:
+ *     summary: Propose a batch allocation maximizing the total match score
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Proposed plan (nothing is written)
+ */
+router.post("/auto-assign/batch", writeLimiter, validateBody(batchAutoAssignSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, "Only supervisors and admins can assign patients");
+    }
+
+    const { patientIds, allUnassigned, maxCaseload } = req.body;
+    const plan = await assignmentService.proposeBatchAssignment(
+      { patientIds, allUnassigned },
+      { maxCaseload }
+    );
+
+    return ok(res, { data: plan });
+  } catch (error) {
+    console.error('Batch auto-assign error:', error);
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/assignments/auto-assign/batch/commit
+ * Commit a proposed batch allocation plan, all or nothing. Supervisors and
+ * admins only; committing the plan is their approval of each assignment in it
+ */
+router.post("/auto-assign/batch/commit", writeLimiter, validateBody(batchCommitSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, "Only supervisors and admins can assign patients");
+    }
+
+    const { items, maxCaseload } = req.body;
+    const result = await assignmentService.commitBatchAssignment(
+      items,
+      req.auth.userId,
+      { maxCaseload }
+    );
+
+    result.assignments.forEach(assignment => publishAssignmentChanged(assignment, req.auth.userId));
+
+    return created(res, { data: result, message: `${result.assignments.length} patients assigned` });
+  } catch (error) {
+    console.error('Batch commit error:', error);
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    if (error.message.includes('capacity') || error.message.includes('Invalid therapist') || error.message.includes('only appear once') || error.message.includes('not a suitable match')) {
+      return fail(res, 409, error.message);
+    }
+    return fail(res, 500, error.message);
+  }
+});
+
 /**
  * POST /api/assignments/manual-assign
  * Manually assign a patient to a specific therapist
@@ -138,20 +254,13 @@ router.post("/manual-assign", writeLimiter, validateBody(manualAssignSchema), as
       reason
     );
 
-    // Send notification to assigned therapist
-    const patient = await Patient.findById(patientId);
+    publishAssignmentChanged(assignment, req.auth.userId);
     const isReassignment = assignment.previousTherapist ? 'reassigned' : 'assigned';
-    
-    await notificationService.notifyAssignmentChanged(
-      therapistId,
-      patientId,
-      patient.name,
-      isReassignment
-    );
 
   return created(res, { data: assignment, message: `Patient ${isReassignment} successfully` });
   } catch (error) {
     console.error('Manual assign error:', error);
+    if (error.message.includes('excluded')) return fail(res, 409, error.message);
   return fail(res, 500, error.message);
   }
 });
@@ -225,6 +334,78 @@ router.get("/stats", readLimiter, async (req, res) => {
   }
 });
 
+// Map review errors onto HTTP status codes
+const failReview = (res, error) => {
+  if (error.message.includes('not found')) return fail(res, 404, error.message);
+  if (error.message.includes('already') || error.message.includes('reassigned since') ||
+      error.message.includes('Invalid therapist') || error.message.includes('excluded')) {
+    return fail(res, 409, error.message);
+  }
+  return fail(res, 500, error.message);
+};
+
+/**
+ * POST /api/assignments/:id/approve
+ * Approve a pending proposal: moves the patient and notifies the therapist
+ */
+router.post("/:id/approve", writeLimiter, validateBody(assignmentApproveSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, "Only supervisors and admins can approve assignments");
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment not found");
+
+    const assignment = await assignmentService.approveAssignment(req.params.id, req.auth.userId, { note: req.body.note });
+    publishAssignmentChanged(assignment, req.auth.userId);
+
+    return ok(res, { data: assignment, message: 'Assignment approved' });
+  } catch (error) {
+    console.error('Approve assignment error:', error);
+    return failReview(res, error);
+  }
+});
+
+/**
+ * POST /api/assignments/:id/override
+ * Approve a pending proposal with a different therapist
+ */
+router.post("/:id/override", writeLimiter, validateBody(assignmentOverrideSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, "Only supervisors and admins can override assignments");
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment not found");
+
+    const { therapistId, reason } = req.body;
+    const assignment = await assignmentService.approveAssignment(req.params.id, req.auth.userId, { therapistId, note: reason });
+    publishAssignmentChanged(assignment, req.auth.userId);
+
+    return ok(res, { data: assignment, message: 'Assignment approved with override' });
+  } catch (error) {
+    console.error('Override assignment error:', error);
+    return failReview(res, error);
+  }
+});
+
+/**
+ * POST /api/assignments/:id/reject
+ * Reject a pending proposal; the patient is left unchanged
+ */
+router.post("/:id/reject", writeLimiter, validateBody(assignmentRejectSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, "Only supervisors and admins can reject assignments");
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment not found");
+
+    const assignment = await assignmentService.rejectAssignment(req.params.id, req.auth.userId, req.body.reason);
+    return ok(res, { data: assignment, message: 'Assignment rejected' });
+  } catch (error) {
+    console.error('Reject assignment error:', error);
+    return failReview(res, error);
+  }
+});
+
 /**
  * POST /api/assignments/:id/unassign
  * Unassign a patient from their current therapist
@@ -235,6 +416,7 @@ router.post("/:id/unassign", writeLimiter, validateBody(unassignSchema), async (
     if (!['supervisor', 'admin'].includes(req.auth.role)) {
       return fail(res, 403, "Only supervisors and admins can unassign patients");
     }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Assignment not found");
 
     const { id } = req.params;
     const { reason } = req.body;
@@ -261,13 +443,11 @@ router.post("/:id/unassign", writeLimiter, validateBody(unassignSchema), async (
       previousTherapist: assignment.therapist._id
     });
 
-    // Send notification to former therapist
-    await notificationService.createSystemAlert(
-      assignment.therapist._id,
-      'Patient Unassigned',
-      `Patient ${assignment.patient.name} has been unassigned from your caseload`,
-      'medium'
-    );
+    eventBus.publish(DomainEvents.PATIENT_UNASSIGNED, {
+      assignmentId: unassignment._id,
+      patientId: assignment.patient._id,
+      therapistId: assignment.therapist._id
+    }, { actorId: req.auth.userId });
 
   return ok(res, { data: unassignment, message: 'Patient unassigned successfully' });
   } catch (error) {
@@ -0,0 +1,130 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import multer from "multer";
+import attachmentService from "../services/attachmentService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import { attachmentTargetSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+// Map attachment service errors onto status codes
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Access denied')) return 403;
+  if (error.message.includes('exceeds')) return 413;
+  if (error.message.includes('not allowed') || error.message.includes('does not match')) return 415;
+  return 500;
+}
+
+// Single multipart file in the "file" field, held in memory so it can be checked before storing.
+// The limit is read per request so MAX_FILE_SIZE changes apply without a restart.
+function parseUpload(req, res, next) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: attachmentService.getMaxFileSize(), files: 1 }
+  }).single('file');
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return fail(res, 413, `File exceeds the ${Math.round(attachmentService.getMaxFileSize() / 1024 / 1024)} MB limit`);
+    }
+    return fail(res, 400, error.message);
+  });
+}
+
+/**
+ * @openapi
+ * /api/attachments:
+ *   get:
+ *     summary: List attachments on a therapy plan, session or progress report
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         required: true
+ *         schema: { type: string, enum: [TherapyPlan, Session, ProgressReport] }
+ *       - in: query
+ *         name: entityId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Attachments with download URLs
+ *       403:
+ *         description: Not on the patient's care team
+ */
+router.get("/", readLimiter, validateQuery(attachmentTargetSchema), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.query;
+    const attachments = await attachmentService.list(entityType, entityId, req.auth);
+    return ok(res, {
+      data: attachments.map(a => ({ ...a, downloadUrl: `/api/attachments/${a._id}/download` }))
+    });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * POST /api/attachments
+ * multipart/form-data with fields entityType, entityId and file
+ */
+router.post("/", writeLimiter, parseUpload, validateBody(attachmentTargetSchema), async (req, res) => {
+  try {
+    if (!req.file) return fail(res, 400, 'A file is required in the "file" field');
+    const attachment = await attachmentService.upload(req.body, req.file, req.auth);
+    return created(res, {
+      data: { ...attachment.toObject(), downloadUrl: `/api/attachments/${attachment._id}/download` }
+    });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * GET /api/attachments/:id/download
+ * Streams the file as a download
+ */
+router.get("/:id/download", readLimiter, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Attachment not found');
+    const { attachment, stream } = await attachmentService.openForDownload(req.params.id, req.auth);
+    const asciiName = attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+      'Cache-Control': 'private, no-store'
+    });
+    stream.on('error', (error) => {
+      console.error('Attachment download failed:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fail(res, 404, 'Attachment file is missing from storage');
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Attachment not found');
+    await attachmentService.remove(req.params.id, req.auth);
+    return ok(res, { message: 'Attachment deleted' });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+export default router;
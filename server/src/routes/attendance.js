@@ -0,0 +1,135 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import AttendanceRule from "../models/AttendanceRule.js";
+import attendanceService, { DEFAULT_RULE } from "../services/attendanceService.js";
+import { ATTENDANCE_STATUSES, ATTENDANCE_REASONS } from "../utils/attendance.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { attendanceRuleSchema, attendanceFlagResolveSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+const MANAGER_ROLES = ['supervisor', 'admin'];
+
+function isSkipDb() {
+  const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+  return !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+}
+
+/**
+ * @openapi
+ * /api/attendance/reasons:
+ *   get:
+ *     summary: Attendance statuses and the reason codes each one accepts
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statuses and reason codes
+ */
+router.get("/reasons", readLimiter, (req, res) => {
+  return ok(res, { data: { statuses: ATTENDANCE_STATUSES, reasons: ATTENDANCE_REASONS } });
+});
+
+/**
+ * GET /api/attendance/rules
+ * No-show rules, and the built-in default used while none exist
+ */
+router.get("/rules", readLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance rules');
+    if (isSkipDb()) return ok(res, { data: [], defaultRule: DEFAULT_RULE });
+
+    const rules = await AttendanceRule.find().sort({ noShowThreshold: 1, windowDays: 1 }).lean();
+    return ok(res, { data: rules, defaultRule: DEFAULT_RULE });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.post("/rules", writeLimiter, validateBody(attendanceRuleSchema), async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance rules');
+
+    const rule = await AttendanceRule.create({ ...req.body, createdBy: req.auth.userId });
+    return created(res, { data: rule });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+router.patch("/rules/:id", writeLimiter, validateBody(attendanceRuleSchema.partial()), async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance rules');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Attendance rule not found');
+
+    const rule = await AttendanceRule.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!rule) return fail(res, 404, 'Attendance rule not found');
+    return ok(res, { data: rule });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+router.delete("/rules/:id", writeLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance rules');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Attendance rule not found');
+
+    const rule = await AttendanceRule.findByIdAndDelete(req.params.id);
+    if (!rule) return fail(res, 404, 'Attendance rule not found');
+    return ok(res, { message: 'Attendance rule deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/attendance/flags?status=open
+ * Patients flagged for repeated no-shows
+ */
+router.get("/flags", readLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance flags');
+    if (isSkipDb()) return ok(res, { data: [] });
+
+    const { status = 'open', patient } = req.query;
+    const filter = {};
+    if (['open', 'resolved'].includes(status)) filter.status = status;
+    if (patient) {
+      if (!mongoose.Types.ObjectId.isValid(patient)) return fail(res, 400, 'Invalid patient id');
+      filter.patient = patient;
+    }
+    return ok(res, { data: await attendanceService.getFlags(filter) });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/attendance/flags/:id/resolve
+ * Close a flag after follow-up; reactivate: true sets a paused case back to active
+ */
+router.post("/flags/:id/resolve", writeLimiter, validateBody(attendanceFlagResolveSchema), async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) return fail(res, 403, 'Insufficient permissions for attendance flags');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Attendance flag not found');
+
+    const flag = await attendanceService.resolveFlag(req.params.id, req.body, req.auth.userId);
+    return ok(res, { data: flag });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    if (error.message.includes('already')) return fail(res, 409, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
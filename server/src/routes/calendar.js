@@ -0,0 +1,208 @@
+import express, { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import multer from "multer";
+import calendarService from "../services/calendarService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody, validateQuery } from "../middleware/validate.js";
+import { calendarFeedSchema, availabilityExceptionSchema, calendarTargetSchema } from "../validation/schemas.js";
+
+const router = Router();
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+// Calendar clients poll feeds; a small limit keeps token guessing slow
+const feedLimiter = rateLimit({ windowMs: 60 * 1000, max: 30, standardHeaders: true, legacyHeaders: false });
+
+const MAX_ICS_BYTES = 1024 * 1024;
+
+// Map calendar service errors onto status codes
+function errorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Access denied')) return 403;
+  if (error.message.includes('only be')) return 400;
+  if (error.message.includes('Not an iCalendar') || error.message.includes('limit is')) return 422;
+  return 500;
+}
+
+function isSkipDb() {
+  const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+  return !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+}
+
+// Therapists manage their own exceptions; supervisors and admins pick a therapist with ?therapist=
+function targetTherapist(req, res) {
+  if (req.auth.role === 'therapist') return req.auth.userId;
+  if (!['supervisor', 'admin'].includes(req.auth.role)) {
+    fail(res, 403, 'Insufficient permissions for availability exceptions');
+    return null;
+  }
+  if (!req.query.therapist) {
+    fail(res, 400, 'A therapist id is required');
+    return null;
+  }
+  return req.query.therapist;
+}
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+}
+
+// An .ics file in the multipart "file" field, or the calendar as a text/calendar body
+function parseCalendarUpload(req, res, next) {
+  if (req.is('text/calendar')) {
+    return express.text({ type: 'text/calendar', limit: MAX_ICS_BYTES })(req, res, next);
+  }
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_ICS_BYTES, files: 1 } }).single('file');
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') return fail(res, 413, 'Calendar file exceeds the 1 MB limit');
+    return fail(res, 400, error.message);
+  });
+}
+
+/**
+ * @openapi
+ * /api/calendar/feed/{token}.ics:
+ *   get:
+ *     summary: Subscribe to a user's appointments and sessions (iCalendar)
+ *     description: No bearer token; the secret in the URL identifies the user.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: text/calendar feed covering the past 30 and next 180 days
+ *       404:
+ *         description: Unknown or revoked token
+ */
+router.get("/feed/:token", feedLimiter, async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/i, '');
+    if (!/^[a-f0-9]{64}$/.test(token)) return fail(res, 404, 'Calendar feed not found');
+    if (isSkipDb()) return fail(res, 404, 'Calendar feed not found');
+
+    const calendar = await calendarService.renderFeed(token);
+    if (!calendar) return fail(res, 404, 'Calendar feed not found');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="schedule.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(calendar);
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.use(verifyAuth);
+
+/**
+ * GET /api/calendar/feed-token
+ * Whether the caller has a feed, and its settings; the URL itself is only shown when created
+ */
+router.get("/feed-token", readLimiter, async (req, res) => {
+  try {
+    if (isSkipDb()) return ok(res, { data: { enabled: false, maskPatientNames: true } });
+    return ok(res, { data: await calendarService.getFeedSettings(req.auth.userId) });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * POST /api/calendar/feed-token
+ * Create the caller's feed URL, or replace it (the old URL stops working)
+ */
+router.post("/feed-token", writeLimiter, validateBody(calendarFeedSchema), async (req, res) => {
+  try {
+    const { token, ...settings } = await calendarService.createFeedToken(req.auth.userId, req.body);
+    return created(res, { data: { enabled: true, ...settings, url: feedUrl(req, token) } });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+router.patch("/feed-token", writeLimiter, validateBody(calendarFeedSchema), async (req, res) => {
+  try {
+    if (req.body.maskPatientNames === undefined) return fail(res, 400, 'Nothing to update');
+    return ok(res, { data: await calendarService.updateFeedSettings(req.auth.userId, req.body) });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+router.delete("/feed-token", writeLimiter, async (req, res) => {
+  try {
+    await calendarService.revokeFeedToken(req.auth.userId);
+    return ok(res, { message: 'Calendar feed revoked' });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * GET /api/calendar/exceptions?therapist=&from=
+ * Blocked time for a therapist
+ */
+router.get("/exceptions", readLimiter, validateQuery(calendarTargetSchema), async (req, res) => {
+  try {
+    const therapist = targetTherapist(req, res);
+    if (!therapist) return;
+    if (isSkipDb()) return ok(res, { data: [] });
+
+    return ok(res, { data: await calendarService.listExceptions(therapist, { from: req.query.from }) });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+router.post("/exceptions", writeLimiter, validateQuery(calendarTargetSchema), validateBody(availabilityExceptionSchema), async (req, res) => {
+  try {
+    const therapist = targetTherapist(req, res);
+    if (!therapist) return;
+
+    return created(res, { data: await calendarService.addException(therapist, req.body) });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+/**
+ * POST /api/calendar/import?therapist=
+ * Read busy events from an .ics file into the therapist's availability exceptions.
+ * Re-importing the same calendar updates events by UID.
+ */
+router.post("/import", writeLimiter, validateQuery(calendarTargetSchema), parseCalendarUpload, async (req, res) => {
+  try {
+    const therapist = targetTherapist(req, res);
+    if (!therapist) return;
+
+    const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+    if (!text.trim()) return fail(res, 400, 'An .ics file is required');
+
+    const { imported, updated, skipped, exceptions } = await calendarService.importExceptions(therapist, text);
+    return ok(res, { data: exceptions, imported, updated, skipped });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+router.delete("/exceptions/:id", writeLimiter, validateQuery(calendarTargetSchema), async (req, res) => {
+  try {
+    const therapist = targetTherapist(req, res);
+    if (!therapist) return;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, 'Availability exception not found');
+
+    await calendarService.removeException(therapist, req.params.id);
+    return ok(res, { message: 'Availability exception removed' });
+  } catch (error) {
+    return fail(res, errorStatus(error), error.message);
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import CaseloadTransfer from "../models/CaseloadTransfer.js";
+import caseloadTransferService from "../services/caseloadTransferService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { caseloadTransferSchema, caseloadTransferApprovalSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+// Map service errors onto HTTP status codes
+const failTransfer = (res, error) => {
+  if (error.message.includes('not found')) return fail(res, 404, error.message);
+  if (error.message.includes('already') || error.message.includes('still need') ||
+      error.message.includes('capacity') || error.message.includes('Invalid therapist') ||
+      error.message.includes('not a suitable match')) {
+    return fail(res, 409, error.message);
+  }
+  if (error.message.includes('Leave end')) return fail(res, 400, error.message);
+  return fail(res, 500, error.message);
+};
+
+/**
+ * @openapi
+ * /api/caseload-transfers:
+ *   get:
+ *     summary: List caseload transfers (leave and deactivation handovers)
+ *     tags: [Caseload Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [proposed, scheduled, approved, returned, cancelled] }
+ *     responses:
+ *       200:
+ *         description: Transfers, newest first
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for caseload transfers');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const docs = await CaseloadTransfer.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('therapist', 'name email')
+      .populate('items.patient', 'name')
+      .populate('items.toTherapist', 'name')
+      .lean();
+
+    return ok(res, { data: docs });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.get("/:id", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for caseload transfers');
+    }
+
+    const transfer = await CaseloadTransfer.findById(req.params.id)
+      .populate('therapist', 'name email')
+      .populate('items.patient', 'name')
+      .populate('items.toTherapist', 'name');
+    if (!transfer) return fail(res, 404, "Caseload transfer not found");
+    return ok(res, { data: transfer });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/caseload-transfers
+ * Start a leave or deactivate a therapist and propose reassignments for their patients
+ */
+router.post("/", writeLimiter, validateBody(caseloadTransferSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and admins can start a caseload transfer');
+    }
+
+    const { therapistId, ...details } = req.body;
+    const transfer = await caseloadTransferService.proposeTransfer(therapistId, details, req.auth.userId);
+    return created(res, { data: transfer, message: `${transfer.items.length} patients need a new therapist` });
+  } catch (error) {
+    console.error('Caseload transfer error:', error);
+    return failTransfer(res, error);
+  }
+});
+
+/**
+ * POST /api/caseload-transfers/process-returns
+ * Hand back patients for every leave that has ended (also runs on a timer)
+ */
+router.post("/process-returns", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can process leave returns');
+    }
+
+    const processed = await caseloadTransferService.processDueReturns();
+    return ok(res, { data: { processed } });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/caseload-transfers/:id/approve
+ * Approve a proposal, optionally overriding the therapist chosen for some patients.
+ * A leave that has not begun is scheduled; its patients move when it starts.
+ */
+router.post("/:id/approve", writeLimiter, validateBody(caseloadTransferApprovalSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and admins can approve caseload transfers');
+    }
+
+    const transfer = await caseloadTransferService.approveTransfer(req.params.id, req.auth.userId, req.body.items);
+    const message = transfer.status === 'scheduled'
+      ? `${transfer.items.length} patients will be reassigned when the leave begins on ${transfer.leaveStart.toISOString().slice(0, 10)}`
+      : `${transfer.items.length} patients reassigned`;
+    return ok(res, { data: transfer, message });
+  } catch (error) {
+    console.error('Caseload transfer approval error:', error);
+    return failTransfer(res, error);
+  }
+});
+
+router.post("/:id/cancel", writeLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and admins can cancel caseload transfers');
+    }
+
+    const transfer = await caseloadTransferService.cancelTransfer(req.params.id);
+    return ok(res, { data: transfer, message: 'Caseload transfer cancelled' });
+  } catch (error) {
+    return failTransfer(res, error);
+  }
+});
+
+export default router;
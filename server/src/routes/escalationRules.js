@@ -0,0 +1,117 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import EscalationRule from "../models/EscalationRule.js";
+import escalationService from "../services/escalationService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { escalationRuleSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * @openapi
+ * /api/escalation-rules:
+ *   get:
+ *     summary: List notification escalation rules
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules, newest first
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for escalation rules');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const rules = await EscalationRule.find()
+      .sort({ createdAt: -1 })
+      .populate('backupUser', 'name email')
+      .populate('createdBy', 'name email')
+      .lean();
+
+    return ok(res, { data: rules });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/escalation-rules
+ * Create an escalation rule (admin only)
+ */
+router.post("/", writeLimiter, validateBody(escalationRuleSchema), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage escalation rules');
+    }
+
+    const rule = await EscalationRule.create({ ...req.body, createdBy: req.auth.userId });
+    return created(res, { data: rule });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/escalation-rules/process
+ * Run all active rules now instead of waiting for the timer (admin only)
+ */
+router.post("/process", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can run escalation rules');
+    }
+
+    const result = await escalationService.processEscalations();
+    return ok(res, { data: result, message: `Escalated ${result.escalated} notification(s)` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * PATCH /api/escalation-rules/:id
+ * Update an escalation rule (admin only)
+ */
+router.patch("/:id", writeLimiter, validateBody(escalationRuleSchema.partial()), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage escalation rules');
+    }
+
+    const rule = await EscalationRule.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!rule) return fail(res, 404, "Escalation rule not found");
+    return ok(res, { data: rule });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage escalation rules');
+    }
+
+    const rule = await EscalationRule.findByIdAndDelete(req.params.id);
+    if (!rule) return fail(res, 404, "Escalation rule not found");
+    return ok(res, { message: 'Escalation rule deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
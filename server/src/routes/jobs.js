@@ -0,0 +1,108 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import Job from "../models/Job.js";
+import JobRun from "../models/JobRun.js";
+import jobScheduler from "../services/jobScheduler.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { jobUpdateSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * @openapi
+ * /api/jobs:
+ *   get:
+ *     summary: List scheduled jobs with their state and last run
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered jobs
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage jobs');
+    }
+
+    const definitions = jobScheduler.listDefinitions();
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: definitions });
+
+    const jobs = await Job.find({ name: { $in: definitions.map(d => d.name) } }).lean();
+    const byName = new Map(jobs.map(job => [job.name, job]));
+    return ok(res, { data: definitions.map(definition => ({ ...byName.get(definition.name), ...definition })) });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/jobs/:name/runs
+ * Run history for a job, newest first
+ */
+router.get("/:name/runs", readLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage jobs');
+    }
+
+    const runs = await JobRun.find({ job: req.params.name })
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 20, 100))
+      .populate('triggeredBy', 'name email')
+      .lean();
+    return ok(res, { data: runs });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * PATCH /api/jobs/:name
+ * Pause or resume a job's schedule
+ */
+router.patch("/:name", writeLimiter, validateBody(jobUpdateSchema), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage jobs');
+    }
+
+    const job = await jobScheduler.setPaused(req.params.name, req.body.paused);
+    if (!job) return fail(res, 404, "Job not found");
+    return ok(res, { data: job, message: `Job ${job.name} ${job.paused ? 'paused' : 'resumed'}` });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Run a job now and return the finished run
+ */
+router.post("/:name/run", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage jobs');
+    }
+
+    const run = await jobScheduler.trigger(req.params.name, req.auth.userId);
+    return ok(res, { data: run, message: `Job ${run.job} ${run.status}` });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    if (error.message.includes('already running')) return fail(res, 409, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
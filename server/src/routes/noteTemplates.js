@@ -0,0 +1,141 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import NoteTemplate from "../models/NoteTemplate.js";
+import noteTemplateService from "../services/noteTemplateService.js";
+import { BUILT_IN_NOTE_TEMPLATES } from "../utils/noteTemplates.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { noteTemplateSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+const MANAGER_ROLES = ['supervisor', 'admin'];
+
+/**
+ * @openapi
+ * /api/note-templates:
+ *   get:
+ *     summary: List session note templates; SOAP and DAP are built in (therapists only see published ones)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: discipline
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, published, archived] }
+ *     responses:
+ *       200:
+ *         description: Templates
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: BUILT_IN_NOTE_TEMPLATES });
+
+    const { status, discipline } = req.query;
+    const templates = await noteTemplateService.listTemplates({ role: req.auth.role, status, discipline });
+    return ok(res, { data: templates });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.post("/", writeLimiter, validateBody(noteTemplateSchema), async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage note templates');
+    }
+
+    const template = await NoteTemplate.create({ ...req.body, createdBy: req.auth.userId });
+    return created(res, { data: template });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A template with this name already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * PATCH /api/note-templates/:id
+ * Changing the sections starts a new version; notes already written keep theirs
+ */
+router.patch("/:id", writeLimiter, validateBody(noteTemplateSchema.partial()), async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage note templates');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Note template not found");
+
+    const template = await noteTemplateService.updateTemplate(req.params.id, req.body);
+    if (!template) return fail(res, 404, "Note template not found");
+    return ok(res, { data: template });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A template with this name already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/note-templates/:id/publish
+ * Offer a template to therapists
+ */
+router.post("/:id/publish", writeLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage note templates');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Note template not found");
+
+    const template = await noteTemplateService.setStatus(req.params.id, 'published');
+    if (!template) return fail(res, 404, "Note template not found");
+    return ok(res, { data: template, message: `Template ${template.name} published` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/note-templates/:id/archive
+ * Withdraw a template; notes already written with it are unaffected
+ */
+router.post("/:id/archive", writeLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage note templates');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Note template not found");
+
+    const template = await noteTemplateService.setStatus(req.params.id, 'archived');
+    if (!template) return fail(res, 404, "Note template not found");
+    return ok(res, { data: template, message: `Template ${template.name} archived` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage note templates');
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return fail(res, 404, "Note template not found");
+
+    const template = await NoteTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return fail(res, 404, "Note template not found");
+    return ok(res, { message: 'Note template deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
@@ -1,7 +1,11 @@
 import { Router } from "express";
+import mongoose from "mongoose";
 import rateLimit from "express-rate-limit";
 import Notification from "../models/Notification.js";
+import EmailDelivery from "../models/EmailDelivery.js";
 import notificationService from "../services/notificationService.js";
+import notificationStream, { formatSseFrame } from "../services/notificationStream.js";
+import emailService from "../services/emailService.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { ok, created, fail } from "../middleware/respond.js";
 import { validateBody } from "../middleware/validate.js";
@@ -92,6 +96,66 @@ router.get("/unread-count", readLimiter, async (req, res) => {
   }
 });
 
+// Keep idle streams open through proxies that drop silent connections
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * @openapi
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Server-Sent Events stream of new notifications and unread counts
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema: { type: string }
+ *         description: Last notification id received; newer notifications are replayed first
+ *     responses:
+ *       200:
+ *         description: "text/event-stream with `notification` (id = notification id) and `unread-count` events"
+ */
+router.get("/stream", readLimiter, async (req, res) => {
+  const userId = req.auth.userId;
+  const send = (message) => res.write(formatSseFrame(message));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Subscribe before replaying so nothing created in between is lost; clients drop duplicate ids
+  const unsubscribe = notificationStream.subscribe(userId, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return send({ event: 'unread-count', data: { count: 0 } });
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+      const missed = await notificationService.getNotificationsSince(userId, lastEventId);
+      missed.forEach(notification => send({ event: 'notification', id: String(notification._id), data: notification }));
+    }
+
+    const count = await Notification.getUnreadCount(userId);
+    send({ event: 'unread-count', data: { count } });
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    send({ event: 'error', data: { message: 'Failed to load notifications' } });
+  }
+});
+
 /**
  * PATCH /api/notifications/:id/read
  * Mark a notification as read
@@ -149,6 +213,7 @@ router.delete("/:id", writeLimiter, async (req, res) => {
     }
 
     await notification.deleteOne();
+    await notificationService.pushUnreadCount(req.auth.userId);
 
   return ok(res, { message: 'Notification deleted successfully' });
   } catch (error) {
@@ -218,6 +283,58 @@ router.get("/stats", readLimiter, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/notifications/email-deliveries (Admin only)
+ * Email delivery log with every send attempt
+ */
+router.get("/email-deliveries", readLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can view email deliveries');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.user) filter.user = req.query.user;
+
+    const deliveries = await EmailDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .select('-html -text')
+      .populate('user', 'name email')
+      .lean();
+
+    return ok(res, { data: deliveries });
+  } catch (error) {
+    console.error('Get email deliveries error:', error);
+    return fail(res, 500, 'Failed to fetch email deliveries');
+  }
+});
+
+/**
+ * POST /api/notifications/email-deliveries/:id/retry (Admin only)
+ * Try a failed email once more
+ */
+router.post("/email-deliveries/:id/retry", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can retry email deliveries');
+    }
+
+    const delivery = await emailService.retryDelivery(req.params.id);
+    return ok(res, { data: delivery, message: delivery.status === 'sent' ? 'Email sent' : 'Email delivery failed again' });
+  } catch (error) {
+    console.error('Retry email delivery error:', error);
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    if (error.message.includes('already')) return fail(res, 409, error.message);
+    return fail(res, 500, 'Failed to retry email delivery');
+  }
+});
+
 /**
  * DELETE /api/notifications/cleanup (Admin only)
  * Clean up old read notifications
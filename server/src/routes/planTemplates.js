@@ -0,0 +1,152 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import PlanTemplate from "../models/PlanTemplate.js";
+import planTemplateService from "../services/planTemplateService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { planTemplateSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * @openapi
+ * /api/plan-templates:
+ *   get:
+ *     summary: List therapy plan templates (therapists only see published ones)
+ *     tags: [Therapy Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: diagnosis
+ *         schema: { type: string }
+ *       - in: query
+ *         name: tag
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, published, archived] }
+ *     responses:
+ *       200:
+ *         description: Templates
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const { status, diagnosis, tag } = req.query;
+    const templates = await planTemplateService.listTemplates({ role: req.auth.role, status, diagnosis, tag });
+    return ok(res, { data: templates });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/plan-templates/suggest?patient=:id
+ * Published template whose diagnoses best match the patient's
+ */
+router.get("/suggest", readLimiter, async (req, res) => {
+  try {
+    const { patient } = req.query;
+    if (!patient || !mongoose.Types.ObjectId.isValid(patient)) {
+      return fail(res, 400, 'A valid patient id is required');
+    }
+
+    const suggestion = await planTemplateService.suggestForPatient(patient);
+    return ok(res, { data: suggestion.template, matchedDiagnoses: suggestion.matchedDiagnoses });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+router.post("/", writeLimiter, validateBody(planTemplateSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage plan templates');
+    }
+
+    const template = await PlanTemplate.create({ ...req.body, createdBy: req.auth.userId });
+    return created(res, { data: template });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A template with this name already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+router.patch("/:id", writeLimiter, validateBody(planTemplateSchema.partial()), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage plan templates');
+    }
+
+    const template = await PlanTemplate.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!template) return fail(res, 404, "Plan template not found");
+    return ok(res, { data: template });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A template with this name already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/plan-templates/:id/publish
+ * Make a template available to therapists
+ */
+router.post("/:id/publish", writeLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage plan templates');
+    }
+
+    const template = await planTemplateService.setStatus(req.params.id, 'published');
+    if (!template) return fail(res, 404, "Plan template not found");
+    return ok(res, { data: template, message: `Template ${template.name} published` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/plan-templates/:id/archive
+ * Withdraw a template; plans already created from it are unaffected
+ */
+router.post("/:id/archive", writeLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage plan templates');
+    }
+
+    const template = await planTemplateService.setStatus(req.params.id, 'archived');
+    if (!template) return fail(res, 404, "Plan template not found");
+    return ok(res, { data: template, message: `Template ${template.name} archived` });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can manage plan templates');
+    }
+
+    const template = await PlanTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return fail(res, 404, "Plan template not found");
+    return ok(res, { message: 'Plan template deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
@@ -5,6 +5,11 @@ import User from "../models/User.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { z, validateBody } from "../middleware/validate.js";
 import { ok, fail, created } from "../middleware/respond.js";
+import eventBus, { DomainEvents } from "../services/eventBus.js";
+import planVersionService from "../services/planVersionService.js";
+import planWorkflowService, { EDITABLE_STATUSES } from "../services/planWorkflowService.js";
+import planTemplateService from "../services/planTemplateService.js";
+import planCommentService from "../services/planCommentService.js";
 
 const router = Router();
 router.use(verifyAuth);
@@ -58,7 +63,7 @@ router.get("/", async (req, res) => {
       .sort({ updatedAt: -1 })
       .populate('patient', 'name')
       .populate('therapist', 'name email')
-      .select('patient therapist status updatedAt submittedAt reviewedAt')
+      .select('patient therapist status goals activities notes supervisorComments createdAt updatedAt submittedAt reviewedAt')
       .lean();
 
   const total = await TherapyPlan.countDocuments(filter);
@@ -94,11 +99,14 @@ router.get("/", async (req, res) => {
 const createPlanSchema = z.object({
   patient: z.string().min(1),
   therapist: z.string().optional(),
-  status: z.enum(["draft","submitted","approved","needs_revision"]).optional(),
+  // Plans always start as drafts; later statuses are reached through submit/review
+  status: z.literal("draft").optional(),
   goals: z.array(z.object({ title: z.string().min(1), metric: z.string().optional(), target: z.number().optional() })).optional(),
   activities: z.array(z.object({ name: z.string().min(1), frequency: z.string().optional(), duration: z.string().optional() })).optional(),
   notes: z.string().max(2000).optional(),
-  attachments: z.array(z.string()).optional()
+  attachments: z.array(z.string()).optional(),
+  // Published PlanTemplate to copy goals/activities from when the body has none
+  template: z.string().optional()
 });
 
 router.post("/", validateBody(createPlanSchema), async (req, res) => {
@@ -116,9 +124,18 @@ router.post("/", validateBody(createPlanSchema), async (req, res) => {
       if (!resolved) return res.status(400).json({ error: `Unknown therapist id: ${data.therapist}` });
       data.therapist = resolved;
     }
+    if (data.template) {
+      if (!isValidObjectId(data.template)) return fail(res, 404, 'Plan template not found');
+      const template = await planTemplateService.getPublished(data.template);
+      if (!data.goals?.length) data.goals = template.goals;
+      if (!data.activities?.length) data.activities = template.activities;
+    }
   const plan = await TherapyPlan.create(data);
   return created(res, { data: plan });
   } catch (error) {
+  if (error.message.includes('Plan template')) {
+    return fail(res, error.message.includes('not found') ? 404 : 409, error.message);
+  }
   return fail(res, 400, error.message);
   }
 });
@@ -135,48 +152,290 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// Map workflow errors onto status codes
+function transitionStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('transition')) return 409;
+  return 500;
+}
+
 router.put("/:id", async (req, res) => {
   try {
-    const data = { ...req.body };
+    if (!isValidObjectId(req.params.id)) return fail(res, 404, "Therapy plan not found");
+    const plan = await TherapyPlan.findById(req.params.id).select('therapist status');
+    if (!plan) return fail(res, 404, "Therapy plan not found");
+    if (req.auth.role === 'therapist') {
+      if (String(plan.therapist) !== String(req.auth.userId)) {
+        return fail(res, 403, 'Therapists can only edit their own plans');
+      }
+      if (!EDITABLE_STATUSES.includes(plan.status)) {
+        return fail(res, 409, `Plan cannot be edited while ${plan.status.replace('_', ' ')}`);
+      }
+    }
+
+    // Workflow fields only change through submit/review
+    const { status, history, currentVersion, submittedAt, reviewedAt, supervisorComments, ...data } = req.body;
+    if (status && status !== plan.status) {
+      return fail(res, 409, 'Use submit or review to change a plan\'s status');
+    }
     if (data.therapist && !isValidObjectId(data.therapist)) {
       const resolved = await resolveTherapistId(data.therapist);
       if (!resolved) return res.status(400).json({ error: `Unknown therapist id: ${data.therapist}` });
       data.therapist = resolved;
     }
-    const plan = await TherapyPlan.findByIdAndUpdate(req.params.id, data, { new: true });
-  if (!plan) return fail(res, 404, "Therapy plan not found");
-  return ok(res, { data: plan });
+    const updated = await TherapyPlan.findOneAndUpdate({ _id: plan._id, status: plan.status }, data, { new: true });
+    if (!updated) return fail(res, 409, 'Plan status changed while editing; reload and try again');
+    return ok(res, { data: updated });
   } catch (error) {
-  return fail(res, 400, error.message);
+    return fail(res, 400, error.message);
   }
 });
 
 router.post("/:id/submit", async (req, res) => {
   try {
-    const plan = await TherapyPlan.findByIdAndUpdate(
-      req.params.id,
-      { status: "submitted", submittedAt: new Date() },
-      { new: true }
-    );
-  if (!plan) return fail(res, 404, "Therapy plan not found");
-  return ok(res, { data: plan });
+    if (!['therapist', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only the plan\'s therapist or an administrator can submit it');
+    }
+    if (!isValidObjectId(req.params.id)) return fail(res, 404, "Therapy plan not found");
+    const plan = await TherapyPlan.findById(req.params.id).select('therapist status submittedAt');
+    if (!plan) return fail(res, 404, "Therapy plan not found");
+    if (req.auth.role === 'therapist' && String(plan.therapist) !== String(req.auth.userId)) {
+      return fail(res, 403, 'Therapists can only submit their own plans');
+    }
+
+    const blocking = await planCommentService.countOpenBlocking(plan._id);
+    if (blocking > 0) {
+      return fail(res, 409, `${blocking} blocking comment thread${blocking === 1 ? '' : 's'} must be resolved before the plan can be submitted`);
+    }
+
+    const update = { submittedAt: new Date(), $inc: { currentVersion: 1 } };
+    const submitted = await planWorkflowService.transition(plan, 'submitted', {
+      actorId: req.auth.userId,
+      role: req.auth.role,
+      reason: req.body?.reason,
+      update
+    });
+    try {
+      await planVersionService.snapshot(submitted, req.auth.userId);
+    } catch (error) {
+      // Without its version document the submit cannot stand: comment anchors and diffs point at it
+      try {
+        await planWorkflowService.revert(submitted, plan, update);
+      } catch (revertError) {
+        console.error(`Plan ${plan._id} could not be reverted after a failed snapshot:`, revertError.message);
+      }
+      throw error;
+    }
+    eventBus.publish(DomainEvents.PLAN_SUBMITTED, {
+      planId: submitted._id,
+      patientId: submitted.patient,
+      therapistId: submitted.therapist
+    }, { actorId: req.auth.userId });
+    return ok(res, { data: submitted });
   } catch (error) {
-  return fail(res, 500, error.message);
+    return fail(res, transitionStatus(error), error.message);
   }
 });
 
-router.post("/:id/review", async (req, res) => {
+// Version numbers from the query string; undefined when absent, NaN when malformed
+function parseVersion(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+/**
+ * GET /api/plans/:id/versions
+ * Snapshots taken at each submit, newest first
+ */
+router.get("/:id/versions", async (req, res) => {
   try {
-    const { decision, comments } = req.body; // decision: 'approved' | 'needs_revision'
-    const plan = await TherapyPlan.findByIdAndUpdate(
-      req.params.id,
-      { status: decision, reviewedAt: new Date(), supervisorComments: comments },
-      { new: true }
-    );
-  if (!plan) return fail(res, 404, "Therapy plan not found");
-  return ok(res, { data: plan });
+    if (!isValidObjectId(req.params.id)) return fail(res, 404, "Therapy plan not found");
+    const versions = await planVersionService.listVersions(req.params.id);
+    return ok(res, { data: versions });
   } catch (error) {
-  return fail(res, 400, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/plans/:id/versions/:version
+ */
+router.get("/:id/versions/:version", async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!isValidObjectId(req.params.id) || !version) return fail(res, 404, "Plan version not found");
+    const doc = await planVersionService.getVersion(req.params.id, version);
+    if (!doc) return fail(res, 404, "Plan version not found");
+    return ok(res, { data: doc });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * GET /api/plans/:id/diff?from=1&to=2
+ * Structured diff between two versions; defaults to the latest against the previous one
+ */
+router.get("/:id/diff", async (req, res) => {
+  try {
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) return fail(res, 400, "from and to must be version numbers");
+    if (!isValidObjectId(req.params.id)) return fail(res, 404, "Therapy plan not found");
+    const result = await planVersionService.diff(req.params.id, { from, to });
+    return ok(res, { data: result });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    if (error.message.includes('earlier version')) return fail(res, 400, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+const commentBody = z.string().trim().min(1).max(2000);
+
+const createThreadSchema = z.object({
+  anchor: z.object({
+    section: z.enum(["goal", "activity", "notes", "general"]),
+    key: z.string().trim().min(1).max(200).optional()
+  }).refine(a => !['goal', 'activity'].includes(a.section) || a.key, {
+    message: 'Goal and activity threads need the goal title or activity name as key'
+  }),
+  body: commentBody,
+  blocking: z.boolean().optional()
+});
+
+const replySchema = z.object({ body: commentBody });
+
+// Load a plan for commenting; therapists may only discuss their own plans
+async function loadPlanForComments(req, res) {
+  if (!isValidObjectId(req.params.id)) {
+    fail(res, 404, "Therapy plan not found");
+    return null;
+  }
+  const plan = await TherapyPlan.findById(req.params.id)
+    .select('patient therapist status currentVersion history')
+    .populate('patient', 'name supervisor');
+  if (!plan) {
+    fail(res, 404, "Therapy plan not found");
+    return null;
+  }
+  if (req.auth.role === 'therapist' && String(plan.therapist) !== String(req.auth.userId)) {
+    fail(res, 403, 'Therapists can only comment on their own plans');
+    return null;
+  }
+  return plan;
+}
+
+/**
+ * GET /api/plans/:id/threads
+ * Comment threads on the plan, oldest first (?status=open|resolved)
+ */
+router.get("/:id/threads", async (req, res) => {
+  try {
+    const plan = await loadPlanForComments(req, res);
+    if (!plan) return;
+    const threads = await planCommentService.listThreads(plan._id, { status: req.query.status });
+    return ok(res, { data: threads });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/plans/:id/threads
+ * Open a thread on a goal, activity, the notes or the plan as a whole
+ */
+router.post("/:id/threads", validateBody(createThreadSchema), async (req, res) => {
+  try {
+    const plan = await loadPlanForComments(req, res);
+    if (!plan) return;
+    // Only reviewers can hold up resubmission
+    if (req.body.blocking && !['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can open blocking threads');
+    }
+    const thread = await planCommentService.createThread(plan, req.body, req.auth.userId);
+    return created(res, { data: thread });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/plans/:id/threads/:threadId/replies
+ */
+router.post("/:id/threads/:threadId/replies", validateBody(replySchema), async (req, res) => {
+  try {
+    const plan = await loadPlanForComments(req, res);
+    if (!plan) return;
+    if (!isValidObjectId(req.params.threadId)) return fail(res, 404, 'Comment thread not found');
+    const thread = await planCommentService.reply(plan, req.params.threadId, req.body.body, req.auth.userId);
+    return created(res, { data: thread });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 400, error.message);
+  }
+});
+
+// Resolve (resolved=true) or reopen a thread; blocking threads are settled by reviewers
+async function setThreadResolved(req, res, resolved) {
+  try {
+    const plan = await loadPlanForComments(req, res);
+    if (!plan) return;
+    if (!isValidObjectId(req.params.threadId)) return fail(res, 404, 'Comment thread not found');
+    const existing = await planCommentService.getThread(plan._id, req.params.threadId);
+    if (!existing) return fail(res, 404, 'Comment thread not found');
+    if (existing.blocking && !['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can resolve or reopen blocking threads');
+    }
+    const thread = await planCommentService.setResolved(plan._id, req.params.threadId, resolved, req.auth.userId);
+    return ok(res, { data: thread });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 500, error.message);
+  }
+}
+
+router.post("/:id/threads/:threadId/resolve", (req, res) => setThreadResolved(req, res, true));
+router.post("/:id/threads/:threadId/reopen", (req, res) => setThreadResolved(req, res, false));
+
+const reviewPlanSchema = z.object({
+  decision: z.enum(["approved", "needs_revision"]),
+  comments: z.string().max(2000).optional()
+});
+
+router.post("/:id/review", validateBody(reviewPlanSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Only supervisors and administrators can review plans');
+    }
+    const { decision, comments } = req.body;
+    if (!isValidObjectId(req.params.id)) return fail(res, 404, "Therapy plan not found");
+    const plan = await TherapyPlan.findById(req.params.id)
+      .select('patient status')
+      .populate('patient', 'supervisor');
+    if (!plan) return fail(res, 404, "Therapy plan not found");
+    // Supervisors review plans for their own patients; unassigned patients are open to any supervisor
+    const assignedSupervisor = plan.patient?.supervisor;
+    if (req.auth.role === 'supervisor' && assignedSupervisor && String(assignedSupervisor) !== String(req.auth.userId)) {
+      return fail(res, 403, 'Only the patient\'s assigned supervisor can review this plan');
+    }
+
+    const reviewed = await planWorkflowService.transition(plan, decision, {
+      actorId: req.auth.userId,
+      role: req.auth.role,
+      reason: comments,
+      update: { reviewedAt: new Date(), supervisorComments: comments }
+    });
+    const reviewEvent = { approved: DomainEvents.PLAN_APPROVED, needs_revision: DomainEvents.PLAN_REVISION_REQUESTED }[decision];
+    eventBus.publish(reviewEvent, {
+      planId: reviewed._id,
+      patientId: reviewed.patient,
+      therapistId: reviewed.therapist,
+      comments
+    }, { actorId: req.auth.userId });
+    return ok(res, { data: reviewed });
+  } catch (error) {
+    return fail(res, transitionStatus(error), error.message);
   }
 });
 
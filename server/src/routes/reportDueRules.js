@@ -0,0 +1,94 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import ReportDueRule from "../models/ReportDueRule.js";
+import reportDueService from "../services/reportDueService.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { reportDueRuleSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * @openapi
+ * /api/report-due-rules:
+ *   get:
+ *     summary: List progress report cadence rules per diagnosis or program
+ *     tags: [Progress Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules and the default threshold used when none match
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for report cadence rules');
+    }
+
+    const defaultThreshold = reportDueService.getDefaultThreshold();
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [], defaultThreshold });
+
+    const rules = await ReportDueRule.find().sort({ scope: 1, value: 1 }).lean();
+    return ok(res, { data: rules, defaultThreshold });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/report-due-rules
+ * Set the session threshold for a diagnosis or program
+ */
+router.post("/", writeLimiter, validateBody(reportDueRuleSchema), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for report cadence rules');
+    }
+
+    const rule = await ReportDueRule.create({ ...req.body, createdBy: req.auth.userId });
+    return created(res, { data: rule });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A rule for this diagnosis or program already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+router.patch("/:id", writeLimiter, validateBody(reportDueRuleSchema.partial()), async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for report cadence rules');
+    }
+
+    const rule = await ReportDueRule.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!rule) return fail(res, 404, "Report cadence rule not found");
+    return ok(res, { data: rule });
+  } catch (error) {
+    if (error.code === 11000) return fail(res, 409, 'A rule for this diagnosis or program already exists');
+    return fail(res, 400, error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (!['supervisor', 'admin'].includes(req.auth.role)) {
+      return fail(res, 403, 'Insufficient permissions for report cadence rules');
+    }
+
+    const rule = await ReportDueRule.findByIdAndDelete(req.params.id);
+    if (!rule) return fail(res, 404, "Report cadence rule not found");
+    return ok(res, { message: 'Report cadence rule deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
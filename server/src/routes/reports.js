@@ -5,6 +5,8 @@ import User from "../models/User.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { z, validateBody } from "../middleware/validate.js";
 import { ok, fail, created } from "../middleware/respond.js";
+import eventBus, { DomainEvents } from "../services/eventBus.js";
+import reportDueService from "../services/reportDueService.js";
 
 const router = Router();
 router.use(verifyAuth);
@@ -92,12 +94,40 @@ router.post("/", validateBody(createReportSchema), async (req, res) => {
       data.therapist = resolved;
     }
   const report = await ProgressReport.create(data);
+  eventBus.publish(DomainEvents.REPORT_SUBMITTED, {
+    reportId: report._id,
+    patientId: report.patient,
+    therapistId: report.therapist
+  }, { actorId: req.auth.userId });
   return created(res, { data: report });
   } catch (error) {
   return fail(res, 400, error.message);
   }
 });
 
+/**
+ * GET /api/progress-reports/due
+ * Open report-due tasks: the caller's own for therapists, everyone's (or ?therapist=) for supervisors/admins
+ */
+router.get("/due", async (req, res) => {
+  try {
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const filter = {};
+    if (req.auth.role === 'therapist') {
+      filter.therapist = req.auth.userId;
+    } else if (req.query.therapist) {
+      filter.therapist = req.query.therapist;
+    }
+    const tasks = await reportDueService.getOpenTasks(filter);
+    return ok(res, { data: tasks });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
 router.get("/:id", async (req, res) => {
   try {
     const report = await ProgressReport.findById(req.params.id)
@@ -119,6 +149,12 @@ router.post("/:id/review", async (req, res) => {
       { new: true }
     );
   if (!report) return fail(res, 404, "Progress report not found");
+  eventBus.publish(DomainEvents.REPORT_REVIEWED, {
+    reportId: report._id,
+    patientId: report.patient,
+    therapistId: report.therapist,
+    feedback
+  }, { actorId: req.auth.userId });
   return ok(res, { data: report });
   } catch (error) {
   return fail(res, 400, error.message);
@@ -5,6 +5,10 @@ import User from "../models/User.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { z, validateBody } from "../middleware/validate.js";
 import { ok, fail, created } from "../middleware/respond.js";
+import eventBus, { DomainEvents } from "../services/eventBus.js";
+import conflictService, { DEFAULT_DURATION_MIN } from "../services/conflictService.js";
+import { attendanceSchema, sessionNoteSchema } from "../validation/schemas.js";
+import { ATTENDANCE_STATUSES, CANCELLED_STATUSES } from "../utils/attendance.js";
 
 const router = Router();
 router.use(verifyAuth);
@@ -21,13 +25,30 @@ async function resolveTherapistId(raw) {
   return user ? user._id : null;
 }
 
+// The booking a session occupies, for conflict checks
+function sessionCandidate({ therapist, patient, room, date, durationMin }) {
+  const start = new Date(date);
+  return {
+    therapist,
+    patient: isValidObjectId(patient) ? patient : undefined,
+    room,
+    intervals: [{ start, end: new Date(start.getTime() + (durationMin || DEFAULT_DURATION_MIN) * 60000) }]
+  };
+}
+
 router.get("/", async (req, res) => {
   try {
     const skipDb = (process.env.SKIP_DB || '').toLowerCase() === 'true' || process.env.SKIP_DB === '1';
   if (skipDb) return ok(res, { data: [], total: 0 });
-    const { patient, therapist, limit = 20, page = 1 } = req.query;
+    const { patient, therapist, attendance, template, q, limit = 20, page = 1 } = req.query;
     const filter = {};
     if (patient) filter.patient = patient;
+    if (template) filter['note.template'] = String(template);
+    // Full-text search over structured notes, observations and next steps
+    if (typeof q === 'string' && q.trim()) filter.$text = { $search: q.trim().slice(0, 200) };
+    if (ATTENDANCE_STATUSES.includes(attendance)) {
+      filter['attendance.status'] = attendance === 'attended' ? { $in: ['attended', null] } : attendance;
+    }
     if (therapist) {
       let tKey = therapist;
       if (therapist === 'me' && req.auth?.userId) tKey = req.auth.userId;
@@ -41,7 +62,7 @@ router.get("/", async (req, res) => {
       .sort({ date: -1 })
       .populate('patient', 'name')
       .populate('therapist', 'name email')
-      .select('patient therapist date durationMin')
+      .select('patient therapist date durationMin attendance note.template note.templateName')
       .lean();
 
   const total = await Session.countDocuments(filter);
@@ -66,6 +87,17 @@ router.get("/", async (req, res) => {
  *       - in: query
  *         name: therapist
  *         schema: { type: string }
+ *       - in: query
+ *         name: attendance
+ *         schema: { type: string, enum: [attended, late, cancelled_patient, cancelled_clinic, no_show] }
+ *       - in: query
+ *         name: q
+ *         description: Search note sections, observations and next steps
+ *         schema: { type: string }
+ *       - in: query
+ *         name: template
+ *         description: Built-in note template key or note template id
+ *         schema: { type: string }
  *     responses:
  *       200:
  *         description: Sessions list
@@ -79,12 +111,19 @@ const createSessionSchema = z.object({
   activities: z.array(z.string()).optional(),
   observations: z.string().max(2000).optional(),
   outcomes: z.array(z.object({ metric: z.string(), value: z.number() })).optional(),
-  nextSteps: z.string().max(2000).optional()
+  nextSteps: z.string().max(2000).optional(),
+  room: z.string().trim().max(100).optional(),
+  attendance: attendanceSchema.optional(),
+  // Structured note, checked against its template's sections
+  note: sessionNoteSchema.optional(),
+  // Log the session despite scheduling conflicts; recorded in the audit log
+  override: z.boolean().optional(),
+  overrideReason: z.string().max(500).optional()
 });
 
 router.post("/", validateBody(createSessionSchema), async (req, res) => {
   try {
-    const data = { ...req.body };
+    const { override, overrideReason, ...data } = req.body;
     // default therapist to auth user if absent
     if (!data.therapist && req.auth?.userId) {
       data.therapist = req.auth.userId;
@@ -97,9 +136,21 @@ router.post("/", validateBody(createSessionSchema), async (req, res) => {
       if (!resolved) return res.status(400).json({ error: `Unknown therapist id: ${data.therapist}` });
       data.therapist = resolved;
     }
+  // A cancelled session never took place, so it cannot clash with anything
+  const cancelled = CANCELLED_STATUSES.includes(data.attendance?.status);
+  const conflicts = cancelled ? [] : await conflictService.assertNoConflicts(sessionCandidate(data), { override });
   const session = await Session.create(data);
-  return created(res, { data: session });
+  await conflictService.recordOverride(req.auth.userId, 'Session', session._id, conflicts, overrideReason);
+  eventBus.publish(DomainEvents.SESSION_LOGGED, {
+    sessionId: session._id,
+    patientId: session.patient,
+    therapistId: session.therapist,
+    date: session.date,
+    attendance: session.attendance?.status
+  }, { actorId: req.auth.userId });
+  return created(res, { data: session, conflicts });
   } catch (error) {
+  if (error.conflicts) return fail(res, 409, error.message, { conflicts: error.conflicts });
   return fail(res, 400, error.message);
   }
 });
@@ -118,16 +169,57 @@ router.get("/:id", async (req, res) => {
 
 router.put("/:id", async (req, res) => {
   try {
-    const updates = { ...req.body };
+    const { override, overrideReason, ...updates } = req.body;
+    if (updates.attendance !== undefined) {
+      const parsed = attendanceSchema.safeParse(updates.attendance);
+      if (!parsed.success) {
+        const details = parsed.error.issues.map(i => ({ path: ['attendance', ...i.path].join('.'), message: i.message }));
+        return fail(res, 422, 'Validation Error', details);
+      }
+      updates.attendance = parsed.data;
+    }
+    if (updates.note !== undefined) {
+      const parsed = await sessionNoteSchema.safeParseAsync(updates.note);
+      if (!parsed.success) {
+        const details = parsed.error.issues.map(i => ({ path: ['note', ...i.path].join('.'), message: i.message }));
+        return fail(res, 422, 'Validation Error', details);
+      }
+      updates.note = parsed.data;
+    }
     if (updates.therapist && !isValidObjectId(updates.therapist)) {
       const resolved = await resolveTherapistId(updates.therapist);
       if (!resolved) return res.status(400).json({ error: `Unknown therapist id: ${updates.therapist}` });
       updates.therapist = resolved;
     }
+
+    // Re-check conflicts when the time, length, room or people change
+    let conflicts = [];
+    const existing = await Session.findById(req.params.id).select('therapist patient room date durationMin attendance').lean();
+    if (!existing) return fail(res, 404, "Session not found");
+    const cancelled = CANCELLED_STATUSES.includes((updates.attendance ?? existing.attendance)?.status);
+    if (!cancelled && ['therapist', 'patient', 'room', 'date', 'durationMin'].some(field => updates[field] !== undefined)) {
+      conflicts = await conflictService.assertNoConflicts(
+        sessionCandidate({ ...existing, ...updates }),
+        { override: override === true, exclude: { sessionId: existing._id } }
+      );
+    }
+
     const session = await Session.findByIdAndUpdate(req.params.id, updates, { new: true });
   if (!session) return fail(res, 404, "Session not found");
-  return ok(res, { data: session });
+  await conflictService.recordOverride(req.auth.userId, 'Session', session._id, conflicts, overrideReason);
+  const previousAttendance = existing.attendance?.status || 'attended';
+  if (updates.attendance && updates.attendance.status !== previousAttendance) {
+    eventBus.publish(DomainEvents.SESSION_ATTENDANCE_CHANGED, {
+      sessionId: session._id,
+      patientId: session.patient,
+      therapistId: session.therapist,
+      attendance: session.attendance.status,
+      previousAttendance
+    }, { actorId: req.auth.userId });
+  }
+  return ok(res, { data: session, conflicts });
   } catch (error) {
+  if (error.conflicts) return fail(res, 409, error.message, { conflicts: error.conflicts });
   return fail(res, 400, error.message);
   }
 });
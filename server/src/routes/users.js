@@ -1,10 +1,11 @@
 import { Router } from "express";
 import rateLimit from "express-rate-limit";
 import User from "../models/User.js";
+import caseloadTransferService from "../services/caseloadTransferService.js";
 import { verifyAuth } from "../middleware/verifyAuth.js";
 import { ok, created, fail } from "../middleware/respond.js";
 import { validateBody } from "../middleware/validate.js";
-import { userCreateSchema, userUpdateSchema } from "../validation/schemas.js";
+import { userCreateSchema, userUpdateSchema, userPreferencesSchema } from "../validation/schemas.js";
 
 const router = Router();
 router.use(verifyAuth);
@@ -88,6 +89,37 @@ router.post("/", writeLimiter, validateBody(userCreateSchema), async (req, res)
   }
 });
 
+router.get("/me/preferences", readLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId).select('preferences').lean();
+    if (!user) return fail(res, 404, "User not found");
+    return ok(res, { data: user.preferences || {} });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * PATCH /api/users/me/preferences
+ * Update the caller's own preferences; only the fields sent are changed
+ */
+router.patch("/me/preferences", writeLimiter, validateBody(userPreferencesSchema), async (req, res) => {
+  try {
+    const updates = {};
+    Object.entries(req.body.notifications || {}).forEach(([key, value]) => {
+      updates[`preferences.notifications.${key}`] = value;
+    });
+    if (req.body.theme) updates['preferences.theme'] = req.body.theme;
+
+    const user = await User.findByIdAndUpdate(req.auth.userId, { $set: updates }, { new: true, runValidators: true })
+      .select('preferences');
+    if (!user) return fail(res, 404, "User not found");
+    return ok(res, { data: user.preferences });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
 router.get("/:id", readLimiter, async (req, res) => {
   try {
   const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
@@ -103,8 +135,31 @@ router.get("/:id", readLimiter, async (req, res) => {
 
 router.patch("/:id", writeLimiter, validateBody(userUpdateSchema), async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const before = req.body.active === false
+      ? await User.findById(req.params.id).select({ role: 1, active: 1 }).lean()
+      : null;
+
+    // Deactivating a therapist starts the handover of their patients. The proposal
+    // is made first and deactivates the therapist itself, so a failure leaves them active.
+    const deactivating = Boolean(before?.active && before.role === 'therapist');
+    const transfer = deactivating
+      ? await caseloadTransferService.proposeTransfer(req.params.id, { reason: 'deactivation' }, req.auth.userId)
+      : null;
+
+    // Set availability field by field so blocked time (managed through /api/calendar) is kept
+    const { availability, ...fields } = req.body;
+    const updates = { ...fields };
+    Object.entries(availability || {}).forEach(([key, value]) => {
+      updates[`availability.${key}`] = value;
+    });
+
+    const user = await User.findByIdAndUpdate(req.params.id, updates, { new: true });
     if (!user) return fail(res, 404, "User not found");
+
+    if (transfer) {
+      return ok(res, { data: user, transfer, message: `${transfer.items.length} patients need a new therapist` });
+    }
+
     return ok(res, { data: user });
   } catch (error) {
     return fail(res, 400, error.message);
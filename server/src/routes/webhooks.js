@@ -0,0 +1,176 @@
+import { Router } from "express";
+import rateLimit from "express-rate-limit";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import AuditLog from "../models/AuditLog.js";
+import webhookService from "../services/webhookService.js";
+import { DomainEvents } from "../services/eventBus.js";
+import { verifyAuth } from "../middleware/verifyAuth.js";
+import { ok, created, fail } from "../middleware/respond.js";
+import { validateBody } from "../middleware/validate.js";
+import { webhookSchema } from "../validation/schemas.js";
+
+const router = Router();
+router.use(verifyAuth);
+
+// Per-route rate limits
+const writeLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false });
+const readLimiter = rateLimit({ windowMs: 60 * 1000, max: 200, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: List outbound webhooks (secrets are never returned)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks and the event types they can subscribe to
+ */
+router.get("/", readLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    const eventTypes = Object.values(DomainEvents);
+    if (skipDb) return ok(res, { data: [], eventTypes });
+
+    const webhooks = await Webhook.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .lean();
+    return ok(res, { data: webhooks, eventTypes });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook. The response carries the signing secret; it is not shown again.
+ */
+router.post("/", writeLimiter, validateBody(webhookSchema), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const secret = webhookService.generateSecret();
+    const webhook = await Webhook.create({ ...req.body, secret, createdBy: req.auth.userId });
+    await AuditLog.logAction(req.auth.userId, 'create', 'Webhook', webhook._id, {
+      after: { name: webhook.name, url: webhook.url, events: webhook.events }
+    });
+    return created(res, { data: { ...webhook.toObject(), secret } });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first. Filter with ?status=dead for the dead-letter list, ?webhook=<id>
+ */
+router.get("/deliveries", readLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const isProd = (process.env.NODE_ENV || '').toLowerCase() === 'production';
+    const skipDb = !isProd && (((process.env.SKIP_DB || '').toLowerCase() === 'true') || process.env.SKIP_DB === '1');
+    if (skipDb) return ok(res, { data: [] });
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.webhook) filter.webhook = req.query.webhook;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .populate('webhook', 'name url')
+      .lean();
+    return ok(res, { data: deliveries });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/replay
+ * Send a logged delivery again with the same body
+ */
+router.post("/deliveries/:id/replay", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const delivery = await webhookService.replayDelivery(req.params.id);
+    return ok(res, {
+      data: delivery,
+      message: delivery.status === 'delivered' ? 'Webhook delivered' : 'Replay failed; it will be retried'
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) return fail(res, 404, error.message);
+    return fail(res, 500, error.message);
+  }
+});
+
+router.patch("/:id", writeLimiter, validateBody(webhookSchema.partial()), async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!webhook) return fail(res, 404, "Webhook not found");
+    await AuditLog.logAction(req.auth.userId, 'update', 'Webhook', webhook._id, { after: req.body });
+    return ok(res, { data: webhook });
+  } catch (error) {
+    return fail(res, 400, error.message);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Issue a new signing secret; the old one stops working immediately
+ */
+router.post("/:id/rotate-secret", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const secret = webhookService.generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) return fail(res, 404, "Webhook not found");
+    await AuditLog.logAction(req.auth.userId, 'update', 'Webhook', webhook._id, { reason: 'Signing secret rotated' });
+    return ok(res, { data: { ...webhook.toObject(), secret } });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+router.delete("/:id", writeLimiter, async (req, res) => {
+  try {
+    if (req.auth.role !== 'admin') {
+      return fail(res, 403, 'Only administrators can manage webhooks');
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return fail(res, 404, "Webhook not found");
+    await AuditLog.logAction(req.auth.userId, 'delete', 'Webhook', webhook._id, {
+      before: { name: webhook.name, url: webhook.url }
+    });
+    return ok(res, { message: 'Webhook deleted' });
+  } catch (error) {
+    return fail(res, 500, error.message);
+  }
+});
+
+export default router;
@@ -4,7 +4,9 @@ import Assignment from '../models/Assignment.js';
 import TherapyPlan from '../models/TherapyPlan.js';
 import Session from '../models/Session.js';
 import ProgressReport from '../models/ProgressReport.js';
+import ReportTask from '../models/ReportTask.js';
 import ClinicalRating from '../models/ClinicalRating.js';
+import { HELD_STATUSES } from '../utils/attendance.js';
 
 /**
  * Analytics Service
@@ -271,13 +273,20 @@ class AnalyticsService {
 
   /**
    * Get session analytics
+   * Sessions are counted by attendance. totalSessions, averageDuration and
+   * uniquePatients cover sessions that took place (attended or late); the
+   * no-show rate is no-shows over sessions the patient was expected at.
    * @param {Object} filters - Filter criteria
    * @returns {Object} Session data
    */
   async getSessionAnalytics(filters = {}) {
     try {
       const matchFilter = this.buildDateFilter(filters, 'date');
-      
+      // Sessions logged before attendance was tracked count as attended
+      const status = { $ifNull: ['$attendance.status', 'attended'] };
+      const held = { $in: [status, HELD_STATUSES] };
+      const countOf = (value) => ({ $sum: { $cond: [{ $eq: [status, value] }, 1, 0] } });
+
       const sessionData = await Session.aggregate([
         { $match: matchFilter },
         {
@@ -286,9 +295,13 @@ class AnalyticsService {
               year: { $year: '$date' },
               month: { $month: '$date' }
             },
-            totalSessions: { $sum: 1 },
-            avgDuration: { $avg: '$durationMin' },
-            uniquePatients: { $addToSet: '$patient' }
+            totalSessions: { $sum: { $cond: [held, 1, 0] } },
+            avgDuration: { $avg: { $cond: [held, '$durationMin', null] } },
+            uniquePatients: { $addToSet: { $cond: [held, '$patient', '$$REMOVE'] } },
+            lateArrivals: countOf('late'),
+            noShows: countOf('no_show'),
+            cancelledByPatient: countOf('cancelled_patient'),
+            cancelledByClinic: countOf('cancelled_clinic')
           }
         },
         {
@@ -301,18 +314,30 @@ class AnalyticsService {
             _id: 1,
             totalSessions: 1,
             avgDuration: { $round: ['$avgDuration', 1] },
-            uniquePatientCount: 1
+            uniquePatientCount: 1,
+            lateArrivals: 1,
+            noShows: 1,
+            cancelledByPatient: 1,
+            cancelledByClinic: 1
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1 } }
       ]);
 
-      return sessionData.map(item => ({
-        period: `${item._id.year}-${String(item._id.month).padStart(2, '0')}`,
-        totalSessions: item.totalSessions,
-        averageDuration: item.avgDuration,
-        uniquePatients: item.uniquePatientCount
-      }));
+      return sessionData.map(item => {
+        const expected = item.totalSessions + item.noShows;
+        return {
+          period: `${item._id.year}-${String(item._id.month).padStart(2, '0')}`,
+          totalSessions: item.totalSessions,
+          averageDuration: item.avgDuration,
+          uniquePatients: item.uniquePatientCount,
+          lateArrivals: item.lateArrivals,
+          noShows: item.noShows,
+          cancelledByPatient: item.cancelledByPatient,
+          cancelledByClinic: item.cancelledByClinic,
+          noShowRate: expected ? Math.round((item.noShows / expected) * 1000) / 10 : 0
+        };
+      });
     } catch (error) {
       console.error('Session analytics error:', error);
       throw error;
@@ -438,8 +463,151 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Get fairness and equity analytics for assignment decisions
+   * Covers per-therapist load, the share of high/urgent patients, auto vs manual
+   * and override rates, and Gini coefficients of new assignments per period.
+   * @param {Object} filters - { startDate, endDate, juniorYears }
+   * @returns {Object} Equity report
+   */
+  async getAssignmentEquity(filters = {}) {
+    try {
+      const juniorYears = Number(filters.juniorYears) || 2;
+      const juniorCutoff = new Date();
+      juniorCutoff.setFullYear(juniorCutoff.getFullYear() - juniorYears);
+
+      const [assignments, therapists, caseloads] = await Promise.all([
+        Assignment.find({
+          ...this.buildDateFilter(filters),
+          therapist: { $ne: null },
+          status: { $nin: ['pending', 'rejected'] }
+        })
+          .select('patient therapist method proposedTherapist createdAt')
+          .populate('patient', 'priority')
+          .lean(),
+        User.find({ role: 'therapist' }).select('name active hireDate').lean(),
+        Patient.aggregate([
+          { $match: { caseStatus: 'active', assignedTherapist: { $ne: null } } },
+          {
+            $group: {
+              _id: '$assignedTherapist',
+              activeCases: { $sum: 1 },
+              highPriorityCases: { $sum: { $cond: [{ $in: ['$priority', ['high', 'urgent']] }, 1, 0] } }
+            }
+          }
+        ])
+      ]);
+
+      // Reviewed auto-assign proposals, for the override rate
+      const [reviewedAuto, rejectedAuto] = await Promise.all([
+        Assignment.countDocuments({ ...this.buildDateFilter(filters), method: 'auto', reviewedAt: { $ne: null } }),
+        Assignment.countDocuments({ ...this.buildDateFilter(filters), method: 'auto', status: 'rejected' })
+      ]);
+
+      const caseloadById = new Map(caseloads.map(c => [c._id.toString(), c]));
+      const rows = new Map(therapists.map(t => [t._id.toString(), {
+        therapistId: t._id,
+        therapistName: t.name,
+        active: t.active,
+        seniority: !t.hireDate ? 'unknown' : (t.hireDate > juniorCutoff ? 'junior' : 'senior'),
+        assignments: 0,
+        highPriorityAssignments: 0,
+        auto: 0,
+        manual: 0,
+        overrides: 0,
+        activeCases: caseloadById.get(t._id.toString())?.activeCases || 0,
+        highPriorityCases: caseloadById.get(t._id.toString())?.highPriorityCases || 0
+      }]));
+
+      const periods = new Map();
+      for (const assignment of assignments) {
+        const row = rows.get(assignment.therapist.toString());
+        if (!row) continue;
+        const highPriority = ['high', 'urgent'].includes(assignment.patient?.priority);
+
+        row.assignments++;
+        if (highPriority) row.highPriorityAssignments++;
+        row[assignment.method]++;
+        if (assignment.proposedTherapist) row.overrides++;
+
+        const period = new Date(assignment.createdAt).toISOString().slice(0, 7);
+        if (!periods.has(period)) periods.set(period, { all: new Map(), highPriority: new Map() });
+        const bucket = periods.get(period);
+        const key = assignment.therapist.toString();
+        bucket.all.set(key, (bucket.all.get(key) || 0) + 1);
+        if (highPriority) bucket.highPriority.set(key, (bucket.highPriority.get(key) || 0) + 1);
+      }
+
+      const byTherapist = [...rows.values()]
+        .filter(row => row.active || row.assignments > 0)
+        .map(row => ({
+          ...row,
+          highPriorityShare: row.assignments ? row.highPriorityAssignments / row.assignments : 0
+        }))
+        .sort((a, b) => b.assignments - a.assignments);
+
+      // Every active therapist counts in each period, so idle staff raise the coefficient
+      const activeIds = therapists.filter(t => t.active).map(t => t._id.toString());
+      const giniOverTime = [...periods.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, bucket]) => {
+          const ids = [...new Set([...activeIds, ...bucket.all.keys()])];
+          return {
+            period,
+            assignments: [...bucket.all.values()].reduce((sum, n) => sum + n, 0),
+            assignmentGini: this.giniCoefficient(ids.map(id => bucket.all.get(id) || 0)),
+            highPriorityGini: this.giniCoefficient(ids.map(id => bucket.highPriority.get(id) || 0))
+          };
+        });
+
+      const total = assignments.length;
+      const highPriorityTotal = byTherapist.reduce((sum, row) => sum + row.highPriorityAssignments, 0);
+      const juniorRows = byTherapist.filter(row => row.seniority === 'junior');
+      const autoTotal = byTherapist.reduce((sum, row) => sum + row.auto, 0);
+      const overrideTotal = byTherapist.reduce((sum, row) => sum + row.overrides, 0);
+
+      return {
+        summary: {
+          totalAssignments: total,
+          autoRate: total ? autoTotal / total : 0,
+          manualRate: total ? (total - autoTotal) / total : 0,
+          overrideRate: reviewedAuto ? overrideTotal / reviewedAuto : 0,
+          rejectionRate: reviewedAuto ? rejectedAuto / reviewedAuto : 0,
+          highPriorityShare: total ? highPriorityTotal / total : 0,
+          // Compare: share of all new patients vs share of high/urgent patients going to junior staff
+          juniorShareOfAssignments: total ? juniorRows.reduce((sum, row) => sum + row.assignments, 0) / total : 0,
+          juniorShareOfHighPriority: highPriorityTotal
+            ? juniorRows.reduce((sum, row) => sum + row.highPriorityAssignments, 0) / highPriorityTotal
+            : 0,
+          caseloadGini: this.giniCoefficient(byTherapist.filter(row => row.active).map(row => row.activeCases)),
+          juniorYears
+        },
+        byTherapist,
+        giniOverTime
+      };
+    } catch (error) {
+      console.error('Assignment equity error:', error);
+      throw error;
+    }
+  }
+
   // Helper methods
 
+  /**
+   * Gini coefficient of a distribution (0 = perfectly even, approaching 1 = concentrated)
+   * @param {Array<number>} values - Non-negative amounts, one per therapist
+   * @returns {number} Coefficient between 0 and 1
+   */
+  giniCoefficient(values) {
+    const sorted = values.filter(v => v >= 0).sort((a, b) => a - b);
+    const n = sorted.length;
+    const sum = sorted.reduce((total, v) => total + v, 0);
+    if (n < 2 || sum === 0) return 0;
+
+    const weighted = sorted.reduce((total, v, i) => total + (i + 1) * v, 0);
+    return (2 * weighted) / (n * sum) - (n + 1) / n;
+  }
+
   /**
    * Get base filter for user role-based queries
    * @param {string} userId - User ID
@@ -512,13 +680,12 @@ class AnalyticsService {
    * @returns {number} Overdue reports count
    */
   async getOverdueReportsCount(baseFilter) {
-    // This is a simplified count - in practice, you'd calculate based on session count
-    const overdueDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
-    
-    return ProgressReport.countDocuments({
-      submittedAt: { $lt: overdueDate },
-      ...baseFilter
-    });
+    // Open report-due tasks, opened when a patient reaches their session threshold.
+    // baseFilter is a Patient filter, so map it onto the task's fields
+    const filter = { status: 'open' };
+    if (baseFilter.assignedTherapist) filter.therapist = baseFilter.assignedTherapist;
+    if (baseFilter.supervisor) filter.patient = { $in: await Patient.find(baseFilter).distinct('_id') };
+    return ReportTask.countDocuments(filter);
   }
 
   /**
@@ -581,6 +748,15 @@ class AnalyticsService {
         headers = ['Therapist Name', 'Active Cases', 'Total Sessions', 'Average Rating'];
         return this.formatCSV(data, headers, ['name', 'activeCases', 'totalSessions', 'averageRating']);
 
+      case 'equity':
+        data = await this.getAssignmentEquity(filters);
+        headers = ['Therapist Name', 'Seniority', 'Assignments', 'High/Urgent Assignments', 'High/Urgent Share', 'Auto', 'Manual', 'Overrides', 'Active Cases', 'High/Urgent Active Cases'];
+        return this.formatCSV(
+          data.byTherapist.map(row => ({ ...row, highPriorityShare: Math.round(row.highPriorityShare * 1000) / 1000 })),
+          headers,
+          ['therapistName', 'seniority', 'assignments', 'highPriorityAssignments', 'highPriorityShare', 'auto', 'manual', 'overrides', 'activeCases', 'highPriorityCases']
+        );
+
       default:
         throw new Error('Invalid analytics type for export');
     }
@@ -599,7 +775,7 @@ class AnalyticsService {
     data.forEach(item => {
       const row = fields.map(field => {
         const value = item[field];
-        return typeof value === 'string' ? `"${value}"` : value || '';
+        return typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value ?? '';
       });
       csvRows.push(row.join(','));
     });
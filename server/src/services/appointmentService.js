@@ -0,0 +1,360 @@
+import Appointment from '../models/Appointment.js';
+import Patient from '../models/Patient.js';
+import Session from '../models/Session.js';
+import TherapyPlan from '../models/TherapyPlan.js';
+import conflictService from './conflictService.js';
+import eventBus, { DomainEvents } from './eventBus.js';
+import { isValidTimeZone } from '../utils/schedule.js';
+import {
+  DAYS_PER_PATTERN,
+  defaultDays,
+  expandOccurrences,
+  localParts,
+  nextOccurrence,
+  occurrenceStarts,
+  plannedPattern
+} from '../utils/recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Changing any of these re-runs the conflict check
+const SCHEDULE_FIELDS = ['start', 'durationMin', 'timeZone', 'room', 'recurrence'];
+
+/**
+ * Check a series definition before it is saved
+ * @param {Object} appointment - { start, timeZone, recurrence }
+ */
+export function validateRecurrence({ start, timeZone, recurrence = {} }) {
+  if (timeZone && !isValidTimeZone(timeZone)) throw new Error(`Invalid time zone: ${timeZone}`);
+  const pattern = recurrence.pattern || 'none';
+  if (!DAYS_PER_PATTERN[pattern]) return;
+
+  const days = recurrence.days || [];
+  if (new Set(days).size !== days.length || days.length !== DAYS_PER_PATTERN[pattern]) {
+    throw new Error(`A ${pattern.replace('_', '-')} series needs ${DAYS_PER_PATTERN[pattern]} different day(s)`);
+  }
+  if (!days.includes(localParts(start, timeZone).weekday)) {
+    throw new Error('The first appointment must fall on one of the recurrence days');
+  }
+  if (!recurrence.until && !recurrence.count) {
+    throw new Error('A recurring series needs an end date or an occurrence count');
+  }
+  if (recurrence.until && new Date(recurrence.until) < new Date(start).setUTCHours(0, 0, 0, 0)) {
+    throw new Error('The series end date is before its first appointment');
+  }
+}
+
+/**
+ * Appointment Service
+ * Scheduled appointments, optionally repeating weekly or twice weekly, with
+ * per-occurrence cancellations and reschedules. Documenting an occurrence
+ * creates its Session. Patient.nextAppointment follows every change.
+ */
+class AppointmentService {
+
+  /**
+   * Sessions per week from the patient's most recently approved plan
+   * @param {string} patientId - Patient ID
+   * @returns {Object|null} { plan, sessionsPerWeek, pattern } or null without a readable plan
+   */
+  async plannedFrequency(patientId) {
+    const plan = await TherapyPlan.findOne({ patient: patientId, status: 'approved' })
+      .sort({ reviewedAt: -1, updatedAt: -1 })
+      .select('activities')
+      .lean();
+    const planned = plan && plannedPattern(plan.activities);
+    return planned ? { plan: plan._id, ...planned } : null;
+  }
+
+  /**
+   * Whether a user may change an appointment: its therapist, supervisors and admins
+   */
+  canManage(appointment, auth) {
+    return auth.role !== 'therapist' || String(appointment.therapist) === String(auth.userId);
+  }
+
+  async getManageable(id, auth) {
+    const appointment = await Appointment.findById(id);
+    if (!appointment) throw new Error('Appointment not found');
+    if (!this.canManage(appointment, auth)) {
+      throw new Error('Access denied: therapists can only manage their own appointments');
+    }
+    return appointment;
+  }
+
+  /**
+   * Check an appointment's upcoming occurrences (or the given intervals) for conflicts
+   * @param {Object} appointment - Appointment, saved or not
+   * @param {Object} options - { override, intervals, exclude }
+   * @returns {Array} Overridden conflicts
+   */
+  async checkConflicts(appointment, { override, intervals, exclude } = {}) {
+    const now = new Date();
+    return conflictService.assertNoConflicts({
+      therapist: appointment.therapist,
+      patient: appointment.patient,
+      room: appointment.room,
+      intervals: intervals || expandOccurrences(appointment).filter(o => o.status === 'scheduled' && o.end > now)
+    }, { override, exclude });
+  }
+
+  /**
+   * Schedule an appointment or series. Without a recurrence pattern the pattern
+   * comes from the patient's approved plan, and days default to the first
+   * appointment's weekday (plus three days later for twice weekly).
+   * Conflicting bookings are refused unless override is set.
+   * @param {Object} data - Appointment fields plus override and overrideReason
+   * @param {Object} auth - { userId, role }
+   * @returns {Object} { appointment, conflicts } with the conflicts that were overridden
+   */
+  async create({ override, overrideReason, ...data }, auth) {
+    const patient = await Patient.findById(data.patient).select('assignedTherapist').lean();
+    if (!patient) throw new Error('Patient not found');
+
+    let therapist = data.therapist || patient.assignedTherapist;
+    if (auth.role === 'therapist') {
+      if (data.therapist && String(data.therapist) !== String(auth.userId)) {
+        throw new Error('Access denied: therapists can only schedule their own appointments');
+      }
+      therapist = auth.userId;
+    }
+    if (!therapist) throw new Error('Therapist is required');
+
+    const recurrence = { ...(data.recurrence || {}) };
+    let plan;
+    if (!recurrence.pattern) {
+      const planned = await this.plannedFrequency(data.patient);
+      recurrence.pattern = planned?.pattern || 'none';
+      plan = planned?.plan;
+    }
+    if (!recurrence.days?.length) recurrence.days = defaultDays(recurrence.pattern, data.start, data.timeZone);
+    validateRecurrence({ ...data, recurrence });
+
+    const appointment = new Appointment({
+      ...data,
+      therapist,
+      plan,
+      recurrence,
+      createdBy: auth.userId
+    });
+    const conflicts = await this.checkConflicts(appointment, { override });
+    await appointment.save();
+    await conflictService.recordOverride(auth.userId, 'Appointment', appointment._id, conflicts, overrideReason);
+    await this.syncNextAppointment(appointment.patient);
+    return { appointment, conflicts };
+  }
+
+  /**
+   * Change a series' time, duration, recurrence or notes. Occurrences that
+   * disappear from the series lose their exceptions; documented ones are kept.
+   * Time, room and recurrence changes are checked for conflicts.
+   * @returns {Object} { appointment, conflicts }
+   */
+  async update(id, { override, overrideReason, ...changes }, auth) {
+    const appointment = await this.getManageable(id, auth);
+    if (appointment.status === 'cancelled') throw new Error('Cannot change a cancelled appointment');
+
+    for (const field of ['start', 'durationMin', 'timeZone', 'room', 'notes']) {
+      if (changes[field] !== undefined) appointment[field] = changes[field];
+    }
+    if (changes.recurrence) {
+      // Merge into the current rule; a new pattern without days gets the default days
+      const current = appointment.recurrence?.toObject?.() || {};
+      const recurrence = { ...current, ...changes.recurrence };
+      if (changes.recurrence.pattern && changes.recurrence.pattern !== current.pattern && !changes.recurrence.days) {
+        recurrence.days = defaultDays(recurrence.pattern, appointment.start, appointment.timeZone);
+      }
+      appointment.recurrence = recurrence;
+    }
+    validateRecurrence(appointment);
+
+    const starts = new Set(occurrenceStarts(appointment).map(d => d.getTime()));
+    appointment.exceptions = appointment.exceptions.filter(e => starts.has(e.occurrence.getTime()));
+    const conflicts = SCHEDULE_FIELDS.some(field => changes[field] !== undefined)
+      ? await this.checkConflicts(appointment, { override, exclude: { appointmentId: appointment._id } })
+      : [];
+    await appointment.save();
+    await conflictService.recordOverride(auth.userId, 'Appointment', appointment._id, conflicts, overrideReason);
+    await this.syncNextAppointment(appointment.patient);
+    return { appointment, conflicts };
+  }
+
+  /**
+   * Cancel every occurrence of a series that has not started yet
+   * @returns {Object} Appointment
+   */
+  async cancel(id, reason, auth) {
+    const appointment = await this.getManageable(id, auth);
+    if (appointment.status === 'cancelled') throw new Error('Appointment is already cancelled');
+    appointment.status = 'cancelled';
+    appointment.cancelledAt = new Date();
+    appointment.cancelReason = reason;
+    await appointment.save();
+    await this.syncNextAppointment(appointment.patient);
+    return appointment;
+  }
+
+  /**
+   * Cancel, reschedule or restore a single occurrence
+   * @param {string} id - Appointment ID
+   * @param {Object} exception - { occurrence, cancelled, start, reason, override,
+   *   overrideReason }; neither cancelled nor start restores the occurrence. A new
+   *   start is checked for conflicts.
+   * @returns {Object} { appointment, conflicts }
+   */
+  async setException(id, { occurrence, cancelled = false, start, reason, override, overrideReason }, auth) {
+    const appointment = await this.getManageable(id, auth);
+    const key = this.findOccurrence(appointment, occurrence).getTime();
+    if (appointment.documented.some(d => d.occurrence.getTime() === key)) {
+      throw new Error('This occurrence has already been documented');
+    }
+
+    let conflicts = [];
+    if (start && !cancelled) {
+      const moved = new Date(start);
+      conflicts = await this.checkConflicts(appointment, {
+        override,
+        intervals: [{ start: moved, end: new Date(moved.getTime() + appointment.durationMin * 60000), occurrence: new Date(key) }],
+        exclude: { appointmentId: appointment._id, occurrence: new Date(key) }
+      });
+    }
+
+    appointment.exceptions = appointment.exceptions.filter(e => e.occurrence.getTime() !== key);
+    if (cancelled || start) {
+      appointment.exceptions.push({ occurrence: new Date(key), cancelled, start: cancelled ? undefined : start, reason });
+    }
+    await appointment.save();
+    await conflictService.recordOverride(auth.userId, 'Appointment', appointment._id, conflicts, overrideReason);
+    await this.syncNextAppointment(appointment.patient);
+    return { appointment, conflicts };
+  }
+
+  // The original start of an occurrence in the series, or an error
+  findOccurrence(appointment, occurrence) {
+    const time = new Date(occurrence).getTime();
+    const match = occurrenceStarts(appointment).find(d => d.getTime() === time);
+    if (!match) throw new Error('Occurrence not found in this appointment series');
+    return match;
+  }
+
+  /**
+   * Document an occurrence as a Session. The session takes the occurrence's
+   * (possibly rescheduled) start and the appointment's duration unless given.
+   * @param {string} id - Appointment ID
+   * @param {Object} data - { occurrence, ...session fields }
+   * @param {Object} auth - { userId, role }
+   * @returns {Object} Session
+   */
+  async document(id, { occurrence, ...fields }, auth) {
+    const appointment = await Appointment.findById(id);
+    if (!appointment) throw new Error('Appointment not found');
+    if (auth.role !== 'admin' && String(appointment.therapist) !== String(auth.userId)) {
+      throw new Error('Access denied: only the appointment\'s therapist can document it');
+    }
+    const original = this.findOccurrence(appointment, occurrence);
+    const current = expandOccurrences(appointment).find(o => o.occurrence.getTime() === original.getTime());
+    if (current.status === 'documented') throw new Error('This occurrence has already been documented');
+    if (current.status === 'cancelled') throw new Error('Cannot document a cancelled occurrence');
+
+    const session = await Session.create({
+      durationMin: appointment.durationMin,
+      ...fields,
+      patient: appointment.patient,
+      therapist: appointment.therapist,
+      date: current.start,
+      appointment: appointment._id
+    });
+
+    // Claim the occurrence atomically so two requests cannot both document it
+    const claimed = await Appointment.updateOne(
+      { _id: appointment._id, 'documented.occurrence': { $ne: original } },
+      { $push: { documented: { occurrence: original, session: session._id } } }
+    );
+    if (!claimed.modifiedCount) {
+      await Session.deleteOne({ _id: session._id });
+      throw new Error('This occurrence has already been documented');
+    }
+
+    eventBus.publish(DomainEvents.SESSION_LOGGED, {
+      sessionId: session._id,
+      patientId: session.patient,
+      therapistId: session.therapist,
+      date: session.date,
+      attendance: session.attendance?.status
+    }, { actorId: auth.userId });
+    await this.syncNextAppointment(appointment.patient);
+    return session;
+  }
+
+  /**
+   * Appointment series, soonest first
+   * @param {Object} filters - { patient, therapist, includeCancelled }
+   * @param {Object} auth - Therapists only see their own
+   * @returns {Array}
+   */
+  async list({ patient, therapist, includeCancelled } = {}, auth) {
+    const filter = {};
+    if (patient) filter.patient = patient;
+    if (therapist) filter.therapist = therapist;
+    if (auth.role === 'therapist') filter.therapist = auth.userId;
+    if (!includeCancelled) filter.status = 'scheduled';
+    return Appointment.find(filter)
+      .sort({ start: 1 })
+      .populate('patient', 'name')
+      .populate('therapist', 'name email')
+      .lean();
+  }
+
+  /**
+   * Occurrences overlapping a window, across series
+   * @param {Object} filters - { from, to, patient, therapist } (defaults to the next 30 days)
+   * @param {Object} auth - Therapists only see their own
+   * @returns {Array} Occurrences sorted by start, with patient and therapist names
+   */
+  async occurrences({ from, to, patient, therapist } = {}, auth) {
+    const windowStart = from ? new Date(from) : new Date();
+    const windowEnd = to ? new Date(to) : new Date(windowStart.getTime() + 30 * DAY_MS);
+    const filter = { start: { $lt: windowEnd }, seriesEnd: { $gt: windowStart } };
+    if (patient) filter.patient = patient;
+    if (therapist) filter.therapist = therapist;
+    if (auth.role === 'therapist') filter.therapist = auth.userId;
+
+    const appointments = await Appointment.find(filter)
+      .populate('patient', 'name')
+      .populate('therapist', 'name email')
+      .lean();
+    return appointments
+      .flatMap(a => expandOccurrences(a, { from: windowStart, to: windowEnd })
+        .map(o => ({ ...o, patient: a.patient, therapist: a.therapist, timeZone: a.timeZone })))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Set Patient.nextAppointment to the patient's earliest upcoming scheduled occurrence
+   * @param {string} patientId - Patient ID
+   * @param {Date} now - Reference instant
+   * @returns {Date|null} Next appointment
+   */
+  async syncNextAppointment(patientId, now = new Date()) {
+    const appointments = await Appointment.find({ patient: patientId, seriesEnd: { $gt: now } }).lean();
+    const next = nextOccurrence(appointments, now);
+    await Patient.updateOne(
+      { _id: patientId },
+      next ? { $set: { nextAppointment: next } } : { $unset: { nextAppointment: 1 } }
+    );
+    return next;
+  }
+
+  /**
+   * Move nextAppointment on for patients whose recorded next appointment has passed
+   * @returns {number} Patients updated
+   */
+  async syncPastNextAppointments(now = new Date()) {
+    const patients = await Patient.find({ nextAppointment: { $lte: now } }).select('_id').lean();
+    for (const patient of patients) {
+      await this.syncNextAppointment(patient._id, now);
+    }
+    return patients.length;
+  }
+}
+
+export default new AppointmentService();
@@ -0,0 +1,113 @@
+/**
+ * Assignment Optimizer
+ * Solves the joint patient -> therapist allocation problem so that the total
+ * compatibility score is maximized while respecting per-therapist capacity.
+ *
+ * The problem is reduced to a rectangular assignment problem: every therapist
+ * contributes one column per free caseload slot, and every patient also gets a
+ * private "leave unassigned" column with score 0. The Hungarian algorithm then
+ * finds the optimal matching in O(n^2 * m).
+ */
+
+const FORBIDDEN_COST = 1e9;
+
+/**
+ * Hungarian algorithm (minimization) for an n x m cost matrix with n <= m
+ * @param {Array<Array<number>>} cost - Cost matrix (rows = workers, cols = jobs)
+ * @returns {Array<number>} Column index chosen for each row
+ */
+function hungarian(cost) {
+  const n = cost.length;
+  const m = n ? cost[0].length : 0;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const result = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j]) result[p[j] - 1] = j - 1;
+  }
+  return result;
+}
+
+/**
+ * Find the allocation that maximizes the total score
+ * @param {Array<Array<number>>} scores - scores[i][t] for patient i and therapist t (<= 0 means not allowed)
+ * @param {Array<number>} capacities - Free caseload slots per therapist
+ * @returns {Object} { assignments: Array<number|null>, totalScore }
+ */
+export function optimizeAssignments(scores, capacities) {
+  const patientCount = scores.length;
+  if (patientCount === 0) return { assignments: [], totalScore: 0 };
+
+  // A therapist can never take more than every patient in the batch
+  const slotOwners = [];
+  capacities.forEach((capacity, t) => {
+    const slots = Math.max(0, Math.min(Math.floor(capacity || 0), patientCount));
+    for (let s = 0; s < slots; s++) slotOwners.push(t);
+  });
+
+  const cost = scores.map((row, i) => {
+    const slotCosts = slotOwners.map(t => (row[t] > 0 ? -row[t] : FORBIDDEN_COST));
+    const unassignedCosts = new Array(patientCount).fill(FORBIDDEN_COST);
+    unassignedCosts[i] = 0;
+    return [...slotCosts, ...unassignedCosts];
+  });
+
+  const columns = hungarian(cost);
+  let totalScore = 0;
+  const assignments = columns.map((col, i) => {
+    if (col < 0 || col >= slotOwners.length) return null;
+    const t = slotOwners[col];
+    totalScore += scores[i][t];
+    return t;
+  });
+
+  return { assignments, totalScore };
+}
+
+export default optimizeAssignments;
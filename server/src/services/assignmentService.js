@@ -1,7 +1,54 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Patient from '../models/Patient.js';
 import Assignment from '../models/Assignment.js';
 import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import AssignmentPolicy, { SCORING_CRITERIA } from '../models/AssignmentPolicy.js';
+import { optimizeAssignments } from './assignmentOptimizer.js';
+import { CANCELLED_STATUSES } from '../utils/attendance.js';
+import {
+  MINUTES_PER_DAY,
+  normalizeIntervals,
+  intersectIntervals,
+  subtractIntervals,
+  totalMinutes,
+  windowsToUtcIntervals,
+  scheduleToWindows,
+  weekMinute
+} from '../utils/schedule.js';
+
+// Points added to the total when a soft allocation constraint is satisfied
+const CONSTRAINT_BONUS = { continuity: 15, language: 10, gender: 5 };
+
+/**
+ * Built-in scoring policy, used until an admin activates one in the database
+ */
+export const DEFAULT_POLICY = Object.freeze({
+  version: 0,
+  name: 'Built-in default',
+  weights: { specialtyMatch: 0.4, availability: 0.25, caseload: 0.25, experience: 0.1 },
+  enabledCriteria: [...SCORING_CRITERIA],
+  caseloadBands: [
+    { min: 25, score: 10 },
+    { min: 20, score: 40 },
+    { min: 15, score: 80 },
+    { min: 10, score: 100 },
+    { min: 5, score: 90 },
+    { min: 0, score: 70 } // Very low caseload might indicate other issues
+  ],
+  availabilityBands: [
+    { min: 40, score: 100 },
+    { min: 30, score: 80 },
+    { min: 20, score: 60 },
+    { min: 10, score: 40 },
+    { min: 0, score: 20 }
+  ],
+  availabilityDefault: 50,
+  // Free overlap (minutes per week) with the patient's preferred windows that earns a full availability score
+  fullOverlapMinutes: 180,
+  maxCaseload: 25
+});
 
 /**
  * Automated Patient Assignment Service
@@ -10,12 +57,15 @@ import AuditLog from '../models/AuditLog.js';
 class AssignmentService {
   
   /**
-   * Auto-assign a patient to the best-matched therapist
+   * Propose the best-matched therapist for a patient
+   * The result is a pending Assignment; the patient is not moved and the
+   * therapist is not told until a supervisor approves it.
    * @param {string} patientId - Patient ID to assign
-   * @param {string} supervisorId - Supervisor making the assignment
-   * @returns {Object} Assignment result with therapist and rationale
+   * @param {string} supervisorId - Supervisor requesting the assignment
+   * @param {Object} options - { therapistId } to propose a specific candidate chosen from a preview
+   * @returns {Object} Pending assignment with score and rationale
    */
-  async autoAssignPatient(patientId, supervisorId) {
+  async autoAssignPatient(patientId, supervisorId, options = {}) {
     try {
       // Get patient details
       const patient = await Patient.findById(patientId);
@@ -23,68 +73,50 @@ class AssignmentService {
         throw new Error('Patient not found');
       }
 
-      // Get available therapists
-      const therapists = await User.find({
-        role: 'therapist',
-        active: true
-      }).populate('assignments');
-
-      if (therapists.length === 0) {
-        throw new Error('No available therapists found');
+      const pending = await Assignment.exists({ patient: patientId, status: 'pending' });
+      if (pending) {
+        throw new Error('Patient already has a pending assignment awaiting approval');
       }
 
-      // Calculate scores for each therapist
-      const scoredTherapists = await Promise.all(
-        therapists.map(async (therapist) => {
-          const score = await this.calculateTherapistScore(patient, therapist);
-          return {
-            therapist,
-            score: score.total,
-            breakdown: score.breakdown
-          };
-        })
-      );
+      const policy = await this.getActivePolicy();
+      const previousTherapistId = await this.getPreviousTherapist(patient);
+      const scoredTherapists = await this.rankTherapists(patient, policy, previousTherapistId);
+
+      let bestMatch = scoredTherapists[0];
+      let rationale;
+
+      if (options.therapistId) {
+        const rank = scoredTherapists.findIndex(c => c.therapist._id.toString() === String(options.therapistId));
+        if (rank === -1) {
+          throw new Error('Selected therapist is not an active therapist');
+        }
+        bestMatch = scoredTherapists[rank];
+        rationale = this.generateRationale(bestMatch, patient);
+        if (rank > 0) {
+          rationale += ` Selected by supervisor from preview (rank ${rank + 1} of ${scoredTherapists.length}).`;
+        }
+      }
 
-      // Sort by score (highest first)
-      scoredTherapists.sort((a, b) => b.score - a.score);
-      
-      const bestMatch = scoredTherapists[0];
-      
       if (bestMatch.score <= 0) {
         throw new Error('No suitable therapist found for this patient');
       }
 
-      // Create assignment
+      // Create the proposal
       const assignment = await Assignment.create({
         patient: patientId,
         therapist: bestMatch.therapist._id,
         supervisor: supervisorId,
         method: 'auto',
-        rationale: this.generateRationale(bestMatch, patient),
+        status: 'pending',
+        rationale: rationale || this.generateRationale(bestMatch, patient),
         score: bestMatch.score,
-        scoreBreakdown: bestMatch.breakdown
+        scoreBreakdown: bestMatch.breakdown,
+        previousTherapist: patient.assignedTherapist,
+        constraints: bestMatch.constraints,
+        policy: policy._id,
+        policyVersion: policy.version
       });
 
-      // Update patient assignment
-      await Patient.findByIdAndUpdate(patientId, {
-        assignedTherapist: bestMatch.therapist._id,
-        supervisor: supervisorId
-      });
-
-      // Log audit entry
-      await AuditLog.logAction(
-        supervisorId,
-        'assign_patient',
-        'Assignment',
-        assignment._id,
-        {
-          patientId,
-          therapistId: bestMatch.therapist._id,
-          method: 'auto',
-          score: bestMatch.score
-        }
-      );
-
       return {
         assignment: await assignment.populate(['patient', 'therapist', 'supervisor']),
         score: bestMatch.score,
@@ -97,6 +129,208 @@ class AssignmentService {
     }
   }
 
+  /**
+   * List auto-assign proposals waiting for a supervisor, oldest first
+   * @returns {Array} Pending assignments with patient, therapist and score details
+   */
+  async getPendingAssignments() {
+    return Assignment.find({ status: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('patient', 'name diagnoses tags priority assignedTherapist')
+      .populate('therapist', 'name email specialties')
+      .populate('supervisor', 'name email')
+      .populate('previousTherapist', 'name')
+      .lean();
+  }
+
+  /**
+   * Approve a pending assignment, optionally overriding the proposed therapist
+   * @param {string} assignmentId - Pending assignment ID
+   * @param {string} reviewerId - Supervisor approving
+   * @param {Object} options - { therapistId, note } where therapistId overrides the proposal
+   * @returns {Object} Approved assignment
+   */
+  async approveAssignment(assignmentId, reviewerId, options = {}) {
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) throw new Error('Assignment not found');
+    if (assignment.status !== 'pending') {
+      throw new Error(`Assignment is already ${assignment.status}`);
+    }
+
+    const patient = await Patient.findById(assignment.patient);
+    if (!patient) throw new Error('Patient not found');
+    if (String(patient.assignedTherapist || '') !== String(assignment.previousTherapist || '')) {
+      throw new Error('Patient was reassigned since this proposal was made; reject it and run auto-assign again');
+    }
+
+    const override = options.therapistId && options.therapistId !== assignment.therapist.toString();
+    const therapist = await User.findById(override ? options.therapistId : assignment.therapist);
+    if (!therapist || therapist.role !== 'therapist' || !therapist.active || therapist.isOnLeave()) {
+      throw new Error('Invalid therapist: not an active therapist available for new patients');
+    }
+
+    if (override) {
+      const constraints = this.evaluateConstraints(patient, therapist, await this.getPreviousTherapist(patient));
+      if (constraints.some(c => c.type === 'exclusion' && !c.satisfied)) {
+        throw new Error('Therapist is excluded for this patient');
+      }
+
+      const policy = await this.getActivePolicy();
+      const score = await this.calculateTherapistScore(patient, therapist, { policy });
+      const proposedName = (await User.findById(assignment.therapist).select({ name: 1 }).lean())?.name;
+
+      assignment.proposedTherapist = assignment.therapist;
+      assignment.therapist = therapist._id;
+      assignment.score = score.total;
+      assignment.scoreBreakdown = score.breakdown;
+      assignment.constraints = constraints;
+      assignment.policy = policy._id;
+      assignment.policyVersion = policy.version;
+      assignment.rationale = [
+        this.generateRationale({ therapist, ...score }, patient),
+        `Supervisor override of proposed therapist ${proposedName || 'unknown'}${options.note ? `: ${options.note}` : '.'}`
+      ].join(' ');
+    }
+
+    assignment.status = 'approved';
+    assignment.reviewedBy = reviewerId;
+    assignment.reviewedAt = new Date();
+    assignment.reviewNote = options.note;
+    await assignment.save();
+
+    await Patient.findByIdAndUpdate(patient._id, {
+      assignedTherapist: assignment.therapist,
+      supervisor: assignment.supervisor || reviewerId
+    });
+
+    await AuditLog.logAction(
+      reviewerId,
+      patient.assignedTherapist ? 'reassign_patient' : 'assign_patient',
+      'Assignment',
+      assignment._id,
+      {
+        before: { therapistId: patient.assignedTherapist, proposedTherapistId: assignment.proposedTherapist },
+        after: { therapistId: assignment.therapist, score: assignment.score },
+        reason: override ? `Override: ${options.note || 'no reason given'}` : options.note
+      }
+    );
+
+    return assignment.populate(['patient', 'therapist', 'supervisor', 'reviewedBy']);
+  }
+
+  /**
+   * Reject a pending assignment; the patient keeps their current therapist
+   * @param {string} assignmentId - Pending assignment ID
+   * @param {string} reviewerId - Supervisor rejecting
+   * @param {string} reason - Why the proposal was rejected
+   * @returns {Object} Rejected assignment
+   */
+  async rejectAssignment(assignmentId, reviewerId, reason) {
+    const assignment = await Assignment.findById(assignmentId);
+    if (!assignment) throw new Error('Assignment not found');
+    if (assignment.status !== 'pending') {
+      throw new Error(`Assignment is already ${assignment.status}`);
+    }
+
+    assignment.status = 'rejected';
+    assignment.reviewedBy = reviewerId;
+    assignment.reviewedAt = new Date();
+    assignment.reviewNote = reason;
+    await assignment.save();
+
+    await AuditLog.logAction(
+      reviewerId,
+      'reject_assignment',
+      'Assignment',
+      assignment._id,
+      {
+        before: { therapistId: assignment.previousTherapist },
+        after: { proposedTherapistId: assignment.therapist },
+        reason
+      }
+    );
+
+    return assignment;
+  }
+
+  /**
+   * Preview auto-assignment without writing anything
+   * @param {string} patientId - Patient ID to evaluate
+   * @returns {Object} Patient summary and every active therapist ranked by score
+   */
+  async previewAutoAssign(patientId) {
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    const policy = await this.getActivePolicy();
+    const previousTherapistId = await this.getPreviousTherapist(patient);
+    const scoredTherapists = await this.rankTherapists(patient, policy, previousTherapistId);
+
+    return {
+      policy: { _id: policy._id, name: policy.name, version: policy.version },
+      patient: {
+        _id: patient._id,
+        name: patient.name,
+        diagnoses: patient.diagnoses,
+        tags: patient.tags,
+        assignedTherapist: patient.assignedTherapist,
+        previousTherapist: previousTherapistId
+      },
+      candidates: scoredTherapists.map((candidate, index) => ({
+        rank: index + 1,
+        therapist: {
+          _id: candidate.therapist._id,
+          name: candidate.therapist.name,
+          specialties: candidate.therapist.specialties
+        },
+        score: candidate.score,
+        breakdown: candidate.breakdown,
+        overlapMinutes: candidate.overlapMinutes,
+        constraints: candidate.constraints,
+        rationale: this.generateRationale(candidate, patient),
+        eligible: candidate.score > 0
+      }))
+    };
+  }
+
+  /**
+   * Score every active therapist for a patient
+   * @param {Object} patient - Patient document
+   * @param {Object} policy - Scoring policy
+   * @param {string} [previousTherapistId] - Therapist to prefer for continuity of care
+   * @returns {Array} [{ therapist, score, breakdown, overlapMinutes, constraints }] sorted by score (highest first)
+   */
+  async rankTherapists(patient, policy, previousTherapistId = null) {
+    const therapists = await User.findAssignableTherapists();
+
+    if (therapists.length === 0) {
+      throw new Error('No available therapists found');
+    }
+
+    const booked = await this.getBookedIntervals(therapists.map(t => t._id));
+
+    const scoredTherapists = await Promise.all(
+      therapists.map(async (therapist) => {
+        const score = await this.calculateTherapistScore(patient, therapist, {
+          policy,
+          bookedIntervals: booked.get(therapist._id.toString()) || [],
+          previousTherapistId
+        });
+        return {
+          therapist,
+          score: score.total,
+          breakdown: score.breakdown,
+          overlapMinutes: score.overlapMinutes,
+          constraints: score.constraints
+        };
+      })
+    );
+
+    return scoredTherapists.sort((a, b) => b.score - a.score);
+  }
+
   /**
    * Manually assign/reassign a patient to a therapist
    * @param {string} patientId - Patient ID
@@ -125,14 +359,20 @@ class AssignmentService {
         throw new Error('Patient is already assigned to this therapist');
       }
 
+      const constraints = this.evaluateConstraints(patient, therapist, await this.getPreviousTherapist(patient));
+      if (constraints.some(c => c.type === 'exclusion' && !c.satisfied)) {
+        throw new Error('Therapist is excluded for this patient');
+      }
+
       // Create new assignment
       const assignment = await Assignment.create({
         patient: patientId,
         therapist: therapistId,
         supervisor: supervisorId,
         method: 'manual',
-        rationale: reason || 'Manual assignment by supervisor',
-        previousTherapist: patient.assignedTherapist
+        rationale: [reason || 'Manual assignment by supervisor', this.describeConstraints(constraints)].filter(Boolean).join(' '),
+        previousTherapist: patient.assignedTherapist,
+        constraints
       });
 
       // Update patient assignment
@@ -164,13 +404,399 @@ class AssignmentService {
     }
   }
 
+  /**
+   * Propose a joint allocation for a batch of patients
+   * Scores every patient/therapist pair once against the caseloads as they
+   * stand before the run, then maximizes the total score subject to capacity.
+   * @param {Object} selection - { patientIds } or { allUnassigned: true }
+   * @param {Object} options - { maxCaseload, excludeTherapistIds }
+   * @returns {Object} Proposed plan with items, unassigned patients and therapist capacities
+   */
+  async proposeBatchAssignment(selection, options = {}) {
+    const policy = await this.getActivePolicy();
+    const maxCaseload = options.maxCaseload || policy.maxCaseload;
+
+    const patientFilter = selection.allUnassigned
+      ? { caseStatus: 'active', assignedTherapist: null }
+      : { _id: { $in: selection.patientIds } };
+    const patients = await Patient.find(patientFilter).sort({ createdAt: 1 });
+
+    if (!selection.allUnassigned && patients.length !== selection.patientIds.length) {
+      const found = new Set(patients.map(p => p._id.toString()));
+      const missing = selection.patientIds.filter(id => !found.has(String(id)));
+      throw new Error(`Patient not found: ${missing.join(', ')}`);
+    }
+
+    const therapists = await User.findAssignableTherapists(options.excludeTherapistIds);
+    if (therapists.length === 0) {
+      throw new Error('No available therapists found');
+    }
+
+    const [caseloads, booked, previousTherapists] = await Promise.all([
+      this.getCaseloadCounts(therapists.map(t => t._id)),
+      this.getBookedIntervals(therapists.map(t => t._id)),
+      this.getPreviousTherapists(patients)
+    ]);
+    const capacities = therapists.map(t => Math.max(0, maxCaseload - (caseloads.get(t._id.toString()) || 0)));
+
+    const scored = await Promise.all(
+      patients.map(patient => Promise.all(
+        therapists.map(therapist => this.calculateTherapistScore(patient, therapist, {
+          policy,
+          caseload: caseloads.get(therapist._id.toString()) || 0,
+          bookedIntervals: booked.get(therapist._id.toString()) || [],
+          previousTherapistId: previousTherapists.get(patient._id.toString())
+        }))
+      ))
+    );
+
+    const { assignments, totalScore } = optimizeAssignments(
+      scored.map(row => row.map(score => score.total)),
+      capacities
+    );
+
+    const items = [];
+    const unassigned = [];
+    patients.forEach((patient, i) => {
+      const t = assignments[i];
+      if (t === null) {
+        unassigned.push({
+          patient: { _id: patient._id, name: patient.name },
+          reason: 'No therapist with remaining capacity and a positive match score'
+        });
+        return;
+      }
+      const therapist = therapists[t];
+      const { total, breakdown, overlapMinutes, constraints } = scored[i][t];
+      items.push({
+        patient: { _id: patient._id, name: patient.name },
+        therapist: { _id: therapist._id, name: therapist.name },
+        score: total,
+        breakdown,
+        overlapMinutes,
+        constraints,
+        rationale: this.generateRationale({ therapist, breakdown, overlapMinutes, constraints }, patient)
+      });
+    });
+
+    return {
+      items,
+      unassigned,
+      totalScore,
+      maxCaseload,
+      policy: { _id: policy._id, name: policy.name, version: policy.version },
+      therapists: therapists.map((therapist, t) => ({
+        _id: therapist._id,
+        name: therapist.name,
+        currentCaseload: caseloads.get(therapist._id.toString()) || 0,
+        capacity: capacities[t],
+        proposed: assignments.filter(a => a === t).length
+      }))
+    };
+  }
+
+  /**
+   * Commit a batch allocation plan; a failed write rolls the whole batch back
+   * Only supervisors and admins commit plans, so committing is their approval:
+   * assignments are written as approved and reviewed by the committer, and any
+   * pending proposals for the same patients are rejected as superseded.
+   * Every pair is re-scored against current data and capacity is re-checked,
+   * so a stale or hand-edited plan cannot overload a therapist.
+   * @param {Array} items - [{ patientId, therapistId }]
+   * @param {string} supervisorId - Supervisor committing the plan
+   * @param {Object} options - { maxCaseload, reason } where reason is appended to each rationale
+   * @returns {Object} Created assignments and batch ID
+   */
+  async commitBatchAssignment(items, supervisorId, options = {}) {
+    const policy = await this.getActivePolicy();
+    const maxCaseload = options.maxCaseload || policy.maxCaseload;
+
+    const patientIds = items.map(item => item.patientId);
+    if (new Set(patientIds).size !== patientIds.length) {
+      throw new Error('Each patient may only appear once in a batch');
+    }
+
+    const therapistIds = [...new Set(items.map(item => item.therapistId))];
+    const [patients, therapists] = await Promise.all([
+      Patient.find({ _id: { $in: patientIds } }),
+      User.find({ _id: { $in: therapistIds } })
+    ]);
+
+    const patientsById = new Map(patients.map(p => [p._id.toString(), p]));
+    const therapistsById = new Map(therapists.map(t => [t._id.toString(), t]));
+    const [caseloads, booked, previousTherapists] = await Promise.all([
+      this.getCaseloadCounts(therapistIds),
+      this.getBookedIntervals(therapistIds),
+      this.getPreviousTherapists(patients)
+    ]);
+    const added = new Map();
+
+    const batchId = new mongoose.Types.ObjectId().toString();
+    const reviewedAt = new Date();
+    const docs = [];
+
+    for (const { patientId, therapistId } of items) {
+      const patient = patientsById.get(patientId);
+      const therapist = therapistsById.get(therapistId);
+      if (!patient) throw new Error(`Patient not found: ${patientId}`);
+      if (!therapist || therapist.role !== 'therapist' || !therapist.active || therapist.isOnLeave()) {
+        throw new Error(`Invalid therapist: ${therapistId}`);
+      }
+
+      const load = (caseloads.get(therapistId) || 0) + (added.get(therapistId) || 0);
+      if (load >= maxCaseload) {
+        throw new Error(`Therapist ${therapist.name} has no remaining capacity`);
+      }
+      added.set(therapistId, (added.get(therapistId) || 0) + 1);
+
+      const score = await this.calculateTherapistScore(patient, therapist, {
+        policy,
+        caseload: caseloads.get(therapistId) || 0,
+        bookedIntervals: booked.get(therapistId) || [],
+        previousTherapistId: previousTherapists.get(patientId)
+      });
+      if (score.total <= 0) {
+        throw new Error(`Therapist ${therapist.name} is not a suitable match for ${patient.name}`);
+      }
+
+      docs.push({
+        patient: patient._id,
+        therapist: therapist._id,
+        supervisor: supervisorId,
+        method: 'auto',
+        rationale: [this.generateRationale({ therapist, ...score }, patient), options.reason].filter(Boolean).join(' '),
+        score: score.total,
+        scoreBreakdown: score.breakdown,
+        previousTherapist: patient.assignedTherapist,
+        constraints: score.constraints,
+        policy: policy._id,
+        policyVersion: policy.version,
+        batchId,
+        // The supervisor committing the plan approves every item in it
+        status: 'approved',
+        reviewedBy: supervisorId,
+        reviewedAt,
+        reviewNote: options.reason || 'Approved as part of a batch allocation plan'
+      });
+    }
+
+    const assignments = await this.writeBatch(docs, patientsById, supervisorId, batchId);
+
+    // Proposals still waiting for these patients are superseded by the plan
+    await Assignment.updateMany(
+      { patient: { $in: docs.map(doc => doc.patient) }, status: 'pending' },
+      { status: 'rejected', reviewedBy: supervisorId, reviewedAt, reviewNote: `Superseded by batch ${batchId}` }
+    );
+
+    await Promise.all(assignments.map(assignment => AuditLog.logAction(
+      supervisorId,
+      assignment.previousTherapist ? 'reassign_patient' : 'assign_patient',
+      'Assignment',
+      assignment._id,
+      {
+        patientId: assignment.patient,
+        therapistId: assignment.therapist,
+        method: 'auto',
+        score: assignment.score,
+        policyVersion: policy.version,
+        batchId,
+        before: { therapistId: assignment.previousTherapist },
+        after: { therapistId: assignment.therapist, score: assignment.score },
+        reason: `Approved in batch allocation plan${options.reason ? `: ${options.reason}` : ''}`
+      }
+    )));
+
+    return {
+      batchId,
+      assignments: await Assignment.populate(assignments, [
+        { path: 'patient', select: 'name' },
+        { path: 'therapist', select: 'name email' }
+      ])
+    };
+  }
+
+  /**
+   * Insert a batch's assignments and move its patients, undoing both on failure
+   * Runs without a transaction so it works on a standalone MongoDB server. If any
+   * write fails, the batch's assignments are deleted and patients this batch moved
+   * go back to their previous therapist and supervisor.
+   * @param {Array} docs - Assignment documents to insert
+   * @param {Map} patientsById - Patients as loaded before the batch
+   * @param {string} supervisorId - Supervisor committing the plan
+   * @param {string} batchId - Batch ID shared by the docs
+   * @returns {Array} Inserted assignments
+   */
+  async writeBatch(docs, patientsById, supervisorId, batchId) {
+    try {
+      const assignments = await Assignment.insertMany(docs, { ordered: true });
+      await Patient.bulkWrite(
+        docs.map(doc => ({
+          updateOne: {
+            filter: { _id: doc.patient },
+            update: { assignedTherapist: doc.therapist, supervisor: supervisorId }
+          }
+        })),
+        { ordered: true }
+      );
+      return assignments;
+    } catch (error) {
+      try {
+        await Assignment.deleteMany({ batchId });
+        await Patient.bulkWrite(
+          docs.map(doc => {
+            const before = patientsById.get(doc.patient.toString());
+            return {
+              updateOne: {
+                // Only patients this batch moved; later changes by others are left alone
+                filter: { _id: doc.patient, assignedTherapist: doc.therapist },
+                update: { assignedTherapist: before.assignedTherapist ?? null, supervisor: before.supervisor ?? null }
+              }
+            };
+          }),
+          { ordered: false }
+        );
+      } catch (undoError) {
+        console.error(`Batch ${batchId} could not be fully rolled back:`, undoError);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count active patients per therapist in one query
+   * @param {Array} therapistIds - Therapist IDs
+   * @returns {Map} therapistId -> active caseload
+   */
+  async getCaseloadCounts(therapistIds) {
+    const counts = await Patient.aggregate([
+      {
+        $match: {
+          assignedTherapist: { $in: therapistIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+          caseStatus: 'active'
+        }
+      },
+      { $group: { _id: '$assignedTherapist', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+  }
+
+  /**
+   * Project each therapist's booked session time onto the weekly grid
+   * Sessions from the past week through the coming week are used, since
+   * therapy sessions mostly recur at the same weekly time. Availability
+   * exceptions in the coming week count as booked too.
+   * @param {Array} therapistIds - Therapist IDs
+   * @param {Date} [now] - Reference time
+   * @returns {Map} therapistId -> normalized UTC week intervals
+   */
+  async getBookedIntervals(therapistIds, now = new Date()) {
+    const week = 7 * MINUTES_PER_DAY * 60 * 1000;
+    const weekEnd = new Date(now.getTime() + week);
+    const [sessions, blocked] = await Promise.all([
+      Session.find({
+        therapist: { $in: therapistIds },
+        date: { $gte: new Date(now.getTime() - week), $lt: weekEnd },
+        'attendance.status': { $nin: CANCELLED_STATUSES }
+      }).select({ therapist: 1, date: 1, durationMin: 1 }).lean(),
+      User.find({
+        _id: { $in: therapistIds },
+        'availability.exceptions': { $elemMatch: { start: { $lt: weekEnd }, end: { $gt: now } } }
+      }).select({ 'availability.exceptions': 1 }).lean()
+    ]);
+
+    const byTherapist = new Map();
+    const add = (key, interval) => {
+      if (!byTherapist.has(key)) byTherapist.set(key, []);
+      byTherapist.get(key).push(interval);
+    };
+    for (const session of sessions) {
+      const start = weekMinute(session.date);
+      add(session.therapist.toString(), [start, start + (session.durationMin || 60)]);
+    }
+    // Blocked time (vacations, imported calendar events) in the coming week
+    for (const therapist of blocked) {
+      for (const exception of therapist.availability.exceptions) {
+        const from = Math.max(new Date(exception.start).getTime(), now.getTime());
+        const to = Math.min(new Date(exception.end).getTime(), weekEnd.getTime());
+        if (to <= from) continue;
+        const start = weekMinute(new Date(from));
+        add(therapist._id.toString(), [start, start + Math.round((to - from) / 60000)]);
+      }
+    }
+
+    return new Map([...byTherapist].map(([key, intervals]) => [key, normalizeIntervals(intervals)]));
+  }
+
+  /**
+   * Find the therapist to prefer for continuity of care
+   * Only applies to re-opened or otherwise unassigned cases; a patient who
+   * still has a therapist is being deliberately moved away from them.
+   * @param {Object} patient - Patient document
+   * @returns {string|null} Most recently assigned therapist ID
+   */
+  async getPreviousTherapist(patient) {
+    if (patient.assignedTherapist) return null;
+    const history = await this.getAssignmentHistory(patient._id);
+    const therapist = history
+      .find(assignment => assignment.therapist && (assignment.status || 'approved') === 'approved')
+      ?.therapist;
+    return therapist ? therapist._id.toString() : null;
+  }
+
+  /**
+   * Batch variant of getPreviousTherapist
+   * @param {Array} patients - Patient documents
+   * @returns {Map} patientId -> most recently assigned therapist ID
+   */
+  async getPreviousTherapists(patients) {
+    const unassigned = patients.filter(p => !p.assignedTherapist).map(p => p._id);
+    if (unassigned.length === 0) return new Map();
+
+    const latest = await Assignment.aggregate([
+      { $match: { patient: { $in: unassigned }, status: { $nin: ['pending', 'rejected'] } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$patient', therapist: { $first: '$therapist' } } }
+    ]);
+
+    return new Map(latest.map(l => [l._id.toString(), l.therapist.toString()]));
+  }
+
+  /**
+   * Get the active scoring policy, falling back to the built-in default
+   * @returns {Object} Policy with weights, bands and enabled criteria
+   */
+  async getActivePolicy() {
+    const policy = await AssignmentPolicy.getActive();
+    if (!policy) return DEFAULT_POLICY;
+    return {
+      ...policy,
+      caseloadBands: policy.caseloadBands?.length ? policy.caseloadBands : DEFAULT_POLICY.caseloadBands,
+      availabilityBands: policy.availabilityBands?.length ? policy.availabilityBands : DEFAULT_POLICY.availabilityBands
+    };
+  }
+
   /**
    * Calculate compatibility score between patient and therapist
+   * Weights of the enabled criteria are normalized so totals stay on a 0-100 scale.
+   * A therapist whose free schedule never overlaps the patient's preferred
+   * windows, or who violates a hard constraint, cannot be matched and scores 0
+   * overall. Satisfied soft constraints add a bonus on top of the weighted sum.
    * @param {Object} patient - Patient document
    * @param {Object} therapist - Therapist document
-   * @returns {Object} Score breakdown and total
+   * @param {Object} context - Optional precomputed data ({ policy, caseload, bookedIntervals, previousTherapistId })
+   * @returns {Object} Score breakdown, total, weekly overlap minutes (null when schedules cannot be compared) and constraints
    */
-  async calculateTherapistScore(patient, therapist) {
+  async calculateTherapistScore(patient, therapist, context = {}) {
+    const policy = context.policy || await this.getActivePolicy();
+    const enabled = new Set(policy.enabledCriteria);
+    const weightSum = SCORING_CRITERIA
+      .filter(criterion => enabled.has(criterion))
+      .reduce((sum, criterion) => sum + (policy.weights[criterion] || 0), 0);
+    const weight = (criterion) => (enabled.has(criterion) && weightSum > 0
+      ? (policy.weights[criterion] || 0) / weightSum
+      : 0);
+
     const breakdown = {
       specialtyMatch: 0,
       availability: 0,
@@ -178,26 +804,126 @@ class AssignmentService {
       experience: 0
     };
 
-    // 1. Specialty matching (40% weight)
-    breakdown.specialtyMatch = this.calculateSpecialtyMatch(patient, therapist) * 0.4;
+    if (enabled.has('specialtyMatch')) {
+      breakdown.specialtyMatch = this.calculateSpecialtyMatch(patient, therapist) * weight('specialtyMatch');
+    }
 
-    // 2. Availability score (25% weight)
-    breakdown.availability = this.calculateAvailabilityScore(therapist) * 0.25;
+    const constraints = this.evaluateConstraints(patient, therapist, context.previousTherapistId);
+    if (constraints.some(c => c.hard && !c.satisfied)) {
+      return { breakdown, total: 0, overlapMinutes: null, constraints };
+    }
 
-    // 3. Caseload score (25% weight)
-    breakdown.caseload = await this.calculateCaseloadScore(therapist) * 0.25;
+    const overlapMinutes = await this.calculateScheduleOverlap(patient, therapist, context.bookedIntervals);
+    if (overlapMinutes === 0) {
+      return { breakdown, total: 0, overlapMinutes, constraints };
+    }
 
-    // 4. Experience score (10% weight)
-    breakdown.experience = this.calculateExperienceScore(therapist) * 0.1;
+    if (enabled.has('availability')) {
+      breakdown.availability = this.calculateAvailabilityScore(therapist, policy, overlapMinutes) * weight('availability');
+    }
 
-    const total = Object.values(breakdown).reduce((sum, score) => sum + score, 0);
+    if (enabled.has('caseload')) {
+      breakdown.caseload = await this.calculateCaseloadScore(therapist, context.caseload, policy) * weight('caseload');
+    }
+
+    if (enabled.has('experience')) {
+      breakdown.experience = this.calculateExperienceScore(therapist) * weight('experience');
+    }
+
+    const bonus = constraints
+      .filter(c => !c.hard && c.satisfied)
+      .reduce((sum, c) => sum + (CONSTRAINT_BONUS[c.type] || 0), 0);
+    const total = Math.min(100, Object.values(breakdown).reduce((sum, score) => sum + score, 0) + bonus);
 
     return {
       breakdown,
-      total
+      total,
+      overlapMinutes,
+      constraints
     };
   }
 
+  /**
+   * Evaluate continuity, exclusion, language and gender constraints
+   * Exclusions are always hard; language and gender are hard only when the
+   * patient marks them as required.
+   * @param {Object} patient - Patient document
+   * @param {Object} therapist - Therapist document
+   * @param {string} [previousTherapistId] - Therapist to prefer for continuity of care
+   * @returns {Array} [{ type, hard, satisfied, detail }]
+   */
+  evaluateConstraints(patient, therapist, previousTherapistId = null) {
+    const preferences = patient.therapistPreferences || {};
+    const therapistId = therapist._id?.toString();
+    const constraints = [];
+
+    const excluded = (preferences.excludedTherapists || []).map(id => id.toString());
+    if (excluded.length > 0) {
+      const isExcluded = excluded.includes(therapistId);
+      constraints.push({
+        type: 'exclusion',
+        hard: true,
+        satisfied: !isExcluded,
+        detail: isExcluded
+          ? `${therapist.name} is excluded for this patient`
+          : `Excluded therapists not considered (${excluded.length})`
+      });
+    }
+
+    if (previousTherapistId) {
+      const isPrevious = String(previousTherapistId) === therapistId;
+      constraints.push({
+        type: 'continuity',
+        hard: false,
+        satisfied: isPrevious,
+        detail: isPrevious
+          ? 'Continuity of care: returning to previous therapist'
+          : 'Continuity of care: previous therapist not selected'
+      });
+    }
+
+    const patientLanguages = (patient.languages || []).map(language => language.toLowerCase().trim());
+    if (patientLanguages.length > 0) {
+      const therapistLanguages = (therapist.languages || []).map(language => language.toLowerCase().trim());
+      const shared = patientLanguages.filter(language => therapistLanguages.includes(language));
+      constraints.push({
+        type: 'language',
+        hard: Boolean(preferences.languageRequired),
+        satisfied: shared.length > 0,
+        detail: shared.length > 0
+          ? `Speaks ${shared.join(', ')}`
+          : `Does not speak ${patientLanguages.join(' or ')}`
+      });
+    }
+
+    if (preferences.gender) {
+      const matches = therapist.gender === preferences.gender;
+      constraints.push({
+        type: 'gender',
+        hard: Boolean(preferences.genderRequired),
+        satisfied: matches,
+        detail: matches
+          ? `Matches preferred therapist gender (${preferences.gender})`
+          : `Does not match preferred therapist gender (${preferences.gender})`
+      });
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Summarize constraints for a rationale
+   * @param {Array} constraints - Output of evaluateConstraints
+   * @returns {string} Sentence listing each constraint as applied or violated ('' when none)
+   */
+  describeConstraints(constraints = []) {
+    if (constraints.length === 0) return '';
+    const parts = constraints.map(c =>
+      `${c.detail} (${c.hard ? 'required' : 'preferred'}, ${c.satisfied ? 'applied' : 'violated'})`
+    );
+    return `Constraints: ${parts.join('; ')}.`;
+  }
+
   /**
    * Calculate specialty matching score
    * @param {Object} patient - Patient document
@@ -239,42 +965,77 @@ class AssignmentService {
   }
 
   /**
-   * Calculate availability score based on weekly slots
+   * Calculate availability score
+   * Uses free schedule overlap with the patient's preferred times when known,
+   * otherwise falls back to weekly slots.
    * @param {Object} therapist - Therapist document
+   * @param {Object} [policy] - Scoring policy providing the full-score overlap and availability bands
+   * @param {number|null} [overlapMinutes] - Free weekly minutes inside the patient's preferred windows
    * @returns {number} Score between 0-100
    */
-  calculateAvailabilityScore(therapist) {
+  calculateAvailabilityScore(therapist, policy = DEFAULT_POLICY, overlapMinutes = null) {
+    if (overlapMinutes !== null && overlapMinutes !== undefined) {
+      const fullOverlap = policy.fullOverlapMinutes || DEFAULT_POLICY.fullOverlapMinutes;
+      return Math.min(100, (overlapMinutes / fullOverlap) * 100);
+    }
+
     const availability = therapist.availability;
-    if (!availability || !availability.weeklySlots) return 50;
+    if (!availability || !availability.weeklySlots) return policy.availabilityDefault ?? 50;
 
-    const weeklySlots = availability.weeklySlots;
-    
-    // Score based on available time slots
-    if (weeklySlots >= 40) return 100;
-    if (weeklySlots >= 30) return 80;
-    if (weeklySlots >= 20) return 60;
-    if (weeklySlots >= 10) return 40;
-    return 20;
+    return this.scoreFromBands(availability.weeklySlots, policy.availabilityBands);
+  }
+
+  /**
+   * Calculate the therapist's free time inside the patient's preferred windows
+   * Both sides are converted to UTC using their own time zones, then booked
+   * session time is removed from the therapist's schedule.
+   * @param {Object} patient - Patient document
+   * @param {Object} therapist - Therapist document
+   * @param {Array} [bookedIntervals] - Booked UTC week intervals if already loaded
+   * @returns {number|null} Overlap in minutes per week, or null when either side has no schedule
+   */
+  async calculateScheduleOverlap(patient, therapist, bookedIntervals) {
+    const preferences = patient.appointmentPreferences;
+    const patientWindows = windowsToUtcIntervals(preferences?.windows, preferences?.timeZone);
+    const therapistWindows = windowsToUtcIntervals(
+      scheduleToWindows(therapist.availability?.schedule),
+      therapist.availability?.timeZone
+    );
+    if (patientWindows.length === 0 || therapistWindows.length === 0) return null;
+
+    const booked = bookedIntervals
+      ?? (await this.getBookedIntervals([therapist._id])).get(therapist._id.toString())
+      ?? [];
+    const free = subtractIntervals(therapistWindows, booked);
+
+    return totalMinutes(intersectIntervals(patientWindows, free));
   }
 
   /**
    * Calculate caseload score (lower caseload = higher score)
    * @param {Object} therapist - Therapist document
+   * @param {number} [knownCaseload] - Active caseload if already counted
+   * @param {Object} [policy] - Scoring policy providing the caseload bands
    * @returns {number} Score between 0-100
    */
-  async calculateCaseloadScore(therapist) {
-    const currentCaseload = await Patient.countDocuments({
+  async calculateCaseloadScore(therapist, knownCaseload, policy = DEFAULT_POLICY) {
+    const currentCaseload = knownCaseload ?? await Patient.countDocuments({
       assignedTherapist: therapist._id,
       caseStatus: 'active'
     });
 
-    // Ideal caseload is around 15-20 patients
-    if (currentCaseload >= 25) return 10;
-    if (currentCaseload >= 20) return 40;
-    if (currentCaseload >= 15) return 80;
-    if (currentCaseload >= 10) return 100;
-    if (currentCaseload >= 5) return 90;
-    return 70; // Very low caseload might indicate other issues
+    return this.scoreFromBands(currentCaseload, policy.caseloadBands);
+  }
+
+  /**
+   * Evaluate a step function
+   * @param {number} value - Value to score
+   * @param {Array} bands - [{ min, score }] sorted by min descending
+   * @returns {number} Score of the first band whose min is <= value
+   */
+  scoreFromBands(value, bands) {
+    const band = bands.find(b => value >= b.min);
+    return band ? band.score : 0;
   }
 
   /**
@@ -302,9 +1063,14 @@ class AssignmentService {
    * @returns {string} Rationale text
    */
   generateRationale(bestMatch, patient) {
-    const { therapist, breakdown } = bestMatch;
+    const { therapist, breakdown, overlapMinutes } = bestMatch;
     const reasons = [];
 
+    if (overlapMinutes > 0) {
+      const hours = Math.round((overlapMinutes / 60) * 10) / 10;
+      reasons.push(`${hours} free hour${hours === 1 ? '' : 's'} per week within preferred appointment times`);
+    }
+
     if (breakdown.specialtyMatch > 70) {
       reasons.push(`Strong specialty match for ${patient.diagnoses?.join(', ') || 'patient needs'}`);
     }
@@ -325,7 +1091,10 @@ class AssignmentService {
       reasons.push('Best available match among current therapists');
     }
 
-    return `Assigned to ${therapist.name} based on: ${reasons.join(', ')}.`;
+    return [
+      `Assigned to ${therapist.name} based on: ${reasons.join(', ')}.`,
+      this.describeConstraints(bestMatch.constraints)
+    ].filter(Boolean).join(' ');
   }
 
   /**
@@ -0,0 +1,193 @@
+import path from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import Attachment from '../models/Attachment.js';
+import Patient from '../models/Patient.js';
+import ProgressReport from '../models/ProgressReport.js';
+import Session from '../models/Session.js';
+import TherapyPlan from '../models/TherapyPlan.js';
+import { createStorage } from './attachmentStorage.js';
+
+const ENTITY_MODELS = { TherapyPlan, Session, ProgressReport };
+
+const startsWith = (bytes) => (buffer) => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+const isText = (buffer) => !buffer.subarray(0, 1024).includes(0);
+
+// Accepted upload types: allowed extensions and a content check on the first bytes
+export const ALLOWED_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], matches: startsWith([0x25, 0x50, 0x44, 0x46]) },
+  'image/png': { extensions: ['.png'], matches: startsWith([0x89, 0x50, 0x4e, 0x47]) },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], matches: startsWith([0xff, 0xd8, 0xff]) },
+  'image/gif': { extensions: ['.gif'], matches: startsWith([0x47, 0x49, 0x46, 0x38]) },
+  'application/msword': { extensions: ['.doc'], matches: startsWith([0xd0, 0xcf, 0x11, 0xe0]) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], matches: startsWith([0x50, 0x4b, 0x03, 0x04]) },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], matches: startsWith([0x50, 0x4b, 0x03, 0x04]) },
+  'text/plain': { extensions: ['.txt'], matches: isText },
+  'text/csv': { extensions: ['.csv'], matches: isText }
+};
+
+/**
+ * Parse a size such as "10mb", "512kb" or 1048576 into bytes
+ * @param {string|number} value - Size
+ * @param {number} fallback - Bytes when value is missing or invalid
+ * @returns {number} Bytes
+ */
+export function parseSize(value, fallback = 10 * 1024 * 1024) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value ?? '').trim());
+  if (!match) return fallback;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Check an uploaded file's declared type, extension, content and size
+ * @param {Object} file - { originalname, mimetype, size, buffer } as parsed by multer
+ * @param {number} maxBytes - Size limit
+ */
+export function validateFile(file, maxBytes) {
+  const type = ALLOWED_TYPES[file.mimetype];
+  if (!type) throw new Error(`File type not allowed: ${file.mimetype}`);
+  if (!type.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+    throw new Error(`File type not allowed: extension does not match ${file.mimetype}`);
+  }
+  if (file.size > maxBytes) throw new Error(`File exceeds the ${Math.round(maxBytes / 1024 / 1024)} MB limit`);
+  if (!type.matches(file.buffer)) throw new Error(`File content does not match ${file.mimetype}`);
+}
+
+/**
+ * Whether a user is on the patient's care team: their assigned therapist and
+ * supervisor, the therapist who owns the plan/session/report, and admins.
+ * Supervisors may also see patients with no assigned supervisor.
+ * @param {Object} auth - { userId, role }
+ * @param {Object} patient - Patient with assignedTherapist and supervisor
+ * @param {string} ownerId - Therapist on the plan, session or report
+ * @returns {boolean}
+ */
+export function isOnCareTeam(auth, patient, ownerId) {
+  if (auth.role === 'admin') return true;
+  const userId = String(auth.userId);
+  if (ownerId && String(ownerId) === userId) return true;
+  if (auth.role === 'therapist') return String(patient?.assignedTherapist) === userId;
+  if (auth.role === 'supervisor') return !patient?.supervisor || String(patient.supervisor) === userId;
+  return false;
+}
+
+/**
+ * Attachment Service
+ * Stores files for plans, sessions and progress reports through the configured
+ * storage driver and checks care-team access on every read and write.
+ */
+class AttachmentService {
+  constructor() {
+    this.storage = null;
+  }
+
+  getStorage() {
+    this.storage ??= createStorage();
+    return this.storage;
+  }
+
+  getMaxFileSize() {
+    return parseSize(process.env.MAX_FILE_SIZE);
+  }
+
+  /**
+   * Load the plan/session/report and its patient, and check access
+   * @returns {Object} { entity, patient }
+   */
+  async loadEntity(entityType, entityId, auth) {
+    const Model = ENTITY_MODELS[entityType];
+    if (!Model) throw new Error(`Unknown attachment entity type: ${entityType}`);
+    const entity = await Model.findById(entityId).select('patient therapist').lean();
+    if (!entity) throw new Error(`${entityType} not found`);
+    const patient = await Patient.findById(entity.patient).select('assignedTherapist supervisor').lean();
+    if (!isOnCareTeam(auth, patient, entity.therapist)) {
+      throw new Error('Access denied: not on this patient\'s care team');
+    }
+    return { entity, patient };
+  }
+
+  /**
+   * Validate and store an uploaded file
+   * @param {Object} target - { entityType, entityId }
+   * @param {Object} file - Parsed multipart file
+   * @param {Object} auth - Uploading user
+   * @returns {Object} Attachment
+   */
+  async upload({ entityType, entityId }, file, auth) {
+    const { entity } = await this.loadEntity(entityType, entityId, auth);
+    validateFile(file, this.getMaxFileSize());
+
+    const storage = this.getStorage();
+    const extension = path.extname(file.originalname).toLowerCase();
+    const storageKey = `${entityType.toLowerCase()}/${entityId}/${randomUUID()}${extension}`;
+    await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+    try {
+      return await Attachment.create({
+        entityType,
+        entityId,
+        patient: entity.patient,
+        originalName: path.basename(file.originalname),
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: createHash('sha256').update(file.buffer).digest('hex'),
+        storageDriver: storage.name,
+        storageKey,
+        uploadedBy: auth.userId
+      });
+    } catch (error) {
+      // Do not leave orphaned bytes behind when the record cannot be saved
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Attachments on a plan, session or report, newest first
+   * @returns {Array} Attachments with uploader names
+   */
+  async list(entityType, entityId, auth) {
+    await this.loadEntity(entityType, entityId, auth);
+    return Attachment.find({ entityType, entityId })
+      .sort({ createdAt: -1 })
+      .populate('uploadedBy', 'name')
+      .lean();
+  }
+
+  /**
+   * An attachment the user may read
+   * @returns {Object} Attachment
+   */
+  async getAccessible(id, auth) {
+    const attachment = await Attachment.findById(id).lean();
+    if (!attachment) throw new Error('Attachment not found');
+    await this.loadEntity(attachment.entityType, attachment.entityId, auth);
+    return attachment;
+  }
+
+  /**
+   * Stream an attachment's bytes
+   * @returns {Object} { attachment, stream }
+   */
+  async openForDownload(id, auth) {
+    const attachment = await this.getAccessible(id, auth);
+    const stream = await this.getStorage().createReadStream(attachment.storageKey);
+    return { attachment, stream };
+  }
+
+  /**
+   * Delete an attachment; the uploader, supervisors and admins on the care team may do this
+   * @returns {Object} Deleted attachment
+   */
+  async remove(id, auth) {
+    const attachment = await this.getAccessible(id, auth);
+    if (auth.role === 'therapist' && String(attachment.uploadedBy) !== String(auth.userId)) {
+      throw new Error('Access denied: therapists can only delete their own uploads');
+    }
+    await Attachment.deleteOne({ _id: attachment._id });
+    await this.getStorage().remove(attachment.storageKey);
+    return attachment;
+  }
+}
+
+export default new AttachmentService();
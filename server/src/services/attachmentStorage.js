@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * Attachment Storage
+ * Interchangeable backends for attachment bytes. Each driver stores a file
+ * under an opaque key and exposes { put, createReadStream, remove }.
+ * STORAGE_DRIVER picks the driver: 'local' (default) or 's3'.
+ */
+
+// Files under UPLOAD_PATH, one directory level per key prefix
+export class LocalStorage {
+  constructor(root) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Keys are generated server-side, but never let one escape the upload root
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) throw new Error('Invalid storage key');
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, buffer, { flag: 'wx' });
+  }
+
+  async createReadStream(key) {
+    const file = this.resolve(key);
+    await fsp.access(file);
+    return fs.createReadStream(file);
+  }
+
+  async remove(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Any S3-compatible object store (AWS, MinIO, R2 …)
+export class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket) throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: !!forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  async createReadStream(key) {
+    const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Body;
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+/**
+ * Build the driver configured in the environment
+ * @param {Object} env - Usually process.env
+ * @returns {LocalStorage|S3Storage}
+ */
+export function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (driver === 's3') {
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: (env.S3_FORCE_PATH_STYLE || '').toLowerCase() === 'true'
+    });
+  }
+  if (driver !== 'local') throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  return new LocalStorage(env.UPLOAD_PATH || './uploads');
+}
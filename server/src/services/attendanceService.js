@@ -0,0 +1,174 @@
+import AttendanceFlag from '../models/AttendanceFlag.js';
+import AttendanceRule from '../models/AttendanceRule.js';
+import AuditLog from '../models/AuditLog.js';
+import Patient from '../models/Patient.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Built-in no-show rule, used until an admin or supervisor creates one
+ */
+export const DEFAULT_RULE = Object.freeze({
+  name: 'Built-in default',
+  noShowThreshold: 3,
+  windowDays: 90,
+  pauseCase: false
+});
+
+/**
+ * The rule a patient's no-shows trigger, if any
+ * Each rule counts the no-shows in its last windowDays. When several rules
+ * fire, one that pauses the case wins, then the lowest threshold.
+ * @param {Array} noShowDates - Dates of the patient's no-shows
+ * @param {Array} rules - Active AttendanceRules
+ * @param {Date} now - End of the window
+ * @returns {Object|null} { rule, noShowCount } for the rule that fired
+ */
+export function triggeredRule(noShowDates, rules, now = new Date()) {
+  const times = noShowDates.map(d => new Date(d).getTime());
+  const fired = rules
+    .map(rule => ({ rule, noShowCount: times.filter(t => t > now.getTime() - rule.windowDays * DAY_MS).length }))
+    .filter(({ rule, noShowCount }) => noShowCount >= rule.noShowThreshold);
+  fired.sort((a, b) =>
+    Number(Boolean(b.rule.pauseCase)) - Number(Boolean(a.rule.pauseCase))
+    || a.rule.noShowThreshold - b.rule.noShowThreshold
+  );
+  return fired[0] || null;
+}
+
+/**
+ * Attendance Service
+ * Watches no-shows as sessions are recorded. When a patient's no-shows reach a
+ * rule's threshold, the patient is flagged for supervisor follow-up and, if the
+ * rule says so, the case is paused. Supervisors resolve the flag once they have
+ * been in touch, optionally reactivating the case.
+ */
+class AttendanceService {
+
+  /**
+   * Active rules, or the built-in default when none have been created
+   * @returns {Array} Rules
+   */
+  async getRules() {
+    if (!(await AttendanceRule.exists({}))) return [DEFAULT_RULE];
+    return AttendanceRule.find({ active: true }).lean();
+  }
+
+  /**
+   * Flag the patient if their no-shows have reached a rule's threshold
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { actorId, now } who recorded the attendance (for the audit log) and the reference time
+   * @returns {Object|null} The new flag, or null when no rule fired or a flag is already open
+   */
+  async checkPatient(patientId, { actorId, now = new Date() } = {}) {
+    if (await AttendanceFlag.exists({ patient: patientId, status: 'open' })) return null;
+
+    const rules = await this.getRules();
+    if (!rules.length) return null;
+    const longestWindow = Math.max(...rules.map(r => r.windowDays));
+    const noShows = await Session.find({
+      patient: patientId,
+      'attendance.status': 'no_show',
+      date: { $gt: new Date(now.getTime() - longestWindow * DAY_MS), $lte: now }
+    }).select('date').sort({ date: -1 }).lean();
+
+    const match = triggeredRule(noShows.map(s => s.date), rules, now);
+    if (!match) return null;
+    const { rule, noShowCount } = match;
+
+    const patient = await Patient.findById(patientId).select('name caseStatus supervisor').lean();
+    if (!patient) return null;
+    const pause = Boolean(rule.pauseCase) && patient.caseStatus === 'active';
+
+    let flag;
+    try {
+      flag = await AttendanceFlag.create({
+        patient: patientId,
+        rule: rule._id,
+        noShowCount,
+        threshold: rule.noShowThreshold,
+        windowDays: rule.windowDays,
+        sessions: noShows.slice(0, noShowCount).map(s => s._id),
+        casePaused: pause
+      });
+    } catch (error) {
+      // Another no-show for the same patient raised it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    if (pause) {
+      await Patient.updateOne({ _id: patientId }, { caseStatus: 'paused' });
+      if (actorId) {
+        await AuditLog.logAction(actorId, 'update', 'Patient', patientId, {
+          before: { caseStatus: patient.caseStatus },
+          after: { caseStatus: 'paused' },
+          reason: `${noShowCount} no-shows in ${rule.windowDays} days (${rule.name})`
+        });
+      }
+    }
+
+    const supervisors = patient.supervisor
+      ? [patient.supervisor]
+      : (await User.find({ role: 'supervisor', active: true }).select('_id').lean()).map(s => s._id);
+    await Promise.all(supervisors.map(supervisorId =>
+      notificationService.notifyAttendanceFlag(supervisorId, patientId, patient.name, {
+        flagId: flag._id,
+        noShowCount,
+        windowDays: rule.windowDays,
+        casePaused: pause
+      })
+    ));
+    return flag;
+  }
+
+  /**
+   * Close a flag after follow-up
+   * @param {string} flagId - AttendanceFlag ID
+   * @param {Object} data - { resolution, reactivate } reactivate sets a paused case back to active
+   * @param {string} actorId - Supervisor resolving it
+   * @returns {Object} Resolved flag
+   */
+  async resolveFlag(flagId, { resolution, reactivate = false }, actorId) {
+    const flag = await AttendanceFlag.findOneAndUpdate(
+      { _id: flagId, status: 'open' },
+      { status: 'resolved', resolution, resolvedBy: actorId, resolvedAt: new Date() },
+      { new: true }
+    );
+    if (!flag) {
+      if (await AttendanceFlag.exists({ _id: flagId })) throw new Error('Attendance flag is already resolved');
+      throw new Error('Attendance flag not found');
+    }
+
+    if (reactivate) {
+      const reactivated = await Patient.updateOne({ _id: flag.patient, caseStatus: 'paused' }, { caseStatus: 'active' });
+      if (reactivated.modifiedCount) {
+        await AuditLog.logAction(actorId, 'update', 'Patient', flag.patient, {
+          before: { caseStatus: 'paused' },
+          after: { caseStatus: 'active' },
+          reason: resolution
+        });
+      }
+    }
+    return flag;
+  }
+
+  /**
+   * Flags, newest first
+   * @param {Object} filter - e.g. { status: 'open' }
+   * @returns {Array} Flags with patient and rule details
+   */
+  async getFlags(filter = {}) {
+    return AttendanceFlag.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('patient', 'name caseStatus assignedTherapist')
+      .populate('rule', 'name')
+      .populate('resolvedBy', 'name')
+      .lean();
+  }
+}
+
+export default new AttendanceService();
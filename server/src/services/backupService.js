@@ -0,0 +1,77 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import User from '../models/User.js';
+import Patient from '../models/Patient.js';
+import TherapyPlan from '../models/TherapyPlan.js';
+import Session from '../models/Session.js';
+import ProgressReport from '../models/ProgressReport.js';
+
+const FILE_PREFIX = 'backup-';
+
+/**
+ * Backup Service
+ * Writes the core collections to BACKUP_DIR as JSON in the same shape as
+ * GET /api/data/export, so a backup can be restored with POST /api/data/import.
+ */
+class BackupService {
+  getDirectory() {
+    return process.env.BACKUP_DIR || '';
+  }
+
+  getRetention() {
+    return Number(process.env.BACKUP_RETENTION) || 14;
+  }
+
+  /**
+   * Write a backup file and prune old ones
+   * @param {Date} now - Backup time, used in the file name
+   * @returns {Object} { file, counts, pruned } or { skipped } when BACKUP_DIR is not set
+   */
+  async createBackup(now = new Date()) {
+    const dir = this.getDirectory();
+    if (!dir) return { skipped: 'BACKUP_DIR is not set' };
+
+    const [users, patients, plans, sessions, reports] = await Promise.all([
+      User.find().lean(),
+      Patient.find().lean(),
+      TherapyPlan.find().lean(),
+      Session.find().lean(),
+      ProgressReport.find().lean()
+    ]);
+
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${FILE_PREFIX}${now.toISOString().replace(/[:.]/g, '-')}.json`);
+    const body = {
+      meta: { exportedAt: now.toISOString(), versions: { user: 1, patient: 1, plan: 1, session: 1, report: 1 } },
+      users,
+      patients,
+      therapyPlans: plans,
+      sessions,
+      progressReports: reports
+    };
+    await fs.writeFile(file, JSON.stringify(body));
+
+    return {
+      file,
+      counts: { users: users.length, patients: patients.length, therapyPlans: plans.length, sessions: sessions.length, progressReports: reports.length },
+      pruned: await this.prune(dir)
+    };
+  }
+
+  /**
+   * Delete all but the newest BACKUP_RETENTION backup files
+   * @param {string} dir - Backup directory
+   * @returns {number} Files deleted
+   */
+  async prune(dir) {
+    const files = (await fs.readdir(dir))
+      .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith('.json'))
+      .sort()
+      .reverse();
+    const stale = files.slice(this.getRetention());
+    await Promise.all(stale.map(name => fs.unlink(path.join(dir, name))));
+    return stale.length;
+  }
+}
+
+export default new BackupService();
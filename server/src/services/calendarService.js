@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import Appointment from '../models/Appointment.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { expandOccurrences } from '../utils/recurrence.js';
+import { buildCalendar, parseCalendar } from '../utils/ical.js';
+import { CANCELLED_STATUSES } from '../utils/attendance.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Feed window around now
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+// Imported events that ended longer ago than this are ignored
+const IMPORT_PAST_DAYS = 30;
+const MAX_IMPORTED_EVENTS = 500;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Initials for a patient name, e.g. "Alice B. Carter" -> "A.B.C."
+ * @param {string} name - Full name
+ * @returns {string} Initials, or "Patient" when there is no name
+ */
+export function initials(name) {
+  const letters = String(name || '').trim().split(/\s+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`);
+  return letters.length ? letters.join('') : 'Patient';
+}
+
+/**
+ * Calendar Service
+ * Publishes each user's appointments and sessions as a private iCalendar feed,
+ * and imports blocked time from .ics files into the therapist's availability
+ * exceptions, which conflict checks and assignment scoring take into account.
+ */
+class CalendarService {
+
+  /**
+   * Create or rotate a user's feed token; any earlier feed URL stops working
+   * @param {string} userId - User ID
+   * @param {Object} options - { maskPatientNames }
+   * @returns {Object} { token, maskPatientNames, createdAt } - the raw token is only available here
+   */
+  async createFeedToken(userId, { maskPatientNames } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const createdAt = new Date();
+    const $set = { 'calendarFeed.tokenHash': hashToken(token), 'calendarFeed.createdAt': createdAt };
+    if (maskPatientNames !== undefined) $set['calendarFeed.maskPatientNames'] = maskPatientNames;
+
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true }).select('calendarFeed').lean();
+    if (!user) throw new Error('User not found');
+    return { token, maskPatientNames: user.calendarFeed.maskPatientNames !== false, createdAt };
+  }
+
+  /**
+   * Feed settings without the token
+   * @param {string} userId - User ID
+   * @returns {Object} { enabled, maskPatientNames, createdAt }
+   */
+  async getFeedSettings(userId) {
+    const user = await User.findById(userId).select('+calendarFeed.tokenHash').lean();
+    if (!user) throw new Error('User not found');
+    const feed = user.calendarFeed || {};
+    return { enabled: Boolean(feed.tokenHash), maskPatientNames: feed.maskPatientNames !== false, createdAt: feed.createdAt };
+  }
+
+  async updateFeedSettings(userId, { maskPatientNames }) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'calendarFeed.maskPatientNames': maskPatientNames } },
+      { new: true }
+    ).select('_id');
+    if (!user) throw new Error('User not found');
+    return this.getFeedSettings(userId);
+  }
+
+  async revokeFeedToken(userId) {
+    await User.updateOne({ _id: userId }, { $unset: { 'calendarFeed.tokenHash': 1, 'calendarFeed.createdAt': 1 } });
+  }
+
+  /**
+   * Render the feed for a token
+   * @param {string} token - Raw token from the feed URL
+   * @param {Date} now - Reference instant
+   * @returns {string|null} iCalendar text, or null when the token is unknown
+   */
+  async renderFeed(token, now = new Date()) {
+    const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(token), active: { $ne: false } })
+      .select('name calendarFeed')
+      .lean();
+    if (!user) return null;
+
+    const events = await this.feedEvents(user._id, {
+      from: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+      to: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS),
+      mask: user.calendarFeed?.maskPatientNames !== false
+    });
+    return buildCalendar(events, { name: `Therapy schedule - ${user.name}`, now });
+  }
+
+  /**
+   * Appointment occurrences and sessions for a therapist as calendar events
+   * Documented occurrences appear through their sessions; cancelled ones are
+   * kept with a cancelled status so subscribed clients remove them.
+   * @param {string} therapistId - Therapist ID
+   * @param {Object} options - { from, to, mask }
+   * @returns {Array} Events for buildCalendar
+   */
+  async feedEvents(therapistId, { from, to, mask = true }) {
+    const patientName = (patient) => (mask ? initials(patient?.name) : patient?.name || 'Patient');
+
+    const [appointments, sessions] = await Promise.all([
+      Appointment.find({ therapist: therapistId, start: { $lt: to }, seriesEnd: { $gt: from } })
+        .populate('patient', 'name')
+        .lean(),
+      Session.find({ therapist: therapistId, date: { $gte: from, $lt: to } })
+        .populate('patient', 'name')
+        .select('patient date durationMin room attendance updatedAt')
+        .lean()
+    ]);
+
+    const events = [];
+    for (const appointment of appointments) {
+      for (const o of expandOccurrences(appointment, { from, to })) {
+        if (o.status === 'documented') continue;
+        events.push({
+          uid: `appointment-${appointment._id}-${o.occurrence.getTime()}@therapy-cms`,
+          start: o.start,
+          end: o.end,
+          summary: `Therapy: ${patientName(appointment.patient)}`,
+          location: appointment.room,
+          status: o.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+          updatedAt: appointment.updatedAt
+        });
+      }
+    }
+    for (const session of sessions) {
+      const start = new Date(session.date);
+      events.push({
+        uid: `session-${session._id}@therapy-cms`,
+        start,
+        end: new Date(start.getTime() + (session.durationMin || 45) * 60000),
+        summary: `Session: ${patientName(session.patient)}`,
+        location: session.room,
+        status: CANCELLED_STATUSES.includes(session.attendance?.status) ? 'CANCELLED' : 'CONFIRMED',
+        updatedAt: session.updatedAt
+      });
+    }
+    return events.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Import busy events from an .ics file as availability exceptions
+   * Events are matched on their UID, so importing an updated export of the same
+   * calendar moves existing exceptions instead of adding duplicates.
+   * @param {string} therapistId - Therapist whose availability is updated
+   * @param {string} text - iCalendar text
+   * @param {Date} now - Reference instant
+   * @returns {Object} { imported, updated, skipped: [{ uid, summary, reason }], exceptions }
+   */
+  async importExceptions(therapistId, text, now = new Date()) {
+    const therapist = await User.findById(therapistId);
+    if (!therapist) throw new Error('Therapist not found');
+    if (therapist.role !== 'therapist') throw new Error('Availability exceptions can only be imported for therapists');
+
+    const { events, skipped } = parseCalendar(text, { defaultTimeZone: therapist.availability?.timeZone || 'UTC' });
+    const cutoff = new Date(now.getTime() - IMPORT_PAST_DAYS * DAY_MS);
+    const current = events.filter(event => {
+      if (event.end > cutoff) return true;
+      skipped.push({ uid: event.uid, summary: event.summary, reason: 'Event is in the past' });
+      return false;
+    });
+    if (current.length > MAX_IMPORTED_EVENTS) {
+      throw new Error(`Calendar has ${current.length} events to import; the limit is ${MAX_IMPORTED_EVENTS}`);
+    }
+
+    therapist.availability ??= {};
+    const exceptions = therapist.availability.exceptions;
+    let imported = 0;
+    let updated = 0;
+    for (const event of current) {
+      const fields = { start: event.start, end: event.end, summary: event.summary.slice(0, 200) || 'Busy', source: 'ics', uid: event.uid };
+      const existing = event.uid && exceptions.find(e => e.source === 'ics' && e.uid === event.uid);
+      if (existing) {
+        existing.set(fields);
+        updated++;
+      } else {
+        exceptions.push(fields);
+        imported++;
+      }
+    }
+    await therapist.save();
+
+    return { imported, updated, skipped, exceptions: therapist.availability.exceptions };
+  }
+
+  /**
+   * Availability exceptions for a therapist, optionally only those not yet over
+   * @param {string} therapistId - Therapist ID
+   * @param {Object} options - { from }
+   * @returns {Array} Exceptions sorted by start
+   */
+  async listExceptions(therapistId, { from } = {}) {
+    const user = await User.findById(therapistId).select('availability.exceptions').lean();
+    if (!user) throw new Error('Therapist not found');
+    return (user.availability?.exceptions || [])
+      .filter(e => !from || new Date(e.end) > new Date(from))
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  /**
+   * Block out time by hand
+   * @param {string} therapistId - Therapist ID
+   * @param {Object} data - { start, end, summary }
+   * @returns {Object} The new exception
+   */
+  async addException(therapistId, { start, end, summary }) {
+    const therapist = await User.findById(therapistId);
+    if (!therapist) throw new Error('Therapist not found');
+    if (therapist.role !== 'therapist') throw new Error('Availability exceptions can only be added for therapists');
+
+    therapist.availability ??= {};
+    therapist.availability.exceptions.push({ start, end, summary, source: 'manual' });
+    await therapist.save();
+    return therapist.availability.exceptions.at(-1);
+  }
+
+  async removeException(therapistId, exceptionId) {
+    const result = await User.updateOne(
+      { _id: therapistId, 'availability.exceptions._id': exceptionId },
+      { $pull: { 'availability.exceptions': { _id: exceptionId } } }
+    );
+    if (!result.modifiedCount) throw new Error('Availability exception not found');
+  }
+}
+
+export default new CalendarService();
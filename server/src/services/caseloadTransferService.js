@@ -0,0 +1,339 @@
+import User from '../models/User.js';
+import Patient from '../models/Patient.js';
+import Assignment from '../models/Assignment.js';
+import AuditLog from '../models/AuditLog.js';
+import CaseloadTransfer from '../models/CaseloadTransfer.js';
+import assignmentService from './assignmentService.js';
+import eventBus, { DomainEvents } from './eventBus.js';
+
+/**
+ * Caseload Transfer Service
+ * Moves a departing therapist's active patients to colleagues, either for good
+ * (deactivation) or until a leave ends, when they are handed back.
+ */
+class CaseloadTransferService {
+
+  /**
+   * Propose reassignments for a therapist who is leaving
+   * Starts the leave (or deactivates the therapist) so the scorer stops offering
+   * them new patients; patients only move once approved. When no proposal can be
+   * made (e.g. no other therapist is available), every patient is listed without
+   * a therapist for the supervisor to assign.
+   * @param {string} therapistId - Departing therapist
+   * @param {Object} details - { reason: 'leave'|'deactivation', leaveStart, leaveEnd, note }
+   * @param {string} actorId - User starting the workflow
+   * @returns {Object} Proposed transfer
+   */
+  async proposeTransfer(therapistId, details, actorId) {
+    const therapist = await User.findById(therapistId);
+    if (!therapist || therapist.role !== 'therapist') {
+      throw new Error('Therapist not found');
+    }
+
+    // Deactivation supersedes a pending leave proposal; two leave proposals conflict
+    const open = await CaseloadTransfer.findOne({ therapist: therapistId, status: 'proposed' });
+    if (open && details.reason !== 'deactivation') {
+      throw new Error('A caseload transfer is already awaiting approval for this therapist');
+    }
+
+    const leaveStart = details.leaveStart ? new Date(details.leaveStart) : new Date();
+    const leaveEnd = details.leaveEnd ? new Date(details.leaveEnd) : undefined;
+    if (leaveEnd && leaveEnd <= leaveStart) {
+      throw new Error('Leave end must be after leave start');
+    }
+
+    const patients = await therapist.getActivePatients().select({ _id: 1, name: 1 });
+    let proposal = { items: [], unassigned: [], totalScore: 0 };
+    if (patients.length > 0) {
+      try {
+        proposal = await assignmentService.proposeBatchAssignment(
+          { patientIds: patients.map(p => p._id.toString()) },
+          { excludeTherapistIds: [therapist._id] }
+        );
+      } catch (error) {
+        proposal.unassigned = patients.map(patient => ({ patient, reason: `No therapist proposed: ${error.message}` }));
+      }
+    }
+
+    if (open) {
+      open.status = 'cancelled';
+      await open.save();
+    }
+    const transfer = await CaseloadTransfer.create({
+      therapist: therapist._id,
+      reason: details.reason,
+      leaveStart: details.reason === 'leave' ? leaveStart : undefined,
+      leaveEnd: details.reason === 'leave' ? leaveEnd : undefined,
+      note: details.note,
+      items: [
+        ...proposal.items.map(item => ({
+          patient: item.patient._id,
+          toTherapist: item.therapist._id,
+          score: item.score,
+          rationale: item.rationale
+        })),
+        ...proposal.unassigned.map(entry => ({
+          patient: entry.patient._id,
+          rationale: entry.reason
+        }))
+      ],
+      totalScore: proposal.totalScore,
+      createdBy: actorId
+    });
+
+    // The therapist only leaves once the handover exists
+    if (details.reason === 'deactivation') {
+      therapist.active = false;
+    } else {
+      therapist.leave = { start: leaveStart, end: leaveEnd, note: details.note };
+    }
+    try {
+      await therapist.save({ validateModifiedOnly: true });
+    } catch (error) {
+      await CaseloadTransfer.deleteOne({ _id: transfer._id });
+      throw error;
+    }
+    return transfer;
+  }
+
+  /**
+   * Approve a proposed transfer
+   * Patients move straight away, except for a leave that has not begun yet: the
+   * transfer is then scheduled and the patients move when the leave starts.
+   * @param {string} transferId - Transfer ID
+   * @param {string} supervisorId - Approving supervisor
+   * @param {Array} [overrides] - [{ patientId, therapistId }] replacing proposed therapists
+   * @param {Date} [now] - Reference time
+   * @returns {Object} Approved or scheduled transfer
+   */
+  async approveTransfer(transferId, supervisorId, overrides = [], now = new Date()) {
+    const transfer = await CaseloadTransfer.findById(transferId).populate('therapist', 'name');
+    if (!transfer) throw new Error('Caseload transfer not found');
+    if (transfer.status !== 'proposed') {
+      throw new Error(`Caseload transfer is already ${transfer.status}`);
+    }
+
+    const chosen = new Map(overrides.map(o => [String(o.patientId), String(o.therapistId)]));
+    const departingId = transfer.therapist._id.toString();
+    for (const item of transfer.items) {
+      const therapistId = chosen.get(item.patient.toString());
+      if (therapistId) item.toTherapist = therapistId;
+    }
+
+    const items = await this.itemsToMove(transfer);
+    const missing = items.filter(item => !item.therapistId);
+    if (missing.length > 0) {
+      throw new Error(`${missing.length} patient(s) still need a therapist before approval`);
+    }
+    if (items.some(item => item.therapistId === departingId)) {
+      throw new Error('Invalid therapist: patients cannot stay with the departing therapist');
+    }
+
+    transfer.approvedBy = supervisorId;
+    transfer.approvedAt = now;
+    transfer.failureReason = undefined;
+    if (transfer.reason === 'leave' && transfer.leaveStart > now) {
+      transfer.status = 'scheduled';
+      return transfer.save();
+    }
+    return this.moveCaseload(transfer, supervisorId);
+  }
+
+  /**
+   * Patients on a transfer still with the departing therapist, and where they go
+   * Patients who were closed or moved elsewhere since the proposal are skipped.
+   * @param {Object} transfer - Transfer with therapist populated
+   * @returns {Array} [{ patientId, therapistId }]
+   */
+  async itemsToMove(transfer) {
+    const current = await Patient.find({
+      _id: { $in: transfer.items.map(item => item.patient) },
+      assignedTherapist: transfer.therapist._id,
+      caseStatus: 'active'
+    }).select({ _id: 1 }).lean();
+    const stillAssigned = new Set(current.map(p => p._id.toString()));
+
+    return transfer.items
+      .filter(item => stillAssigned.has(item.patient.toString()))
+      .map(item => ({ patientId: item.patient.toString(), therapistId: item.toTherapist?.toString() }));
+  }
+
+  /**
+   * Move an approved transfer's patients to their new therapists
+   * @param {Object} transfer - Transfer with therapist populated
+   * @param {string} supervisorId - Supervisor who approved it
+   * @returns {Object} Approved transfer
+   */
+  async moveCaseload(transfer, supervisorId) {
+    const items = await this.itemsToMove(transfer);
+    const reason = transfer.reason === 'leave'
+      ? `Covering for ${transfer.therapist.name} during leave${transfer.leaveEnd ? ` until ${transfer.leaveEnd.toISOString().slice(0, 10)}` : ''}.`
+      : `Reassigned from ${transfer.therapist.name} after deactivation.`;
+
+    const result = items.length > 0
+      ? await assignmentService.commitBatchAssignment(items, supervisorId, { reason })
+      : { batchId: undefined, assignments: [] };
+
+    const byPatient = new Map(result.assignments.map(a => [a.patient._id.toString(), a]));
+    transfer.items = transfer.items
+      .filter(item => byPatient.has(item.patient.toString()))
+      .map(item => {
+        const assignment = byPatient.get(item.patient.toString());
+        return {
+          patient: item.patient,
+          toTherapist: assignment.therapist._id,
+          score: assignment.score,
+          rationale: assignment.rationale,
+          assignment: assignment._id
+        };
+      });
+    transfer.status = 'approved';
+    transfer.batchId = result.batchId;
+    await transfer.save();
+
+    result.assignments.forEach(assignment => eventBus.publish(DomainEvents.ASSIGNMENT_CHANGED, {
+      assignmentId: assignment._id,
+      patientId: assignment.patient._id,
+      therapistId: assignment.therapist._id,
+      previousTherapistId: transfer.therapist._id
+    }, { actorId: supervisorId }));
+
+    return transfer;
+  }
+
+  /**
+   * Move patients for every scheduled leave that has begun
+   * A transfer that can no longer be applied (e.g. a therapist is now full)
+   * goes back to the approval queue with the reason.
+   * @param {Date} [now] - Reference time
+   * @returns {number} Number of transfers applied
+   */
+  async processDueStarts(now = new Date()) {
+    const due = await CaseloadTransfer.find({
+      status: 'scheduled',
+      leaveStart: { $lte: now }
+    }).populate('therapist', 'name');
+
+    let applied = 0;
+    for (const transfer of due) {
+      try {
+        await this.moveCaseload(transfer, transfer.approvedBy);
+        applied++;
+      } catch (error) {
+        transfer.status = 'proposed';
+        transfer.failureReason = `Could not move patients when the leave began: ${error.message}`;
+        await transfer.save();
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Cancel a proposal or a scheduled leave handover; ends the leave that started it (deactivation stays)
+   * @param {string} transferId - Transfer ID
+   * @returns {Object} Cancelled transfer
+   */
+  async cancelTransfer(transferId) {
+    const transfer = await CaseloadTransfer.findById(transferId);
+    if (!transfer) throw new Error('Caseload transfer not found');
+    if (!['proposed', 'scheduled'].includes(transfer.status)) {
+      throw new Error(`Caseload transfer is already ${transfer.status}`);
+    }
+
+    if (transfer.reason === 'leave') {
+      await User.findByIdAndUpdate(transfer.therapist, { $unset: { leave: 1 } });
+    }
+
+    transfer.status = 'cancelled';
+    return transfer.save();
+  }
+
+  /**
+   * Hand patients back to a therapist whose leave has ended
+   * Patients who were closed or moved again during the leave stay where they are.
+   * @param {Object} transfer - Approved leave transfer
+   * @param {string} actorId - User recorded on the audit trail
+   * @returns {Object} Updated transfer
+   */
+  async returnFromLeave(transfer, actorId) {
+    const therapist = await User.findById(transfer.therapist);
+    const patients = await Patient.find({ _id: { $in: transfer.items.map(item => item.patient) } });
+    const patientsById = new Map(patients.map(p => [p._id.toString(), p]));
+
+    for (const item of transfer.items) {
+      const patient = patientsById.get(item.patient.toString());
+      if (!therapist?.active) {
+        item.returnSkipped = 'Therapist is no longer active';
+      } else if (!patient || patient.caseStatus !== 'active') {
+        item.returnSkipped = 'Case is no longer active';
+      } else if (patient.assignedTherapist?.toString() !== item.toTherapist?.toString()) {
+        item.returnSkipped = 'Patient was reassigned during the leave';
+      }
+      if (item.returnSkipped) continue;
+
+      const assignment = await Assignment.create({
+        patient: patient._id,
+        therapist: therapist._id,
+        supervisor: actorId,
+        method: 'auto',
+        rationale: `Returned to ${therapist.name} after leave ended.`,
+        previousTherapist: item.toTherapist
+      });
+      await Patient.findByIdAndUpdate(patient._id, { assignedTherapist: therapist._id });
+      item.returnAssignment = assignment._id;
+
+      await AuditLog.logAction(
+        actorId,
+        'reassign_patient',
+        'Assignment',
+        assignment._id,
+        {
+          before: { therapistId: item.toTherapist },
+          after: { therapistId: therapist._id },
+          reason: 'Leave ended'
+        }
+      );
+
+      eventBus.publish(DomainEvents.ASSIGNMENT_CHANGED, {
+        assignmentId: assignment._id,
+        patientId: patient._id,
+        therapistId: therapist._id,
+        previousTherapistId: item.toTherapist
+      }, { actorId });
+    }
+
+    await User.findByIdAndUpdate(transfer.therapist, { $unset: { leave: 1 } });
+
+    transfer.status = 'returned';
+    transfer.returnedAt = new Date();
+    return transfer.save();
+  }
+
+  /**
+   * Hand back every approved leave whose end date has passed
+   * A return that fails is logged and retried on the next run; it does not
+   * hold up the other returns that are due.
+   * @param {Date} [now] - Reference time
+   * @returns {number} Number of transfers returned
+   */
+  async processDueReturns(now = new Date()) {
+    const due = await CaseloadTransfer.find({
+      reason: 'leave',
+      status: 'approved',
+      leaveEnd: { $lte: now }
+    });
+
+    let returned = 0;
+    for (const transfer of due) {
+      try {
+        await this.returnFromLeave(transfer, transfer.approvedBy);
+        returned++;
+      } catch (error) {
+        console.error(`Leave return for transfer ${transfer._id} failed:`, error.message);
+      }
+    }
+    return returned;
+  }
+}
+
+export default new CaseloadTransferService();
@@ -0,0 +1,218 @@
+import Appointment from '../models/Appointment.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { expandOccurrences } from '../utils/recurrence.js';
+import { CANCELLED_STATUSES } from '../utils/attendance.js';
+import {
+  MINUTES_PER_WEEK,
+  normalizeIntervals,
+  scheduleToWindows,
+  subtractIntervals,
+  weekMinute,
+  windowsToUtcIntervals
+} from '../utils/schedule.js';
+
+// Sessions logged without a duration are assumed to take this long
+export const DEFAULT_DURATION_MIN = 45;
+// Longest booking allowed, used to widen lookups for bookings that started earlier
+const MAX_DURATION_MS = 480 * 60 * 1000;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+const sameId = (a, b) => a != null && b != null && String(a?._id ?? a) === String(b?._id ?? b);
+
+/**
+ * Minutes of a booking that fall outside a therapist's weekly schedule
+ * @param {Object} interval - { start, end }
+ * @param {Object} availability - User.availability with schedule and timeZone
+ * @returns {number} Minutes outside the schedule; 0 when no schedule is set
+ */
+export function minutesOutsideSchedule({ start, end }, availability = {}) {
+  const windows = scheduleToWindows(availability?.schedule);
+  if (!windows.length) return 0;
+  const open = windowsToUtcIntervals(windows, availability.timeZone || 'UTC', new Date(start));
+  const length = Math.min(Math.round((new Date(end) - new Date(start)) / 60000), MINUTES_PER_WEEK);
+  const first = weekMinute(start);
+  const booked = normalizeIntervals([[first, first + length]]);
+  return subtractIntervals(booked, open).reduce((sum, [s, e]) => sum + (e - s), 0);
+}
+
+/**
+ * Conflicts between candidate bookings and existing ones
+ * @param {Object} candidate - { therapist, patient, room, intervals: [{ start, end, occurrence }] }
+ * @param {Array} busy - Existing bookings [{ kind, id, occurrence, therapist, patient, room, start, end }]
+ * @returns {Array} [{ type, resource, start, end, with: { kind, id, occurrence, start, end }, message }]
+ */
+export function findOverlaps(candidate, busy) {
+  const conflicts = [];
+  const room = candidate.room?.trim().toLowerCase();
+  for (const interval of candidate.intervals) {
+    for (const booking of busy) {
+      if (!overlaps(interval, booking)) continue;
+      const resources = [];
+      if (sameId(candidate.therapist, booking.therapist)) resources.push('therapist');
+      if (sameId(candidate.patient, booking.patient)) resources.push('patient');
+      if (room && booking.room?.trim().toLowerCase() === room) resources.push('room');
+      for (const resource of resources) {
+        conflicts.push({
+          type: 'overlap',
+          resource,
+          start: interval.start,
+          end: interval.end,
+          with: { kind: booking.kind, id: booking.id, occurrence: booking.occurrence, start: booking.start, end: booking.end },
+          message: `The ${resource === 'room' ? `room ${candidate.room}` : resource} is already booked from ${booking.start.toISOString()} to ${booking.end.toISOString()}`
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Conflict Service
+ * Checks sessions and appointments against other sessions and scheduled
+ * appointment occurrences for the same therapist, patient or room, and against
+ * the therapist's weekly schedule and blocked time. Conflicts block a booking unless the caller
+ * overrides them, which is written to the audit log.
+ */
+class ConflictService {
+
+  /**
+   * Existing sessions and scheduled occurrences that touch any of the resources in a window
+   * @param {Object} resources - { therapist, patient, room }
+   * @param {Object} window - { from, to }
+   * @param {Object} exclude - { sessionId, appointmentId, occurrence } to leave out the booking being changed
+   * @returns {Array} Bookings
+   */
+  async loadBusy({ therapist, patient, room }, { from, to }, exclude = {}) {
+    const who = [];
+    if (therapist) who.push({ therapist });
+    if (patient) who.push({ patient });
+    if (room) who.push({ room: new RegExp(`^${escapeRegExp(room.trim())}$`, 'i') });
+    if (!who.length) return [];
+
+    const sessions = await Session.find({
+      $or: who,
+      date: { $gte: new Date(from.getTime() - MAX_DURATION_MS), $lt: to },
+      'attendance.status': { $nin: CANCELLED_STATUSES },
+      ...(exclude.sessionId ? { _id: { $ne: exclude.sessionId } } : {})
+    }).select('therapist patient room date durationMin').lean();
+
+    const appointments = await Appointment.find({
+      $or: who,
+      start: { $lt: to },
+      seriesEnd: { $gt: from }
+    }).lean();
+
+    const busy = sessions.map(s => ({
+      kind: 'session',
+      id: s._id,
+      therapist: s.therapist,
+      patient: s.patient,
+      room: s.room,
+      start: new Date(s.date),
+      end: new Date(new Date(s.date).getTime() + (s.durationMin || DEFAULT_DURATION_MIN) * 60000)
+    }));
+    for (const appointment of appointments) {
+      const excluded = sameId(appointment._id, exclude.appointmentId);
+      if (excluded && !exclude.occurrence) continue;
+      for (const o of expandOccurrences(appointment, { from, to })) {
+        // Documented occurrences are already counted through their sessions
+        if (o.status !== 'scheduled') continue;
+        if (excluded && o.occurrence.getTime() === new Date(exclude.occurrence).getTime()) continue;
+        busy.push({
+          kind: 'appointment',
+          id: appointment._id,
+          occurrence: o.occurrence,
+          therapist: appointment.therapist,
+          patient: appointment.patient,
+          room: appointment.room,
+          start: o.start,
+          end: o.end
+        });
+      }
+    }
+    return busy;
+  }
+
+  /**
+   * All conflicts for a booking
+   * @param {Object} candidate - { therapist, patient, room, intervals: [{ start, end, occurrence }] }
+   * @param {Object} exclude - Booking being changed, see loadBusy
+   * @returns {Array} Conflicts (overlap, availability_exception and outside_availability)
+   */
+  async findConflicts(candidate, exclude = {}) {
+    const intervals = candidate.intervals.map(i => ({ ...i, start: new Date(i.start), end: new Date(i.end) }));
+    if (!intervals.length) return [];
+    const from = new Date(Math.min(...intervals.map(i => i.start.getTime())));
+    const to = new Date(Math.max(...intervals.map(i => i.end.getTime())));
+
+    const busy = await this.loadBusy(candidate, { from, to }, exclude);
+    const conflicts = findOverlaps({ ...candidate, intervals }, busy);
+
+    if (candidate.therapist) {
+      const therapist = await User.findById(candidate.therapist).select('availability').lean();
+      for (const interval of intervals) {
+        for (const exception of therapist?.availability?.exceptions || []) {
+          const blocked = { start: new Date(exception.start), end: new Date(exception.end) };
+          if (!overlaps(interval, blocked)) continue;
+          conflicts.push({
+            type: 'availability_exception',
+            resource: 'therapist',
+            start: interval.start,
+            end: interval.end,
+            with: { kind: 'exception', id: exception._id, start: blocked.start, end: blocked.end },
+            message: `The therapist is unavailable${exception.summary ? ` (${exception.summary})` : ''} from ${blocked.start.toISOString()} to ${blocked.end.toISOString()}`
+          });
+        }
+        const outside = minutesOutsideSchedule(interval, therapist?.availability);
+        if (!outside) continue;
+        conflicts.push({
+          type: 'outside_availability',
+          resource: 'therapist',
+          start: interval.start,
+          end: interval.end,
+          minutesOutside: outside,
+          message: `${outside} minute(s) fall outside the therapist's weekly schedule`
+        });
+      }
+    }
+    return conflicts.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find conflicts and block unless overridden
+   * @param {Object} candidate - See findConflicts
+   * @param {Object} options - { override, exclude }
+   * @returns {Array} Conflicts that were overridden (empty when there were none)
+   * @throws {Error} With a conflicts property when conflicts exist and override is not set
+   */
+  async assertNoConflicts(candidate, { override = false, exclude = {} } = {}) {
+    const conflicts = await this.findConflicts(candidate, exclude);
+    if (conflicts.length && !override) {
+      const error = new Error(`Scheduling conflict: ${conflicts[0].message}${conflicts.length > 1 ? ` (and ${conflicts.length - 1} more)` : ''}`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+    return conflicts;
+  }
+
+  /**
+   * Record that a booking went ahead despite conflicts
+   * @param {string} actorId - User who overrode
+   * @param {string} entityType - 'Session' | 'Appointment'
+   * @param {string} entityId - Booking ID
+   * @param {Array} conflicts - Conflicts that were overridden
+   * @param {string} reason - Why
+   */
+  async recordOverride(actorId, entityType, entityId, conflicts, reason) {
+    if (!conflicts.length) return;
+    await AuditLog.logAction(actorId, 'override_conflict', entityType, entityId, {
+      after: { conflicts: conflicts.map(({ type, resource, start, end, with: other }) => ({ type, resource, start, end, with: other })) },
+      reason: reason || 'No reason given'
+    });
+  }
+}
+
+export default new ConflictService();
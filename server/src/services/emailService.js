@@ -0,0 +1,239 @@
+import nodemailer from 'nodemailer';
+import EmailDelivery from '../models/EmailDelivery.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { zoneOffsetMinutes } from '../utils/schedule.js';
+import { resolveChannels } from '../utils/notificationPreferences.js';
+import { renderNotificationEmail, renderDigestEmail } from './emailTemplates.js';
+
+const MAX_ATTEMPTS = 5;
+// Wait before attempts 2..5, in minutes
+const RETRY_DELAYS_MIN = [1, 5, 30, 120];
+// How long a worker holds a delivery it is retrying, so other instances skip it
+const CLAIM_MINUTES = 10;
+const DIGEST_MAX_ITEMS = 100;
+
+/**
+ * Email Service
+ * Sends notification emails immediately or as a daily digest over SMTP,
+ * logging every attempt and retrying failures with backoff.
+ */
+class EmailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Email is on when SMTP_HOST is configured or a transport was plugged in
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.transport || process.env.SMTP_HOST);
+  }
+
+  /**
+   * Lazily build the SMTP transport from SMTP_* environment variables.
+   * A local catch-all server (e.g. Mailpit on port 1025) only needs SMTP_HOST and SMTP_PORT.
+   * @returns {Object} Nodemailer transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const port = Number(process.env.SMTP_PORT) || 587;
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: (process.env.SMTP_SECURE || '').toLowerCase() === 'true' || port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport, e.g. with another Nodemailer transport; pass null to rebuild from env
+   * @param {Object|null} transport - Object with sendMail(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getFromAddress() {
+    return process.env.EMAIL_FROM || 'Therapy CMS <no-reply@localhost>';
+  }
+
+  getAppUrl() {
+    return process.env.APP_BASE_URL || (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0].trim();
+  }
+
+  /**
+   * Route a new notification to email according to the recipient's preferences
+   * @param {Object} notification - Created notification
+   * @param {Object} options - { recipient } already loaded user; { deferUntil } hold the email until then (quiet hours)
+   * @returns {Object|null} EmailDelivery for immediate emails, null otherwise
+   */
+  async handleNotification(notification, { recipient, deferUntil } = {}) {
+    if (!this.isEnabled()) return null;
+
+    const user = recipient || await User.findById(notification.toUser).select('name email active preferences').lean();
+    const prefs = user?.preferences?.notifications || {};
+    if (!user?.email || user.active === false || !resolveChannels(prefs, notification.type).email) return null;
+
+    if (prefs.emailFrequency === 'daily') {
+      await Notification.updateOne({ _id: notification._id }, { emailDigestPending: true });
+      return null;
+    }
+
+    const content = renderNotificationEmail(notification, { appUrl: this.getAppUrl(), recipientName: user.name });
+    const delivery = await EmailDelivery.create({
+      user: user._id,
+      to: user.email,
+      kind: 'immediate',
+      type: notification.type,
+      notifications: [notification._id],
+      ...content,
+      // The retry job sends it once quiet hours are over
+      nextAttemptAt: deferUntil || undefined
+    });
+    if (deferUntil) return delivery;
+    return this.attemptDelivery(delivery);
+  }
+
+  /**
+   * Try to send a delivery once and record the attempt
+   * @param {Object} delivery - EmailDelivery document
+   * @param {Date} now - Attempt time
+   * @param {Object} options - { autoRetry } schedule another attempt on failure (default true)
+   * @returns {Object} Updated delivery
+   */
+  async attemptDelivery(delivery, now = new Date(), { autoRetry = true } = {}) {
+    try {
+      const info = await this.getTransport().sendMail({
+        from: this.getFromAddress(),
+        to: delivery.to,
+        subject: delivery.subject,
+        text: delivery.text,
+        html: delivery.html
+      });
+      delivery.attempts.push({ attemptedAt: now, success: true, messageId: info?.messageId, response: info?.response });
+      delivery.status = 'sent';
+      delivery.sentAt = now;
+      delivery.nextAttemptAt = undefined;
+    } catch (error) {
+      delivery.attempts.push({ attemptedAt: now, success: false, error: error.message });
+      if (!autoRetry || delivery.attempts.length >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+      } else {
+        delivery.status = 'pending';
+        const delay = RETRY_DELAYS_MIN[delivery.attempts.length - 1];
+        delivery.nextAttemptAt = new Date(now.getTime() + delay * 60 * 1000);
+      }
+      console.error(`Email delivery ${delivery._id} failed (attempt ${delivery.attempts.length}):`, error.message);
+    }
+    return delivery.save();
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed
+   * @param {Date} now - Current time
+   * @returns {number} Deliveries attempted
+   */
+  async retryDueDeliveries(now = new Date()) {
+    const due = await EmailDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .select('_id')
+      .limit(50)
+      .lean();
+
+    let attempted = 0;
+    for (const { _id } of due) {
+      // Claim it so a second instance running the same job skips it
+      const claimed = await EmailDelivery.findOneAndUpdate(
+        { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000) },
+        { new: true }
+      );
+      if (!claimed) continue;
+      await this.attemptDelivery(claimed, now);
+      attempted++;
+    }
+    return attempted;
+  }
+
+  /**
+   * Make one more attempt at a delivery that gave up; it stays failed if this one fails too
+   * @param {string} deliveryId - EmailDelivery ID
+   * @returns {Object} Updated delivery
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await EmailDelivery.findById(deliveryId);
+    if (!delivery) throw new Error('Email delivery not found');
+    if (delivery.status !== 'failed') throw new Error(`Email delivery is already ${delivery.status}`);
+    return this.attemptDelivery(delivery, new Date(), { autoRetry: false });
+  }
+
+  /**
+   * Send daily digests to users whose local digest hour has passed today
+   * @param {Date} now - Current time
+   * @returns {number} Digests sent or queued for retry
+   */
+  async sendDueDigests(now = new Date()) {
+    if (!this.isEnabled()) return 0;
+
+    const userIds = await Notification.distinct('toUser', { emailDigestPending: true });
+    if (!userIds.length) return 0;
+
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('name email active preferences availability.timeZone')
+      .lean();
+
+    let sent = 0;
+    for (const user of users) {
+      const prefs = user.preferences?.notifications || {};
+      if (!user.email || user.active === false || prefs.emailFrequency !== 'daily') {
+        // Preferences changed since these were queued; drop them from the digest
+        await Notification.updateMany({ toUser: user._id, emailDigestPending: true }, { emailDigestPending: false });
+        continue;
+      }
+
+      const local = this.localTime(now, user.availability?.timeZone);
+      if (local.hour < (prefs.digestHour ?? 8)) continue;
+
+      const lastDigest = await EmailDelivery.findOne({ user: user._id, kind: 'digest' }).sort({ createdAt: -1 }).select('createdAt').lean();
+      if (lastDigest && this.localTime(lastDigest.createdAt, user.availability?.timeZone).date === local.date) continue;
+
+      const notifications = await Notification.find({ toUser: user._id, emailDigestPending: true })
+        .sort({ createdAt: 1 })
+        .limit(DIGEST_MAX_ITEMS)
+        .lean();
+      if (!notifications.length) continue;
+
+      const content = renderDigestEmail(notifications, { appUrl: this.getAppUrl(), recipientName: user.name });
+      const delivery = await EmailDelivery.create({
+        user: user._id,
+        to: user.email,
+        kind: 'digest',
+        type: 'digest',
+        notifications: notifications.map(n => n._id),
+        ...content
+      });
+      await Notification.updateMany({ _id: { $in: delivery.notifications } }, { emailDigestPending: false });
+      await this.attemptDelivery(delivery, now);
+      sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * Local hour and calendar date in a time zone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA zone, UTC when missing or unknown
+   * @returns {Object} { hour, date: 'YYYY-MM-DD' }
+   */
+  localTime(date, timeZone) {
+    const instant = new Date(date);
+    const shifted = new Date(instant.getTime() + zoneOffsetMinutes(timeZone, instant) * 60 * 1000);
+    return { hour: shifted.getUTCHours(), date: shifted.toISOString().slice(0, 10) };
+  }
+}
+
+export default new EmailService();
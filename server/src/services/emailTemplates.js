@@ -0,0 +1,115 @@
+/**
+ * Email Templates
+ * Subject, plain-text and HTML bodies for notification emails, one template per
+ * notification type plus the daily digest.
+ */
+
+// Call-to-action label and intro line per notification type
+const TYPE_TEMPLATES = {
+  plan_submitted: { intro: 'A therapy plan is waiting for your review.', action: 'Review plan' },
+  plan_approved: { intro: 'Good news: your therapy plan was approved.', action: 'View plan' },
+  plan_needs_revision: { intro: 'Your therapy plan needs changes before it can be approved.', action: 'Revise plan' },
+  plan_comment: { intro: 'There is a new comment on a therapy plan.', action: 'View comments' },
+  attendance_flag: { intro: 'A patient has missed several sessions and needs follow-up.', action: 'View sessions' },
+  session_reminder: { intro: 'You have an upcoming session.', action: 'View session' },
+  report_due: { intro: 'A progress report is due.', action: 'Write report' },
+  report_submitted: { intro: 'A progress report is waiting for your review.', action: 'Review report' },
+  report_reviewed: { intro: 'Your progress report has been reviewed.', action: 'View feedback' },
+  assignment_changed: { intro: 'Your caseload has changed.', action: 'View patient' },
+  rating_received: { intro: 'You received a new clinical rating.', action: 'View rating' },
+  system_alert: { intro: 'System announcement.', action: 'Open Therapy CMS' }
+};
+
+const DEFAULT_TEMPLATE = { intro: 'You have a new notification.', action: 'Open Therapy CMS' };
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function linkFor(notification, appUrl) {
+  return `${appUrl.replace(/\/$/, '')}${notification.actionUrl || '/'}`;
+}
+
+function layout(title, bodyHtml) {
+  return `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; background: #f5f6fa; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 24px;">
+      <h2 style="margin-top: 0; color: #364fc7;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="font-size: 12px; color: #888; margin-top: 32px;">
+        You receive these emails because email notifications are enabled in your Therapy CMS settings.
+      </p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Render a single notification email
+ * @param {Object} notification - Notification document
+ * @param {Object} options - { appUrl, recipientName }
+ * @returns {Object} { subject, text, html }
+ */
+export function renderNotificationEmail(notification, { appUrl, recipientName } = {}) {
+  const template = TYPE_TEMPLATES[notification.type] || DEFAULT_TEMPLATE;
+  const link = linkFor(notification, appUrl);
+  const greeting = `Hi ${recipientName || 'there'},`;
+
+  const text = [
+    greeting,
+    '',
+    template.intro,
+    notification.message,
+    '',
+    `${template.action}: ${link}`
+  ].join('\n');
+
+  const html = layout(notification.title, `
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(template.intro)}</p>
+      <p>${escapeHtml(notification.message)}</p>
+      <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #364fc7; color: #fff; padding: 10px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(template.action)}</a></p>`);
+
+  return { subject: `[Therapy CMS] ${notification.title}`, text, html };
+}
+
+/**
+ * Render the daily digest of several notifications
+ * @param {Array} notifications - Notification documents, oldest first
+ * @param {Object} options - { appUrl, recipientName }
+ * @returns {Object} { subject, text, html }
+ */
+export function renderDigestEmail(notifications, { appUrl, recipientName } = {}) {
+  const count = notifications.length;
+  const title = `Your daily summary: ${count} notification${count === 1 ? '' : 's'}`;
+  const greeting = `Hi ${recipientName || 'there'},`;
+
+  const text = [
+    greeting,
+    '',
+    `Here is what happened since your last summary:`,
+    '',
+    ...notifications.map(n => `- ${n.title}: ${n.message}\n  ${linkFor(n, appUrl)}`)
+  ].join('\n');
+
+  const items = notifications.map(n => `
+        <li style="margin-bottom: 12px;">
+          <strong>${escapeHtml(n.title)}</strong><br />
+          ${escapeHtml(n.message)}<br />
+          <a href="${escapeHtml(linkFor(n, appUrl))}">${escapeHtml((TYPE_TEMPLATES[n.type] || DEFAULT_TEMPLATE).action)}</a>
+        </li>`).join('');
+
+  const html = layout(title, `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Here is what happened since your last summary:</p>
+      <ul style="padding-left: 20px;">${items}
+      </ul>`);
+
+  return { subject: `[Therapy CMS] ${title}`, text, html };
+}
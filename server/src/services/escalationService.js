@@ -0,0 +1,109 @@
+import EscalationRule from '../models/EscalationRule.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+
+// Upper bound on notifications escalated per rule per run
+const BATCH_SIZE = 200;
+
+/**
+ * Escalation Service
+ * Applies escalation rules to high-priority notifications that stay unread:
+ * either reminds the recipient again or alerts a backup supervisor.
+ */
+class EscalationService {
+  /**
+   * Run every active rule once
+   * @param {Date} now - Current time
+   * @returns {Object} { rules, escalated }
+   */
+  async processEscalations(now = new Date()) {
+    const rules = await EscalationRule.find({ active: true }).lean();
+    let escalated = 0;
+    for (const rule of rules) {
+      try {
+        escalated += await this.applyRule(rule, now);
+      } catch (error) {
+        console.error(`Escalation rule ${rule._id} failed:`, error);
+      }
+    }
+    return { rules: rules.length, escalated };
+  }
+
+  /**
+   * Escalate the notifications one rule matches
+   * @param {Object} rule - EscalationRule
+   * @param {Date} now - Current time
+   * @returns {number} Notifications escalated
+   */
+  async applyRule(rule, now = new Date()) {
+    const filter = {
+      read: false,
+      inApp: { $ne: false },
+      // Reminders are never escalated again, and each rule fires once per notification
+      escalatedFrom: null,
+      'escalations.rule': { $ne: rule._id },
+      priority: { $in: rule.priorities },
+      createdAt: { $lte: new Date(now.getTime() - rule.unreadForHours * 60 * 60 * 1000) }
+    };
+    if (rule.types?.length) filter.type = { $in: rule.types };
+
+    const pending = await Notification.find(filter).sort({ createdAt: 1 }).limit(BATCH_SIZE).lean();
+    let escalated = 0;
+    for (const notification of pending) {
+      const target = await this.resolveTarget(rule, notification);
+      if (!target) continue;
+
+      // Claim before notifying so overlapping runs cannot send twice
+      const claimed = await Notification.findOneAndUpdate(
+        { _id: notification._id, 'escalations.rule': { $ne: rule._id } },
+        { $push: { escalations: { rule: rule._id, action: rule.action, notifiedUser: target, at: now } } }
+      );
+      if (!claimed) continue;
+
+      await notificationService.createNotification(this.buildEscalation(rule, notification, target));
+      escalated += 1;
+    }
+    return escalated;
+  }
+
+  /**
+   * Who an escalation goes to
+   * @param {Object} rule - EscalationRule
+   * @param {Object} notification - Unread notification
+   * @returns {ObjectId|null} User to notify, or null when the rule has nobody to tell
+   */
+  async resolveTarget(rule, notification) {
+    if (rule.action === 'renotify') return notification.toUser;
+    if (rule.backupUser) return rule.backupUser;
+    const recipient = await User.findById(notification.toUser).select('backupSupervisor').lean();
+    return recipient?.backupSupervisor || null;
+  }
+
+  /**
+   * Notification data for an escalation
+   * @param {Object} rule - EscalationRule
+   * @param {Object} notification - Unread notification
+   * @param {ObjectId} target - User to notify
+   * @returns {Object} Notification data
+   */
+  buildEscalation(rule, notification, target) {
+    const reminder = rule.action === 'renotify';
+    const title = `${reminder ? 'Reminder' : 'Escalated'}: ${notification.title}`;
+    return {
+      toUser: target,
+      fromUser: notification.fromUser,
+      type: notification.type,
+      title: title.slice(0, 100),
+      message: reminder
+        ? notification.message
+        : `Unread for over ${rule.unreadForHours}h by its recipient: ${notification.message}`.slice(0, 500),
+      priority: notification.priority,
+      payload: notification.payload,
+      actionUrl: notification.actionUrl,
+      escalatedFrom: notification._id
+    };
+  }
+}
+
+export default new EscalationService();
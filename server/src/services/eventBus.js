@@ -0,0 +1,78 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Domain event types published by routes and services.
+ * Payloads carry ids only; subscribers load whatever else they need.
+ */
+export const DomainEvents = Object.freeze({
+  PLAN_SUBMITTED: 'plan.submitted',                   // { planId, patientId, therapistId }
+  PLAN_APPROVED: 'plan.approved',                     // { planId, patientId, therapistId, comments }
+  PLAN_REVISION_REQUESTED: 'plan.revision_requested', // { planId, patientId, therapistId, comments }
+  REPORT_SUBMITTED: 'report.submitted',               // { reportId, patientId, therapistId }
+  REPORT_REVIEWED: 'report.reviewed',                 // { reportId, patientId, therapistId, feedback }
+  SESSION_LOGGED: 'session.logged',                   // { sessionId, patientId, therapistId, date, attendance }
+  SESSION_ATTENDANCE_CHANGED: 'session.attendance_changed', // { sessionId, patientId, therapistId, attendance, previousAttendance }
+  ASSIGNMENT_CHANGED: 'assignment.changed',           // { assignmentId, patientId, therapistId, previousTherapistId }
+  PATIENT_UNASSIGNED: 'assignment.unassigned'         // { assignmentId, patientId, therapistId }
+});
+
+const KNOWN_TYPES = new Set(Object.values(DomainEvents));
+
+/**
+ * Event Bus
+ * In-process publish/subscribe for domain events, so notification, audit and
+ * integration handlers react to changes without each route calling them.
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for one event type, or '*' for every event
+   * @param {string} type - Event type from DomainEvents, or '*'
+   * @param {Function} handler - async (event) => void
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(type, handler) {
+    if (type !== '*' && !KNOWN_TYPES.has(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Publish an event to every subscriber. Unknown types throw straight away;
+   * handler failures are logged and never reach the publisher.
+   * @param {string} type - Event type from DomainEvents
+   * @param {Object} data - Event payload
+   * @param {Object} options - { actorId } user who caused the event
+   * @returns {Promise<Object>} The event envelope, once all handlers have settled
+   */
+  publish(type, data = {}, { actorId = null } = {}) {
+    if (!KNOWN_TYPES.has(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+
+    const event = {
+      id: randomUUID(),
+      type,
+      occurredAt: new Date(),
+      actorId: actorId ? String(actorId) : null,
+      data
+    };
+
+    const handlers = [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])];
+    return Promise.allSettled(handlers.map(handler => Promise.resolve().then(() => handler(event))))
+      .then(results => {
+        results
+          .filter(result => result.status === 'rejected')
+          .forEach(result => console.error(`Event handler failed for ${type}:`, result.reason));
+        return event;
+      });
+  }
+}
+
+export default new EventBus();
@@ -0,0 +1,166 @@
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import notificationService from './notificationService.js';
+import webhookService from './webhookService.js';
+import reportDueService from './reportDueService.js';
+import attendanceService from './attendanceService.js';
+import eventBus, { DomainEvents } from './eventBus.js';
+
+/**
+ * Supervisors who should hear about a patient's plans and reports:
+ * the patient's own supervisor, or every active supervisor when none is set
+ * @param {Object} patient - Patient with supervisor field
+ * @returns {Array} Supervisor ids
+ */
+async function supervisorsFor(patient) {
+  if (patient?.supervisor) return [patient.supervisor];
+  const supervisors = await User.find({ role: 'supervisor', active: true }).select('_id').lean();
+  return supervisors.map(s => s._id);
+}
+
+async function loadPatient(patientId) {
+  return Patient.findById(patientId).select('name supervisor').lean();
+}
+
+/**
+ * Notification handlers keyed by event type
+ */
+const notificationHandlers = {
+  [DomainEvents.PLAN_SUBMITTED]: async ({ data }) => {
+    const patient = await loadPatient(data.patientId);
+    const supervisors = await supervisorsFor(patient);
+    await Promise.all(supervisors.map(supervisorId =>
+      notificationService.notifyPlanSubmitted(data.therapistId, supervisorId, data.planId, patient?.name)
+    ));
+  },
+
+  [DomainEvents.PLAN_APPROVED]: async ({ data, actorId }) => {
+    const patient = await loadPatient(data.patientId);
+    await notificationService.notifyPlanApproved(actorId, data.therapistId, data.planId, patient?.name);
+  },
+
+  [DomainEvents.PLAN_REVISION_REQUESTED]: async ({ data, actorId }) => {
+    const patient = await loadPatient(data.patientId);
+    await notificationService.notifyPlanNeedsRevision(actorId, data.therapistId, data.planId, patient?.name, data.comments);
+  },
+
+  [DomainEvents.REPORT_SUBMITTED]: async ({ data }) => {
+    const patient = await loadPatient(data.patientId);
+    const supervisors = await supervisorsFor(patient);
+    await Promise.all(supervisors.map(supervisorId =>
+      notificationService.notifyProgressReportSubmitted(data.therapistId, supervisorId, data.reportId, patient?.name)
+    ));
+  },
+
+  [DomainEvents.REPORT_REVIEWED]: async ({ data, actorId }) => {
+    const patient = await loadPatient(data.patientId);
+    await notificationService.notifyProgressReportReviewed(actorId, data.therapistId, data.reportId, patient?.name);
+  },
+
+  [DomainEvents.ASSIGNMENT_CHANGED]: async ({ data }) => {
+    const patient = await loadPatient(data.patientId);
+    await notificationService.notifyAssignmentChanged(
+      data.therapistId,
+      data.patientId,
+      patient?.name,
+      data.previousTherapistId ? 'reassigned' : 'assigned'
+    );
+  },
+
+  [DomainEvents.PATIENT_UNASSIGNED]: async ({ data }) => {
+    const patient = await loadPatient(data.patientId);
+    await notificationService.createSystemAlert(
+      data.therapistId,
+      'Patient Unassigned',
+      `Patient ${patient?.name} has been unassigned from your caseload`,
+      'medium'
+    );
+  }
+};
+
+/**
+ * Audit entries keyed by event type. Assignment events are left out because
+ * assignmentService writes those entries itself, with before/after therapists.
+ */
+const auditActions = {
+  [DomainEvents.PLAN_SUBMITTED]: { action: 'submit_plan', entityType: 'TherapyPlan', idField: 'planId', after: { status: 'submitted' } },
+  [DomainEvents.PLAN_APPROVED]: { action: 'approve_plan', entityType: 'TherapyPlan', idField: 'planId', after: { status: 'approved' }, reasonField: 'comments' },
+  [DomainEvents.PLAN_REVISION_REQUESTED]: { action: 'revise_plan', entityType: 'TherapyPlan', idField: 'planId', after: { status: 'needs_revision' }, reasonField: 'comments' },
+  [DomainEvents.REPORT_SUBMITTED]: { action: 'submit_report', entityType: 'ProgressReport', idField: 'reportId' },
+  [DomainEvents.REPORT_REVIEWED]: { action: 'review_report', entityType: 'ProgressReport', idField: 'reportId', reasonField: 'feedback' },
+  [DomainEvents.SESSION_LOGGED]: { action: 'log_session', entityType: 'Session', idField: 'sessionId' }
+};
+
+/**
+ * Subscribe notification handlers to the bus
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerNotificationSubscribers(bus = eventBus) {
+  Object.entries(notificationHandlers).forEach(([type, handler]) => bus.subscribe(type, handler));
+}
+
+/**
+ * Subscribe audit logging to the bus
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerAuditSubscribers(bus = eventBus) {
+  Object.entries(auditActions).forEach(([type, { action, entityType, idField, after, reasonField }]) => {
+    bus.subscribe(type, async ({ data, actorId }) => {
+      if (!actorId) return;
+      await AuditLog.logAction(actorId, action, entityType, data[idField], {
+        after,
+        reason: reasonField ? data[reasonField] : undefined
+      });
+    });
+  });
+}
+
+/**
+ * Open report-due tasks as sessions are logged and close them when reports arrive
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerReportDueSubscribers(bus = eventBus) {
+  bus.subscribe(DomainEvents.SESSION_LOGGED, ({ data }) =>
+    reportDueService.checkPatient(data.patientId, { sessionId: data.sessionId, therapistId: data.therapistId })
+  );
+  bus.subscribe(DomainEvents.REPORT_SUBMITTED, ({ data }) =>
+    reportDueService.completeForReport(data.patientId, data.reportId)
+  );
+}
+
+/**
+ * Check the no-show rules whenever a session is recorded or changed to a no-show
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerAttendanceSubscribers(bus = eventBus) {
+  const check = async ({ data, actorId }) => {
+    if (data.attendance === 'no_show') await attendanceService.checkPatient(data.patientId, { actorId });
+  };
+  bus.subscribe(DomainEvents.SESSION_LOGGED, check);
+  bus.subscribe(DomainEvents.SESSION_ATTENDANCE_CHANGED, check);
+}
+
+/**
+ * Forward every event to the registered outbound webhooks
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerWebhookSubscribers(bus = eventBus) {
+  bus.subscribe('*', event => webhookService.handleEvent(event));
+}
+
+const registeredBuses = new WeakSet();
+
+/**
+ * Register every built-in subscriber once per bus
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+export function registerEventSubscribers(bus = eventBus) {
+  if (registeredBuses.has(bus)) return;
+  registeredBuses.add(bus);
+  registerNotificationSubscribers(bus);
+  registerAuditSubscribers(bus);
+  registerReportDueSubscribers(bus);
+  registerAttendanceSubscribers(bus);
+  registerWebhookSubscribers(bus);
+}
@@ -0,0 +1,186 @@
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { nextCronRun, parseCron } from '../utils/cron.js';
+
+const DEFAULT_LOCK_MINUTES = 10;
+const TICK_MS = 60 * 1000;
+
+/**
+ * Job Scheduler
+ * Runs registered jobs on cron schedules with their state in MongoDB. A job is
+ * claimed with an atomic update before it runs, so when several API replicas
+ * tick at once only one of them executes it. Every run is recorded as a JobRun.
+ */
+export class JobScheduler {
+  constructor() {
+    this.definitions = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.timer = null;
+  }
+
+  /**
+   * Register a job handler
+   * @param {string} name - Unique job name
+   * @param {Object} definition - { schedule, description, handler: async () => result, lockMinutes }
+   */
+  define(name, { schedule, description, handler, lockMinutes = DEFAULT_LOCK_MINUTES }) {
+    parseCron(schedule);
+    this.definitions.set(name, { name, schedule, description, handler, lockMinutes });
+  }
+
+  /**
+   * Registered jobs, for listing without a database
+   * @returns {Array} Definitions without handlers
+   */
+  listDefinitions() {
+    return [...this.definitions.values()].map(({ name, schedule, description }) => ({ name, schedule, description }));
+  }
+
+  /**
+   * Create or update the Job document for every definition.
+   * A changed schedule takes effect from now; pause state is left alone.
+   * @param {Date} now - Current time
+   */
+  async sync(now = new Date()) {
+    for (const { name, schedule, description } of this.definitions.values()) {
+      const existing = await Job.findOne({ name }).lean();
+      if (!existing) {
+        await Job.updateOne(
+          { name },
+          { $setOnInsert: { name, schedule, description, nextRunAt: nextCronRun(schedule, now) } },
+          { upsert: true }
+        );
+      } else if (existing.schedule !== schedule || existing.description !== description) {
+        await Job.updateOne({ name }, { schedule, description, nextRunAt: nextCronRun(schedule, now) });
+      }
+    }
+  }
+
+  /**
+   * Run every job that is due and not locked by another instance
+   * @param {Date} now - Current time
+   * @returns {Array} JobRuns started by this instance
+   */
+  async tick(now = new Date()) {
+    const runs = [];
+    for (const definition of this.definitions.values()) {
+      const claimed = await this.claim(definition, now, {
+        paused: false,
+        nextRunAt: { $lte: now }
+      }, { nextRunAt: nextCronRun(definition.schedule, now) });
+      if (!claimed) continue;
+      runs.push(await this.execute(definition, { trigger: 'schedule', now }));
+    }
+    return runs;
+  }
+
+  /**
+   * Run a job now, outside its schedule
+   * @param {string} name - Job name
+   * @param {string} userId - Admin who triggered it
+   * @returns {Object} Finished JobRun
+   */
+  async trigger(name, userId) {
+    const definition = this.definitions.get(name);
+    if (!definition) throw new Error(`Job not found: ${name}`);
+
+    const now = new Date();
+    const claimed = await this.claim(definition, now);
+    if (!claimed) throw new Error(`Job ${name} is already running`);
+    return this.execute(definition, { trigger: 'manual', triggeredBy: userId, now });
+  }
+
+  /**
+   * Pause or resume a job's schedule; manual triggers still work while paused
+   * @param {string} name - Job name
+   * @param {boolean} paused - New state
+   * @returns {Object} Updated Job
+   */
+  async setPaused(name, paused) {
+    const definition = this.definitions.get(name);
+    if (!definition) throw new Error(`Job not found: ${name}`);
+    const update = { paused };
+    // Resuming should not fire a backlog of missed runs
+    if (!paused) update.nextRunAt = nextCronRun(definition.schedule, new Date());
+    return Job.findOneAndUpdate({ name }, update, { new: true });
+  }
+
+  /**
+   * Take the job's lock if nobody holds it (or their claim has lapsed)
+   * @returns {Object|null} Job document when claimed
+   */
+  async claim(definition, now, filter = {}, update = {}) {
+    return Job.findOneAndUpdate(
+      {
+        name: definition.name,
+        ...filter,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        ...update,
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + definition.lockMinutes * 60 * 1000)
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job, record the run and release the lock
+   * @returns {Object} Finished JobRun
+   */
+  async execute(definition, { trigger, triggeredBy, now }) {
+    const run = await JobRun.create({
+      job: definition.name,
+      trigger,
+      triggeredBy,
+      instance: this.instanceId,
+      startedAt: now
+    });
+
+    try {
+      run.result = await definition.handler();
+      run.status = 'succeeded';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`Job ${definition.name} failed:`, error.message);
+    }
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    await Job.updateOne(
+      { name: definition.name, lockedBy: this.instanceId },
+      {
+        lastRunAt: run.startedAt,
+        lastStatus: run.status,
+        lastError: run.error || null,
+        lockedBy: null,
+        lockedUntil: null
+      }
+    );
+    return run;
+  }
+
+  /**
+   * Sync job documents and check for due jobs every minute
+   */
+  async start() {
+    if (this.timer) return;
+    await this.sync();
+    const run = () => this.tick().catch(err => console.error('Job scheduler tick failed:', err.message));
+    this.timer = setInterval(run, TICK_MS);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new JobScheduler();
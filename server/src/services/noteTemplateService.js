@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import NoteTemplate from '../models/NoteTemplate.js';
+import { BUILT_IN_NOTE_TEMPLATES, builtInNoteTemplate, fillNoteTemplate, noteText } from '../utils/noteTemplates.js';
+
+/**
+ * Note Template Service
+ * Session note layouts. SOAP and DAP are built in; supervisors add
+ * discipline-specific templates, which therapists can use once published.
+ * A note stores its filled sections together with the template's name and
+ * version, so editing a template never changes notes already written.
+ */
+class NoteTemplateService {
+
+  /**
+   * Templates visible to a role, built-in ones first
+   * @param {Object} filters - { role, status, discipline }
+   * @returns {Array} Templates
+   */
+  async listTemplates({ role, status, discipline } = {}) {
+    const filter = {};
+    if (role === 'therapist') {
+      filter.status = 'published';
+    } else if (status) {
+      filter.status = status;
+    }
+    if (discipline) filter.discipline = discipline.trim().toLowerCase();
+    const templates = await NoteTemplate.find(filter).sort({ name: 1 }).populate('createdBy', 'name').lean();
+    const builtIn = !status || status === 'published' ? BUILT_IN_NOTE_TEMPLATES : [];
+    return [...builtIn, ...templates];
+  }
+
+  /**
+   * A template by built-in key or NoteTemplate id
+   * @param {string} ref - 'soap', 'dap' or a template id
+   * @returns {Object|null} Template
+   */
+  async getTemplate(ref) {
+    const builtIn = builtInNoteTemplate(ref);
+    if (builtIn) return builtIn;
+    if (!mongoose.Types.ObjectId.isValid(ref)) return null;
+    return NoteTemplate.findById(ref).lean();
+  }
+
+  /**
+   * Check a filled-in note against its template
+   * @param {Object} input - { template, values } as sent by the client
+   * @returns {Object} { note, errors } note is what Session.note stores; errors carry zod-style paths
+   */
+  async buildNote({ template: ref, values = {} }) {
+    const template = await this.getTemplate(ref);
+    if (!template) return { errors: [{ path: ['template'], message: 'Note template not found' }] };
+    if (!template.builtIn && template.status !== 'published') {
+      return { errors: [{ path: ['template'], message: 'Note template is not published' }] };
+    }
+
+    const { sections, errors } = fillNoteTemplate(template, values);
+    if (errors.length) return { errors: errors.map(e => ({ path: ['values', e.path], message: e.message })) };
+    return {
+      note: {
+        template: template.builtIn ? template.key : String(template._id),
+        templateName: template.name,
+        templateVersion: template.version,
+        sections,
+        text: noteText(sections)
+      },
+      errors: []
+    };
+  }
+
+  /**
+   * Edit a template; changing its sections starts a new version
+   * @param {string} id - Template ID
+   * @param {Object} updates - Validated fields
+   * @returns {Object|null} Updated template
+   */
+  async updateTemplate(id, updates) {
+    const update = { $set: updates };
+    if (updates.sections) update.$inc = { version: 1 };
+    return NoteTemplate.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  }
+
+  /**
+   * Change a template's status
+   * @param {string} id - Template ID
+   * @param {string} status - 'published' | 'archived' | 'draft'
+   * @returns {Object|null} Updated template
+   */
+  async setStatus(id, status) {
+    const update = { status };
+    if (status === 'published') update.publishedAt = new Date();
+    return NoteTemplate.findByIdAndUpdate(id, update, { new: true });
+  }
+}
+
+export default new NoteTemplateService();
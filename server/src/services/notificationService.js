@@ -1,5 +1,8 @@
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
+import notificationStream from './notificationStream.js';
+import emailService from './emailService.js';
+import { resolveChannels, quietHoursEnd, QUIET_HOURS_BYPASS } from '../utils/notificationPreferences.js';
 
 /**
  * Notification Service
@@ -33,6 +36,29 @@ class NotificationService {
     });
   }
 
+  /**
+   * Remind a supervisor about a submitted plan still waiting for review
+   * @param {string} supervisorId - ID of supervisor to notify
+   * @param {string} planId - ID of therapy plan
+   * @param {string} patientName - Name of patient
+   * @param {number} daysPending - Days since submission
+   */
+  async notifyPlanReviewOverdue(supervisorId, planId, patientName, daysPending) {
+    return this.createNotification({
+      toUser: supervisorId,
+      type: 'plan_submitted',
+      title: 'Plan Review Overdue',
+      message: `The therapy plan for ${patientName} has been waiting for review for ${daysPending} days`,
+      payload: {
+        entityType: 'TherapyPlan',
+        entityId: planId,
+        data: { patientName, daysPending, overdue: true }
+      },
+      priority: 'high',
+      actionUrl: `/therapy-plans/${planId}`
+    });
+  }
+
   /**
    * Create a notification for therapy plan approval
    * @param {string} supervisorId - ID of supervisor who approved
@@ -86,6 +112,37 @@ class NotificationService {
     });
   }
 
+  /**
+   * Create a notification for a new comment or reply on a plan thread
+   * @param {string} authorId - ID of the comment author
+   * @param {string} toUserId - ID of user to notify
+   * @param {string} planId - ID of therapy plan
+   * @param {string} patientName - Name of patient
+   * @param {Object} comment - { body, threadId, mentioned } where mentioned is true when the recipient was @mentioned
+   */
+  async notifyPlanComment(authorId, toUserId, planId, patientName, { body, threadId, mentioned }) {
+    const author = await User.findById(authorId);
+    const name = author?.name || 'A colleague';
+    const preview = `${body.substring(0, 100)}${body.length > 100 ? '...' : ''}`;
+
+    return this.createNotification({
+      toUser: toUserId,
+      fromUser: authorId,
+      type: 'plan_comment',
+      title: mentioned ? 'You Were Mentioned on a Therapy Plan' : 'New Comment on Therapy Plan',
+      message: mentioned
+        ? `${name} mentioned you on the therapy plan for ${patientName}: ${preview}`
+        : `${name} commented on the therapy plan for ${patientName}: ${preview}`,
+      payload: {
+        entityType: 'TherapyPlan',
+        entityId: planId,
+        data: { patientName, authorName: author?.name, threadId, mentioned: !!mentioned }
+      },
+      priority: 'medium',
+      actionUrl: `/therapy-plans/${planId}`
+    });
+  }
+
   /**
    * Create a notification for progress report due
    * @param {string} therapistId - ID of therapist to notify
@@ -110,6 +167,29 @@ class NotificationService {
     });
   }
 
+  /**
+   * Ask a supervisor to follow up on a patient with repeated no-shows
+   * @param {string} supervisorId - ID of supervisor to notify
+   * @param {string} patientId - ID of patient
+   * @param {string} patientName - Name of patient
+   * @param {Object} details - { flagId, noShowCount, windowDays, casePaused }
+   */
+  async notifyAttendanceFlag(supervisorId, patientId, patientName, { flagId, noShowCount, windowDays, casePaused }) {
+    return this.createNotification({
+      toUser: supervisorId,
+      type: 'attendance_flag',
+      title: 'Repeated No-Shows',
+      message: `${patientName} missed ${noShowCount} sessions in ${windowDays} days${casePaused ? '; the case has been paused' : ''}`,
+      payload: {
+        entityType: 'Patient',
+        entityId: patientId,
+        data: { patientName, flagId, noShowCount, windowDays, casePaused }
+      },
+      priority: casePaused ? 'urgent' : 'high',
+      actionUrl: `/sessions?patient=${patientId}`
+    });
+  }
+
   /**
    * Create a notification for progress report submission
    * @param {string} therapistId - ID of therapist who submitted
@@ -136,6 +216,32 @@ class NotificationService {
     });
   }
 
+  /**
+   * Create a notification for progress report review
+   * @param {string} supervisorId - ID of supervisor who reviewed
+   * @param {string} therapistId - ID of therapist to notify
+   * @param {string} reportId - ID of progress report
+   * @param {string} patientName - Name of patient
+   */
+  async notifyProgressReportReviewed(supervisorId, therapistId, reportId, patientName) {
+    const supervisor = await User.findById(supervisorId);
+
+    return this.createNotification({
+      toUser: therapistId,
+      fromUser: supervisorId,
+      type: 'report_reviewed',
+      title: 'Progress Report Reviewed',
+      message: `${supervisor?.name || 'Your supervisor'} has reviewed your progress report for ${patientName}`,
+      payload: {
+        entityType: 'ProgressReport',
+        entityId: reportId,
+        data: { patientName, supervisorName: supervisor?.name }
+      },
+      priority: 'medium',
+      actionUrl: `/progress-reports/${reportId}`
+    });
+  }
+
   /**
    * Create a notification for patient assignment change
    * @param {string} therapistId - ID of therapist to notify
@@ -207,13 +313,35 @@ class NotificationService {
   }
 
   /**
-   * Create a notification with standard error handling
+   * Create a notification on the channels the recipient wants for its type,
+   * with standard error handling
    * @param {Object} notificationData - Notification data
-   * @returns {Object} Created notification
+   * @returns {Object|null} Created notification, or null when muted or on failure
    */
   async createNotification(notificationData) {
     try {
-      return await Notification.createNotification(notificationData);
+      const recipient = await User.findById(notificationData.toUser)
+        .select('name email active preferences availability.timeZone')
+        .lean();
+      const prefs = recipient?.preferences?.notifications || {};
+      const channels = resolveChannels(prefs, notificationData.type);
+      if (!channels.inApp && !channels.email) return null;
+
+      const quietUntil = QUIET_HOURS_BYPASS.includes(notificationData.priority)
+        ? null
+        : quietHoursEnd(prefs.quietHours, recipient?.availability?.timeZone);
+
+      const notification = await Notification.createNotification({ ...notificationData, inApp: channels.inApp });
+      if (channels.inApp) {
+        notificationStream.publishNotification(notification, { quiet: Boolean(quietUntil) });
+        await this.pushUnreadCount(notification.toUser);
+      }
+      if (channels.email) {
+        // Email goes out in the background; attempts and retries are logged on EmailDelivery
+        emailService.handleNotification(notification, { recipient, deferUntil: quietUntil })
+          .catch(error => console.error('Failed to queue notification email:', error));
+      }
+      return notification;
     } catch (error) {
       console.error('Failed to create notification:', error);
       // Don't throw - notification failure shouldn't break main operations
@@ -221,6 +349,31 @@ class NotificationService {
     }
   }
 
+  /**
+   * Push the unread count to any open notification streams for a user
+   * @param {string} userId - User ID
+   */
+  async pushUnreadCount(userId) {
+    if (!notificationStream.connectionCount(userId)) return;
+    const count = await Notification.getUnreadCount(userId);
+    notificationStream.publishUnreadCount(userId, count);
+  }
+
+  /**
+   * Notifications created after a given one, for resuming a stream
+   * @param {string} userId - User ID
+   * @param {string} lastNotificationId - Last notification ID the client saw
+   * @param {number} limit - Maximum notifications to replay
+   * @returns {Array} Notifications, oldest first
+   */
+  async getNotificationsSince(userId, lastNotificationId, limit = 50) {
+    return Notification.find({ toUser: userId, inApp: { $ne: false }, _id: { $gt: lastNotificationId } })
+      .populate('fromUser', 'name email')
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean();
+  }
+
   /**
    * Get notifications for a user
    * @param {string} userId - User ID
@@ -235,7 +388,7 @@ class NotificationService {
       type = null 
     } = options;
 
-    const filter = { toUser: userId };
+    const filter = { toUser: userId, inApp: { $ne: false } };
     
     if (unreadOnly) {
       filter.read = false;
@@ -283,7 +436,9 @@ class NotificationService {
       throw new Error('Notification not found or unauthorized');
     }
 
-    return notification.markAsRead();
+    const updated = await notification.markAsRead();
+    await this.pushUnreadCount(userId);
+    return updated;
   }
 
   /**
@@ -292,13 +447,15 @@ class NotificationService {
    * @returns {Object} Update result
    */
   async markAllAsRead(userId) {
-    return Notification.updateMany(
+    const result = await Notification.updateMany(
       { toUser: userId, read: false },
       { 
         read: true, 
         readAt: new Date() 
       }
     );
+    await this.pushUnreadCount(userId);
+    return result;
   }
 
   /**
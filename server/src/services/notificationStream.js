@@ -0,0 +1,70 @@
+import { EventEmitter } from 'node:events';
+
+/**
+ * Notification Stream
+ * In-process fan-out of new notifications and unread-count changes to open
+ * Server-Sent Events connections, keyed by recipient user id.
+ */
+class NotificationStream {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open connection; a user may have several tabs open
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Listen for stream messages for a user
+   * @param {string} userId - Recipient user id
+   * @param {Function} listener - (message) => void, message is { event, id?, data }
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(userId, listener) {
+    const key = String(userId);
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Number of open connections for a user
+   * @param {string} userId - Recipient user id
+   * @returns {number} Listener count
+   */
+  connectionCount(userId) {
+    return this.emitter.listenerCount(String(userId));
+  }
+
+  /**
+   * Push a newly created notification to its recipient
+   * @param {Object} notification - Notification document
+   * @param {Object} options - { quiet } recipient is in quiet hours, so clients should not pop a toast
+   */
+  publishNotification(notification, { quiet = false } = {}) {
+    const doc = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+    const data = quiet ? { ...doc, quiet: true } : doc;
+    this.emitter.emit(String(doc.toUser), { event: 'notification', id: String(doc._id), data });
+  }
+
+  /**
+   * Push the current unread count to a user
+   * @param {string} userId - Recipient user id
+   * @param {number} count - Unread notification count
+   */
+  publishUnreadCount(userId, count) {
+    this.emitter.emit(String(userId), { event: 'unread-count', data: { count } });
+  }
+}
+
+/**
+ * Format one Server-Sent Events frame
+ * @param {Object} message - { event, id?, data }
+ * @returns {string} Frame text ending in a blank line
+ */
+export function formatSseFrame({ event, id, data }) {
+  const lines = [];
+  if (id) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+export default new NotificationStream();
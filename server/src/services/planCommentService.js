@@ -0,0 +1,178 @@
+import PlanCommentThread from '../models/PlanCommentThread.js';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+
+const MENTION_PATTERN = /(?:^|\s)@([^\s@]+@[^\s@]+\.[^\s@.,;:!?]+)/g;
+
+/**
+ * Email addresses @mentioned in a comment, e.g. "@jane@clinic.org please check"
+ * @param {string} body - Comment text
+ * @returns {Array} Lowercased, de-duplicated emails
+ */
+export function extractMentions(body) {
+  const emails = new Set();
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    emails.add(match[1].toLowerCase());
+  }
+  return [...emails];
+}
+
+/**
+ * Plan Comment Service
+ * Threaded comments anchored to a plan's goals, activities or notes. Every new
+ * comment notifies the other people in the thread (always including the plan's
+ * therapist and supervisor) and anyone @mentioned.
+ */
+class PlanCommentService {
+
+  /**
+   * Threads on a plan, oldest first
+   * @param {string} planId - Plan ID
+   * @param {Object} filter - { status }
+   * @returns {Array} Threads with author names
+   */
+  async listThreads(planId, { status } = {}) {
+    const filter = { plan: planId };
+    if (status) filter.status = status;
+    return PlanCommentThread.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('comments.author', 'name role')
+      .populate('resolvedBy', 'name')
+      .lean();
+  }
+
+  /**
+   * @param {string} planId - Plan ID
+   * @param {string} threadId - Thread ID
+   * @returns {Object|null} Thread
+   */
+  async getThread(planId, threadId) {
+    return PlanCommentThread.findOne({ _id: threadId, plan: planId }).lean();
+  }
+
+  /**
+   * Open a thread with its first comment
+   * @param {Object} plan - Plan with patient populated (name, supervisor) and history
+   * @param {Object} data - { anchor, body, blocking }
+   * @param {string} authorId - Comment author
+   * @returns {Object} Created thread
+   */
+  async createThread(plan, { anchor, body, blocking = false }, authorId) {
+    const mentions = await this.resolveMentions(body);
+    const thread = await PlanCommentThread.create({
+      plan: plan._id,
+      version: plan.currentVersion || 0,
+      anchor,
+      blocking,
+      createdBy: authorId,
+      comments: [{ author: authorId, body, mentions }]
+    });
+    await this.notifyParticipants(thread, plan, { authorId, body, mentions });
+    return thread;
+  }
+
+  /**
+   * Add a reply to a thread
+   * @param {Object} plan - Plan with patient populated (name, supervisor) and history
+   * @param {string} threadId - Thread ID
+   * @param {string} body - Reply text
+   * @param {string} authorId - Reply author
+   * @returns {Object} Updated thread
+   */
+  async reply(plan, threadId, body, authorId) {
+    const mentions = await this.resolveMentions(body);
+    const thread = await PlanCommentThread.findOneAndUpdate(
+      { _id: threadId, plan: plan._id },
+      { $push: { comments: { author: authorId, body, mentions } } },
+      { new: true }
+    );
+    if (!thread) throw new Error('Comment thread not found');
+    await this.notifyParticipants(thread, plan, { authorId, body, mentions });
+    return thread;
+  }
+
+  /**
+   * Resolve or reopen a thread
+   * @param {string} planId - Plan ID
+   * @param {string} threadId - Thread ID
+   * @param {boolean} resolved - New state
+   * @param {string} userId - User making the change
+   * @returns {Object} Updated thread
+   */
+  async setResolved(planId, threadId, resolved, userId) {
+    const update = resolved
+      ? { status: 'resolved', resolvedBy: userId, resolvedAt: new Date() }
+      : { status: 'open', $unset: { resolvedBy: 1, resolvedAt: 1 } };
+    const thread = await PlanCommentThread.findOneAndUpdate({ _id: threadId, plan: planId }, update, { new: true });
+    if (!thread) throw new Error('Comment thread not found');
+    return thread;
+  }
+
+  /**
+   * @param {string} planId - Plan ID
+   * @returns {number} Unresolved blocking threads
+   */
+  async countOpenBlocking(planId) {
+    return PlanCommentThread.countDocuments({ plan: planId, blocking: true, status: 'open' });
+  }
+
+  /**
+   * Active users @mentioned in a comment
+   * @param {string} body - Comment text
+   * @returns {Array} User IDs
+   */
+  async resolveMentions(body) {
+    const emails = extractMentions(body);
+    if (!emails.length) return [];
+    const users = await User.find({ email: { $in: emails }, active: true }).select('_id').lean();
+    return users.map(u => u._id);
+  }
+
+  /**
+   * Supervisor who answers for a plan: the patient's supervisor, or whoever last
+   * reviewed the plan when the patient has none
+   * @param {Object} plan - Plan with patient (supervisor) and history
+   * @returns {string|null} User ID
+   */
+  planReviewer(plan) {
+    const supervisor = plan.patient?.supervisor;
+    if (supervisor) return String(supervisor._id || supervisor);
+    const review = [...(plan.history || [])].reverse()
+      .find(entry => ['approved', 'needs_revision'].includes(entry.to) && entry.actor);
+    return review ? String(review.actor) : null;
+  }
+
+  /**
+   * Notify everyone in the thread except the author, plus mentioned users. The
+   * plan's therapist and its reviewer are always in the thread, so each side
+   * hears about the other's comments.
+   */
+  async notifyParticipants(thread, plan, { authorId, body, mentions }) {
+    const author = String(authorId);
+    const mentioned = new Set(mentions.map(String));
+    const recipients = new Set([
+      String(plan.therapist?._id || plan.therapist),
+      this.planReviewer(plan),
+      ...thread.comments.map(c => String(c.author)),
+      ...mentioned
+    ].filter(Boolean));
+    recipients.delete(author);
+
+    const patientName = plan.patient?.name || 'a patient';
+    for (const toUser of recipients) {
+      // A failed notification should not lose the comment that was already saved
+      try {
+        await notificationService.notifyPlanComment(authorId, toUser, plan._id, patientName, {
+          body,
+          threadId: thread._id,
+          mentioned: mentioned.has(toUser)
+        });
+      } catch (error) {
+        console.error('Plan comment notification failed:', error.message);
+      }
+    }
+    return recipients.size;
+  }
+}
+
+export default new PlanCommentService();
@@ -0,0 +1,90 @@
+import Patient from '../models/Patient.js';
+import PlanTemplate from '../models/PlanTemplate.js';
+
+/**
+ * Pick the template that best fits a patient's diagnoses.
+ * The template sharing the most diagnoses wins; ties go to the most recently published.
+ * @param {Object} patient - Patient with diagnoses
+ * @param {Array} templates - Published templates
+ * @returns {Object|null} { template, matchedDiagnoses } or null when nothing matches
+ */
+export function suggestTemplate(patient, templates) {
+  const diagnoses = new Set((patient?.diagnoses || []).map(d => d.trim().toLowerCase()));
+  let best = null;
+  for (const template of templates) {
+    const matchedDiagnoses = (template.diagnoses || []).filter(d => diagnoses.has(d));
+    if (!matchedDiagnoses.length) continue;
+    const better = !best
+      || matchedDiagnoses.length > best.matchedDiagnoses.length
+      || (matchedDiagnoses.length === best.matchedDiagnoses.length
+        && new Date(template.publishedAt || 0) > new Date(best.template.publishedAt || 0));
+    if (better) best = { template, matchedDiagnoses };
+  }
+  return best;
+}
+
+/**
+ * Plan Template Service
+ * Library of reusable goals and activities. Supervisors draft and publish
+ * templates; therapists see published ones and can start a plan from them.
+ */
+class PlanTemplateService {
+
+  /**
+   * Templates visible to a role
+   * @param {Object} filters - { role, status, diagnosis, tag }
+   * @returns {Array} Templates sorted by name
+   */
+  async listTemplates({ role, status, diagnosis, tag } = {}) {
+    const filter = {};
+    if (role === 'therapist') {
+      filter.status = 'published';
+    } else if (status) {
+      filter.status = status;
+    }
+    if (diagnosis) filter.diagnoses = diagnosis.trim().toLowerCase();
+    if (tag) filter.tags = tag.trim().toLowerCase();
+    return PlanTemplate.find(filter).sort({ name: 1 }).populate('createdBy', 'name').lean();
+  }
+
+  /**
+   * Suggested template for a patient
+   * @param {string} patientId - Patient ID
+   * @returns {Object} { template, matchedDiagnoses } with template null when nothing matches
+   */
+  async suggestForPatient(patientId) {
+    const patient = await Patient.findById(patientId).select('diagnoses').lean();
+    if (!patient) throw new Error('Patient not found');
+    const templates = await PlanTemplate.find({
+      status: 'published',
+      diagnoses: { $in: (patient.diagnoses || []).map(d => d.trim().toLowerCase()) }
+    }).lean();
+    return suggestTemplate(patient, templates) || { template: null, matchedDiagnoses: [] };
+  }
+
+  /**
+   * Change a template's status
+   * @param {string} id - Template ID
+   * @param {string} status - 'published' | 'archived' | 'draft'
+   * @returns {Object|null} Updated template
+   */
+  async setStatus(id, status) {
+    const update = { status };
+    if (status === 'published') update.publishedAt = new Date();
+    return PlanTemplate.findByIdAndUpdate(id, update, { new: true });
+  }
+
+  /**
+   * Goals and activities to seed a new plan with
+   * @param {string} id - Template ID
+   * @returns {Object} Published template
+   */
+  async getPublished(id) {
+    const template = await PlanTemplate.findById(id).lean();
+    if (!template) throw new Error('Plan template not found');
+    if (template.status !== 'published') throw new Error('Plan template is not published');
+    return template;
+  }
+}
+
+export default new PlanTemplateService();
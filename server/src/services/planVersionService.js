@@ -0,0 +1,78 @@
+import PlanVersion from '../models/PlanVersion.js';
+import { diffPlanVersions } from '../utils/planDiff.js';
+
+/**
+ * Plan Version Service
+ * Keeps an immutable snapshot of a therapy plan for every submit, so a
+ * supervisor can see what changed since the version they last reviewed.
+ */
+class PlanVersionService {
+
+  /**
+   * Record the plan's current content as version plan.currentVersion
+   * @param {Object} plan - Plan already updated with the new currentVersion
+   * @param {string} userId - User who submitted
+   * @returns {Object} Created PlanVersion
+   */
+  async snapshot(plan, userId) {
+    return PlanVersion.create({
+      plan: plan._id,
+      version: plan.currentVersion,
+      goals: plan.goals,
+      activities: plan.activities,
+      notes: plan.notes,
+      submittedBy: userId,
+      submittedAt: plan.submittedAt || new Date()
+    });
+  }
+
+  /**
+   * Versions of a plan, newest first
+   * @param {string} planId - Plan ID
+   * @returns {Array} Versions
+   */
+  async listVersions(planId) {
+    return PlanVersion.find({ plan: planId })
+      .sort({ version: -1 })
+      .populate('submittedBy', 'name email')
+      .lean();
+  }
+
+  /**
+   * @param {string} planId - Plan ID
+   * @param {number} version - Version number
+   * @returns {Object|null} Version
+   */
+  async getVersion(planId, version) {
+    return PlanVersion.findOne({ plan: planId, version }).populate('submittedBy', 'name email').lean();
+  }
+
+  /**
+   * Diff two versions of a plan. Defaults to the latest version against the one before it;
+   * with a single version, `from` is null and everything shows as added.
+   * @param {string} planId - Plan ID
+   * @param {Object} range - { from, to } version numbers
+   * @returns {Object} { from, to, diff }
+   */
+  async diff(planId, { from, to } = {}) {
+    let toVersion;
+    if (to) {
+      toVersion = await this.getVersion(planId, to);
+    } else {
+      toVersion = await PlanVersion.findOne({ plan: planId }).sort({ version: -1 }).populate('submittedBy', 'name email').lean();
+    }
+    if (!toVersion) throw new Error('Plan version not found');
+
+    const fromNumber = from ?? toVersion.version - 1;
+    if (fromNumber >= toVersion.version) throw new Error('from must be an earlier version than to');
+    let fromVersion = null;
+    if (fromNumber >= 1) {
+      fromVersion = await this.getVersion(planId, fromNumber);
+      if (!fromVersion) throw new Error('Plan version not found');
+    }
+
+    return { from: fromVersion, to: toVersion, diff: diffPlanVersions(fromVersion || {}, toVersion) };
+  }
+}
+
+export default new PlanVersionService();
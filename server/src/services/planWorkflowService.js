@@ -0,0 +1,86 @@
+import TherapyPlan from '../models/TherapyPlan.js';
+
+// Legal status moves; anything else is rejected with a 409
+export const PLAN_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'needs_revision'],
+  needs_revision: ['submitted'],
+  approved: []
+};
+
+// Statuses in which the therapist may still change goals, activities and notes
+export const EDITABLE_STATUSES = ['draft', 'needs_revision'];
+
+/**
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (PLAN_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Plan Workflow Service
+ * Moves a therapy plan between statuses. Each move is applied with a
+ * compare-and-set on the current status, so two reviewers acting at once
+ * cannot both succeed, and is recorded in the plan's history.
+ */
+class PlanWorkflowService {
+
+  /**
+   * Apply a status transition
+   * @param {Object} plan - Plan as loaded by the caller (its status is the expected current status)
+   * @param {string} to - Target status
+   * @param {Object} options - { actorId, role, reason, update } where update holds extra fields to set
+   * @returns {Object} Updated plan
+   */
+  async transition(plan, to, { actorId, role, reason, update = {} } = {}) {
+    const from = plan.status;
+    if (!canTransition(from, to)) {
+      throw new Error(`Illegal plan transition from ${from} to ${to}`);
+    }
+
+    const entry = { from, to, actor: actorId, role, reason, at: new Date() };
+    const { $inc, ...fields } = update;
+    const updated = await TherapyPlan.findOneAndUpdate(
+      { _id: plan._id, status: from },
+      {
+        $set: { ...fields, status: to },
+        $push: { history: entry },
+        ...($inc ? { $inc } : {})
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Plan status changed during transition; reload and try again');
+    }
+    return updated;
+  }
+
+  /**
+   * Undo a transition whose follow-up work failed: restores the previous status
+   * and the fields the transition set, reverses its $inc and drops its history entry
+   * @param {Object} updated - Plan returned by transition
+   * @param {Object} previous - Plan as loaded before the transition, including the fields in update
+   * @param {Object} update - The update that was passed to transition
+   * @returns {Object|null} Restored plan, null when the plan has moved on since
+   */
+  async revert(updated, previous, update = {}) {
+    const { $inc, ...fields } = update;
+    const entry = updated.history[updated.history.length - 1];
+    const $set = { status: previous.status };
+    const $unset = {};
+    for (const key of Object.keys(fields)) {
+      if (previous[key] === undefined || previous[key] === null) $unset[key] = 1;
+      else $set[key] = previous[key];
+    }
+    const undo = { $set, $pull: { history: { to: entry.to, at: entry.at } } };
+    if (Object.keys($unset).length) undo.$unset = $unset;
+    if ($inc) undo.$inc = Object.fromEntries(Object.entries($inc).map(([key, by]) => [key, -by]));
+
+    return TherapyPlan.findOneAndUpdate({ _id: updated._id, status: updated.status }, undo, { new: true });
+  }
+}
+
+export default new PlanWorkflowService();
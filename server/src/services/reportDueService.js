@@ -0,0 +1,157 @@
+import Patient from '../models/Patient.js';
+import ProgressReport from '../models/ProgressReport.js';
+import ReportDueRule from '../models/ReportDueRule.js';
+import ReportTask from '../models/ReportTask.js';
+import Session from '../models/Session.js';
+import notificationService from './notificationService.js';
+import { heldFilter } from '../utils/attendance.js';
+
+const REMINDER_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions between reports for a patient given the active rules.
+ * A program rule wins over diagnosis rules; among diagnoses the smallest threshold wins.
+ * @param {Object} patient - Patient with diagnoses and program
+ * @param {Array} rules - Active ReportDueRules
+ * @param {number} fallback - Threshold when no rule matches
+ * @returns {number} Session threshold
+ */
+export function resolveThreshold(patient, rules, fallback) {
+  const program = patient?.program?.trim().toLowerCase();
+  const programRule = program && rules.find(r => r.scope === 'program' && r.value === program);
+  if (programRule) return programRule.sessionThreshold;
+
+  const diagnoses = new Set((patient?.diagnoses || []).map(d => d.trim().toLowerCase()));
+  const matches = rules
+    .filter(r => r.scope === 'diagnosis' && diagnoses.has(r.value))
+    .map(r => r.sessionThreshold);
+  return matches.length ? Math.min(...matches) : fallback;
+}
+
+/**
+ * Report Due Service
+ * Opens a report-due task when a patient's sessions since their last progress
+ * report reach the threshold for their diagnosis or program, and closes it when
+ * the next report is submitted.
+ */
+class ReportDueService {
+  getDefaultThreshold() {
+    return Number(process.env.SESSION_REMINDER_THRESHOLD) || 10;
+  }
+
+  /**
+   * Threshold that applies to a patient
+   * @param {Object} patient - Patient with diagnoses and program
+   * @returns {number} Session threshold
+   */
+  async getThreshold(patient) {
+    const rules = await ReportDueRule.find({ active: true }).lean();
+    return resolveThreshold(patient, rules, this.getDefaultThreshold());
+  }
+
+  /**
+   * Sessions held after the patient's most recent progress report
+   * @param {string} patientId - Patient ID
+   * @returns {number} Session count
+   */
+  async sessionsSinceLastReport(patientId) {
+    const lastReport = await ProgressReport.findOne({ patient: patientId })
+      .sort({ submittedAt: -1, createdAt: -1 })
+      .select('submittedAt createdAt')
+      .lean();
+    const filter = { patient: patientId, ...heldFilter() };
+    const since = lastReport?.submittedAt || lastReport?.createdAt;
+    if (since) filter.date = { $gt: since };
+    return Session.countDocuments(filter);
+  }
+
+  /**
+   * Open a report-due task if the patient has reached their threshold
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - { sessionId, therapistId } the session that was just logged
+   * @returns {Object|null} The new task, or null when nothing is due or a task is already open
+   */
+  async checkPatient(patientId, { sessionId, therapistId } = {}) {
+    if (await ReportTask.exists({ patient: patientId, status: 'open' })) return null;
+
+    const patient = await Patient.findById(patientId).select('name diagnoses program assignedTherapist').lean();
+    if (!patient) return null;
+    const therapist = patient.assignedTherapist || therapistId;
+    if (!therapist) return null;
+
+    const [threshold, sessionCount] = await Promise.all([
+      this.getThreshold(patient),
+      this.sessionsSinceLastReport(patientId)
+    ]);
+    if (sessionCount < threshold) return null;
+
+    let task;
+    try {
+      task = await ReportTask.create({
+        patient: patientId,
+        therapist,
+        sessionCount,
+        threshold,
+        triggeredBySession: sessionId,
+        lastNotifiedAt: new Date()
+      });
+    } catch (error) {
+      // Another session for the same patient opened it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await notificationService.notifyProgressReportDue(therapist, patientId, patient.name, sessionCount);
+    return task;
+  }
+
+  /**
+   * Close the patient's open task once a report is submitted
+   * @param {string} patientId - Patient ID
+   * @param {string} reportId - Submitted ProgressReport ID
+   * @returns {Object|null} Completed task
+   */
+  async completeForReport(patientId, reportId) {
+    return ReportTask.findOneAndUpdate(
+      { patient: patientId, status: 'open' },
+      { status: 'completed', report: reportId, completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Open tasks, oldest first
+   * @param {Object} filter - e.g. { therapist }
+   * @returns {Array} Tasks with patient and therapist names
+   */
+  async getOpenTasks(filter = {}) {
+    return ReportTask.find({ ...filter, status: 'open' })
+      .sort({ createdAt: 1 })
+      .populate('patient', 'name program diagnoses')
+      .populate('therapist', 'name email')
+      .lean();
+  }
+
+  /**
+   * Remind therapists about tasks still open a week after the last reminder
+   * @param {Date} now - Current time
+   * @returns {Object} { open, reminded }
+   */
+  async remindOpenTasks(now = new Date()) {
+    const stale = await ReportTask.find({
+      status: 'open',
+      lastNotifiedAt: { $lte: new Date(now.getTime() - REMINDER_INTERVAL_MS) }
+    }).populate('patient', 'name').lean();
+
+    let reminded = 0;
+    for (const task of stale) {
+      const sessionCount = await this.sessionsSinceLastReport(task.patient._id);
+      await notificationService.notifyProgressReportDue(task.therapist, task.patient._id, task.patient.name, sessionCount);
+      await ReportTask.updateOne({ _id: task._id }, { lastNotifiedAt: now });
+      reminded++;
+    }
+    return { open: await ReportTask.countDocuments({ status: 'open' }), reminded };
+  }
+}
+
+export default new ReportDueService();
@@ -0,0 +1,119 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import analyticsService from './analyticsService.js';
+import appointmentService from './appointmentService.js';
+import backupService from './backupService.js';
+import caseloadTransferService from './caseloadTransferService.js';
+import emailService from './emailService.js';
+import escalationService from './escalationService.js';
+import notificationService from './notificationService.js';
+import reportDueService from './reportDueService.js';
+import webhookService from './webhookService.js';
+import jobScheduler from './jobScheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// True when a notification about this entity was sent to the user within the window
+async function alreadyNotified(toUser, type, entityId, sinceMs) {
+  return Notification.exists({
+    toUser,
+    type,
+    'payload.entityId': entityId,
+    createdAt: { $gte: new Date(Date.now() - sinceMs) }
+  });
+}
+
+/**
+ * Remind supervisors about plans waiting for review for more than 7 days
+ * @returns {Object} { overdue, notified }
+ */
+export async function sendOverduePlanReviewReminders() {
+  const { overduePlanReviews } = await analyticsService.getOverdueAnalytics();
+  let notified = 0;
+  let allSupervisors;
+  for (const plan of overduePlanReviews) {
+    let supervisors = plan.patient?.supervisor ? [plan.patient.supervisor] : null;
+    if (!supervisors) {
+      allSupervisors ??= (await User.find({ role: 'supervisor', active: true }).select('_id').lean()).map(u => u._id);
+      supervisors = allSupervisors;
+    }
+    const daysPending = Math.floor((Date.now() - new Date(plan.submittedAt).getTime()) / DAY_MS);
+    for (const supervisorId of supervisors) {
+      if (await alreadyNotified(supervisorId, 'plan_submitted', plan._id, DAY_MS)) continue;
+      const notification = await notificationService.notifyPlanReviewOverdue(supervisorId, plan._id, plan.patient?.name, daysPending);
+      if (notification) notified++;
+    }
+  }
+  return { overdue: overduePlanReviews.length, notified };
+}
+
+/**
+ * Register the built-in jobs. Schedules are cron expressions in UTC.
+ * @param {JobScheduler} scheduler - Scheduler to register with
+ */
+export function registerScheduledJobs(scheduler = jobScheduler) {
+  scheduler.define('leave-returns', {
+    schedule: '0 * * * *',
+    description: 'Move patients when an approved leave begins and hand them back when it ends',
+    handler: async () => ({
+      started: await caseloadTransferService.processDueStarts(),
+      returned: await caseloadTransferService.processDueReturns()
+    })
+  });
+
+  scheduler.define('email-deliveries', {
+    schedule: '*/5 * * * *',
+    description: 'Retry failed notification emails and send daily digests',
+    handler: async () => ({
+      retried: await emailService.retryDueDeliveries(),
+      digests: await emailService.sendDueDigests()
+    })
+  });
+
+  scheduler.define('notification-escalation', {
+    schedule: '*/15 * * * *',
+    description: 'Escalate high-priority notifications left unread',
+    handler: () => escalationService.processEscalations()
+  });
+
+  scheduler.define('webhook-retries', {
+    schedule: '* * * * *',
+    description: 'Retry webhook deliveries whose backoff has elapsed',
+    handler: async () => ({ retried: await webhookService.retryDueDeliveries() })
+  });
+
+  scheduler.define('next-appointments', {
+    schedule: '15 * * * *',
+    description: 'Move patients\' next appointment on once it has passed',
+    handler: async () => ({ updated: await appointmentService.syncPastNextAppointments() })
+  });
+
+  scheduler.define('progress-report-reminders', {
+    schedule: '0 7 * * *',
+    description: 'Remind therapists about report-due tasks still open after a week',
+    handler: () => reportDueService.remindOpenTasks()
+  });
+
+  scheduler.define('overdue-plan-reviews', {
+    schedule: '0 8 * * *',
+    description: 'Remind supervisors about plans waiting more than 7 days for review',
+    handler: sendOverduePlanReviewReminders
+  });
+
+  scheduler.define('notification-cleanup', {
+    schedule: '30 3 * * *',
+    description: 'Delete read notifications older than NOTIFICATION_RETENTION_DAYS',
+    handler: async () => {
+      const days = Number(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+      const { deletedCount } = await notificationService.deleteOldNotifications(days);
+      return { deleted: deletedCount };
+    }
+  });
+
+  scheduler.define('backup', {
+    schedule: '0 2 * * *',
+    description: 'Write a JSON backup of core data to BACKUP_DIR',
+    lockMinutes: 60,
+    handler: () => backupService.createBackup()
+  });
+}
@@ -0,0 +1,173 @@
+import { createHmac, randomBytes } from 'node:crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+const MAX_ATTEMPTS = 8;
+// Attempt n+1 waits BASE_DELAY_MIN * 2^(n-1) minutes: 1, 2, 4 ... 64
+const BASE_DELAY_MIN = 1;
+// How long a worker holds a delivery it is retrying, so other instances skip it
+const CLAIM_MINUTES = 5;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_RESPONSE = 500;
+
+/**
+ * Signature for a webhook body, sent as X-Webhook-Signature.
+ * Receivers recompute it over `${X-Webhook-Timestamp}.${rawBody}` with their secret.
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix seconds sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Webhook Service
+ * Posts signed domain events to registered integration endpoints, retrying
+ * failures with exponential backoff and dead-lettering them when retries run out.
+ */
+class WebhookService {
+  generateSecret() {
+    return randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Queue and attempt a delivery to every active webhook subscribed to an event
+   * @param {Object} event - Event bus envelope { id, type, occurredAt, actorId, data }
+   * @returns {Array} Created deliveries
+   */
+  async handleEvent(event) {
+    const webhooks = await Webhook.find({ active: true, events: { $in: [event.type, '*'] } })
+      .select('+secret')
+      .lean();
+    if (!webhooks.length) return [];
+
+    const body = JSON.stringify({
+      id: event.id,
+      type: event.type,
+      occurredAt: event.occurredAt,
+      actorId: event.actorId,
+      data: event.data
+    });
+    return Promise.all(webhooks.map(async (webhook) => {
+      const delivery = await WebhookDelivery.create({
+        webhook: webhook._id,
+        eventId: event.id,
+        eventType: event.type,
+        body
+      });
+      return this.attemptDelivery(delivery, webhook);
+    }));
+  }
+
+  /**
+   * POST a delivery once and record the attempt
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} webhook - Webhook including its secret
+   * @param {Date} now - Attempt time
+   * @returns {Object} Updated delivery
+   */
+  async attemptDelivery(delivery, webhook, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const started = Date.now();
+    const attempt = { attemptedAt: now, success: false };
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TherapyCMS-Webhooks/1.0',
+          'X-Webhook-Id': String(webhook._id),
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      attempt.statusCode = res.status;
+      attempt.response = (await res.text()).slice(0, MAX_LOGGED_RESPONSE);
+      attempt.success = res.ok;
+      if (!res.ok) attempt.error = `Receiver responded ${res.status}`;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    if (attempt.success) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = now;
+      delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = undefined;
+      console.error(`Webhook delivery ${delivery._id} dead-lettered after ${MAX_ATTEMPTS} attempts:`, attempt.error);
+    } else {
+      delivery.status = 'pending';
+      const delay = BASE_DELAY_MIN * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(now.getTime() + delay * 60 * 1000);
+    }
+    return delivery.save();
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed
+   * @param {Date} now - Current time
+   * @returns {number} Deliveries attempted
+   */
+  async retryDueDeliveries(now = new Date()) {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .select('_id')
+      .limit(50)
+      .lean();
+
+    let attempted = 0;
+    for (const { _id } of due) {
+      // Claim it so a second instance running the same job skips it
+      const claimed = await WebhookDelivery.findOneAndUpdate(
+        { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000) },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const webhook = await Webhook.findById(claimed.webhook).select('+secret').lean();
+      if (!webhook?.active) {
+        // Disabled or removed since the event: park it with the dead letters
+        claimed.status = 'dead';
+        claimed.nextAttemptAt = undefined;
+        await claimed.save();
+        continue;
+      }
+      await this.attemptDelivery(claimed, webhook, now);
+      attempted++;
+    }
+    return attempted;
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery with the same body and a fresh retry budget
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @returns {Object} The new delivery
+   */
+  async replayDelivery(deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId).lean();
+    if (!original) throw new Error('Webhook delivery not found');
+    const webhook = await Webhook.findById(original.webhook).select('+secret').lean();
+    if (!webhook) throw new Error('Webhook not found');
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      body: original.body,
+      replayOf: original._id
+    });
+    return this.attemptDelivery(delivery, webhook);
+  }
+}
+
+export default new WebhookService();
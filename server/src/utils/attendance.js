@@ -0,0 +1,44 @@
+/**
+ * Session attendance states and their reason codes
+ */
+
+export const ATTENDANCE_STATUSES = ['attended', 'late', 'cancelled_patient', 'cancelled_clinic', 'no_show'];
+
+export const ATTENDANCE_REASONS = Object.freeze({
+  attended: [],
+  late: ['transport', 'schedule_conflict', 'forgot', 'other'],
+  cancelled_patient: ['illness', 'schedule_conflict', 'transport', 'family_emergency', 'weather', 'other'],
+  cancelled_clinic: ['therapist_illness', 'therapist_unavailable', 'room_unavailable', 'weather', 'administrative', 'other'],
+  no_show: ['forgot', 'illness', 'transport', 'no_contact', 'other']
+});
+
+// Statuses where the session took place
+export const HELD_STATUSES = ['attended', 'late'];
+// Cancelled sessions never took place and do not occupy the slot
+export const CANCELLED_STATUSES = ['cancelled_patient', 'cancelled_clinic'];
+export const NOT_HELD_STATUSES = [...CANCELLED_STATUSES, 'no_show'];
+
+/**
+ * Query for sessions that took place. Sessions logged before attendance was
+ * tracked have no status and count as attended.
+ * @returns {Object} Mongo filter on Session
+ */
+export const heldFilter = () => ({ 'attendance.status': { $nin: NOT_HELD_STATUSES } });
+
+/**
+ * Check an attendance record against the reason codes for its status
+ * @param {Object} attendance - { status, reason, minutesLate }
+ * @returns {string|null} Problem, or null when valid
+ */
+export function attendanceError({ status = 'attended', reason, minutesLate } = {}) {
+  const reasons = ATTENDANCE_REASONS[status];
+  if (!reasons) return `Unknown attendance status: ${status}`;
+  if (status === 'attended') {
+    return reason ? 'Attended sessions do not take a reason' : null;
+  }
+  if (minutesLate !== undefined && status !== 'late') return 'Minutes late only applies to late arrivals';
+  // Late arrivals may leave the reason out; cancellations and no-shows must give one
+  if (!reason) return status === 'late' ? null : `A reason is required for ${status.replace('_', ' ')}`;
+  if (!reasons.includes(reason)) return `Reason must be one of: ${reasons.join(', ')}`;
+  return null;
+}
@@ -0,0 +1,116 @@
+/**
+ * Cron expression helpers
+ * Standard five-field expressions (minute hour day-of-month month day-of-week),
+ * evaluated in UTC. Fields accept *, numbers, ranges (1-5), lists (1,15) and
+ * steps (*\/5, 0-30/10). Day-of-week is 0-6 with 0 (or 7) as Sunday.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *" never fires)
+const SEARCH_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    const [, range, from, to, step] = match;
+    let start = range === '*' ? min : Number(from);
+    let end = range === '*' ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let v = start; v <= end; v += increment) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields: ${expression}`);
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Like cron: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getUTCDate());
+  const dow = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Next time a cron expression fires strictly after a given time
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Reference time
+ * @returns {Date|null} Next run (whole minute), or null when it never fires
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const t = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = after.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
@@ -0,0 +1,190 @@
+import { isValidTimeZone } from './schedule.js';
+import { localToUtc } from './recurrence.js';
+
+/**
+ * iCalendar (RFC 5545) helpers
+ * Just enough of the format to publish VEVENTs and to read blocked time back
+ * from calendars exported by common clients.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// TEXT values escape backslash, semicolon, comma and newlines
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+export function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char, 'utf8');
+    if (size + length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// UTC DATE-TIME such as 20250601T090000Z
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Serialize events into a VCALENDAR
+ * @param {Array} events - [{ uid, start, end, summary, description, location, status, updatedAt }]
+ * @param {Object} options - { name, now }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildCalendar(events, { name = 'Therapy CMS', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Therapy CMS//Schedule Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.updatedAt || now)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Split a content line into { name, params, value }
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Read a DATE or DATE-TIME value
+ * @param {Object} property - { params, value }
+ * @param {string} defaultTimeZone - Zone for floating times and all-day dates
+ * @returns {Object|null} { date, allDay }
+ */
+export function parseDateValue({ params, value }, defaultTimeZone = 'UTC') {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, , utc] = match;
+  const allDay = params.VALUE === 'DATE' || h === undefined;
+  const minute = allDay ? 0 : Number(h) * 60 + Number(mi);
+  if (utc) return { date: new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)) + minute * 60000), allDay };
+  const zone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+  return { date: localToUtc(Number(y), Number(mo) - 1, Number(d), minute, zone), allDay };
+}
+
+// DURATION such as PT1H30M or P2D
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match.map(v => v ?? 0);
+  const ms = ((Number(w) * 7 + Number(d)) * 24 * 3600 + Number(h) * 3600 + Number(m) * 60 + Number(s)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Read busy VEVENTs from an iCalendar file
+ * Cancelled and transparent (free) events are skipped, as are recurring events,
+ * whose expansion is not supported.
+ * @param {string} text - iCalendar text
+ * @param {Object} options - { defaultTimeZone } for floating times and all-day dates
+ * @returns {Object} { events: [{ uid, summary, start, end, allDay }], skipped: [{ uid, summary, reason }] }
+ */
+export function parseCalendar(text, { defaultTimeZone = 'UTC' } = {}) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file: missing BEGIN:VCALENDAR');
+  }
+
+  const events = [];
+  const skipped = [];
+  let current = null;
+  let depth = 0;
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+    const upper = line.toUpperCase();
+    if (upper === 'BEGIN:VEVENT') {
+      current = {};
+      depth = 0;
+      continue;
+    }
+    if (!current) continue;
+    // Ignore nested components such as VALARM
+    if (upper.startsWith('BEGIN:')) { depth++; continue; }
+    if (upper.startsWith('END:') && depth > 0) { depth--; continue; }
+    if (depth > 0) continue;
+
+    if (upper === 'END:VEVENT') {
+      const event = toEvent(current, defaultTimeZone);
+      if (event.reason) skipped.push({ uid: event.uid, summary: event.summary, reason: event.reason });
+      else events.push(event);
+      current = null;
+      continue;
+    }
+    const property = parseLine(line);
+    if (property && !current[property.name]) current[property.name] = property;
+  }
+  return { events, skipped };
+}
+
+// Turn parsed VEVENT properties into a busy interval, or a skip reason
+function toEvent(props, defaultTimeZone) {
+  const uid = props.UID?.value.trim();
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+  const base = { uid, summary };
+  if (props.STATUS?.value.toUpperCase() === 'CANCELLED') return { ...base, reason: 'Cancelled event' };
+  if (props.TRANSP?.value.toUpperCase() === 'TRANSPARENT') return { ...base, reason: 'Event is marked as free' };
+  if (props.RRULE) return { ...base, reason: 'Recurring events are not imported' };
+
+  const start = props.DTSTART && parseDateValue(props.DTSTART, defaultTimeZone);
+  if (!start) return { ...base, reason: 'Missing or invalid DTSTART' };
+
+  let end = props.DTEND && parseDateValue(props.DTEND, defaultTimeZone)?.date;
+  if (!end && props.DURATION) {
+    const ms = parseDuration(props.DURATION.value);
+    if (ms !== null) end = new Date(start.date.getTime() + ms);
+  }
+  // Without an end, an all-day event lasts the day and a timed one is instantaneous
+  end ??= start.allDay ? new Date(start.date.getTime() + DAY_MS) : null;
+  if (!end || end <= start.date) return { ...base, reason: 'Event has no duration' };
+
+  return { ...base, start: start.date, end, allDay: start.allDay };
+}
@@ -0,0 +1,122 @@
+/**
+ * Structured session note templates and the checks a filled-in note must pass
+ */
+
+export const NOTE_SECTION_TYPES = ['text', 'textarea', 'number', 'select', 'multiselect', 'boolean'];
+
+// Longest value a free-text section accepts when the template sets no maxLength
+export const DEFAULT_MAX_LENGTH = { text: 200, textarea: 4000 };
+
+const PROGRESS_OPTIONS = ['improving', 'stable', 'declining'];
+
+/**
+ * Templates every clinic has. They are referenced by key instead of an id and
+ * cannot be edited; discipline-specific templates are created as NoteTemplates.
+ */
+export const BUILT_IN_NOTE_TEMPLATES = Object.freeze([
+  {
+    key: 'soap',
+    name: 'SOAP',
+    description: 'Subjective, Objective, Assessment, Plan',
+    builtIn: true,
+    version: 1,
+    sections: [
+      { key: 'subjective', label: 'Subjective', type: 'textarea', required: true, help: 'What the patient or family reports' },
+      { key: 'objective', label: 'Objective', type: 'textarea', required: true, help: 'Observations and measurements' },
+      { key: 'assessment', label: 'Assessment', type: 'textarea', required: true },
+      { key: 'progress', label: 'Progress', type: 'select', options: PROGRESS_OPTIONS },
+      { key: 'plan', label: 'Plan', type: 'textarea', required: true }
+    ]
+  },
+  {
+    key: 'dap',
+    name: 'DAP',
+    description: 'Data, Assessment, Plan',
+    builtIn: true,
+    version: 1,
+    sections: [
+      { key: 'data', label: 'Data', type: 'textarea', required: true, help: 'What was said and observed' },
+      { key: 'assessment', label: 'Assessment', type: 'textarea', required: true },
+      { key: 'progress', label: 'Progress', type: 'select', options: PROGRESS_OPTIONS },
+      { key: 'plan', label: 'Plan', type: 'textarea', required: true }
+    ]
+  }
+]);
+
+export const builtInNoteTemplate = (key) => BUILT_IN_NOTE_TEMPLATES.find(t => t.key === key) || null;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+
+/**
+ * Problem with one section's value, or null when it fits the section
+ */
+function sectionError(section, value) {
+  const { type, label } = section;
+  if (type === 'text' || type === 'textarea') {
+    if (typeof value !== 'string') return `${label} must be text`;
+    const max = section.maxLength || DEFAULT_MAX_LENGTH[type];
+    if (value.length > max) return `${label} must be at most ${max} characters`;
+  } else if (type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+    if (section.min !== undefined && section.min !== null && value < section.min) return `${label} must be at least ${section.min}`;
+    if (section.max !== undefined && section.max !== null && value > section.max) return `${label} must be at most ${section.max}`;
+  } else if (type === 'select') {
+    if (!section.options.includes(value)) return `${label} must be one of: ${section.options.join(', ')}`;
+  } else if (type === 'multiselect') {
+    if (!Array.isArray(value) || value.some(v => !section.options.includes(v))) {
+      return `${label} must be chosen from: ${section.options.join(', ')}`;
+    }
+  } else if (type === 'boolean') {
+    if (typeof value !== 'boolean') return `${label} must be true or false`;
+  }
+  return null;
+}
+
+/**
+ * Check a note's values against its template and build the sections to store
+ * Empty optional sections are left out. Labels and types are copied so the note
+ * still reads correctly after the template changes.
+ * @param {Object} template - Built-in or NoteTemplate with sections
+ * @param {Object} values - Section key -> value
+ * @returns {Object} { sections, errors } errors carry the section key as path
+ */
+export function fillNoteTemplate(template, values = {}) {
+  const errors = [];
+  const known = new Set(template.sections.map(s => s.key));
+  for (const key of Object.keys(values)) {
+    if (!known.has(key)) errors.push({ path: key, message: `${template.name} has no section ${key}` });
+  }
+
+  const sections = [];
+  for (const section of template.sections) {
+    let value = values[section.key];
+    if (typeof value === 'string') value = value.trim();
+    if (isEmpty(value)) {
+      if (section.required) errors.push({ path: section.key, message: `${section.label} is required` });
+      continue;
+    }
+    const problem = sectionError(section, value);
+    if (problem) {
+      errors.push({ path: section.key, message: problem });
+      continue;
+    }
+    sections.push({ key: section.key, label: section.label, type: section.type, value });
+  }
+  return { sections, errors };
+}
+
+/**
+ * Plain text of a note, indexed for search
+ * @param {Array} sections - Filled sections
+ * @returns {string}
+ */
+export function noteText(sections = []) {
+  return sections
+    .map(({ label, type, value }) => {
+      if (type === 'boolean') return value ? label : '';
+      return `${label}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
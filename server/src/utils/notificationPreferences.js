@@ -0,0 +1,45 @@
+import { parseTime, zoneOffsetMinutes, MINUTES_PER_DAY } from './schedule.js';
+
+// Priorities that are delivered straight away even during quiet hours
+export const QUIET_HOURS_BYPASS = ['urgent'];
+
+/**
+ * Channels a notification type should use for a user.
+ * Per-type settings override the global email/inApp switches.
+ * @param {Object} prefs - User preferences.notifications
+ * @param {string} type - Notification type
+ * @returns {Object} { inApp, email }
+ */
+export function resolveChannels(prefs = {}, type) {
+  const override = (prefs.types instanceof Map ? prefs.types.get(type) : prefs.types?.[type]) || {};
+  return {
+    inApp: override.inApp ?? (prefs.inApp !== false),
+    email: override.email ?? (prefs.email !== false)
+  };
+}
+
+/**
+ * When the user's quiet hours end, if they are in them right now
+ * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM' } in local time
+ * @param {string} timeZone - User's IANA time zone
+ * @param {Date} now - Current time
+ * @returns {Date|null} End of the current quiet period, or null when not quiet
+ */
+export function quietHoursEnd(quietHours, timeZone, now = new Date()) {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return null;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  const utcMinute = now.getUTCHours() * 60 + now.getUTCMinutes();
+  const local = ((utcMinute + zoneOffsetMinutes(timeZone, now)) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  // Windows such as 22:00-07:00 wrap past midnight
+  const inWindow = start < end ? local >= start && local < end : local >= start || local < end;
+  if (!inWindow) return null;
+
+  const minutesLeft = (end - local + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
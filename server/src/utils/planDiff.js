@@ -0,0 +1,69 @@
+/**
+ * Therapy plan diff helpers
+ * Goals are matched between versions by title and activities by name
+ * (case-insensitive), so a renamed goal shows up as one removed and one added.
+ */
+
+const GOAL_FIELDS = ['metric', 'target'];
+const ACTIVITY_FIELDS = ['frequency', 'duration'];
+
+function keyOf(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function pick(item, fields) {
+  return Object.fromEntries(fields.map(field => [field, item[field] ?? null]));
+}
+
+/**
+ * Compare two lists of plan items
+ * @param {Array} before - Items in the older version
+ * @param {Array} after - Items in the newer version
+ * @param {string} keyField - Field that identifies an item ('title' or 'name')
+ * @param {Array} fields - Fields compared on matched items
+ * @returns {Object} { added, removed, changed } where changed items carry { from, to } per changed field
+ */
+export function diffItems(before = [], after = [], keyField, fields) {
+  const beforeByKey = new Map(before.map(item => [keyOf(item[keyField]), item]));
+  const afterKeys = new Set(after.map(item => keyOf(item[keyField])));
+
+  const added = [];
+  const changed = [];
+  for (const item of after) {
+    const previous = beforeByKey.get(keyOf(item[keyField]));
+    if (!previous) {
+      added.push({ [keyField]: item[keyField], ...pick(item, fields) });
+      continue;
+    }
+    const changes = {};
+    for (const field of fields) {
+      const from = previous[field] ?? null;
+      const to = item[field] ?? null;
+      if (from !== to) changes[field] = { from, to };
+    }
+    if (Object.keys(changes).length) changed.push({ [keyField]: item[keyField], changes });
+  }
+
+  const removed = before
+    .filter(item => !afterKeys.has(keyOf(item[keyField])))
+    .map(item => ({ [keyField]: item[keyField], ...pick(item, fields) }));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Structured diff between two plan versions
+ * @param {Object} from - Older version { goals, activities, notes }
+ * @param {Object} to - Newer version
+ * @returns {Object} { goals, activities, notes, hasChanges } where notes is { from, to } or null
+ */
+export function diffPlanVersions(from = {}, to = {}) {
+  const goals = diffItems(from.goals, to.goals, 'title', GOAL_FIELDS);
+  const activities = diffItems(from.activities, to.activities, 'name', ACTIVITY_FIELDS);
+  const notesFrom = from.notes || '';
+  const notesTo = to.notes || '';
+  const notes = notesFrom === notesTo ? null : { from: notesFrom, to: notesTo };
+
+  const hasChanges = [goals, activities].some(d => d.added.length || d.removed.length || d.changed.length) || !!notes;
+  return { goals, activities, notes, hasChanges };
+}
@@ -0,0 +1,158 @@
+import { DAYS, MINUTES_PER_DAY, zoneOffsetMinutes } from './schedule.js';
+
+/**
+ * Appointment recurrence helpers
+ * A series repeats at the first appointment's local wall-clock time in its time
+ * zone, so a 17:00 appointment stays at 17:00 across DST changes.
+ */
+
+export const RECURRENCE_PATTERNS = ['none', 'weekly', 'twice_weekly'];
+export const DAYS_PER_PATTERN = { none: 0, weekly: 1, twice_weekly: 2 };
+export const MAX_OCCURRENCES = 200;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = MINUTES_PER_DAY * MINUTE_MS;
+
+/**
+ * Local calendar date, weekday and minute of day of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, weekday, minute }
+ */
+export function localParts(date, timeZone = 'UTC') {
+  const instant = new Date(date);
+  const local = new Date(instant.getTime() + zoneOffsetMinutes(timeZone, instant) * MINUTE_MS);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+    weekday: DAYS[(local.getUTCDay() + 6) % 7],
+    minute: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+/**
+ * Instant of a local wall-clock time in a time zone
+ * @param {number} year - Local year
+ * @param {number} month - Local month (0-11)
+ * @param {number} day - Local day of month (overflow rolls into the next month)
+ * @param {number} minute - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function localToUtc(year, month, day, minute, timeZone = 'UTC') {
+  const wall = Date.UTC(year, month, day) + minute * MINUTE_MS;
+  // Resolve the offset twice so times just after a DST change land correctly
+  let instant = wall - zoneOffsetMinutes(timeZone, new Date(wall)) * MINUTE_MS;
+  instant = wall - zoneOffsetMinutes(timeZone, new Date(instant)) * MINUTE_MS;
+  return new Date(instant);
+}
+
+/**
+ * Weekdays a series repeats on when none are given: the start's weekday, plus
+ * the day three days later for twice-weekly series (e.g. Monday and Thursday)
+ * @returns {Array<string>} Day names
+ */
+export function defaultDays(pattern, start, timeZone = 'UTC') {
+  if (!DAYS_PER_PATTERN[pattern]) return [];
+  const index = DAYS.indexOf(localParts(start, timeZone).weekday);
+  return pattern === 'twice_weekly' ? [DAYS[index], DAYS[(index + 3) % 7]] : [DAYS[index]];
+}
+
+/**
+ * Original start times of every occurrence in a series, in order. Exceptions
+ * are not applied; an occurrence is identified by its original start.
+ * @param {Object} appointment - { start, timeZone, recurrence: { pattern, days, until, count } }
+ * @returns {Array<Date>}
+ */
+export function occurrenceStarts({ start, timeZone = 'UTC', recurrence = {} }) {
+  const pattern = recurrence?.pattern || 'none';
+  if (!DAYS_PER_PATTERN[pattern]) return [new Date(start)];
+
+  const days = new Set(recurrence.days?.length ? recurrence.days : defaultDays(pattern, start, timeZone));
+  const first = localParts(start, timeZone);
+  const firstDay = Date.UTC(first.year, first.month, first.day);
+  // until is inclusive: the last local calendar day (its UTC date) an occurrence may fall on
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const lastDay = until ? Date.UTC(until.getUTCFullYear(), until.getUTCMonth(), until.getUTCDate()) : Infinity;
+  const max = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const starts = [];
+  for (let day = firstDay; starts.length < max && day <= lastDay; day += DAY_MS) {
+    const date = new Date(day);
+    if (!days.has(DAYS[(date.getUTCDay() + 6) % 7])) continue;
+    starts.push(localToUtc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), first.minute, timeZone));
+  }
+  return starts;
+}
+
+/**
+ * Occurrences of a series with exceptions, cancellation and documentation applied
+ * @param {Object} appointment - Appointment document or plain object
+ * @param {Object} window - Optional { from, to } to keep occurrences overlapping it
+ * @returns {Array} [{ appointment, occurrence, start, end, status, session }]
+ *   status is scheduled, cancelled or documented
+ */
+export function expandOccurrences(appointment, { from, to } = {}) {
+  const durationMs = (appointment.durationMin || 0) * MINUTE_MS;
+  const exceptions = new Map((appointment.exceptions || []).map(e => [new Date(e.occurrence).getTime(), e]));
+  const documented = new Map((appointment.documented || []).map(d => [new Date(d.occurrence).getTime(), d.session]));
+  const cancelledAt = appointment.status === 'cancelled' ? new Date(appointment.cancelledAt || 0) : null;
+
+  return occurrenceStarts(appointment)
+    .map(occurrence => {
+      const exception = exceptions.get(occurrence.getTime());
+      const start = exception?.start ? new Date(exception.start) : occurrence;
+      const session = documented.get(occurrence.getTime()) || null;
+      let status = 'scheduled';
+      if (session) status = 'documented';
+      // Cancelling a series only affects occurrences that had not started yet
+      else if (exception?.cancelled || (cancelledAt && start >= cancelledAt)) status = 'cancelled';
+      return { appointment: appointment._id, occurrence, start, end: new Date(start.getTime() + durationMs), status, session };
+    })
+    .filter(o => (!from || o.end > new Date(from)) && (!to || o.start < new Date(to)));
+}
+
+/**
+ * Earliest scheduled occurrence starting at or after an instant
+ * @param {Array} appointments - Appointments for one patient
+ * @param {Date} now - Reference instant
+ * @returns {Date|null}
+ */
+export function nextOccurrence(appointments, now = new Date()) {
+  let next = null;
+  for (const appointment of appointments) {
+    for (const o of expandOccurrences(appointment)) {
+      if (o.status === 'scheduled' && o.start >= now && (!next || o.start < next)) next = o.start;
+    }
+  }
+  return next;
+}
+
+/**
+ * Sessions per week described by a plan activity frequency such as "Weekly",
+ * "2x per week", "twice a week" or "Daily"
+ * @param {string} frequency - Free-text frequency
+ * @returns {number|null} Sessions per week, or null when it cannot be read
+ */
+export function sessionsPerWeek(frequency) {
+  const text = String(frequency || '').toLowerCase();
+  if (/\bdaily\b|every day/.test(text)) return 7;
+  const count = /(\d+)\s*(?:x|times?|sessions?)\s*(?:per|a|an|each|\/)?\s*(?:week|wk)/.exec(text);
+  if (count) return Number(count[1]) || null;
+  if (/\btwice\b.*\bweek/.test(text)) return 2;
+  if (/\bonce\b.*\bweek|^\s*weekly\b|every week/.test(text)) return 1;
+  return null;
+}
+
+/**
+ * Recurrence pattern implied by a plan's activities. The most frequent activity
+ * sets the pace; anything above twice a week is scheduled twice weekly.
+ * @param {Array} activities - [{ name, frequency }]
+ * @returns {Object|null} { sessionsPerWeek, pattern }
+ */
+export function plannedPattern(activities = []) {
+  const perWeek = Math.max(0, ...activities.map(a => sessionsPerWeek(a?.frequency) || 0));
+  if (!perWeek) return null;
+  return { sessionsPerWeek: perWeek, pattern: perWeek >= 2 ? 'twice_weekly' : 'weekly' };
+}
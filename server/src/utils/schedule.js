@@ -0,0 +1,176 @@
+/**
+ * Weekly schedule helpers
+ * Times are handled as half-open [start, end) minute intervals on a weekly grid
+ * that starts Monday 00:00 UTC, so windows recorded in different time zones
+ * can be intersected directly.
+ */
+
+export const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+export const MINUTES_PER_DAY = 24 * 60;
+export const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes, or null when missing/invalid
+ */
+export function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a string is an IANA time zone the runtime understands
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {string} timeZone - IANA time zone (invalid zones are treated as UTC)
+ * @param {Date} date - Instant at which to evaluate the offset (DST aware)
+ * @returns {number} Minutes to add to UTC to get local time
+ */
+export function zoneOffsetMinutes(timeZone = 'UTC', date = new Date()) {
+  if (!timeZone || timeZone === 'UTC' || !isValidTimeZone(timeZone)) return 0;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type)?.value);
+  const localAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  const utcMinute = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((localAsUtc - utcMinute) / 60000);
+}
+
+/**
+ * Merge overlapping intervals and wrap anything outside the week back onto it
+ * @param {Array<Array<number>>} intervals - [[start, end], ...]
+ * @returns {Array<Array<number>>} Sorted, disjoint intervals within [0, MINUTES_PER_WEEK)
+ */
+export function normalizeIntervals(intervals) {
+  const pieces = [];
+  for (const [rawStart, rawEnd] of intervals) {
+    if (!(rawEnd > rawStart)) continue;
+    if (rawEnd - rawStart >= MINUTES_PER_WEEK) return [[0, MINUTES_PER_WEEK]];
+    const start = ((rawStart % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+    const end = start + (rawEnd - rawStart);
+    if (end <= MINUTES_PER_WEEK) {
+      pieces.push([start, end]);
+    } else {
+      pieces.push([start, MINUTES_PER_WEEK], [0, end - MINUTES_PER_WEEK]);
+    }
+  }
+
+  pieces.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of pieces) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Intersect two normalized interval lists
+ */
+export function intersectIntervals(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (end > start) result.push([start, end]);
+    if (a[i][1] < b[j][1]) i++; else j++;
+  }
+  return result;
+}
+
+/**
+ * Remove the intervals in b from the intervals in a (both normalized)
+ */
+export function subtractIntervals(a, b) {
+  const result = [];
+  for (const [start, end] of a) {
+    let cursor = start;
+    for (const [bStart, bEnd] of b) {
+      if (bEnd <= cursor || bStart >= end) continue;
+      if (bStart > cursor) result.push([cursor, bStart]);
+      cursor = Math.max(cursor, bEnd);
+      if (cursor >= end) break;
+    }
+    if (cursor < end) result.push([cursor, end]);
+  }
+  return result;
+}
+
+/**
+ * Total length of a list of intervals in minutes
+ */
+export function totalMinutes(intervals) {
+  return intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * Convert local weekly windows into UTC week intervals
+ * @param {Array} windows - [{ day: 'tuesday', start: '17:00', end: '20:00' }]
+ * @param {string} timeZone - Time zone the windows are expressed in
+ * @param {Date} at - Instant used to resolve the zone offset
+ * @returns {Array<Array<number>>} Normalized UTC intervals
+ */
+export function windowsToUtcIntervals(windows = [], timeZone = 'UTC', at = new Date()) {
+  const offset = zoneOffsetMinutes(timeZone, at);
+  const intervals = [];
+  for (const window of windows) {
+    const dayIndex = DAYS.indexOf(String(window?.day || '').toLowerCase());
+    const start = parseTime(window?.start);
+    const end = parseTime(window?.end);
+    if (dayIndex === -1 || start === null || end === null || end <= start) continue;
+    const base = dayIndex * MINUTES_PER_DAY - offset;
+    intervals.push([base + start, base + end]);
+  }
+  return normalizeIntervals(intervals);
+}
+
+/**
+ * Flatten a User.availability.schedule object into weekly windows
+ * @param {Object} schedule - { monday: { start, end }, ... }
+ * @returns {Array} [{ day, start, end }]
+ */
+export function scheduleToWindows(schedule = {}) {
+  return DAYS
+    .filter(day => schedule?.[day]?.start && schedule?.[day]?.end)
+    .map(day => ({ day, start: schedule[day].start, end: schedule[day].end }));
+}
+
+/**
+ * Position of an instant on the UTC weekly grid
+ * @param {Date} date - Instant
+ * @returns {number} Minutes since Monday 00:00 UTC
+ */
+export function weekMinute(date) {
+  const d = new Date(date);
+  return ((d.getUTCDay() + 6) % 7) * MINUTES_PER_DAY + d.getUTCHours() * 60 + d.getUTCMinutes();
+}
@@ -1,4 +1,10 @@
 import { z } from 'zod';
+import { DAYS, isValidTimeZone } from '../utils/schedule.js';
+import { RECURRENCE_PATTERNS, MAX_OCCURRENCES } from '../utils/recurrence.js';
+import { ATTENDANCE_STATUSES, attendanceError } from '../utils/attendance.js';
+import { NOTE_SECTION_TYPES } from '../utils/noteTemplates.js';
+import { DomainEvents } from '../services/eventBus.js';
+import noteTemplateService from '../services/noteTemplateService.js';
 
 // Common primitives
 export const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/i, 'Invalid object id');
@@ -25,17 +31,48 @@ export const patientContactSchema = z.object({
     .optional(),
 });
 
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'Expected HH:MM');
+const timeZoneName = z.string().refine((tz) => isValidTimeZone(tz), 'Unknown time zone');
+
+const appointmentPreferencesSchema = z.object({
+  timeZone: timeZoneName.optional(),
+  windows: z
+    .array(
+      z
+        .object({
+          day: z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']),
+          start: timeOfDay,
+          end: timeOfDay,
+        })
+        .refine((w) => w.end > w.start, { message: 'End time must be after start time', path: ['end'] })
+    )
+    .max(21)
+    .optional(),
+});
+
 export const patientCreateSchema = z.object({
   name: z.string().min(2).max(100),
   dob: isoDate,
   contact: patientContactSchema,
   diagnoses: z.array(z.string().min(1).max(200)).max(10).optional(),
   tags: z.array(z.string().min(1).max(50)).max(20).optional(),
+  program: z.string().min(1).max(100).optional(),
   assignedTherapist: objectId.optional(),
   supervisor: objectId.optional(),
   caseStatus: z.enum(['active', 'paused', 'closed']).optional(),
   priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
   notes: z.string().max(2000).optional(),
+  languages: z.array(z.string().min(1).max(50)).max(10).optional(),
+  therapistPreferences: z
+    .object({
+      gender: z.enum(['female', 'male', 'nonbinary']).optional(),
+      genderRequired: z.boolean().optional(),
+      languageRequired: z.boolean().optional(),
+      excludedTherapists: z.array(objectId).max(20).optional(),
+    })
+    .partial()
+    .optional(),
+  appointmentPreferences: appointmentPreferencesSchema.optional(),
   lastSessionDate: isoDate.optional(),
   nextAppointment: isoDate.optional(),
 });
@@ -67,6 +104,8 @@ export const userCreateSchema = z.object({
   name: z.string().min(2).max(100),
   role: z.enum(['therapist', 'supervisor', 'admin']),
   specialties: z.array(z.string().min(1).max(50)).max(15).optional(),
+  languages: z.array(z.string().min(1).max(50)).max(10).optional(),
+  gender: z.enum(['female', 'male', 'nonbinary', 'undisclosed']).optional(),
   availability: availabilitySchema.optional(),
   active: z.boolean().optional(),
   licenseNumber: z.string().regex(/^[A-Z0-9]{5,20}$/).optional(),
@@ -77,26 +116,80 @@ export const userCreateSchema = z.object({
     .optional(),
   department: z.string().max(200).optional(),
   hireDate: isoDate.optional(),
-  preferences: z
-    .object({
-      notifications: z
-        .object({
-          email: z.boolean().optional(),
-          inApp: z.boolean().optional(),
-        })
-        .partial()
-        .optional(),
-      theme: z.enum(['light', 'dark', 'auto']).optional(),
-    })
-    .partial()
-    .optional(),
+  preferences: z.lazy(() => userPreferencesSchema).optional(),
+  backupSupervisor: objectId.optional(),
 });
 
+const notificationTypes = z.enum([
+  'plan_submitted',
+  'plan_approved',
+  'plan_needs_revision',
+  'plan_comment',
+  'attendance_flag',
+  'session_reminder',
+  'report_due',
+  'report_submitted',
+  'report_reviewed',
+  'assignment_changed',
+  'rating_received',
+  'system_alert',
+]);
+const notificationPriority = z.enum(['low', 'medium', 'high', 'urgent']);
+
+export const userPreferencesSchema = z
+  .object({
+    notifications: z
+      .object({
+        email: z.boolean().optional(),
+        inApp: z.boolean().optional(),
+        emailFrequency: z.enum(['immediate', 'daily']).optional(),
+        digestHour: z.number().int().min(0).max(23).optional(),
+        types: z
+          .record(notificationTypes, z.object({ inApp: z.boolean(), email: z.boolean() }).partial())
+          .optional(),
+        quietHours: z
+          .object({
+            enabled: z.boolean(),
+            start: timeOfDay,
+            end: timeOfDay,
+          })
+          .refine((q) => q.start !== q.end, { message: 'Quiet hours must not start and end at the same time', path: ['end'] })
+          .optional(),
+      })
+      .partial()
+      .optional(),
+    theme: z.enum(['light', 'dark', 'auto']).optional(),
+  })
+  .partial();
+
 export const userUpdateSchema = userCreateSchema.partial();
 
 // Assignments
 export const autoAssignSchema = z.object({
   patientId: objectId,
+  // Return the ranked candidates without creating an assignment
+  preview: z.boolean().optional(),
+  // Commit a specific candidate chosen from a preview
+  therapistId: objectId.optional(),
+});
+
+export const batchAutoAssignSchema = z
+  .object({
+    patientIds: z.array(objectId).min(1).max(200).optional(),
+    allUnassigned: z.boolean().optional(),
+    maxCaseload: z.number().int().min(1).max(100).optional(),
+  })
+  .refine((v) => v.allUnassigned || v.patientIds?.length, {
+    message: 'Provide patientIds or set allUnassigned',
+    path: ['patientIds'],
+  });
+
+export const batchCommitSchema = z.object({
+  items: z
+    .array(z.object({ patientId: objectId, therapistId: objectId }))
+    .min(1)
+    .max(200),
+  maxCaseload: z.number().int().min(1).max(100).optional(),
 });
 
 export const manualAssignSchema = z.object({
@@ -109,12 +202,312 @@ export const unassignSchema = z.object({
   reason: z.string().max(200).optional(),
 });
 
+// Assignment policies
+const policyBandSchema = z.object({
+  min: z.number().min(0),
+  score: z.number().min(0).max(100),
+});
+
+// Every value must fall into some band, so one band has to start at 0
+const policyBandsSchema = z
+  .array(policyBandSchema)
+  .min(1)
+  .max(20)
+  .refine((bands) => bands.some((b) => b.min === 0), 'Bands must include one with min 0');
+
+export const assignmentApproveSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+export const assignmentRejectSchema = z.object({
+  reason: z.string().min(1).max(500),
+});
+
+export const assignmentOverrideSchema = z.object({
+  therapistId: objectId,
+  reason: z.string().min(1).max(500),
+});
+
+export const caseloadTransferSchema = z
+  .object({
+    therapistId: objectId,
+    reason: z.enum(['leave', 'deactivation']),
+    leaveStart: isoDate.optional(),
+    leaveEnd: isoDate.optional(),
+    note: z.string().max(1000).optional(),
+  })
+  .refine((v) => v.reason === 'leave' || (!v.leaveStart && !v.leaveEnd), {
+    message: 'Leave dates only apply to leave',
+    path: ['leaveEnd'],
+  })
+  .refine((v) => !v.leaveStart || !v.leaveEnd || Date.parse(v.leaveEnd) > Date.parse(v.leaveStart), {
+    message: 'Leave end must be after leave start',
+    path: ['leaveEnd'],
+  });
+
+export const caseloadTransferApprovalSchema = z.object({
+  items: z.array(z.object({ patientId: objectId, therapistId: objectId })).max(200).optional(),
+});
+
+export const assignmentPolicySchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(1000).optional(),
+  weights: z
+    .object({
+      specialtyMatch: z.number().min(0).max(1),
+      availability: z.number().min(0).max(1),
+      caseload: z.number().min(0).max(1),
+      experience: z.number().min(0).max(1),
+    })
+    .partial()
+    .optional(),
+  enabledCriteria: z
+    .array(z.enum(['specialtyMatch', 'availability', 'caseload', 'experience']))
+    .min(1)
+    .optional(),
+  caseloadBands: policyBandsSchema.optional(),
+  availabilityBands: policyBandsSchema.optional(),
+  availabilityDefault: z.number().min(0).max(100).optional(),
+  fullOverlapMinutes: z.number().int().min(15).max(2400).optional(),
+  maxCaseload: z.number().int().min(1).max(100).optional(),
+  activate: z.boolean().optional(),
+});
+
 // Notifications
 export const systemAlertSchema = z.object({
   targetUsers: z.array(objectId).min(1),
   title: z.string().min(1).max(100),
   message: z.string().min(1).max(500),
-  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+  priority: notificationPriority.optional(),
+});
+
+// Webhooks
+const webhookEvents = z.enum(['*', ...Object.values(DomainEvents)]);
+
+export const webhookSchema = z.object({
+  name: z.string().min(1).max(100),
+  url: z.string().url().regex(/^https?:\/\//, 'Webhook URL must be http(s)'),
+  events: z.array(webhookEvents).min(1),
+  active: z.boolean().optional(),
+  description: z.string().max(500).optional(),
+});
+
+// Progress report cadence
+export const reportDueRuleSchema = z.object({
+  scope: z.enum(['diagnosis', 'program']),
+  value: z.string().trim().min(1).max(200),
+  sessionThreshold: z.number().int().min(1).max(100),
+  active: z.boolean().optional(),
+});
+
+// Repeated no-shows within a window flag the patient, and optionally pause the case
+export const attendanceRuleSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  noShowThreshold: z.number().int().min(1).max(20),
+  windowDays: z.number().int().min(1).max(365),
+  pauseCase: z.boolean().optional(),
+  active: z.boolean().optional(),
+});
+
+export const attendanceFlagResolveSchema = z.object({
+  resolution: z.string().trim().min(1).max(1000),
+  // Set a paused case back to active
+  reactivate: z.boolean().optional(),
+});
+
+// Attachments (multipart fields on upload, query string on list)
+export const attachmentTargetSchema = z.object({
+  entityType: z.enum(['TherapyPlan', 'Session', 'ProgressReport']),
+  entityId: objectId,
+});
+
+// Appointments
+const appointmentRecurrenceSchema = z.object({
+  pattern: z.enum(RECURRENCE_PATTERNS).optional(),
+  days: z.array(z.enum(DAYS)).max(2).optional(),
+  until: isoDate.nullable().optional(),
+  count: z.number().int().min(1).max(MAX_OCCURRENCES).nullable().optional(),
+});
+
+export const appointmentSchema = z.object({
+  patient: objectId,
+  therapist: objectId.optional(),
+  start: isoDate,
+  durationMin: z.number().int().min(5).max(480).optional(),
+  timeZone: z.string().refine(isValidTimeZone, 'Invalid time zone').optional(),
+  room: z.string().trim().max(100).optional(),
+  recurrence: appointmentRecurrenceSchema.optional(),
+  notes: z.string().max(1000).optional(),
+  // Book despite scheduling conflicts; recorded in the audit log
+  override: z.boolean().optional(),
+  overrideReason: z.string().max(500).optional(),
+});
+
+export const appointmentUpdateSchema = appointmentSchema
+  .pick({ start: true, durationMin: true, timeZone: true, room: true, recurrence: true, notes: true, override: true, overrideReason: true })
+  .partial();
+
+export const appointmentExceptionSchema = z.object({
+  occurrence: isoDate,
+  cancelled: z.boolean().optional(),
+  start: isoDate.optional(),
+  reason: z.string().max(500).optional(),
+  override: z.boolean().optional(),
+  overrideReason: z.string().max(500).optional(),
+}).refine((v) => !(v.cancelled && v.start), 'An occurrence cannot be both cancelled and rescheduled');
+
+export const appointmentCancelSchema = z.object({
+  reason: z.string().max(500).optional(),
+});
+
+// Whether the patient came, with a reason code for late arrivals, cancellations and no-shows
+export const attendanceSchema = z.object({
+  status: z.enum(ATTENDANCE_STATUSES).default('attended'),
+  reason: z.string().optional(),
+  minutesLate: z.number().int().min(1).max(240).optional(),
+  note: z.string().max(500).optional(),
+}).superRefine((value, ctx) => {
+  const problem = attendanceError(value);
+  if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['reason'], message: problem });
+});
+
+// A structured note: values keyed by section, checked against the template's
+// sections and turned into what Session.note stores. Async: it looks the template up.
+const noteValue = z.union([
+  z.string().max(10000),
+  z.number(),
+  z.boolean(),
+  z.array(z.string().max(200)).max(50),
+]);
+
+export const sessionNoteSchema = z.object({
+  // Built-in key (soap, dap) or NoteTemplate id
+  template: z.string().trim().min(1).max(64),
+  values: z.record(z.string(), noteValue).default({}),
+}).transform(async (input, ctx) => {
+  const { note, errors } = await noteTemplateService.buildNote(input);
+  errors.forEach(({ path, message }) => ctx.addIssue({ code: z.ZodIssueCode.custom, path, message }));
+  return errors.length ? z.NEVER : note;
+});
+
+// Session notes written when an appointment occurrence is documented
+export const appointmentDocumentSchema = z.object({
+  occurrence: isoDate,
+  attendance: attendanceSchema.optional(),
+  note: sessionNoteSchema.optional(),
+  durationMin: z.number().int().nonnegative().optional(),
+  activities: z.array(z.string()).optional(),
+  observations: z.string().max(2000).optional(),
+  outcomes: z.array(z.object({ metric: z.string(), value: z.number() })).optional(),
+  nextSteps: z.string().max(2000).optional(),
+});
+
+// Preview conflicts for a booking before saving it
+export const conflictQuerySchema = z.object({
+  start: isoDate,
+  durationMin: z.coerce.number().int().min(1).max(480).optional(),
+  therapist: objectId.optional(),
+  patient: objectId.optional(),
+  room: z.string().trim().max(100).optional(),
+});
+
+export const appointmentQuerySchema = z.object({
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  patient: objectId.optional(),
+  therapist: objectId.optional(),
+});
+
+// Calendar feeds and availability exceptions
+export const calendarFeedSchema = z.object({
+  maskPatientNames: z.boolean().optional(),
+});
+
+export const availabilityExceptionSchema = z.object({
+  start: isoDate,
+  end: isoDate,
+  summary: z.string().trim().max(200).optional(),
+}).refine((v) => new Date(v.end) > new Date(v.start), 'End must be after start');
+
+// Supervisors and admins manage another therapist's exceptions with ?therapist=
+export const calendarTargetSchema = z.object({
+  therapist: objectId.optional(),
+  from: isoDate.optional(),
+});
+
+// Therapy plan templates
+export const planTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  description: z.string().max(1000).optional(),
+  goals: z.array(z.object({
+    title: z.string().trim().min(1),
+    metric: z.string().optional(),
+    target: z.number().optional(),
+  })).min(1),
+  activities: z.array(z.object({
+    name: z.string().trim().min(1),
+    frequency: z.string().optional(),
+    duration: z.string().optional(),
+  })).optional(),
+  diagnoses: z.array(z.string().trim().min(1).max(200)).optional(),
+  tags: z.array(z.string().trim().min(1).max(50)).optional(),
+});
+
+// Session note templates
+const noteSectionSchema = z.object({
+  key: z.string().trim().regex(/^[a-z][a-z0-9_]{0,39}$/, 'Section keys are lower-case letters, digits and underscores'),
+  label: z.string().trim().min(1).max(100),
+  type: z.enum(NOTE_SECTION_TYPES).default('textarea'),
+  required: z.boolean().optional(),
+  options: z.array(z.string().trim().min(1).max(100)).max(50).optional(),
+  min: z.number().optional(),
+  max: z.number().optional(),
+  maxLength: z.number().int().min(1).max(10000).optional(),
+  help: z.string().max(300).optional(),
+}).superRefine((section, ctx) => {
+  const picklist = ['select', 'multiselect'].includes(section.type);
+  if (picklist && !section.options?.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['options'], message: 'Select sections need at least one option' });
+  }
+  if (!picklist && section.options?.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['options'], message: 'Only select sections take options' });
+  }
+  if (section.options && new Set(section.options).size !== section.options.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['options'], message: 'Options must be unique' });
+  }
+  if (section.min !== undefined && section.max !== undefined && section.min > section.max) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['max'], message: 'Max must not be below min' });
+  }
+});
+
+export const noteTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  description: z.string().max(1000).optional(),
+  discipline: z.string().trim().min(1).max(100).optional(),
+  sections: z.array(noteSectionSchema).min(1).max(30).superRefine((sections, ctx) => {
+    const seen = new Set();
+    sections.forEach((section, i) => {
+      if (seen.has(section.key)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [i, 'key'], message: `Duplicate section key ${section.key}` });
+      }
+      seen.add(section.key);
+    });
+  }),
+});
+
+// Scheduled jobs
+export const jobUpdateSchema = z.object({
+  paused: z.boolean(),
+});
+
+export const escalationRuleSchema = z.object({
+  name: z.string().min(1).max(100),
+  active: z.boolean().optional(),
+  types: z.array(notificationTypes).optional(),
+  priorities: z.array(notificationPriority).min(1).optional(),
+  unreadForHours: z.number().int().min(1).max(24 * 30).optional(),
+  action: z.enum(['renotify', 'notify_backup']),
+  backupUser: objectId.optional(),
 });
 
 export default {
@@ -122,8 +515,38 @@ export default {
   patientUpdateSchema,
   userCreateSchema,
   userUpdateSchema,
+  userPreferencesSchema,
   autoAssignSchema,
+  batchAutoAssignSchema,
+  batchCommitSchema,
   manualAssignSchema,
   unassignSchema,
+  assignmentApproveSchema,
+  assignmentRejectSchema,
+  assignmentOverrideSchema,
+  assignmentPolicySchema,
+  caseloadTransferSchema,
+  caseloadTransferApprovalSchema,
   systemAlertSchema,
+  escalationRuleSchema,
+  webhookSchema,
+  jobUpdateSchema,
+  reportDueRuleSchema,
+  planTemplateSchema,
+  noteTemplateSchema,
+  sessionNoteSchema,
+  attachmentTargetSchema,
+  appointmentSchema,
+  appointmentUpdateSchema,
+  appointmentExceptionSchema,
+  appointmentCancelSchema,
+  appointmentDocumentSchema,
+  appointmentQuerySchema,
+  conflictQuerySchema,
+  calendarFeedSchema,
+  availabilityExceptionSchema,
+  calendarTargetSchema,
+  attendanceSchema,
+  attendanceRuleSchema,
+  attendanceFlagResolveSchema,
 };